@@ -43,7 +43,9 @@ const { ELEMENT_IDS, DATA_ATTRIBUTES, ANIMATION, TOAST } = uiConfig;
 import SettingsPage from './pages/SettingsPage.js';
 import ComparePage from './pages/ComparePage.js';
 import RankingsPage from './pages/RankingsPage.js';
+import HistoryPage from './pages/HistoryPage.js';
 import TeamsPage from './pages/TeamsPage.js';
+import TournamentPage from './pages/TournamentPage.js';
 import PrivacyPolicyPage from './pages/PrivacyPolicyPage.js';
 
 /**
@@ -146,7 +148,9 @@ class Application {
      * - / (root): Settings/Home page
      * - /compare/: Player comparison interface
      * - /rankings/: Player rankings by position
+     * - /history/: Comparison log with undo
      * - /teams/: Team builder and optimizer
+     * - /tournament/: Schedule and standings for the generated teams
      * 
      * All routes end with trailing slash for consistency.
      * Router handles normalization of paths automatically.
@@ -170,11 +174,21 @@ class Application {
             this.renderPage('rankings', RankingsPage);
         });
 
+        // Comparison history page
+        router.register('/history/', () => {
+            this.renderPage('history', HistoryPage);
+        });
+
         // Team builder page
         router.register('/teams/', () => {
             this.renderPage('teams', TeamsPage);
         });
 
+        // Tournament page
+        router.register('/tournament/', () => {
+            this.renderPage('tournament', TournamentPage);
+        });
+
         // Privacy policy page
         router.register('/privacy-policy.html/', () => {
             this.renderPage('privacy-policy', PrivacyPolicyPage);
@@ -312,7 +326,7 @@ class Application {
     updateNavigation() {
         const links = document.querySelectorAll('.nav-link');
         const currentActivity = storage.get(STORAGE_KEYS.SELECTED_ACTIVITY, null);
-        const disabledRoutes = ['/compare/', '/rankings/', '/teams/'];
+        const disabledRoutes = ['/compare/', '/rankings/', '/history/', '/teams/', '/tournament/'];
 
         links.forEach(link => {
             const route = link.getAttribute(DATA_ATTRIBUTES.ROUTE);
@@ -346,7 +360,7 @@ class Application {
      */
     setupNavigationHandlers() {
         const links = document.querySelectorAll('.nav-link');
-        const disabledRoutes = ['/compare/', '/rankings/', '/teams/'];
+        const disabledRoutes = ['/compare/', '/rankings/', '/history/', '/teams/', '/tournament/'];
 
         links.forEach(link => {
             link.addEventListener('click', (e) => {
@@ -447,7 +461,10 @@ class Application {
 
         // Error events
         eventBus.on('state:save-error', () => {
-            toast.error('Failed to save data', TOAST.DEFAULT_DURATION);
+            toast.error(
+                'Failed to save data: browser storage may be full. Changes since the last save will be lost on reload.',
+                TOAST.ERROR_DURATION
+            );
         });
 
         eventBus.on('state:load-error', () => {
@@ -2,8 +2,10 @@ import BaseComponent from '../BaseComponent.js';
 import ComparisonCard from './ComparisonCard.js';
 import { getIcon } from '../base/Icons.js';
 import uiConfig from '../../config/ui.js';
+import ratingConfig from '../../config/rating.js';
 
 const { ICON_SIZES, COLORS, MESSAGES, ANIMATION } = uiConfig;
+const { GRADES } = ratingConfig;
 
 class ComparisonArea extends BaseComponent {
     constructor(container, props = {}) {
@@ -14,7 +16,8 @@ class ComparisonArea extends BaseComponent {
         this.progress = props.progress;
         this.currentPair = props.currentPair;
         this.nextPair = props.nextPair;
-        this.onComparison = props.onComparison; // Callback for win
+        this.gradedMode = props.gradedMode || false;
+        this.onComparison = props.onComparison; // Callback for win with (winnerId, loserId, grade)
         this.onDraw = props.onDraw; // Callback for draw
         this.onSuggestionClick = props.onSuggestionClick; // Callback for suggestion click
 
@@ -43,6 +46,7 @@ class ComparisonArea extends BaseComponent {
                             <h3 class="comparison-complete__title">Position Complete!</h3>
                             <p class="comparison-complete__message">
                                 All ${positionName} comparisons are finished (${progress.completed}/${progress.total}).
+                                Change the re-match policy to compare pairs again.
                                 <span id="suggestionContainer"></span>
                             </p>
                         </div>
@@ -86,7 +90,7 @@ class ComparisonArea extends BaseComponent {
                             <div class="progress-mini">
                                 <div class="progress-mini__fill" style="width: ${progressPercent}%"></div>
                             </div>
-                            <span class="comparison-progress-text">${progress.completed}/${progress.total} comparisons · ${progressPercent}% complete</span>
+                            <span class="comparison-progress-text">${progress.completed}/${progress.total} comparisons · ${progressPercent}% complete · ${progress.converged}% converged</span>
                         </div>
                     </div>
                 </div>
@@ -96,6 +100,7 @@ class ComparisonArea extends BaseComponent {
 
                     <div class="vs-divider" aria-hidden="true">
                         <div class="vs-text">VS</div>
+                        ${this.gradedMode ? this.renderSlightButton('left', player1, player2, 'Q') : ''}
                         <button
                             class="draw-button"
                             id="drawButton"
@@ -106,6 +111,7 @@ class ComparisonArea extends BaseComponent {
                             <span class="keyboard-hint-button" aria-hidden="true">W</span>
                             Equal Skill
                         </button>
+                        ${this.gradedMode ? this.renderSlightButton('right', player2, player1, 'E') : ''}
                     </div>
 
                     <div id="rightCardContainer"></div>
@@ -114,6 +120,21 @@ class ComparisonArea extends BaseComponent {
         `;
     }
 
+    renderSlightButton(side, winner, loser, keyboardHint) {
+        return `
+            <button
+                class="draw-button slight-win-button"
+                id="${side}SlightButton"
+                data-winner-id="${winner.id}"
+                data-loser-id="${loser.id}"
+                aria-label="Mark ${this.escape(winner.name)} as slightly better (keyboard: ${keyboardHint})"
+                title="${this.escape(winner.name)} is slightly better">
+                <span class="keyboard-hint-button" aria-hidden="true">${keyboardHint}</span>
+                ${side === 'left' ? '&larr; ' : ''}Slightly Better${side === 'right' ? ' &rarr;' : ''}
+            </button>
+        `;
+    }
+
     renderEmpty(message, icon, title = MESSAGES.TITLES.STATUS) {
         return `
             <div class="empty-state">
@@ -161,6 +182,7 @@ class ComparisonArea extends BaseComponent {
                 positionKey: selectedPosition,
                 side: 'left',
                 keyboardHint: 'A',
+                gradedMode: this.gradedMode,
                 onSelect: (winnerId, loserId) => this.handleComparison(winnerId, loserId)
             });
             this.leftCard.mount();
@@ -176,6 +198,7 @@ class ComparisonArea extends BaseComponent {
                 positionKey: selectedPosition,
                 side: 'right',
                 keyboardHint: 'D',
+                gradedMode: this.gradedMode,
                 onSelect: (winnerId, loserId) => this.handleComparison(winnerId, loserId)
             });
             this.rightCard.mount();
@@ -189,9 +212,21 @@ class ComparisonArea extends BaseComponent {
                 this.handleDraw(player1.id, player2.id);
             });
         }
+
+        // Slight win buttons (graded mode)
+        this.container.querySelectorAll('.slight-win-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.animateKeyPress(button);
+                this.handleComparison(
+                    button.getAttribute('data-winner-id'),
+                    button.getAttribute('data-loser-id'),
+                    GRADES.LEVELS.SLIGHT
+                );
+            });
+        });
     }
 
-    handleComparison(winnerId, loserId) {
+    handleComparison(winnerId, loserId, grade = GRADES.DEFAULT_GRADE) {
         // Animate card
         if (this.leftCard && this.leftCard.player.id === winnerId) {
             this.leftCard.animate();
@@ -200,7 +235,7 @@ class ComparisonArea extends BaseComponent {
         }
 
         if (this.onComparison) {
-            this.onComparison(winnerId, loserId);
+            this.onComparison(winnerId, loserId, grade);
         }
     }
 
@@ -228,6 +263,11 @@ class ComparisonArea extends BaseComponent {
             if (drawButton) {
                 this.animateKeyPress(drawButton);
             }
+        } else if (key === 'q' || key === 'e') {
+            const slightButton = this.container.querySelector(key === 'q' ? '#leftSlightButton' : '#rightSlightButton');
+            if (slightButton) {
+                this.animateKeyPress(slightButton);
+            }
         }
     }
 }
@@ -11,6 +11,7 @@ class ComparisonCard extends BaseComponent {
         this.positionKey = props.positionKey;
         this.side = props.side; // 'left' or 'right'
         this.keyboardHint = props.keyboardHint;
+        this.gradedMode = props.gradedMode || false; // Card click means "clearly better"
         this.onSelect = props.onSelect; // Callback for selection
     }
 
@@ -31,7 +32,7 @@ class ComparisonCard extends BaseComponent {
                 id="${side}PlayerCard"
                 data-winner-id="${player.id}"
                 data-loser-id="${opponentId}"
-                aria-label="Select ${this.escape(player.name)} as better player (keyboard: ${keyboardHint})"
+                aria-label="Select ${this.escape(player.name)} as ${this.gradedMode ? 'clearly ' : ''}better player (keyboard: ${keyboardHint})"
                 role="button">
                 <div class="keyboard-hint" aria-hidden="true">${keyboardHint}</div>
 
@@ -0,0 +1,79 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+
+/**
+ * ConflictList - Contradictory triads at the selected position
+ * Lists every A > B > C > A cycle and lets the user re-judge one of its pairs.
+ * Cycles are found within the active rater's own results.
+ */
+class ConflictList extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.positionName = props.positionName;
+        this.raterName = props.raterName || null; // Whose results were checked
+        this.triads = props.triads || [];
+        this.onRejudge = props.onRejudge; // Callback with the log entry to re-judge
+    }
+
+    render() {
+        if (this.triads.length === 0) {
+            return '';
+        }
+
+        return `
+            <section class="conflict-list" role="region" aria-label="Contradictory results">
+                <header class="conflict-list__header">
+                    ${getIcon('alert-triangle', { size: 20 })}
+                    <h3>${this.triads.length} contradictory result${this.triads.length === 1 ? '' : 's'} at ${this.positionName}</h3>
+                </header>
+                <p class="form-help-text">
+                    These results${this.raterName ? ` by ${this.escape(this.raterName)}` : ''} go in a circle,
+                    so at least one of them is probably a mistake.
+                    Re-judge the pair you are least sure about.
+                </p>
+                <ul class="conflict-list__items">
+                    ${this.triads.map(triad => this.renderTriad(triad)).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    renderTriad(triad) {
+        return `
+            <li class="conflict-triad">
+                ${triad.results.map(entry => `
+                    <div class="conflict-triad__result">
+                        <span><strong>${this.escape(entry.winnerName)}</strong> beat <strong>${this.escape(entry.loserName)}</strong></span>
+                        <button
+                            type="button"
+                            class="btn btn-sm btn-secondary conflict-triad__rejudge-btn"
+                            data-entry-id="${entry.id}"
+                            aria-label="Re-judge ${this.escape(entry.winnerName)} vs ${this.escape(entry.loserName)}">
+                            ${getIcon('edit', { size: 14, className: 'btn-icon' })}
+                            Re-judge
+                        </button>
+                    </div>
+                `).join('')}
+            </li>
+        `;
+    }
+
+    onMount() {
+        const entries = new Map();
+        this.triads.forEach(triad => {
+            triad.results.forEach(entry => entries.set(entry.id, entry));
+        });
+
+        const buttons = this.container.querySelectorAll('.conflict-triad__rejudge-btn');
+        buttons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const entry = entries.get(btn.getAttribute('data-entry-id'));
+                if (entry && this.onRejudge) {
+                    this.onRejudge(entry);
+                }
+            });
+        });
+    }
+}
+
+export default ConflictList;
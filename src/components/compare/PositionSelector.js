@@ -11,6 +11,7 @@ class PositionSelector extends BaseComponent {
         this.progress = props.progress || {};
         this.selectedPosition = props.selectedPosition || '';
         this.playerService = props.playerService;
+        this.gradedMode = props.gradedMode || false;
         this.onSelect = props.onSelect; // Callback for position selection
         this.onReset = props.onReset; // Callback for resetting position
         this.onResetAll = props.onResetAll; // Callback for resetting all
@@ -32,7 +33,7 @@ class PositionSelector extends BaseComponent {
                                         <rect x="2" y="5" width="12" height="8" rx="1"></rect>
                                         <path d="M5 5V3a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"></path>
                                     </svg>
-                                    <span class="shortcuts__text">Quick keys: <kbd>A</kbd> left • <kbd>D</kbd> right • <kbd>W</kbd> draw</span>
+                                    <span class="shortcuts__text">Quick keys: <kbd>A</kbd> left • <kbd>D</kbd> right • <kbd>W</kbd> draw${this.gradedMode ? ' • <kbd>Q</kbd>/<kbd>E</kbd> left/right slightly better' : ''} • <kbd>Z</kbd> undo</span>
                                 </div>
                             </div>
                         </div>
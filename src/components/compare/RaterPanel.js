@@ -0,0 +1,141 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import ratingConfig from '../../config/rating.js';
+
+const { RATERS } = ratingConfig;
+
+/**
+ * RaterPanel - Who is judging, plus the session's raters and their weights
+ * Comparisons are tagged with the selected rater; weights only affect the
+ * aggregated rating on the Rankings page.
+ */
+class RaterPanel extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.raters = props.raters || [];
+        this.activeRaterId = props.activeRaterId || '';
+        this.isManageOpen = props.isManageOpen || false;
+        this.onToggleManage = props.onToggleManage; // Callback with open state (kept across re-renders)
+        this.onSelect = props.onSelect; // Callback with rater ID ('' for anonymous)
+        this.onAdd = props.onAdd; // Callback with (name, weight)
+        this.onUpdate = props.onUpdate; // Callback with (raterId, updates)
+        this.onRemove = props.onRemove; // Callback with rater ID
+    }
+
+    render() {
+        return `
+            <div class="rater-panel" role="region" aria-label="Raters">
+                <div class="form-group">
+                    <label for="activeRaterSelect">Who is judging</label>
+                    <select id="activeRaterSelect" class="form-control" aria-describedby="active-rater-help">
+                        <option value="">Anonymous</option>
+                        ${this.raters.map(rater => `
+                            <option value="${rater.id}" ${rater.id === this.activeRaterId ? 'selected' : ''}>
+                                ${this.escape(rater.name)}
+                            </option>
+                        `).join('')}
+                    </select>
+                    <p class="form-help-text" id="active-rater-help">
+                        Each coach judges on their own. Pairs another rater already judged are offered again.
+                    </p>
+                </div>
+
+                <details class="rater-panel__manage" ${this.isManageOpen ? 'open' : ''}>
+                    <summary>Manage raters (${this.raters.length})</summary>
+                    ${this.raters.length > 0 ? `
+                        <ul class="rater-panel__list">
+                            ${this.raters.map(rater => this.renderRater(rater)).join('')}
+                        </ul>
+                    ` : ''}
+                    <form class="rater-panel__add" aria-label="Add rater">
+                        <input
+                            type="text"
+                            class="form-control rater-panel__name"
+                            placeholder="Rater name"
+                            aria-label="Rater name"
+                            required>
+                        <input
+                            type="number"
+                            class="form-control rater-panel__weight"
+                            value="${RATERS.DEFAULT_WEIGHT}"
+                            min="${RATERS.MIN_WEIGHT}"
+                            max="${RATERS.MAX_WEIGHT}"
+                            step="0.5"
+                            aria-label="Weight">
+                        <button type="submit" class="btn btn-secondary btn-sm">
+                            ${getIcon('plus', { size: 14, className: 'btn-icon' })}
+                            Add
+                        </button>
+                    </form>
+                    <p class="form-help-text">
+                        Weight sets how much a rater counts in the combined rating (0 = ignored).
+                    </p>
+                </details>
+            </div>
+        `;
+    }
+
+    renderRater(rater) {
+        return `
+            <li class="rater-panel__item" data-rater-id="${rater.id}">
+                <span class="rater-panel__item-name">${this.escape(rater.name)}</span>
+                <input
+                    type="number"
+                    class="form-control rater-panel__weight rater-panel__item-weight"
+                    value="${rater.weight}"
+                    min="${RATERS.MIN_WEIGHT}"
+                    max="${RATERS.MAX_WEIGHT}"
+                    step="0.5"
+                    aria-label="Weight of ${this.escape(rater.name)}">
+                <button
+                    type="button"
+                    class="btn btn-sm btn-secondary rater-panel__remove-btn"
+                    aria-label="Remove ${this.escape(rater.name)}">
+                    ${getIcon('trash', { size: 14 })}
+                </button>
+            </li>
+        `;
+    }
+
+    onMount() {
+        const select = this.container.querySelector('#activeRaterSelect');
+        if (select) {
+            select.addEventListener('change', (e) => {
+                if (this.onSelect) this.onSelect(e.target.value);
+            });
+        }
+
+        const details = this.container.querySelector('.rater-panel__manage');
+        if (details) {
+            details.addEventListener('toggle', () => {
+                if (this.onToggleManage) this.onToggleManage(details.open);
+            });
+        }
+
+        const form = this.container.querySelector('.rater-panel__add');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const name = form.querySelector('.rater-panel__name').value;
+                const weight = parseFloat(form.querySelector('.rater-panel__weight').value);
+                if (this.onAdd) this.onAdd(name, weight);
+            });
+        }
+
+        this.container.querySelectorAll('.rater-panel__item').forEach(item => {
+            const raterId = item.getAttribute('data-rater-id');
+
+            const weightInput = item.querySelector('.rater-panel__item-weight');
+            weightInput.addEventListener('change', (e) => {
+                if (this.onUpdate) this.onUpdate(raterId, { weight: parseFloat(e.target.value) });
+            });
+
+            const removeBtn = item.querySelector('.rater-panel__remove-btn');
+            removeBtn.addEventListener('click', () => {
+                if (this.onRemove) this.onRemove(raterId);
+            });
+        });
+    }
+}
+
+export default RaterPanel;
@@ -0,0 +1,102 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import validationConfig from '../../config/validation.js';
+
+const { TYPES } = validationConfig.ATTRIBUTE_VALIDATION;
+
+/**
+ * AttributeManager - Custom player attributes of the session
+ * Values are set on each player card; the team builder can balance them
+ * or require a minimum per team.
+ */
+class AttributeManager extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.definitions = props.definitions || [];
+        this.onAdd = props.onAdd; // Callback with {name, type, options}
+        this.onRemove = props.onRemove; // Callback with attribute key
+    }
+
+    render() {
+        return `
+            <details class="attribute-manager" ${this.definitions.length > 0 ? 'open' : ''}>
+                <summary class="font-semibold">Player Attributes (${this.definitions.length})</summary>
+                <p class="form-help-text">
+                    Add attributes such as gender, age group or experience to balance teams on them.
+                </p>
+                ${this.definitions.length > 0 ? `
+                    <ul class="attribute-manager__list">
+                        ${this.definitions.map(definition => `
+                            <li class="attribute-manager__item text-sm" data-key="${definition.key}">
+                                <span class="font-medium">${this.escape(definition.name)}</span>
+                                <span class="text-secondary">
+                                    ${definition.type === TYPES.NUMERIC
+                                        ? 'Number'
+                                        : definition.options.map(option => this.escape(option)).join(' / ')}
+                                </span>
+                                <button
+                                    type="button"
+                                    class="btn btn-sm btn-secondary attribute-manager__remove-btn"
+                                    aria-label="Remove ${this.escape(definition.name)}">
+                                    ${getIcon('trash', { size: 14 })}
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <form class="attribute-manager__add" aria-label="Add attribute">
+                    <input
+                        type="text"
+                        class="form-control attribute-manager__name"
+                        placeholder="Attribute name"
+                        aria-label="Attribute name"
+                        required>
+                    <select class="form-control attribute-manager__type" aria-label="Attribute type">
+                        <option value="${TYPES.CATEGORICAL}">Categories</option>
+                        <option value="${TYPES.NUMERIC}">Number</option>
+                    </select>
+                    <input
+                        type="text"
+                        class="form-control attribute-manager__options"
+                        placeholder="Options, comma separated (e.g. Female, Male)"
+                        aria-label="Options, comma separated">
+                    <button type="submit" class="btn btn-secondary btn-sm">
+                        ${getIcon('plus', { size: 14, className: 'btn-icon' })}
+                        Add
+                    </button>
+                </form>
+            </details>
+        `;
+    }
+
+    onMount() {
+        const form = this.container.querySelector('.attribute-manager__add');
+        if (form) {
+            const typeSelect = form.querySelector('.attribute-manager__type');
+            const optionsInput = form.querySelector('.attribute-manager__options');
+
+            typeSelect.addEventListener('change', () => {
+                optionsInput.hidden = typeSelect.value === TYPES.NUMERIC;
+            });
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (this.onAdd) {
+                    this.onAdd({
+                        name: form.querySelector('.attribute-manager__name').value,
+                        type: typeSelect.value,
+                        options: optionsInput.value.split(',')
+                    });
+                }
+            });
+        }
+
+        this.container.querySelectorAll('.attribute-manager__item').forEach(item => {
+            item.querySelector('.attribute-manager__remove-btn').addEventListener('click', () => {
+                if (this.onRemove) this.onRemove(item.getAttribute('data-key'));
+            });
+        });
+    }
+}
+
+export default AttributeManager;
@@ -1,6 +1,8 @@
 import BaseComponent from '../BaseComponent.js';
 import { getIcon } from '../base/Icons.js';
 import uiConfig from '../../config/ui.js';
+import teamBuilderConfig from '../../config/teamBuilder.js';
+import { getPositionLevel } from '../../utils/positionPreferences.js';
 
 const { DATA_ATTRIBUTES } = uiConfig;
 
@@ -9,7 +11,9 @@ class PlayerCard extends BaseComponent {
         super(container);
         this.player = props.player;
         this.positionNames = props.positionNames || {};
+        this.attributes = props.attributes || []; // Attribute definitions of the session
         this.onAction = props.onAction; // Callback for actions (edit, reset, remove)
+        this.onAttributeChange = props.onAttributeChange; // Callback with (playerId, key, value)
     }
 
     render() {
@@ -19,6 +23,7 @@ class PlayerCard extends BaseComponent {
             const rating = Math.round(player.ratings[pos]);
             const comparisons = player.comparisons[pos];
             const name = positionNames[pos] || pos;
+            const level = getPositionLevel(player, pos);
 
             // Determine comparison status
             const hasComparisons = comparisons > 0;
@@ -27,6 +32,9 @@ class PlayerCard extends BaseComponent {
                 <div class="position-badge first:mt-0 last:mb-0">
                     <div class="badge-position font-medium">
                         ${name}
+                        ${level !== teamBuilderConfig.POSITION_PREFERENCES.LEVELS.PRIMARY ? `
+                            <span class="position-level-badge position-level-badge--${level} text-xs">${level}</span>
+                        ` : ''}
                     </div>
                     <div class="badge-stats d-flex gap-2 text-xs">
                         <span class="badge-rating">${rating} ELO</span>
@@ -49,6 +57,8 @@ class PlayerCard extends BaseComponent {
                     ${positions}
                 </div>
 
+                ${this.renderAttributes()}
+
                 <div class="player-actions d-flex gap-2">
                     <button class="btn btn-sm btn-secondary" ${DATA_ATTRIBUTES.ACTION}="edit" ${DATA_ATTRIBUTES.PLAYER_ID}="${player.id}">
                         ${getIcon('edit', { size: 14, className: 'btn-icon' })}
@@ -67,7 +77,53 @@ class PlayerCard extends BaseComponent {
         `;
     }
 
+    renderAttributes() {
+        if (this.attributes.length === 0) {
+            return '';
+        }
+
+        const values = this.player.attributes || {};
+
+        return `
+            <div class="player-attributes mb-4">
+                ${this.attributes.map(definition => {
+                    const id = `attr_${this.player.id}_${definition.key}`;
+                    const value = values[definition.key];
+
+                    return `
+                        <div class="player-attributes__row text-sm">
+                            <label for="${id}">${this.escape(definition.name)}</label>
+                            ${definition.type === 'numeric' ? `
+                                <input
+                                    type="number"
+                                    id="${id}"
+                                    class="form-control player-attributes__input"
+                                    data-key="${definition.key}"
+                                    value="${value ?? ''}">
+                            ` : `
+                                <select id="${id}" class="form-control player-attributes__input" data-key="${definition.key}">
+                                    <option value="">—</option>
+                                    ${definition.options.map(option => `
+                                        <option value="${this.escape(option)}" ${option === value ? 'selected' : ''}>${this.escape(option)}</option>
+                                    `).join('')}
+                                </select>
+                            `}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
     onMount() {
+        this.container.querySelectorAll('.player-attributes__input').forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.onAttributeChange) {
+                    this.onAttributeChange(this.player.id, input.getAttribute('data-key'), input.value);
+                }
+            });
+        });
+
         // Attach event listeners to buttons
         this.container.querySelectorAll(`[${DATA_ATTRIBUTES.ACTION}]`).forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -8,7 +8,9 @@ class PlayerList extends BaseComponent {
         this.players = props.players || [];
         this.positionOrder = props.positionOrder || [];
         this.positionNames = props.positionNames || {};
+        this.attributes = props.attributes || [];
         this.onPlayerAction = props.onPlayerAction;
+        this.onAttributeChange = props.onAttributeChange;
 
         this.playerCards = [];
     }
@@ -57,7 +59,9 @@ class PlayerList extends BaseComponent {
             const card = new PlayerCard(cardContainer, {
                 player,
                 positionNames: this.positionNames,
-                onAction: this.onPlayerAction
+                attributes: this.attributes,
+                onAction: this.onPlayerAction,
+                onAttributeChange: this.onAttributeChange
             });
 
             card.mount();
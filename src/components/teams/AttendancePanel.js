@@ -0,0 +1,148 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import uiConfig from '../../config/ui.js';
+
+const { ICON_SIZES } = uiConfig;
+
+/**
+ * AttendancePanel - Who is checked in for the day
+ * Only present players are used for teams; the summary warns when they
+ * can't fill the composition.
+ */
+class AttendancePanel extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.players = props.players || [];
+        this.positionNames = props.positionNames || {};
+        this.date = props.date; // YYYY-MM-DD
+        this.absentIds = props.absentIds || new Set();
+        this.search = props.search || '';
+        this.capacityErrors = props.capacityErrors || []; // Composition warnings for the present players
+        this.onDateChange = props.onDateChange; // Callback with the new date
+        this.onSearch = props.onSearch; // Callback with the search text (kept across re-renders)
+        this.onChange = props.onChange; // Callback with (playerIds, present)
+    }
+
+    render() {
+        const search = this.search.toLowerCase();
+
+        return `
+            <div class="form-group attendance" role="group" aria-labelledby="attendance-label">
+                <div class="attendance__header">
+                    <label id="attendance-label" for="attendanceDate">Attendance</label>
+                    <input
+                        type="date"
+                        id="attendanceDate"
+                        class="form-control"
+                        value="${this.date}"
+                        aria-label="Attendance date">
+                </div>
+                <p class="form-help-text mb-3">
+                    Only players checked in for the day are used for teams. Everyone is checked in until you uncheck them.
+                </p>
+                ${this.players.length > 0 ? `
+                    <div class="attendance__toolbar">
+                        <input
+                            type="search"
+                            id="attendanceSearch"
+                            class="form-control"
+                            value="${this.escape(this.search)}"
+                            placeholder="Search players"
+                            aria-label="Search players">
+                        <button type="button" class="btn btn-secondary btn-sm" id="attendanceSelectAll">Select all</button>
+                        <button type="button" class="btn btn-secondary btn-sm" id="attendanceSelectNone">Clear</button>
+                    </div>
+                    <ul class="attendance__list">
+                        ${this.players.map(player => `
+                            <li
+                                class="attendance__item"
+                                data-name="${this.escape(player.name.toLowerCase())}"
+                                ${search && !player.name.toLowerCase().includes(search) ? 'hidden' : ''}>
+                                <label class="attendance__label text-sm">
+                                    <input
+                                        type="checkbox"
+                                        class="attendance__checkbox"
+                                        value="${player.id}"
+                                        ${this.absentIds.has(player.id) ? '' : 'checked'}>
+                                    <span>${this.escape(player.name)}</span>
+                                    <span class="text-tertiary">${player.positions.map(pos => this.positionNames[pos]).join(', ')}</span>
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <div id="attendanceSummary" aria-live="polite">
+                    ${this.renderSummary()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Present count, plus warnings when present players can't fill the composition
+     */
+    renderSummary() {
+        const present = this.players.filter(player => !this.absentIds.has(player.id)).length;
+
+        return `
+            <p class="form-help-text attendance__count">${present} of ${this.players.length} players present</p>
+            ${this.capacityErrors.map(error => `
+                <p class="form-help-text text-warning attendance__warning">
+                    ${getIcon('alert-triangle', { size: ICON_SIZES.SMALL })}
+                    ${error}
+                </p>
+            `).join('')}
+        `;
+    }
+
+    onMount() {
+        const dateInput = this.$('#attendanceDate');
+        if (dateInput) {
+            dateInput.addEventListener('change', (e) => {
+                if (e.target.value && this.onDateChange) {
+                    this.onDateChange(e.target.value);
+                }
+            });
+        }
+
+        const searchInput = this.$('#attendanceSearch');
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.search = e.target.value;
+                if (this.onSearch) this.onSearch(this.search);
+
+                // Filter in place so the search field keeps focus
+                const search = this.search.toLowerCase();
+                this.$$('.attendance__item').forEach(item => {
+                    item.hidden = search !== '' && !item.dataset.name.includes(search);
+                });
+            });
+        }
+
+        this.$$('.attendance__checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (this.onChange) this.onChange([checkbox.value], checkbox.checked);
+            });
+        });
+
+        const selectAllBtn = this.$('#attendanceSelectAll');
+        if (selectAllBtn) {
+            selectAllBtn.addEventListener('click', () => this.selectVisible(true));
+        }
+
+        const selectNoneBtn = this.$('#attendanceSelectNone');
+        if (selectNoneBtn) {
+            selectNoneBtn.addEventListener('click', () => this.selectVisible(false));
+        }
+    }
+
+    /**
+     * Check in or out every player matching the search
+     */
+    selectVisible(present) {
+        const checkboxes = this.$$('.attendance__item:not([hidden]) .attendance__checkbox');
+        if (this.onChange) this.onChange(checkboxes.map(checkbox => checkbox.value), present);
+    }
+}
+
+export default AttendancePanel;
@@ -0,0 +1,95 @@
+import BaseComponent from '../BaseComponent.js';
+
+/**
+ * AttributeRules - How each player attribute is used by the team builder
+ * An attribute is ignored, balanced across teams, or (categorical only)
+ * required a minimum number of times per team.
+ */
+class AttributeRules extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.definitions = props.definitions || [];
+        this.rules = props.rules || {}; // {key: {mode, quotas}}
+        this.maxQuota = props.maxQuota; // Largest minimum per team
+        this.onModeChange = props.onModeChange; // Callback with (key, mode)
+        this.onQuotaChange = props.onQuotaChange; // Callback with (key, option, min)
+    }
+
+    render() {
+        return `
+            <div class="form-group attribute-rules">
+                <label>Player Attributes</label>
+                ${this.definitions.length === 0 ? `
+                    <p class="form-help-text">
+                        Define attributes such as gender or age group on the Settings page to balance teams on them.
+                    </p>
+                ` : `
+                    <p class="form-help-text mb-3">
+                        Spread an attribute evenly alongside rating balance, or require a minimum per team.
+                    </p>
+                    <ul class="attribute-rules__list">
+                        ${this.definitions.map(definition => this.renderRule(definition)).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+    }
+
+    renderRule(definition) {
+        const rule = this.rules[definition.key] || { mode: 'off', quotas: {} };
+        const isCategorical = definition.type === 'categorical';
+
+        return `
+            <li class="attribute-rules__item">
+                <div class="attribute-rules__header">
+                    <label class="text-sm font-medium" for="attributeMode_${definition.key}">${this.escape(definition.name)}</label>
+                    <select
+                        id="attributeMode_${definition.key}"
+                        class="form-control attribute-rules__mode"
+                        data-key="${definition.key}">
+                        <option value="off" ${rule.mode === 'off' ? 'selected' : ''}>Ignore</option>
+                        <option value="balance" ${rule.mode === 'balance' ? 'selected' : ''}>Balance across teams</option>
+                        ${isCategorical ? `
+                            <option value="quota" ${rule.mode === 'quota' ? 'selected' : ''}>Minimum per team</option>
+                        ` : ''}
+                    </select>
+                </div>
+                ${isCategorical && rule.mode === 'quota' ? `
+                    <div class="attribute-rules__quotas text-sm">
+                        ${definition.options.map(option => `
+                            <label class="attribute-rules__quota">
+                                <span>${this.escape(option)}</span>
+                                <input
+                                    type="number"
+                                    class="form-control attribute-rules__quota-input"
+                                    data-key="${definition.key}"
+                                    data-option="${this.escape(option)}"
+                                    value="${rule.quotas?.[option] || 0}"
+                                    min="0"
+                                    max="${this.maxQuota}"
+                                    aria-label="Minimum ${this.escape(option)} per team">
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    onMount() {
+        this.$$('.attribute-rules__mode').forEach(select => {
+            select.addEventListener('change', () => {
+                if (this.onModeChange) this.onModeChange(select.dataset.key, select.value);
+            });
+        });
+
+        this.$$('.attribute-rules__quota-input').forEach(input => {
+            input.addEventListener('change', () => {
+                const { key, option } = input.dataset;
+                if (this.onQuotaChange) this.onQuotaChange(key, option, Math.max(0, parseInt(input.value) || 0));
+            });
+        });
+    }
+}
+
+export default AttributeRules;
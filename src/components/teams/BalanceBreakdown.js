@@ -0,0 +1,119 @@
+import BaseComponent from '../BaseComponent.js';
+
+/**
+ * BalanceBreakdown - Why the teams are (un)balanced
+ * Weighted rating per position and team, position matchups across teams
+ * and predicted win probabilities.
+ */
+class BalanceBreakdown extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.breakdown = props.breakdown; // {positions, teams, matchups, predictions}
+        this.positionNames = props.positionNames || {};
+        this.getTeamName = props.getTeamName; // Name of a team slot
+        this.isOpen = props.isOpen || false;
+        this.onToggle = props.onToggle; // Callback with open state (kept across re-renders)
+    }
+
+    render() {
+        const breakdown = this.breakdown;
+        const positionName = (pos) => this.positionNames[pos] || pos;
+        const teamName = (index) => this.escape(this.getTeamName(index));
+        const describeSlot = (slot) => `${this.escape(slot.player.name)} (${positionName(slot.position)}, ${Math.round(slot.rating)})`;
+        const maxTotal = Math.max(...breakdown.teams.map(row => row.total));
+
+        return `
+            <details class="balance-breakdown mb-6" id="balanceBreakdown" ${this.isOpen ? 'open' : ''}>
+                <summary class="font-semibold">Balance Breakdown</summary>
+
+                <h5 class="balance-breakdown__title text-sm font-semibold">Weighted rating by position</h5>
+                <div class="balance-breakdown__scroll">
+                    <table class="balance-breakdown__table" aria-label="Weighted rating contribution by position">
+                        <thead>
+                            <tr>
+                                <th scope="col">Team</th>
+                                ${breakdown.positions.map(pos => `<th scope="col">${positionName(pos)}</th>`).join('')}
+                                <th scope="col">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${breakdown.teams.map(row => `
+                                <tr>
+                                    <th scope="row">${teamName(row.index)}</th>
+                                    ${breakdown.positions.map(pos => `<td>${row.contributions[pos] || '–'}</td>`).join('')}
+                                    <td class="font-semibold">
+                                        ${row.total}
+                                        ${row.total < maxTotal ? `<span class="text-xs text-secondary">(−${maxTotal - row.total})</span>` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <ul class="balance-breakdown__slots text-sm">
+                    ${breakdown.teams.map(row => `
+                        <li>
+                            <span class="font-medium">${teamName(row.index)}:</span>
+                            ${row.strongest ? `strongest ${describeSlot(row.strongest)}` : ''}
+                            ${row.weakest ? ` · weakest ${describeSlot(row.weakest)}` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+
+                <h5 class="balance-breakdown__title text-sm font-semibold">Position matchups (average rating)</h5>
+                <div class="balance-breakdown__scroll">
+                    <table class="balance-breakdown__table" aria-label="Average rating per position and team">
+                        <thead>
+                            <tr>
+                                <th scope="col">Position</th>
+                                ${breakdown.teams.map(row => `<th scope="col">${teamName(row.index)}</th>`).join('')}
+                                <th scope="col">Gap</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${breakdown.matchups.map(matchup => `
+                                <tr>
+                                    <th scope="row">${positionName(matchup.position)}</th>
+                                    ${matchup.averages.map(avg => `
+                                        <td class="${avg !== null && avg === matchup.best ? 'balance-breakdown__best' : ''}">${avg ?? '–'}</td>
+                                    `).join('')}
+                                    <td>${matchup.gap}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <h5 class="balance-breakdown__title text-sm font-semibold">Predicted win probability</h5>
+                <ul class="balance-breakdown__predictions text-sm">
+                    ${breakdown.predictions.map(prediction => {
+                        const percentA = Math.round(prediction.probabilityA * 100);
+                        return `
+                            <li>
+                                <span>${teamName(prediction.teamA)} ${percentA}%</span>
+                                <span class="balance-breakdown__bar" aria-hidden="true">
+                                    <span style="width: ${percentA}%"></span>
+                                </span>
+                                <span>${100 - percentA}% ${teamName(prediction.teamB)}</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+                <p class="form-help-text">
+                    From the teams' average position ratings, as used when recording match results.
+                </p>
+            </details>
+        `;
+    }
+
+    onMount() {
+        const details = this.$('#balanceBreakdown');
+        if (details) {
+            details.addEventListener('toggle', () => {
+                if (this.onToggle) this.onToggle(details.open);
+            });
+        }
+    }
+}
+
+export default BalanceBreakdown;
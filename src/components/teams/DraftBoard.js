@@ -0,0 +1,155 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import uiConfig from '../../config/ui.js';
+
+const { ICON_SIZES } = uiConfig;
+
+/**
+ * DraftBoard - Captain draft in progress
+ * Teams so far with their running balance, the suggested pick and the
+ * players still available.
+ */
+class DraftBoard extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.draft = props.draft;
+        this.teams = props.teams || []; // Drafted players per team, captain first
+        this.teamRatings = props.teamRatings || []; // Weighted rating per team
+        this.weightedBalance = props.weightedBalance || 0;
+        this.quality = props.quality; // {label} of the balance
+        this.turn = props.turn ?? null; // Team on the clock, null when all picks are made
+        this.available = props.available || [];
+        this.suggestion = props.suggestion || null; // {playerId, position}
+        this.positionNames = props.positionNames || {};
+        this.showElo = props.showElo ?? true;
+        this.getTeamName = props.getTeamName; // Name of a team slot
+        this.onPick = props.onPick; // Callback with (playerId, position or null)
+        this.onUndo = props.onUndo;
+        this.onCancel = props.onCancel;
+        this.onFinish = props.onFinish;
+    }
+
+    render() {
+        const { draft, turn, available, suggestion, showElo } = this;
+        const positions = this.positionNames;
+        const teamName = (index) => this.escape(this.getTeamName(index));
+        const suggested = suggestion ? available.find(p => p.id === suggestion.playerId) : null;
+
+        return `
+            <section class="team-draft mb-6" role="region" aria-label="Captain draft">
+                <div class="d-flex flex-column md:flex-row justify-between items-start md:items-center gap-4 mb-4">
+                    <div>
+                        <h3 class="text-xl font-semibold m-0">Captain Draft</h3>
+                        <p class="text-secondary text-sm mt-1" role="status" aria-live="polite">
+                            ${turn !== null
+                                ? `Pick ${draft.picks.length + 1} of ${draft.pickOrder.length} · <strong>${teamName(turn)}</strong> is on the clock`
+                                : `All ${draft.pickOrder.length} picks made${available.length > 0 ? ` · ${available.length} left for the bench` : ''}`}
+                            · ${this.weightedBalance} weighted ELO difference
+                            <span class="status-badge status-badge--neutral">${this.quality.label}</span>
+                        </p>
+                    </div>
+                    <div class="d-flex items-center gap-2">
+                        <button class="btn btn-secondary btn-sm" id="undoDraftPickBtn" ${draft.picks.length === 0 ? 'disabled' : ''}>
+                            ${getIcon('refresh', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                            Undo Pick
+                        </button>
+                        <button class="btn btn-secondary btn-sm" id="cancelDraftBtn">Cancel Draft</button>
+                        ${turn === null ? `
+                            <button class="btn btn-primary btn-sm" id="finishDraftBtn">
+                                ${getIcon('check', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                                Use These Teams
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+
+                ${suggested ? `
+                    <div class="team-draft__suggestion text-sm mb-4">
+                        ${getIcon('target', { size: ICON_SIZES.MEDIUM })}
+                        <span>
+                            Suggested pick for ${teamName(turn)}:
+                            <strong>${this.escape(suggested.name)}</strong>
+                            as ${positions[suggestion.position]}${showElo ? ` (${Math.round(suggested.ratings[suggestion.position])})` : ''}
+                        </span>
+                        <button class="btn btn-primary btn-sm" id="pickSuggestedBtn">Pick</button>
+                    </div>
+                ` : ''}
+
+                <div class="team-draft__teams mb-4">
+                    ${this.teams.map((team, index) => `
+                        <article class="team-draft__team ${index === turn ? 'team-draft__team--active' : ''}" aria-label="${teamName(index)}">
+                            <div class="d-flex justify-between items-center mb-2">
+                                <h4 class="font-semibold m-0">${teamName(index)}</h4>
+                                ${showElo ? `<span class="status-badge status-badge--neutral">${this.teamRatings[index]} ELO</span>` : ''}
+                            </div>
+                            <ol class="team-draft__picks text-sm">
+                                ${team.map((player, playerIndex) => `
+                                    <li>
+                                        <span class="font-medium">${this.escape(player.name)}</span>
+                                        ${playerIndex === 0 ? '<span class="status-badge status-badge--in-progress" title="Captain">C</span>' : ''}
+                                        <span class="text-secondary">${positions[player.assignedPosition]}${showElo ? ` · ${Math.round(player.positionRating)}` : ''}</span>
+                                    </li>
+                                `).join('')}
+                            </ol>
+                        </article>
+                    `).join('')}
+                </div>
+
+                <h4 class="font-semibold mb-2">Available (${available.length})</h4>
+                <div class="team-draft__pool">
+                    ${available.map(player => `
+                        <button
+                            type="button"
+                            class="team-draft__player ${player.id === suggestion?.playerId ? 'team-draft__player--suggested' : ''}"
+                            data-player-id="${player.id}"
+                            ${turn === null ? 'disabled' : ''}
+                            aria-label="Pick ${this.escape(player.name)}${turn !== null ? ` for ${teamName(turn)}` : ''}">
+                            <span class="font-medium">${this.escape(player.name)}</span>
+                            <span class="text-secondary text-sm">
+                                ${player.positions.map(position => `${positions[position]}${showElo ? ` ${Math.round(player.ratings[position])}` : ''}`).join(' · ')}
+                            </span>
+                        </button>
+                    `).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    onMount() {
+        const pickSuggestedBtn = this.$('#pickSuggestedBtn');
+        if (pickSuggestedBtn) {
+            pickSuggestedBtn.addEventListener('click', () => {
+                if (this.suggestion && this.onPick) this.onPick(this.suggestion.playerId, this.suggestion.position);
+            });
+        }
+
+        this.$$('.team-draft__player').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onPick) this.onPick(btn.getAttribute('data-player-id'), null);
+            });
+        });
+
+        const undoBtn = this.$('#undoDraftPickBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => {
+                if (this.onUndo) this.onUndo();
+            });
+        }
+
+        const cancelBtn = this.$('#cancelDraftBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                if (this.onCancel) this.onCancel();
+            });
+        }
+
+        const finishBtn = this.$('#finishDraftBtn');
+        if (finishBtn) {
+            finishBtn.addEventListener('click', () => {
+                if (this.onFinish) this.onFinish();
+            });
+        }
+    }
+}
+
+export default DraftBoard;
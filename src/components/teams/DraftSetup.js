@@ -0,0 +1,125 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import uiConfig from '../../config/ui.js';
+import teamBuilderConfig from '../../config/teamBuilder.js';
+
+const { ICON_SIZES } = uiConfig;
+const { ORDERS, CAPTAIN_MODES } = teamBuilderConfig.TEAM_DRAFT;
+
+/**
+ * DraftSetup - Captain draft setup: how captains are chosen and the pick order
+ */
+class DraftSetup extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.captainMode = props.captainMode || CAPTAIN_MODES.TOP_RATED;
+        this.order = props.order || ORDERS.SNAKE;
+        this.teamCount = props.teamCount;
+        this.players = props.players || []; // Present players, offered as captains
+        this.captainIds = props.captainIds || []; // Chosen captains in pick order
+        this.getTeamName = props.getTeamName; // Name of a team slot
+        this.canStart = props.canStart || false;
+        this.hasDraft = props.hasDraft || false; // A draft is in progress
+        this.isOpen = props.isOpen || false;
+        this.onToggle = props.onToggle; // Callback with open state (kept across re-renders)
+        this.onCaptainModeChange = props.onCaptainModeChange; // Callback with CAPTAIN_MODES value
+        this.onOrderChange = props.onOrderChange; // Callback with ORDERS value
+        this.onCaptainsChange = props.onCaptainsChange; // Callback with captain IDs in pick order
+        this.onStart = props.onStart;
+    }
+
+    render() {
+        const isManual = this.captainMode === CAPTAIN_MODES.MANUAL;
+        const players = isManual ? [...this.players].sort((a, b) => a.name.localeCompare(b.name)) : [];
+
+        return `
+            <details class="draft-setup mt-3" id="draftSetup" ${this.isOpen ? 'open' : ''}>
+                <summary class="font-semibold">Or run a captain draft</summary>
+                <p class="form-help-text">
+                    Captains take turns picking players, using the number of teams, composition and checked-in players above.
+                </p>
+                <div class="draft-setup__fields">
+                    <div class="form-group">
+                        <label for="draftCaptainMode">Captains</label>
+                        <select id="draftCaptainMode" class="form-control">
+                            <option value="${CAPTAIN_MODES.TOP_RATED}" ${!isManual ? 'selected' : ''}>Top-rated players</option>
+                            <option value="${CAPTAIN_MODES.MANUAL}" ${isManual ? 'selected' : ''}>Choose captains</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="draftOrder">Pick order</label>
+                        <select id="draftOrder" class="form-control">
+                            <option value="${ORDERS.SNAKE}" ${this.order === ORDERS.SNAKE ? 'selected' : ''}>Snake (1-2-3, 3-2-1)</option>
+                            <option value="${ORDERS.LINEAR}" ${this.order === ORDERS.LINEAR ? 'selected' : ''}>Linear (1-2-3, 1-2-3)</option>
+                        </select>
+                    </div>
+                </div>
+                ${isManual ? `
+                    <fieldset class="draft-setup__captains">
+                        <legend class="text-sm">
+                            Choose ${this.teamCount} captains; they pick in the order chosen
+                            (${this.captainIds.length} chosen)
+                        </legend>
+                        ${players.map(player => {
+                            const order = this.captainIds.indexOf(player.id);
+                            return `
+                                <label class="draft-setup__captain text-sm">
+                                    <input type="checkbox" class="draft-setup__captain-input" value="${player.id}" ${order >= 0 ? 'checked' : ''}>
+                                    ${this.escape(player.name)}${order >= 0 ? ` <span class="status-badge status-badge--neutral">${this.escape(this.getTeamName(order))}</span>` : ''}
+                                </label>
+                            `;
+                        }).join('')}
+                    </fieldset>
+                ` : `
+                    <p class="form-help-text">The weakest of the top ${this.teamCount} players picks first.</p>
+                `}
+                <button
+                    class="btn btn-secondary"
+                    id="startDraftBtn"
+                    ${this.canStart ? '' : 'disabled'}>
+                    ${getIcon('users', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                    ${this.hasDraft ? 'Restart Draft' : 'Start Draft'}
+                </button>
+            </details>
+        `;
+    }
+
+    onMount() {
+        const details = this.$('#draftSetup');
+        if (details) {
+            details.addEventListener('toggle', () => {
+                if (this.onToggle) this.onToggle(details.open);
+            });
+        }
+
+        const captainMode = this.$('#draftCaptainMode');
+        if (captainMode) {
+            captainMode.addEventListener('change', (e) => {
+                if (this.onCaptainModeChange) this.onCaptainModeChange(e.target.value);
+            });
+        }
+
+        const order = this.$('#draftOrder');
+        if (order) {
+            order.addEventListener('change', (e) => {
+                if (this.onOrderChange) this.onOrderChange(e.target.value);
+            });
+        }
+
+        this.$$('.draft-setup__captain-input').forEach(input => {
+            input.addEventListener('change', () => {
+                const others = this.captainIds.filter(id => id !== input.value);
+                if (this.onCaptainsChange) this.onCaptainsChange(input.checked ? [...others, input.value] : others);
+            });
+        });
+
+        const startBtn = this.$('#startDraftBtn');
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                if (this.onStart) this.onStart();
+            });
+        }
+    }
+}
+
+export default DraftSetup;
@@ -0,0 +1,90 @@
+import BaseComponent from '../BaseComponent.js';
+
+/**
+ * TeamAlternatives - Alternative solutions side by side
+ * Nothing is saved until one of them is picked.
+ */
+class TeamAlternatives extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.alternatives = props.alternatives || [];
+        this.summaries = props.summaries || []; // Per alternative: {weightedBalance, quality, teamRatings}
+        this.showElo = props.showElo ?? true;
+        this.getTeamName = props.getTeamName; // Name of a team slot
+        this.onUse = props.onUse; // Callback with the alternative's index
+        this.onDismiss = props.onDismiss;
+    }
+
+    render() {
+        const alternatives = this.alternatives;
+
+        return `
+            <section class="team-alternatives mb-6" role="region" aria-label="Alternative team solutions">
+                <div class="d-flex justify-between items-start gap-4 mb-4">
+                    <div>
+                        <h3 class="text-xl font-semibold m-0">Compare Alternatives</h3>
+                        <p class="text-secondary text-sm mt-1">
+                            ${alternatives.length} alternative${alternatives.length === 1 ? '' : 's'}, most balanced first${alternatives[0]?.seed ? ` (seed <code class="team-seed">${this.escape(alternatives[0].seed)}</code>)` : ''}.
+                            Pick one to save it as this session's teams.
+                        </p>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" id="dismissAlternativesBtn">Dismiss</button>
+                </div>
+                <div class="team-alternatives__grid">
+                    ${alternatives.map((alternative, index) => this.renderOption(alternative, index)).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    renderOption(alternative, index) {
+        const { weightedBalance, quality, teamRatings } = this.summaries[index];
+        const benchCount = (alternative.substitutes || []).flat().length;
+
+        return `
+            <article class="team-alternatives__option" aria-label="Option ${index + 1}">
+                <div class="d-flex justify-between items-center mb-2">
+                    <h4 class="font-semibold m-0">Option ${index + 1}</h4>
+                    <span class="status-badge status-badge--neutral">${quality.label}</span>
+                </div>
+                <p class="text-sm text-secondary mb-3">
+                    ${weightedBalance} weighted ELO difference
+                    ${alternative.variety ? ` · ${alternative.variety.repeatedPairs} repeated pair${alternative.variety.repeatedPairs === 1 ? '' : 's'}` : ''}
+                    ${benchCount > 0 ? ` · ${benchCount} on the bench` : ''}
+                </p>
+                <ol class="team-alternatives__teams text-sm">
+                    ${alternative.teams.map((team, teamIndex) => `
+                        <li>
+                            <span class="font-medium">${this.escape(this.getTeamName(teamIndex))}</span>
+                            ${this.showElo ? `<span class="text-secondary">(${teamRatings[teamIndex]})</span>` : ''}
+                            <span class="team-alternatives__players">${team.map(p => this.escape(p.name)).join(', ')}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+                <button
+                    class="btn btn-primary btn-sm team-alternatives__use-btn"
+                    data-index="${index}"
+                    aria-label="Use option ${index + 1}">
+                    Use this
+                </button>
+            </article>
+        `;
+    }
+
+    onMount() {
+        this.$$('.team-alternatives__use-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onUse) this.onUse(parseInt(btn.dataset.index));
+            });
+        });
+
+        const dismissBtn = this.$('#dismissAlternativesBtn');
+        if (dismissBtn) {
+            dismissBtn.addEventListener('click', () => {
+                if (this.onDismiss) this.onDismiss();
+            });
+        }
+    }
+}
+
+export default TeamAlternatives;
@@ -0,0 +1,303 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import uiConfig from '../../config/ui.js';
+import teamBuilderConfig from '../../config/teamBuilder.js';
+
+const { ICON_SIZES } = uiConfig;
+const { LEVELS } = teamBuilderConfig.POSITION_PREFERENCES;
+
+/**
+ * TeamGrid - Team cards with their players, bench and lock toggles
+ * In edit mode players can be dragged onto another team or player, or moved
+ * with a keyboard-accessible menu.
+ */
+class TeamGrid extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.teams = props.teams || [];
+        this.substitutes = props.substitutes || [];
+        this.teamRatings = props.teamRatings || []; // Weighted rating per team
+        this.colors = props.colors || []; // Team color or null per team
+        this.getTeamName = props.getTeamName; // Name of a team slot
+        this.positionNames = props.positionNames || {};
+        this.levels = props.levels || new Map(); // Preference level of each starter's assigned position
+        this.attributes = props.attributes || []; // Attribute definitions summarized per team
+        this.currentPlayers = props.currentPlayers || new Map(); // Current player records, for attribute values
+        this.bibs = props.bibs || null; // Bib number per player ID, or null when bibs are off
+        this.locks = props.locks || {}; // {playerId: teamIndex}
+        this.showElo = props.showElo ?? true;
+        this.isEditing = props.isEditing || false;
+        this.onMove = props.onMove; // Callback with (from, to), see TeamsPage.handleMovePlayer
+        this.onToggleLock = props.onToggleLock; // Callback with (playerId, teamIndex)
+    }
+
+    render() {
+        return `
+            ${this.isEditing ? `
+                <p class="form-help-text mb-4" id="edit-teams-help">
+                    Drag a player onto another team, or onto a player to swap them, or use the
+                    Move menu. Balance updates as you go; locked players stay locked on their new team.
+                </p>
+            ` : ''}
+
+            <div class="teams-grid d-grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-6">
+                ${this.teams.map((team, index) => this.renderTeam(team, index)).join('')}
+            </div>
+        `;
+    }
+
+    renderTeam(team, index) {
+        const color = this.colors[index];
+
+        return `
+            <div
+                class="team-card ${this.isEditing ? 'team-card--editable' : ''} ${color ? 'team-card--colored' : ''}"
+                data-team="${index}"
+                ${color ? `style="--team-color: ${this.escape(color)}"` : ''}>
+                <div class="team-header mb-4 d-flex justify-between items-center">
+                    <h4 class="font-semibold text-lg md:text-xl m-0">
+                        ${color ? '<span class="team-swatch" aria-hidden="true"></span>' : ''}
+                        ${this.escape(this.getTeamName(index))}
+                    </h4>
+                    ${this.showElo ? `<span class="status-badge status-badge--neutral">${this.teamRatings[index]} ELO</span>` : ''}
+                </div>
+
+                ${this.renderAttributes(team)}
+                ${this.renderAssignment(team)}
+
+                <div class="team-players">
+                    ${team.map((player, playerIndex) => this.renderPlayer(player, playerIndex, index)).join('')}
+                </div>
+
+                ${this.renderBench(this.substitutes[index] || [])}
+            </div>
+        `;
+    }
+
+    /**
+     * How many players on a team play one of their primary positions
+     */
+    renderAssignment(team) {
+        const levels = team.map(player => this.levels.get(player.id));
+        const primary = levels.filter(level => level === LEVELS.PRIMARY).length;
+        const secondary = levels.filter(level => level === LEVELS.SECONDARY).length;
+        const emergency = levels.filter(level => level === LEVELS.EMERGENCY).length;
+
+        return `
+            <div class="team-assignment text-sm text-secondary mb-3 ${emergency > 0 ? 'team-assignment--emergency' : ''}">
+                <span>${primary} of ${team.length} at primary positions</span>
+                ${secondary > 0 ? `<span>${secondary} secondary</span>` : ''}
+                ${emergency > 0 ? `<span>${emergency} emergency</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Summary of balanced or quota attributes on a team
+     */
+    renderAttributes(team) {
+        if (this.attributes.length === 0) {
+            return '';
+        }
+
+        const valueOf = (player, key) => (this.currentPlayers.get(player.id) || player).attributes?.[key];
+
+        return `
+            <div class="team-attributes text-sm text-secondary mb-3">
+                ${this.attributes.map(definition => {
+                    if (definition.type === 'numeric') {
+                        const values = team.map(p => valueOf(p, definition.key)).filter(v => typeof v === 'number');
+                        const average = values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+                        return `<span>${this.escape(definition.name)}: ${average === null ? '–' : `avg ${Math.round(average * 10) / 10}`}</span>`;
+                    }
+
+                    const counts = definition.options
+                        .map(option => `${this.escape(option)} ${team.filter(p => valueOf(p, definition.key) === option).length}`)
+                        .join(' · ');
+                    return `<span>${this.escape(definition.name)}: ${counts}</span>`;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    renderBib(number) {
+        return `<span class="team-bib" title="Bib number">${number}</span>`;
+    }
+
+    renderBench(substitutes) {
+        if (substitutes.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="team-bench" aria-label="Bench">
+                <h5 class="team-bench__title text-sm font-semibold">Bench</h5>
+                <div class="team-players">
+                    ${substitutes.map(sub => `
+                        <div class="team-player team-player--substitute">
+                            <div class="player-info flex-1">
+                                <div class="player-name font-medium mb-1">
+                                    ${this.bibs ? this.renderBib(this.bibs.get(sub.id)) : ''}
+                                    ${this.escape(sub.name)}
+                                </div>
+                                <div class="player-position text-sm text-secondary">
+                                    Sub · ${sub.positions.map(pos => this.positionNames[pos]).join(', ')}
+                                </div>
+                            </div>
+                            ${this.showElo ? `
+                                <div class="player-rating font-semibold text-secondary" title="Rating at ${this.positionNames[sub.assignedPosition]}">
+                                    ${Math.round(sub.positionRating)}
+                                </div>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderPlayer(player, playerIndex, teamIndex) {
+        const bib = this.bibs?.get(player.id);
+        const level = this.levels.get(player.id);
+        const isLocked = this.locks[player.id] === teamIndex;
+        const teamName = this.escape(this.getTeamName(teamIndex));
+
+        return `
+            <div
+                class="team-player ${isLocked ? 'team-player--locked' : ''}"
+                data-team="${teamIndex}"
+                data-index="${playerIndex}"
+                ${this.isEditing ? 'draggable="true"' : ''}>
+                <div class="player-info flex-1">
+                    <div class="player-name font-medium mb-1">
+                        ${bib ? this.renderBib(bib) : ''}
+                        ${this.escape(player.name)}
+                        ${player.isUncertain ? `
+                            <span class="status-badge status-badge--warning" title="Rating is still uncertain (±${Math.round(player.positionDeviation)})">Uncertain</span>
+                        ` : ''}
+                    </div>
+                    <div class="player-position text-sm text-secondary">
+                        ${this.positionNames[player.assignedPosition]}
+                        ${level !== LEVELS.PRIMARY ? `
+                            <span class="position-level-badge position-level-badge--${level} text-xs">${level}</span>
+                        ` : ''}
+                    </div>
+                </div>
+                ${this.showElo ? `
+                    <div class="player-rating font-semibold text-brand">${Math.round(player.positionRating)}</div>
+                ` : ''}
+                ${this.isEditing ? this.renderMoveSelect(player, playerIndex, teamIndex) : ''}
+                <button
+                    type="button"
+                    class="btn btn-sm btn-secondary team-player__lock-btn ${isLocked ? 'team-player__lock-btn--locked' : ''}"
+                    data-player-id="${player.id}"
+                    data-team="${teamIndex}"
+                    aria-pressed="${isLocked}"
+                    aria-label="${isLocked ? 'Unlock' : 'Lock'} ${this.escape(player.name)} on ${teamName}"
+                    title="${isLocked ? 'Locked: stays on this team when re-optimizing' : 'Lock on this team'}">
+                    ${getIcon(isLocked ? 'lock' : 'unlock', { size: ICON_SIZES.SMALL })}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Keyboard-accessible alternative to dragging: every team and position the player can take
+     */
+    renderMoveSelect(player, playerIndex, teamIndex) {
+        const options = [];
+
+        for (let team = 0; team < this.teams.length; team++) {
+            player.positions.forEach(position => {
+                const isCurrent = team === teamIndex && position === player.assignedPosition;
+                options.push(`
+                    <option value="${team}:${position}" ${isCurrent ? 'selected' : ''}>
+                        ${this.escape(this.getTeamName(team))} · ${this.positionNames[position]}
+                    </option>
+                `);
+            });
+        }
+
+        return `
+            <select
+                class="form-control team-player__move"
+                data-team="${teamIndex}"
+                data-index="${playerIndex}"
+                aria-label="Move ${this.escape(player.name)}"
+                aria-describedby="edit-teams-help">
+                ${options.join('')}
+            </select>
+        `;
+    }
+
+    onMount() {
+        this.$$('.team-player__lock-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.onToggleLock) this.onToggleLock(btn.dataset.playerId, parseInt(btn.dataset.team));
+            });
+        });
+
+        if (this.isEditing) {
+            this.attachEditListeners();
+        }
+    }
+
+    attachEditListeners() {
+        this.$$('.team-player__move').forEach(select => {
+            select.addEventListener('change', () => {
+                const [team, position] = select.value.split(':');
+                this.move(
+                    { team: parseInt(select.dataset.team), index: parseInt(select.dataset.index) },
+                    { team: parseInt(team), position }
+                );
+            });
+        });
+
+        this.$$('.team-player[draggable="true"]').forEach(row => {
+            row.addEventListener('dragstart', (e) => {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', `${row.dataset.team}:${row.dataset.index}`);
+                row.classList.add('team-player--dragging');
+            });
+            row.addEventListener('dragend', () => {
+                row.classList.remove('team-player--dragging');
+                this.$$('.team-card--drop-target').forEach(card => card.classList.remove('team-card--drop-target'));
+            });
+        });
+
+        this.$$('.team-card--editable').forEach(card => {
+            card.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                card.classList.add('team-card--drop-target');
+            });
+            card.addEventListener('dragleave', (e) => {
+                if (!card.contains(e.relatedTarget)) {
+                    card.classList.remove('team-card--drop-target');
+                }
+            });
+            card.addEventListener('drop', (e) => {
+                e.preventDefault();
+                card.classList.remove('team-card--drop-target');
+
+                const [team, index] = e.dataTransfer.getData('text/plain').split(':').map(Number);
+                if (!Number.isInteger(team) || !Number.isInteger(index)) return;
+
+                // Dropping onto a player swaps the two; anywhere else moves to the team
+                const target = e.target.closest('.team-player');
+                this.move(
+                    { team, index },
+                    target
+                        ? { team: parseInt(target.dataset.team), index: parseInt(target.dataset.index) }
+                        : { team: parseInt(card.dataset.team) }
+                );
+            });
+        });
+    }
+
+    move(from, to) {
+        if (this.onMove) this.onMove(from, to);
+    }
+}
+
+export default TeamGrid;
@@ -0,0 +1,134 @@
+import BaseComponent from '../BaseComponent.js';
+import { getIcon } from '../base/Icons.js';
+import uiConfig from '../../config/ui.js';
+import teamIdentityConfig from '../../config/teamIdentity.js';
+
+const { ICON_SIZES } = uiConfig;
+const { DEFAULT_TEAM_COLOR, TEAM_IDENTITY_LIMITS } = teamIdentityConfig;
+
+/**
+ * TeamIdentities - Names, colors and bib numbers of the teams
+ */
+class TeamIdentities extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.identities = props.identities || []; // {name, color} per team
+        this.bibsEnabled = props.bibsEnabled || false;
+        this.paletteName = props.paletteName; // Activity whose colors the palette uses
+        this.isOpen = props.isOpen || false;
+        this.onToggle = props.onToggle; // Callback with open state (kept across re-renders)
+        this.onUpdate = props.onUpdate; // Callback with (index, {name} or {color})
+        this.onApplyPalette = props.onApplyPalette;
+        this.onReset = props.onReset;
+        this.onToggleBibs = props.onToggleBibs; // Callback with enabled state
+        this.onRenumber = props.onRenumber;
+    }
+
+    render() {
+        return `
+            <details class="team-identities mb-6" id="teamIdentities" ${this.isOpen ? 'open' : ''}>
+                <summary class="font-semibold">Team Names, Colors &amp; Bibs</summary>
+
+                <div class="team-identities__list">
+                    ${this.identities.map((identity, index) => `
+                        <div class="team-identities__row" data-team="${index}">
+                            <input
+                                type="color"
+                                class="team-identities__color"
+                                value="${this.escape(identity.color || DEFAULT_TEAM_COLOR)}"
+                                aria-label="Color of ${this.escape(identity.name)}">
+                            <input
+                                type="text"
+                                class="form-control team-identities__name"
+                                value="${this.escape(identity.name)}"
+                                maxlength="${TEAM_IDENTITY_LIMITS.MAX_NAME_LENGTH}"
+                                aria-label="Name of team ${index + 1}">
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="team-identities__actions">
+                    <button type="button" class="btn btn-secondary btn-sm" id="applyPaletteBtn">
+                        ${getIcon('refresh', { size: ICON_SIZES.SMALL, className: 'btn-icon' })}
+                        Use ${this.escape(this.paletteName)} colors
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" id="resetIdentitiesBtn">
+                        Reset to Team 1, Team 2…
+                    </button>
+                </div>
+
+                <div class="team-identities__bibs">
+                    <label class="toggle-switch">
+                        <input
+                            type="checkbox"
+                            id="bibsToggle"
+                            ${this.bibsEnabled ? 'checked' : ''}
+                            aria-describedby="bibs-help">
+                        <span class="toggle-slider"></span>
+                        <span class="toggle-label">Bib numbers</span>
+                    </label>
+                    ${this.bibsEnabled ? `
+                        <button type="button" class="btn btn-secondary btn-sm" id="renumberBibsBtn">
+                            Renumber
+                        </button>
+                    ` : ''}
+                </div>
+                <p class="form-help-text" id="bibs-help">
+                    No two players on a team share a number. Players keep their number while it is free on their new team.
+                </p>
+            </details>
+        `;
+    }
+
+    onMount() {
+        const details = this.$('#teamIdentities');
+        if (details) {
+            details.addEventListener('toggle', () => {
+                if (this.onToggle) this.onToggle(details.open);
+            });
+        }
+
+        this.$$('.team-identities__row').forEach(row => {
+            const index = parseInt(row.dataset.team);
+            const nameInput = row.querySelector('.team-identities__name');
+            const colorInput = row.querySelector('.team-identities__color');
+
+            nameInput.addEventListener('change', () => {
+                if (this.onUpdate) this.onUpdate(index, { name: nameInput.value });
+            });
+            colorInput.addEventListener('change', () => {
+                if (this.onUpdate) this.onUpdate(index, { color: colorInput.value });
+            });
+        });
+
+        const applyPaletteBtn = this.$('#applyPaletteBtn');
+        if (applyPaletteBtn) {
+            applyPaletteBtn.addEventListener('click', () => {
+                if (this.onApplyPalette) this.onApplyPalette();
+            });
+        }
+
+        const resetBtn = this.$('#resetIdentitiesBtn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (this.onReset) this.onReset();
+            });
+        }
+
+        const bibsToggle = this.$('#bibsToggle');
+        if (bibsToggle) {
+            bibsToggle.addEventListener('change', (e) => {
+                if (this.onToggleBibs) this.onToggleBibs(e.target.checked);
+            });
+        }
+
+        const renumberBtn = this.$('#renumberBibsBtn');
+        if (renumberBtn) {
+            renumberBtn.addEventListener('click', () => {
+                if (this.onRenumber) this.onRenumber();
+            });
+        }
+    }
+}
+
+export default TeamIdentities;
@@ -0,0 +1,91 @@
+import BaseComponent from '../BaseComponent.js';
+import teamBuilderConfig from '../../config/teamBuilder.js';
+
+const { TEAM_VARIETY } = teamBuilderConfig;
+
+/**
+ * VarietyControls - Trade some balance for new teammates
+ * Strength and look-back of the teammate variety penalty.
+ */
+class VarietyControls extends BaseComponent {
+    constructor(container, props = {}) {
+        super(container);
+        this.variety = props.variety || { strength: TEAM_VARIETY.DEFAULT_STRENGTH, lookback: TEAM_VARIETY.DEFAULT_LOOKBACK };
+        this.generations = props.generations || 0; // Generations saved in the session
+        this.onChange = props.onChange; // Callback with the new {strength, lookback}
+    }
+
+    render() {
+        const { strength, lookback } = this.variety;
+
+        return `
+            <div class="form-group team-variety">
+                <label for="varietyStrength">Teammate Variety</label>
+                <p class="form-help-text mb-3" id="variety-help">
+                    Avoid putting the same players together as in recent generations.
+                    Moving toward variety gives up some balance for new teammates.
+                </p>
+                <div class="team-variety__controls">
+                    <span class="text-sm text-secondary" aria-hidden="true">Balance</span>
+                    <input
+                        type="range"
+                        id="varietyStrength"
+                        min="0"
+                        max="100"
+                        step="10"
+                        value="${strength}"
+                        aria-describedby="variety-help"
+                        aria-valuetext="${this.describeStrength(strength)}">
+                    <span class="text-sm text-secondary" aria-hidden="true">Variety</span>
+                    <span class="status-badge status-badge--neutral" id="varietyStrengthValue">${this.describeStrength(strength)}</span>
+                </div>
+                <div class="team-variety__lookback text-sm">
+                    <label for="varietyLookback">Look back</label>
+                    <input
+                        type="number"
+                        id="varietyLookback"
+                        class="form-control"
+                        value="${lookback}"
+                        min="1"
+                        max="${TEAM_VARIETY.MAX_LOOKBACK}">
+                    <span class="text-secondary">generations (${this.generations} saved in this session)</span>
+                </div>
+            </div>
+        `;
+    }
+
+    describeStrength(strength) {
+        return strength > 0 ? `${strength}%` : 'Off';
+    }
+
+    onMount() {
+        const strengthInput = this.$('#varietyStrength');
+        if (strengthInput) {
+            strengthInput.addEventListener('input', (e) => {
+                const label = this.describeStrength(parseInt(e.target.value));
+                e.target.setAttribute('aria-valuetext', label);
+                const valueBadge = this.$('#varietyStrengthValue');
+                if (valueBadge) valueBadge.textContent = label;
+            });
+            strengthInput.addEventListener('change', (e) => {
+                this.variety = { ...this.variety, strength: parseInt(e.target.value) || 0 };
+                if (this.onChange) this.onChange(this.variety);
+            });
+        }
+
+        const lookbackInput = this.$('#varietyLookback');
+        if (lookbackInput) {
+            lookbackInput.addEventListener('change', (e) => {
+                const lookback = Math.min(
+                    TEAM_VARIETY.MAX_LOOKBACK,
+                    Math.max(1, parseInt(e.target.value) || TEAM_VARIETY.DEFAULT_LOOKBACK)
+                );
+                e.target.value = lookback;
+                this.variety = { ...this.variety, lookback };
+                if (this.onChange) this.onChange(this.variety);
+            });
+        }
+    }
+}
+
+export default VarietyControls;
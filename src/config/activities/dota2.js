@@ -41,6 +41,12 @@ export default {
         'OFF': 1,    // 1 Offlane
         'SSUP': 1,   // 1 Soft Support
         'HSUP': 1    // 1 Hard Support
-    }
+    },
     // Total team size: 5 players
+
+    // Team names and colors offered by the team builder
+    teamPalette: [
+        { name: 'Radiant', color: '#2e7d32' },
+        { name: 'Dire', color: '#c62828' }
+    ]
 };
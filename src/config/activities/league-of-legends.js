@@ -41,6 +41,12 @@ export default {
         'MID': 1,  // 1 Mid Laner
         'ADC': 1,  // 1 ADC
         'SUP': 1   // 1 Support
-    }
+    },
     // Total team size: 5 players
+
+    // Team names and colors offered by the team builder
+    teamPalette: [
+        { name: 'Blue Side', color: '#1565c0' },
+        { name: 'Red Side', color: '#c62828' }
+    ]
 };
@@ -63,6 +63,227 @@ export const K_FACTORS = {
     }
 };
 
+/**
+ * Rating Engines
+ * Identifiers of the rating engines a session can use
+ */
+export const RATING_ENGINES = {
+    /** Classic ELO with dynamic K-factors */
+    ELO: 'elo',
+
+    /** Glicko-2 with rating deviation and volatility */
+    GLICKO2: 'glicko2',
+
+    /** Engine used when a session has not selected one */
+    DEFAULT: 'elo'
+};
+
+/**
+ * Glicko-2 Configuration
+ * Parameters for the Glicko-2 rating engine
+ */
+export const GLICKO2 = {
+    /** Starting rating deviation for new players (maximum uncertainty) */
+    DEFAULT_DEVIATION: 350,
+
+    /** Starting volatility for new players */
+    DEFAULT_VOLATILITY: 0.06,
+
+    /** System constant constraining volatility change over time */
+    TAU: 0.5,
+
+    /** Conversion factor between Glicko and Glicko-2 scales */
+    SCALE: 173.7178,
+
+    /** Convergence tolerance for the volatility iteration */
+    CONVERGENCE_TOLERANCE: 0.000001,
+
+    /** Deviation at or above which a rating is flagged as uncertain */
+    UNCERTAIN_DEVIATION: 150
+};
+
+/**
+ * Pairing Configuration
+ * How ComparisonService chooses the next pair to compare
+ */
+export const PAIRING = {
+    /** Available pairing modes */
+    MODES: {
+        /** Fewest comparisons first, until every pair has been compared */
+        COVERAGE: 'coverage',
+
+        /** Pair with the most uncertain outcome, weighted by rating uncertainty */
+        ADAPTIVE: 'adaptive'
+    },
+
+    /** Mode used when a session has not chosen one */
+    DEFAULT_MODE: 'coverage',
+
+    /** Rating deviation at which a player's rating counts as converged */
+    CONVERGED_DEVIATION: 120
+};
+
+/**
+ * Re-match Configuration
+ * When a pair that was already compared may be compared again
+ */
+export const REMATCH = {
+    /** Available re-match policies */
+    MODES: {
+        /** Only pairs explicitly queued for a re-match */
+        ON_REQUEST: 'on-request',
+
+        /** Also pairs whose last comparison is older than the cooldown */
+        COOLDOWN: 'cooldown',
+
+        /** Also pairs where both players made enough other comparisons since */
+        AFTER_COMPARISONS: 'after-comparisons'
+    },
+
+    /** Policy used when a session has not chosen one */
+    DEFAULT_MODE: 'on-request',
+
+    /** Default cooldown in days */
+    DEFAULT_COOLDOWN_DAYS: 30,
+
+    /** Default number of other comparisons required */
+    DEFAULT_MIN_COMPARISONS: 5
+};
+
+/**
+ * Graded Comparison Configuration
+ * Optional margin of superiority for a win, mapped to a fractional score
+ * (the loser gets 1 - score). Equal skill stays a Win-Win (0.5 each).
+ */
+export const GRADES = {
+    /** Available grades of a win */
+    LEVELS: {
+        /** Clearly better - a full win */
+        CLEAR: 'clear',
+
+        /** Slightly better - a narrow win */
+        SLIGHT: 'slight'
+    },
+
+    /** Winner's score per grade */
+    SCORES: {
+        clear: 1,
+        slight: 0.75
+    },
+
+    /** Grade of a win when graded comparisons are off */
+    DEFAULT_GRADE: 'clear'
+};
+
+/**
+ * Bradley-Terry Configuration
+ * Parameters for batch rating recomputation from the comparison log
+ */
+export const BRADLEY_TERRY = {
+    /** Maximum number of fitting iterations */
+    MAX_ITERATIONS: 1000,
+
+    /** Stop when no strength changes by more than this (relative) */
+    CONVERGENCE_TOLERANCE: 0.000001,
+
+    /**
+     * Virtual Win-Wins against an average player added for every player.
+     * Keeps ratings finite for players who never won (or never lost)
+     * and anchors the average at the default rating.
+     */
+    PRIOR_GAMES: 1
+};
+
+/**
+ * Match Result Configuration
+ * Rating update applied when a played match is recorded
+ */
+export const MATCH = {
+    /**
+     * Share of each player's usual K-factor (ELO) or rating step (Glicko-2)
+     * applied per match. A team result says less about one player than a
+     * head-to-head comparison.
+     */
+    K_MULTIPLIER: 0.5,
+
+    /**
+     * Extra weight for a decisive score: the change is multiplied by
+     * 1 + MARGIN_BONUS * |scoreA - scoreB| / (scoreA + scoreB)
+     */
+    MARGIN_BONUS: 0.5
+};
+
+/**
+ * Comparison Log Configuration
+ * How much undo data the comparison log keeps
+ */
+export const COMPARISON_LOG = {
+    /**
+     * Newest entries that keep full undo data. Older entries keep only
+     * ratings, deviations and volatilities and can no longer be undone.
+     * Must be at least INPUT_CONSTRAINTS.UNDO_COUNT.MAX.
+     */
+    UNDO_DEPTH: 200
+};
+
+/**
+ * Inactivity Decay Configuration
+ * How ratings of players who have not been compared or played drift
+ */
+export const DECAY = {
+    /** Available decay modes */
+    MODES: {
+        /** Ratings never change with inactivity */
+        OFF: 'off',
+
+        /** Ratings move back toward the default rating */
+        RATING: 'rating',
+
+        /** Ratings stay, but their deviation (uncertainty) grows - Glicko-2 only */
+        UNCERTAINTY: 'uncertainty'
+    },
+
+    /** Mode used when a session has not chosen one */
+    DEFAULT_MODE: 'off',
+
+    /** Days without activity before decay starts */
+    DEFAULT_GRACE_DAYS: 60,
+
+    /** Share of the distance to the default rating removed per period */
+    DEFAULT_RATE: 0.1,
+
+    /** Length of one decay period in days */
+    PERIOD_DAYS: 30,
+
+    /**
+     * Deviation added per period, combined like Glicko's rating period:
+     * newDeviation = sqrt(deviation^2 + DEVIATION_GROWTH^2 * periods)
+     */
+    DEVIATION_GROWTH: 35
+};
+
+/**
+ * Season Configuration
+ * Soft reset of all ratings at the start of a new season
+ */
+export const SEASON = {
+    /** Default share of the distance to the position mean removed */
+    DEFAULT_FRACTION: 0.3
+};
+
+/**
+ * Rater Configuration
+ * Weights of individual judges in the aggregated rating
+ */
+export const RATERS = {
+    /** Weight of new raters and of anonymous comparisons */
+    DEFAULT_WEIGHT: 1,
+
+    /** Allowed weight range (0 = ignored in the aggregated rating) */
+    MIN_WEIGHT: 0,
+    MAX_WEIGHT: 5
+};
+
 /**
  * Pool Adjustment Configuration
  * Adjusts K-factors based on position pool size for fairness
@@ -143,6 +364,17 @@ export const PERCENTILE_CONFIG = {
 export default {
     RATING_CONSTANTS,
     K_FACTORS,
+    RATING_ENGINES,
+    GLICKO2,
+    PAIRING,
+    REMATCH,
+    GRADES,
+    BRADLEY_TERRY,
+    RATERS,
+    MATCH,
+    COMPARISON_LOG,
+    DECAY,
+    SEASON,
     POOL_ADJUSTMENT,
     BALANCE_THRESHOLDS,
     CONFIDENCE_LEVELS,
@@ -31,7 +31,19 @@ import SessionRepository from '../repositories/SessionRepository.js';
 import ValidationService from '../services/ValidationService.js';
 import PlayerService from '../services/PlayerService.js';
 import EloService from '../services/EloService.js';
+import Glicko2Service from '../services/Glicko2Service.js';
+import RatingEngineService from '../services/RatingEngineService.js';
 import ComparisonService from '../services/ComparisonService.js';
+import ComparisonHistoryService from '../services/ComparisonHistoryService.js';
+import BradleyTerryService from '../services/BradleyTerryService.js';
+import RatingRecomputeService from '../services/RatingRecomputeService.js';
+import RaterService from '../services/RaterService.js';
+import MatchResultService from '../services/MatchResultService.js';
+import RatingDecayService from '../services/RatingDecayService.js';
+import AttendanceService from '../services/AttendanceService.js';
+import PlayerAttributeService from '../services/PlayerAttributeService.js';
+import TeamIdentityService from '../services/TeamIdentityService.js';
+import TournamentService from '../services/TournamentService.js';
 import TeamOptimizerService from '../services/TeamOptimizerService.js';
 import SessionService from '../services/SessionService.js';
 
@@ -191,10 +203,42 @@ export function createCoreServiceConfig(activityConfig = null) {
             factory: () => new EloService(activityConfig)
         },
 
+        /**
+         * Glicko-2 Service - Rating calculations with deviation and volatility
+         * Singleton: Stateless service
+         * Dependencies: activityConfig (optional)
+         */
+        glicko2Service: {
+            implementation: Glicko2Service,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: [],
+            factory: () => new Glicko2Service(activityConfig)
+        },
+
+        /**
+         * Rating Engine Service - Common rating engine interface
+         * Singleton: One engine resolver
+         * Dependencies: eloService, glicko2Service, sessionRepository, storageAdapter, eventBus
+         *
+         * Purpose: Route rating calculations to the engine selected for the active session
+         */
+        ratingEngineService: {
+            implementation: RatingEngineService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['eloService', 'glicko2Service', 'sessionRepository', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new RatingEngineService(
+                deps.eloService,
+                deps.glicko2Service,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
         /**
          * Player Service - Player management (REFACTORED)
          * Singleton: One player service
-         * Dependencies: activityConfig (optional), playerRepository, validationService, eventBus, eloService
+         * Dependencies: activityConfig (optional), playerRepository, validationService, eventBus, eloService, comparisonHistoryService
          *
          * Changes:
          * - Now uses PlayerRepository instead of StateManager
@@ -205,20 +249,21 @@ export function createCoreServiceConfig(activityConfig = null) {
         playerService: {
             implementation: PlayerService,
             lifetime: ServiceLifetime.SINGLETON,
-            dependencies: ['playerRepository', 'validationService', 'eventBus', 'eloService'],
+            dependencies: ['playerRepository', 'validationService', 'eventBus', 'eloService', 'comparisonHistoryService'],
             factory: (deps) => new PlayerService(
                 activityConfig,
                 deps.playerRepository,
                 deps.validationService,
                 deps.eventBus,
-                deps.eloService
+                deps.eloService,
+                deps.comparisonHistoryService
             )
         },
 
         /**
          * Comparison Service - Player comparisons (REFACTORED)
          * Singleton: One comparison service
-         * Dependencies: activityConfig (optional), playerRepository, validationService, eloService, eventBus
+         * Dependencies: activityConfig (optional), playerRepository, validationService, ratingEngineService, comparisonHistoryService, raterService, sessionRepository, storageAdapter, eventBus
          *
          * Changes:
          * - Now uses PlayerRepository instead of StateManager
@@ -230,12 +275,204 @@ export function createCoreServiceConfig(activityConfig = null) {
         comparisonService: {
             implementation: ComparisonService,
             lifetime: ServiceLifetime.SINGLETON,
-            dependencies: ['playerRepository', 'validationService', 'eloService', 'eventBus'],
+            dependencies: ['playerRepository', 'validationService', 'ratingEngineService', 'comparisonHistoryService', 'raterService', 'sessionRepository', 'storageAdapter', 'eventBus'],
             factory: (deps) => new ComparisonService(
                 activityConfig,
                 deps.playerRepository,
                 deps.validationService,
-                deps.eloService,
+                deps.ratingEngineService,
+                deps.comparisonHistoryService,
+                deps.raterService,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Comparison History Service - Comparison log and undo
+         * Singleton: One log per active session, stored in session data
+         * Dependencies: playerRepository, sessionRepository, storageAdapter, eventBus
+         *
+         * Purpose: Record every comparison and restore player state on undo
+         */
+        comparisonHistoryService: {
+            implementation: ComparisonHistoryService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['playerRepository', 'sessionRepository', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new ComparisonHistoryService(
+                deps.playerRepository,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Bradley-Terry Service - Batch rating fit
+         * Singleton: Stateless service
+         */
+        bradleyTerryService: {
+            implementation: BradleyTerryService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: [],
+            factory: () => new BradleyTerryService()
+        },
+
+        /**
+         * Rating Recompute Service - Recompute ratings from the comparison log
+         * Singleton: One recompute service
+         * Dependencies: playerRepository, raterService, bradleyTerryService, eventBus
+         *
+         * Purpose: Replace order-dependent sequential ratings with a batch fit
+         */
+        ratingRecomputeService: {
+            implementation: RatingRecomputeService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['playerRepository', 'raterService', 'bradleyTerryService', 'eventBus'],
+            factory: (deps) => new RatingRecomputeService(
+                deps.playerRepository,
+                deps.raterService,
+                deps.bradleyTerryService,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Rater Service - Raters (judges) and per-rater ratings
+         * Singleton: One rater service
+         * Dependencies: sessionRepository, playerRepository, comparisonHistoryService, bradleyTerryService, storageAdapter, eventBus
+         *
+         * Purpose: Tag comparisons with who judged them and aggregate raters by weight
+         */
+        raterService: {
+            implementation: RaterService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['sessionRepository', 'playerRepository', 'comparisonHistoryService', 'bradleyTerryService', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new RaterService(
+                deps.sessionRepository,
+                deps.playerRepository,
+                deps.comparisonHistoryService,
+                deps.bradleyTerryService,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Match Result Service - Played matches update player ratings
+         * Singleton: One match result service
+         * Dependencies: playerRepository, ratingEngineService, comparisonHistoryService, sessionRepository, teamIdentityService, storageAdapter, eventBus
+         *
+         * Purpose: Rating update from results of generated teams with the session's engine, logged with comparisons
+         */
+        matchResultService: {
+            implementation: MatchResultService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['playerRepository', 'ratingEngineService', 'comparisonHistoryService', 'sessionRepository', 'teamIdentityService', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new MatchResultService(
+                deps.playerRepository,
+                deps.ratingEngineService,
+                deps.comparisonHistoryService,
+                deps.sessionRepository,
+                deps.teamIdentityService,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Rating Decay Service - Inactivity decay and season resets
+         * Singleton: One decay service
+         * Dependencies: playerRepository, comparisonHistoryService, sessionRepository, storageAdapter, eventBus
+         *
+         * Purpose: Let ratings of inactive players drift and soft-reset ratings for a new season
+         */
+        ratingDecayService: {
+            implementation: RatingDecayService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['playerRepository', 'comparisonHistoryService', 'sessionRepository', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new RatingDecayService(
+                deps.playerRepository,
+                deps.comparisonHistoryService,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Attendance Service - Who is present on a given day
+         * Singleton: One attendance service
+         * Dependencies: playerRepository, sessionRepository, storageAdapter, eventBus
+         *
+         * Purpose: Limit team generation to the players checked in for the day
+         */
+        attendanceService: {
+            implementation: AttendanceService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['playerRepository', 'sessionRepository', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new AttendanceService(
+                deps.playerRepository,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Player Attribute Service - Custom player attributes
+         * Singleton: One attribute service
+         * Dependencies: playerRepository, sessionRepository, storageAdapter, eventBus
+         *
+         * Purpose: Let sessions define attributes (gender, age...) to balance or set quotas on
+         */
+        playerAttributeService: {
+            implementation: PlayerAttributeService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['playerRepository', 'sessionRepository', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new PlayerAttributeService(
+                deps.playerRepository,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Team Identity Service - Team names, colors and bib numbers
+         * Singleton: One team identity service
+         * Dependencies: activityConfig (optional), sessionRepository, storageAdapter, eventBus
+         *
+         * Purpose: Name and color team slots, from the activity palette or by hand, and number players
+         */
+        teamIdentityService: {
+            implementation: TeamIdentityService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['sessionRepository', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new TeamIdentityService(
+                activityConfig,
+                deps.sessionRepository,
+                deps.storageAdapter,
+                deps.eventBus
+            )
+        },
+
+        /**
+         * Tournament Service - Schedules and results between generated teams
+         * Singleton: One tournament service
+         * Dependencies: sessionRepository, teamIdentityService, storageAdapter, eventBus
+         *
+         * Purpose: Build brackets, spread games over courts and time slots and keep standings
+         */
+        tournamentService: {
+            implementation: TournamentService,
+            lifetime: ServiceLifetime.SINGLETON,
+            dependencies: ['sessionRepository', 'teamIdentityService', 'storageAdapter', 'eventBus'],
+            factory: (deps) => new TournamentService(
+                deps.sessionRepository,
+                deps.teamIdentityService,
+                deps.storageAdapter,
                 deps.eventBus
             )
         },
@@ -243,17 +480,18 @@ export function createCoreServiceConfig(activityConfig = null) {
         /**
          * Team Optimizer Service - Team generation
          * Singleton: Stateless service
-         * Dependencies: activityConfig (optional), eloService
+         * Dependencies: activityConfig (optional), eloService, ratingEngineService
          *
          * Note: Can be initialized with null activityConfig
          */
         teamOptimizerService: {
             implementation: TeamOptimizerService,
             lifetime: ServiceLifetime.SINGLETON,
-            dependencies: ['eloService'],
+            dependencies: ['eloService', 'ratingEngineService'],
             factory: (deps) => new TeamOptimizerService(
                 activityConfig,
-                deps.eloService
+                deps.eloService,
+                deps.ratingEngineService
             )
         }
     };
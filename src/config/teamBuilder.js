@@ -0,0 +1,135 @@
+/**
+ * Team Builder Configuration
+ * Limits and defaults of team generation, alternatives and captain drafts
+ */
+
+/**
+ * Teammate Variety Configuration
+ * Optional penalty for pairing players who were teammates in recent generations
+ */
+export const TEAM_VARIETY = {
+    /** Generated teams kept per session */
+    HISTORY_LIMIT: 20,
+
+    /** Recent generations looked at by default */
+    DEFAULT_LOOKBACK: 3,
+
+    /** Most generations that can be looked at */
+    MAX_LOOKBACK: 10,
+
+    /** Default strength (0-100, 0 = off) */
+    DEFAULT_STRENGTH: 0,
+
+    /** Weighted rating difference one repeated pair is worth at full strength */
+    REPEAT_PENALTY: 60,
+
+    /** Maximum improving swaps per generation */
+    MAX_STEPS: 100
+};
+
+/**
+ * Attribute Balance Configuration
+ * Soft balancing of custom player attributes across teams
+ */
+export const ATTRIBUTE_BALANCE = {
+    /** Weighted rating difference one extra player of a category is worth */
+    CATEGORY_PENALTY: 150,
+
+    /** Weighted rating difference one standard deviation of team averages is worth */
+    NUMERIC_PENALTY: 150
+};
+
+/**
+ * Team Optimization Configuration
+ * Time budget for repeated optimizer runs (in seconds) and seeded runs
+ */
+export const TEAM_OPTIMIZATION = {
+    /** Default search time */
+    DEFAULT_TIME_BUDGET: 3,
+
+    /** Shortest search time (a single optimizer run always completes) */
+    MIN_TIME_BUDGET: 1,
+
+    /** Longest search time */
+    MAX_TIME_BUDGET: 60,
+
+    /** Optimizer runs of a seeded search (which ignores the time budget) */
+    SEEDED_RUNS: 5,
+
+    /** Longest seed */
+    MAX_SEED_LENGTH: 64
+};
+
+/**
+ * Team Alternatives Configuration
+ * Several diverse, comparably balanced solutions to choose from
+ */
+export const TEAM_ALTERNATIVES = {
+    /** Alternatives generated by default */
+    DEFAULT_COUNT: 3,
+
+    /** Most alternatives generated at once */
+    MAX_COUNT: 5,
+
+    /** Optimizer runs allowed per alternative before giving up on finding a new one */
+    ATTEMPTS_PER_ALTERNATIVE: 3,
+
+    /** Variety strength (0-100) pushing each alternative away from the previous ones */
+    DIVERSITY_STRENGTH: 30,
+
+    /** Largest weighted rating spread above the best alternative that is still offered */
+    MAX_SPREAD_GAP: 100
+};
+
+/**
+ * Position Preference Configuration
+ * Players rank the positions they play; the optimizer counts a secondary or
+ * emergency position as that many rating points weaker
+ */
+export const POSITION_PREFERENCES = {
+    LEVELS: {
+        PRIMARY: 'primary',
+        SECONDARY: 'secondary',
+        EMERGENCY: 'emergency'
+    },
+
+    /** Default rating penalty per level (primary positions are never penalized) */
+    DEFAULT_PENALTIES: {
+        secondary: 50,
+        emergency: 200
+    },
+
+    /** Largest penalty */
+    MAX_PENALTY: 1000
+};
+
+/**
+ * Team Draft Configuration
+ * Captains pick their teams in turn instead of the optimizer
+ */
+export const TEAM_DRAFT = {
+    /** Pick orders: snake reverses the order every round, linear repeats it */
+    ORDERS: {
+        SNAKE: 'snake',
+        LINEAR: 'linear'
+    },
+
+    DEFAULT_ORDER: 'snake',
+
+    /** How captains are chosen: the top-rated players, or by hand */
+    CAPTAIN_MODES: {
+        TOP_RATED: 'top-rated',
+        MANUAL: 'manual'
+    },
+
+    DEFAULT_CAPTAIN_MODE: 'top-rated'
+};
+
+export default {
+    TEAM_VARIETY,
+    ATTRIBUTE_BALANCE,
+    TEAM_OPTIMIZATION,
+    TEAM_ALTERNATIVES,
+    POSITION_PREFERENCES,
+    TEAM_DRAFT
+};
@@ -0,0 +1,78 @@
+/**
+ * Team Identity Configuration
+ * Names, colors and bib numbers of generated teams
+ */
+
+/**
+ * Team Identity Limits
+ */
+export const TEAM_IDENTITY_LIMITS = {
+    /** Longest team name */
+    MAX_NAME_LENGTH: 30,
+
+    /** Lowest bib or jersey number */
+    MIN_BIB: 1,
+
+    /** Highest bib or jersey number */
+    MAX_BIB: 99
+};
+
+/**
+ * Team Palettes
+ * Suggested names and colors by activity type. An activity config can
+ * bring its own with a teamPalette array of the same shape.
+ */
+export const TEAM_PALETTES = {
+    /** Training bib colors */
+    sport: [
+        { name: 'Orange', color: '#f57c00' },
+        { name: 'Yellow', color: '#fbc02d' },
+        { name: 'Green', color: '#388e3c' },
+        { name: 'Blue', color: '#1976d2' },
+        { name: 'Red', color: '#d32f2f' },
+        { name: 'White', color: '#f5f5f5' },
+        { name: 'Black', color: '#212121' },
+        { name: 'Purple', color: '#7b1fa2' },
+        { name: 'Pink', color: '#e91e63' },
+        { name: 'Grey', color: '#757575' }
+    ],
+
+    esport: [
+        { name: 'Azure', color: '#1e88e5' },
+        { name: 'Crimson', color: '#e53935' },
+        { name: 'Emerald', color: '#43a047' },
+        { name: 'Amber', color: '#ffb300' },
+        { name: 'Violet', color: '#8e24aa' },
+        { name: 'Cyan', color: '#00acc1' },
+        { name: 'Magenta', color: '#d81b60' },
+        { name: 'Lime', color: '#7cb342' },
+        { name: 'Orange', color: '#fb8c00' },
+        { name: 'Silver', color: '#9e9e9e' }
+    ],
+
+    work: [
+        { name: 'Teal', color: '#00897b' },
+        { name: 'Indigo', color: '#3949ab' },
+        { name: 'Coral', color: '#ff7043' },
+        { name: 'Slate', color: '#546e7a' },
+        { name: 'Olive', color: '#827717' },
+        { name: 'Plum', color: '#8e24aa' },
+        { name: 'Sky', color: '#039be5' },
+        { name: 'Sand', color: '#c0a16b' },
+        { name: 'Rose', color: '#d81b60' },
+        { name: 'Mint', color: '#26a69a' }
+    ]
+};
+
+/** Palette for activity types without their own */
+export const DEFAULT_PALETTE = 'sport';
+
+/** Color picked for a team without a color until one is chosen */
+export const DEFAULT_TEAM_COLOR = '#9e9e9e';
+
+export default {
+    TEAM_IDENTITY_LIMITS,
+    TEAM_PALETTES,
+    DEFAULT_PALETTE,
+    DEFAULT_TEAM_COLOR
+};
@@ -0,0 +1,81 @@
+/**
+ * Tournament Configuration
+ * Formats, limits and defaults of the tournament scheduler
+ */
+
+/**
+ * Tournament Formats
+ */
+export const TOURNAMENT_FORMATS = {
+    /** Every team plays every other team once */
+    ROUND_ROBIN: 'round-robin',
+
+    /** Knockout bracket, one loss and a team is out */
+    SINGLE_ELIMINATION: 'single-elimination',
+
+    /** Winners and losers brackets, two losses and a team is out */
+    DOUBLE_ELIMINATION: 'double-elimination',
+
+    /** Round-robin pools, then a knockout bracket of the best teams per pool */
+    POOLS_PLAYOFFS: 'pools-playoffs'
+};
+
+/**
+ * Tournament Limits
+ */
+export const TOURNAMENT_LIMITS = {
+    /** Fewest teams in a tournament */
+    MIN_TEAMS: 3,
+
+    /** Most teams in a tournament */
+    MAX_TEAMS: 10,
+
+    /** Most courts or fields played on at the same time */
+    MAX_COURTS: 10,
+
+    /** Shortest time slot in minutes */
+    MIN_SLOT_MINUTES: 5,
+
+    /** Longest time slot in minutes */
+    MAX_SLOT_MINUTES: 240,
+
+    /** Most pools */
+    MAX_POOLS: 4,
+
+    /** Fewest teams per pool */
+    MIN_POOL_SIZE: 2
+};
+
+/**
+ * Tournament Defaults
+ */
+export const TOURNAMENT_DEFAULTS = {
+    FORMAT: TOURNAMENT_FORMATS.ROUND_ROBIN,
+    COURTS: 1,
+
+    /** First time slot, 24-hour HH:MM */
+    START_TIME: '18:00',
+
+    SLOT_MINUTES: 20,
+    POOLS: 2,
+
+    /** Teams per pool that go on to the playoffs */
+    ADVANCE_PER_POOL: 2
+};
+
+/**
+ * Standings Points
+ * Points per game in round-robin and pool tables
+ */
+export const STANDINGS_POINTS = {
+    WIN: 3,
+    DRAW: 1,
+    LOSS: 0
+};
+
+export default {
+    TOURNAMENT_FORMATS,
+    TOURNAMENT_LIMITS,
+    TOURNAMENT_DEFAULTS,
+    STANDINGS_POINTS
+};
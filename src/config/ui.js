@@ -35,6 +35,13 @@ export const INPUT_CONSTRAINTS = {
     /** Position composition default value */
     COMPOSITION_DEFAULT: 0,
 
+    /** Number of comparisons to undo at once */
+    UNDO_COUNT: {
+        MIN: 1,
+        MAX: 50,
+        DEFAULT: 1
+    },
+
     /** Text truncation */
     TEXT_TRUNCATE: {
         DEFAULT_MAX_LENGTH: 50
@@ -296,6 +303,9 @@ export const KEYBOARD_KEYS = {
     A: 'a',
     D: 'd',
     W: 'w',
+    Q: 'q',
+    E: 'e',
+    Z: 'z',
     ARROW_LEFT: 'arrowleft',
     ARROW_RIGHT: 'arrowright',
     ARROW_UP: 'arrowup',
@@ -319,6 +329,7 @@ export const MESSAGES = {
     },
     SUCCESS: {
         WIN_WIN: 'Win-Win recorded',
+        UNDO_COMPLETE: 'Comparison undone',
         EXPORT_COMPLETE: 'Teams exported!',
         RESET_COMPLETE: 'comparisons have been reset'
     },
@@ -79,6 +79,25 @@ export const DEFAULT_VALUES = {
     POSITION_WEIGHT: 1.0
 };
 
+/**
+ * Player Attribute Validation
+ * Custom attributes (e.g. gender, age group) defined per session
+ */
+export const ATTRIBUTE_VALIDATION = {
+    /** Attribute types */
+    TYPES: {
+        CATEGORICAL: 'categorical',
+        NUMERIC: 'numeric'
+    },
+
+    /** Maximum attributes per session */
+    MAX_ATTRIBUTES: 10,
+
+    /** Options of a categorical attribute */
+    MIN_OPTIONS: 2,
+    MAX_OPTIONS: 10
+};
+
 /**
  * Combined Validation Limits
  * All validation limits in one object for convenience
@@ -98,6 +117,7 @@ export default {
     POSITION_VALIDATION,
     TEAM_VALIDATION,
     COMPARISON_VALIDATION,
+    ATTRIBUTE_VALIDATION,
     DEFAULT_VALUES,
     VALIDATION_LIMITS
 };
@@ -212,7 +212,9 @@ class Router {
             'settings': '/',
             'compare': '/compare/',
             'rankings': '/rankings/',
+            'history': '/history/',
             'teams': '/teams/',
+            'tournament': '/tournament/',
             'privacy-policy': '/privacy-policy.html/'
         };
 
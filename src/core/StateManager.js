@@ -10,13 +10,14 @@ import { ACTIVITY_FILES } from '../config/activities/index.js';
 import ratingConfig from '../config/rating.js';
 import validationConfig from '../config/validation.js';
 import uiConfig from '../config/ui.js';
+import { normalizeComparedList } from '../utils/comparedWith.js';
 
 class StateManager {
     constructor() {
         this.state = {
             sessions: {},
             activeSessions: {},
-            version: '5.0',
+            version: '5.1',
             settings: {
                 showEloRatings: true,
                 theme: 'dark'
@@ -325,6 +326,32 @@ class StateManager {
             });
         }
 
+        // Version 5.0 -> 5.1 migration (comparedWith names -> records with counts and dates)
+        if (version < '5.1') {
+            let playersMigrated = 0;
+
+            Object.values(data.sessions || {}).forEach(activitySessions => {
+                Object.values(activitySessions || {}).forEach(session => {
+                    (session.players || []).forEach(player => {
+                        const comparedWith = {};
+                        Object.entries(player.comparedWith || {}).forEach(([pos, list]) => {
+                            comparedWith[pos] = normalizeComparedList(list);
+                        });
+                        player.comparedWith = comparedWith;
+                        playersMigrated++;
+                    });
+                });
+            });
+
+            data.version = '5.1';
+
+            eventBus.emit('state:migrated', {
+                from: version,
+                to: '5.1',
+                playersMigrated
+            });
+        }
+
         return data;
     }
 
@@ -337,7 +364,7 @@ class StateManager {
         this.state = {
             sessions: {},
             activeSessions: {},
-            version: '5.0',
+            version: '5.1',
             settings: {
                 showEloRatings: true,
                 theme: 'dark'
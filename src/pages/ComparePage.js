@@ -6,12 +6,17 @@ import toast from '../components/base/Toast.js';
 import Modal from '../components/base/Modal.js';
 import Sidebar from '../components/Sidebar.js';
 import uiConfig from '../config/ui.js';
+import ratingConfig from '../config/rating.js';
+import { getIcon } from '../components/base/Icons.js';
 
 // Components
 import PositionSelector from '../components/compare/PositionSelector.js';
 import ComparisonArea from '../components/compare/ComparisonArea.js';
+import ConflictList from '../components/compare/ConflictList.js';
+import RaterPanel from '../components/compare/RaterPanel.js';
 
 const { ELEMENT_IDS, KEYBOARD_KEYS, MESSAGES, TOAST } = uiConfig;
+const { PAIRING, REMATCH, GRADES } = ratingConfig;
 
 class ComparePage extends BasePage {
     constructor(container, props = {}) {
@@ -23,6 +28,9 @@ class ComparePage extends BasePage {
         this.activityKey = props.activityKey; // Key like 'volleyball', 'basketball', etc.
         this.playerService = props.services?.resolve('playerService');
         this.comparisonService = props.services?.resolve('comparisonService');
+        this.comparisonHistoryService = props.services?.resolve('comparisonHistoryService');
+        this.raterService = props.services?.resolve('raterService');
+        this.ratingEngineService = props.services?.resolve('ratingEngineService');
         this.sessionService = props.services?.resolve('sessionService');
         this.eventBus = props.services?.resolve('eventBus');
 
@@ -32,6 +40,9 @@ class ComparePage extends BasePage {
 
         this.positionSelector = null;
         this.comparisonArea = null;
+        this.conflictList = null;
+        this.raterPanel = null;
+        this.isRaterManageOpen = false;
     }
 
     onCreate() {
@@ -43,6 +54,44 @@ class ComparePage extends BasePage {
             this.update();
         });
 
+        this.on('comparison:undone', () => {
+            // The undone pair becomes available again
+            if (this.selectedPosition) {
+                this.loadNextPair();
+            }
+            this.update();
+        });
+
+        this.on('pairing-mode:changed', () => {
+            // Next pair depends on the pairing mode
+            if (this.selectedPosition) {
+                this.loadNextPair();
+            }
+            this.update();
+        });
+
+        this.on('graded-mode:changed', () => this.update());
+
+        this.on('rater:changed', () => {
+            // Pairs judged by other raters are open to the new rater
+            if (this.selectedPosition) {
+                this.loadNextPair();
+            }
+            this.update();
+        });
+
+        this.on('rater:added', () => this.update());
+        this.on('rater:updated', () => this.update());
+        this.on('rater:removed', () => this.update());
+
+        this.on('rematch-policy:changed', () => {
+            // Re-matches may have become available (or unavailable)
+            if (this.selectedPosition) {
+                this.loadNextPair();
+            }
+            this.update();
+        });
+
         this.on('player:added', () => this.update());
         this.on('player:removed', () => this.update());
         this.on('state:changed', () => this.update());
@@ -113,7 +162,24 @@ class ComparePage extends BasePage {
     mountComponents() {
         this.destroyComponents();
 
-        // 1. Position Selector
+        // 1. Rater Panel
+        const raterPanelContainer = this.$('.rater-panel-container');
+        if (raterPanelContainer && this.raterService) {
+            this.raterPanel = new RaterPanel(raterPanelContainer, {
+                raters: this.raterService.getAll(),
+                activeRaterId: this.raterService.getActiveRater()?.id,
+                isManageOpen: this.isRaterManageOpen,
+                onToggleManage: (isOpen) => { this.isRaterManageOpen = isOpen; },
+                onSelect: (raterId) => this.handleRaterSelect(raterId),
+                onAdd: (name, weight) => this.handleRaterAdd(name, weight),
+                onUpdate: (raterId, updates) => this.handleRaterUpdate(raterId, updates),
+                onRemove: (raterId) => this.handleRaterRemove(raterId)
+            });
+            this.raterPanel.mount();
+            this.addComponent(this.raterPanel);
+        }
+
+        // 2. Position Selector
         const positionSelectorContainer = this.$('.position-selector-container');
         if (positionSelectorContainer && this.activityConfig) {
             const progress = this.comparisonService.getAllProgress();
@@ -122,6 +188,7 @@ class ComparePage extends BasePage {
                 progress,
                 selectedPosition: this.selectedPosition,
                 playerService: this.playerService,
+                gradedMode: this.comparisonService.isGradedMode(),
                 onSelect: (key) => this.handlePositionSelect(key),
                 onReset: (key) => this.handlePositionReset(key),
                 onResetAll: () => this.showResetAllModal()
@@ -130,7 +197,7 @@ class ComparePage extends BasePage {
             this.addComponent(this.positionSelector);
         }
 
-        // 2. Comparison Area
+        // 3. Comparison Area
         const comparisonAreaContainer = this.$('.comparison-area-container');
         if (comparisonAreaContainer && this.selectedPosition) {
             const status = this.comparisonService.checkStatus(this.selectedPosition);
@@ -145,14 +212,28 @@ class ComparePage extends BasePage {
                 progress,
                 currentPair: this.currentPair,
                 nextPair: status.nextPair,
+                gradedMode: this.comparisonService.isGradedMode(),
                 suggestion,
-                onComparison: (winnerId, loserId) => this.handleComparison(winnerId, loserId),
+                onComparison: (winnerId, loserId, grade) => this.handleComparison(winnerId, loserId, grade),
                 onDraw: (p1, p2) => this.handleDraw(p1, p2),
                 onSuggestionClick: (key) => this.handlePositionSelect(key)
             });
             this.comparisonArea.mount();
             this.addComponent(this.comparisonArea);
         }
+
+        // 4. Contradictory results
+        const conflictListContainer = this.$('.conflict-list-container');
+        if (conflictListContainer && this.selectedPosition) {
+            this.conflictList = new ConflictList(conflictListContainer, {
+                positionName: this.activityConfig.positions[this.selectedPosition],
+                raterName: this.raterService?.getActiveRater()?.name,
+                triads: this.comparisonService.findIntransitiveTriads(this.selectedPosition),
+                onRejudge: (entry) => this.showRejudgeModal(entry)
+            });
+            this.conflictList.mount();
+            this.addComponent(this.conflictList);
+        }
     }
 
     destroyComponents() {
@@ -164,6 +245,14 @@ class ComparePage extends BasePage {
             this.comparisonArea.destroy();
             this.comparisonArea = null;
         }
+        if (this.conflictList) {
+            this.conflictList.destroy();
+            this.conflictList = null;
+        }
+        if (this.raterPanel) {
+            this.raterPanel.destroy();
+            this.raterPanel = null;
+        }
     }
 
     getNextPositionSuggestion() {
@@ -197,16 +286,214 @@ class ComparePage extends BasePage {
             </header>
 
             <div class="page-controls">
+                <div class="compare-settings">
+                    ${this.renderRatingEngineSelector()}
+                    ${this.renderPairingModeSelector()}
+                    ${this.renderGradedModeSelector()}
+                    ${this.renderRematchPolicySelector()}
+                </div>
+                <div class="rater-panel-container"></div>
+                ${this.renderUndoControl()}
                 <div class="position-selector-container"></div>
             </div>
 
             <div class="page-content">
                 <div class="comparison-area-container"></div>
+                <div class="conflict-list-container"></div>
             </div>
         `);
     }
 
+    renderRatingEngineSelector() {
+        const activeEngine = this.ratingEngineService.getActiveEngineKey();
+
+        return `
+            <div class="form-group rating-engine-selector">
+                <label for="ratingEngineSelect">Rating Engine</label>
+                <select
+                    id="ratingEngineSelect"
+                    class="form-control"
+                    aria-describedby="rating-engine-help">
+                    ${this.ratingEngineService.getAvailableEngines().map(engine => `
+                        <option value="${engine.key}" ${engine.key === activeEngine ? 'selected' : ''}>
+                            ${engine.name}
+                        </option>
+                    `).join('')}
+                </select>
+                <p class="form-help-text" id="rating-engine-help">
+                    ELO uses fixed K-factor tiers. Glicko-2 also tracks how certain each rating is,
+                    so new players settle faster and uncertain ratings are flagged. Applies to this session only.
+                </p>
+            </div>
+        `;
+    }
+
+    renderPairingModeSelector() {
+        const activeMode = this.comparisonService.getPairingMode();
+        const modes = [
+            { key: PAIRING.MODES.COVERAGE, name: 'Compare every pair' },
+            { key: PAIRING.MODES.ADAPTIVE, name: 'Most informative first' }
+        ];
+
+        return `
+            <div class="form-group pairing-mode-selector">
+                <label for="pairingModeSelect">Pairing</label>
+                <select
+                    id="pairingModeSelect"
+                    class="form-control"
+                    aria-describedby="pairing-mode-help">
+                    ${modes.map(mode => `
+                        <option value="${mode.key}" ${mode.key === activeMode ? 'selected' : ''}>
+                            ${mode.name}
+                        </option>
+                    `).join('')}
+                </select>
+                <p class="form-help-text" id="pairing-mode-help">
+                    "Most informative first" picks close, uncertain matchups so rankings settle
+                    with far fewer comparisons. Watch the converged percentage to know when to stop.
+                </p>
+            </div>
+        `;
+    }
+
+    renderGradedModeSelector() {
+        const gradedMode = this.comparisonService.isGradedMode();
+
+        return `
+            <div class="form-group graded-mode-selector">
+                <label for="gradedModeSelect">Result Scale</label>
+                <select
+                    id="gradedModeSelect"
+                    class="form-control"
+                    aria-describedby="graded-mode-help">
+                    <option value="off" ${!gradedMode ? 'selected' : ''}>Better / equal</option>
+                    <option value="on" ${gradedMode ? 'selected' : ''}>Clearly better / slightly better / equal</option>
+                </select>
+                <p class="form-help-text" id="graded-mode-help">
+                    A slight win moves ratings less than a clear one
+                    (scored ${GRADES.SCORES[GRADES.LEVELS.SLIGHT]} instead of ${GRADES.SCORES[GRADES.LEVELS.CLEAR]}).
+                    Use Q and E to mark the left or right player as slightly better.
+                </p>
+            </div>
+        `;
+    }
+
+    renderRematchPolicySelector() {
+        const policy = this.comparisonService.getRematchPolicy();
+        const modes = [
+            { key: REMATCH.MODES.ON_REQUEST, name: 'Only when requested' },
+            { key: REMATCH.MODES.COOLDOWN, name: 'After a cooldown' },
+            { key: REMATCH.MODES.AFTER_COMPARISONS, name: 'After other comparisons' }
+        ];
+
+        let threshold = '';
+        if (policy.mode === REMATCH.MODES.COOLDOWN) {
+            threshold = this.renderRematchThreshold('rematchCooldownDays', 'Days', policy.cooldownDays);
+        } else if (policy.mode === REMATCH.MODES.AFTER_COMPARISONS) {
+            threshold = this.renderRematchThreshold('rematchMinComparisons', 'Comparisons', policy.minComparisons);
+        }
+
+        return `
+            <div class="form-group rematch-policy-selector">
+                <label for="rematchPolicySelect">Re-matches</label>
+                <div class="rematch-policy-selector__inputs">
+                    <select
+                        id="rematchPolicySelect"
+                        class="form-control"
+                        aria-describedby="rematch-policy-help">
+                        ${modes.map(mode => `
+                            <option value="${mode.key}" ${mode.key === policy.mode ? 'selected' : ''}>
+                                ${mode.name}
+                            </option>
+                        `).join('')}
+                    </select>
+                    ${threshold}
+                </div>
+                <p class="form-help-text" id="rematch-policy-help">
+                    When every pair has been compared, already-compared pairs can be offered again so
+                    ratings keep up with players who improve. Request a specific re-match from the History page.
+                </p>
+            </div>
+        `;
+    }
+
+    renderRematchThreshold(id, label, value) {
+        return `
+            <input
+                type="number"
+                id="${id}"
+                class="form-control rematch-policy-selector__threshold"
+                value="${value}"
+                min="1"
+                aria-label="${label}">
+            <span class="text-sm text-secondary">${label.toLowerCase()}</span>
+        `;
+    }
+
+    renderUndoControl() {
+        const undoableCount = this.comparisonHistoryService.getUndoableCount();
+
+        return `
+            <div class="compare-undo">
+                <button
+                    class="btn btn-secondary btn-sm"
+                    id="undoComparisonBtn"
+                    aria-label="Undo last comparison (keyboard: Z)"
+                    ${undoableCount === 0 ? 'disabled' : ''}>
+                    ${getIcon('refresh', { size: 16, className: 'btn-icon' })}
+                    Undo last comparison
+                    <span class="keyboard-hint-button" aria-hidden="true">Z</span>
+                </button>
+                <a href="/history/" class="compare-undo__link text-sm" data-route="/history/">View history</a>
+            </div>
+        `;
+    }
+
     attachEventListeners() {
+        // Rating engine selector
+        const engineSelect = this.$('#ratingEngineSelect');
+        if (engineSelect) {
+            engineSelect.addEventListener('change', (e) => this.handleRatingEngineChange(e.target.value));
+        }
+
+        // Pairing mode selector
+        const pairingSelect = this.$('#pairingModeSelect');
+        if (pairingSelect) {
+            pairingSelect.addEventListener('change', (e) => this.handlePairingModeChange(e.target.value));
+        }
+
+        // Graded comparisons
+        const gradedSelect = this.$('#gradedModeSelect');
+        if (gradedSelect) {
+            gradedSelect.addEventListener('change', (e) => this.handleGradedModeChange(e.target.value === 'on'));
+        }
+
+        // Re-match policy
+        const rematchSelect = this.$('#rematchPolicySelect');
+        if (rematchSelect) {
+            rematchSelect.addEventListener('change', (e) => this.handleRematchPolicyChange({ mode: e.target.value }));
+        }
+
+        const cooldownInput = this.$('#rematchCooldownDays');
+        if (cooldownInput) {
+            cooldownInput.addEventListener('change', (e) => {
+                this.handleRematchPolicyChange({ cooldownDays: parseInt(e.target.value) });
+            });
+        }
+
+        const minComparisonsInput = this.$('#rematchMinComparisons');
+        if (minComparisonsInput) {
+            minComparisonsInput.addEventListener('change', (e) => {
+                this.handleRematchPolicyChange({ minComparisons: parseInt(e.target.value) });
+            });
+        }
+
+        // Undo last comparison
+        const undoBtn = this.$('#undoComparisonBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.handleUndo());
+        }
+
         // Remove old keyboard event listener before adding a new one
         if (this.handleKeyboard) {
             document.removeEventListener('keydown', this.handleKeyboard);
@@ -214,9 +501,6 @@ class ComparePage extends BasePage {
 
         // Keyboard shortcuts for comparison
         this.handleKeyboard = (e) => {
-            // Only handle keyboard shortcuts if we have an active comparison
-            if (!this.currentPair) return;
-
             // Don't handle shortcuts if user is typing in an input/textarea
             if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
                 return;
@@ -224,7 +508,19 @@ class ComparePage extends BasePage {
 
             const key = e.key.toLowerCase();
 
-            if ([KEYBOARD_KEYS.A, KEYBOARD_KEYS.D, KEYBOARD_KEYS.W].includes(key)) {
+            // Undo works even when the position has no pairs left
+            if (key === KEYBOARD_KEYS.Z && !e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                this.handleUndo();
+                return;
+            }
+
+            // Only handle comparison shortcuts if we have an active comparison
+            if (!this.currentPair) return;
+
+            const gradeKeys = this.comparisonService.isGradedMode() ? [KEYBOARD_KEYS.Q, KEYBOARD_KEYS.E] : [];
+
+            if ([KEYBOARD_KEYS.A, KEYBOARD_KEYS.D, KEYBOARD_KEYS.W, ...gradeKeys].includes(key)) {
                 e.preventDefault();
 
                 // Delegate to ComparisonArea component
@@ -247,6 +543,16 @@ class ComparePage extends BasePage {
                             if (this.currentPair) {
                                 this.handleDraw(this.currentPair[0].id, this.currentPair[1].id);
                             }
+                        } else if (key === KEYBOARD_KEYS.Q) {
+                            const leftCard = this.comparisonArea.leftCard;
+                            if (leftCard) {
+                                this.handleComparison(leftCard.player.id, leftCard.opponentId, GRADES.LEVELS.SLIGHT);
+                            }
+                        } else if (key === KEYBOARD_KEYS.E) {
+                            const rightCard = this.comparisonArea.rightCard;
+                            if (rightCard) {
+                                this.handleComparison(rightCard.player.id, rightCard.opponentId, GRADES.LEVELS.SLIGHT);
+                            }
                         }
                     }, 50);
                 }
@@ -282,6 +588,81 @@ class ComparePage extends BasePage {
         }
     }
 
+    handleRatingEngineChange(engineKey) {
+        try {
+            this.ratingEngineService.setActiveEngine(engineKey);
+            toast.success(`Rating engine switched to ${this.ratingEngineService.getActiveEngineName()}`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleGradedModeChange(enabled) {
+        try {
+            this.comparisonService.setGradedMode(enabled);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handlePairingModeChange(mode) {
+        try {
+            this.comparisonService.setPairingMode(mode);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleRaterSelect(raterId) {
+        try {
+            this.raterService.setActiveRater(raterId || null);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleRaterAdd(name, weight) {
+        try {
+            const rater = this.raterService.add(name, weight);
+            this.raterService.setActiveRater(rater.id);
+            toast.success(`${rater.name} added and is now judging`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleRaterUpdate(raterId, updates) {
+        try {
+            this.raterService.update(raterId, updates);
+        } catch (error) {
+            toast.error(error.message);
+            this.update();
+        }
+    }
+
+    handleRaterRemove(raterId) {
+        const rater = this.raterService.getById(raterId);
+        if (!rater || !confirm(`Remove rater ${rater.name}? Their comparisons are kept.`)) {
+            return;
+        }
+
+        try {
+            this.raterService.remove(raterId);
+            toast.success(`${rater.name} removed`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleRematchPolicyChange(updates) {
+        try {
+            this.comparisonService.setRematchPolicy(updates);
+        } catch (error) {
+            toast.error(error.message);
+            this.update();
+        }
+    }
+
     handlePositionReset(positionKey) {
         const positionName = this.activityConfig.positions[positionKey];
         const confirmed = confirm(`Are you sure you want to reset all comparisons for ${positionName}? This cannot be undone.`);
@@ -323,9 +704,9 @@ class ComparePage extends BasePage {
         }, 0);
     }
 
-    handleComparison(winnerId, loserId) {
+    handleComparison(winnerId, loserId, grade = GRADES.DEFAULT_GRADE) {
         try {
-            this.comparisonService.processComparison(winnerId, loserId, this.selectedPosition);
+            this.comparisonService.processComparison(winnerId, loserId, this.selectedPosition, grade);
         } catch (error) {
             toast.error(error.message);
         }
@@ -340,6 +721,86 @@ class ComparePage extends BasePage {
         }
     }
 
+    handleUndo() {
+        try {
+            this.comparisonHistoryService.undoLast(1);
+            toast.success(MESSAGES.SUCCESS.UNDO_COMPLETE, TOAST.QUICK_DURATION);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    showRejudgeModal(entry) {
+        const winner = this.escape(entry.winnerName);
+        const loser = this.escape(entry.loserName);
+        const gradedMode = this.comparisonService.isGradedMode();
+        const better = gradedMode ? 'is clearly better' : 'is better';
+
+        const modal = new Modal({
+            title: 'Re-judge Comparison',
+            content: `
+                <div class="modal-content-inner">
+                    <p class="form-help-text mb-3">
+                        Previously recorded: <strong>${winner}</strong>
+                        ${entry.grade === GRADES.LEVELS.SLIGHT ? 'narrowly beat' : 'beat'} <strong>${loser}</strong>.
+                        The new result replaces it and ratings are adjusted accordingly.
+                    </p>
+                    <div class="form-group rejudge-options">
+                        <label class="position-checkbox">
+                            <input type="radio" name="rejudgeResult" value="winner" class="position-input" checked>
+                            <span class="position-label">${winner} ${better}</span>
+                        </label>
+                        ${gradedMode ? `
+                            <label class="position-checkbox">
+                                <input type="radio" name="rejudgeResult" value="winner-slight" class="position-input">
+                                <span class="position-label">${winner} is slightly better</span>
+                            </label>
+                        ` : ''}
+                        <label class="position-checkbox">
+                            <input type="radio" name="rejudgeResult" value="draw" class="position-input">
+                            <span class="position-label">Equal skill (Win-Win)</span>
+                        </label>
+                        ${gradedMode ? `
+                            <label class="position-checkbox">
+                                <input type="radio" name="rejudgeResult" value="loser-slight" class="position-input">
+                                <span class="position-label">${loser} is slightly better</span>
+                            </label>
+                        ` : ''}
+                        <label class="position-checkbox">
+                            <input type="radio" name="rejudgeResult" value="loser" class="position-input">
+                            <span class="position-label">${loser} ${better}</span>
+                        </label>
+                    </div>
+                </div>
+            `,
+            showCancel: true,
+            showConfirm: true,
+            confirmText: 'Save Result',
+            onConfirm: () => {
+                const choice = document.querySelector('input[name="rejudgeResult"]:checked')?.value || 'winner';
+                const [side, slight] = choice.split('-');
+                const grade = slight ? GRADES.LEVELS.SLIGHT : GRADES.LEVELS.CLEAR;
+
+                try {
+                    if (side === 'loser') {
+                        this.comparisonService.rejudgeComparison(entry.loserId, entry.winnerId, entry.position, false, grade);
+                    } else {
+                        this.comparisonService.rejudgeComparison(entry.winnerId, entry.loserId, entry.position, side === 'draw', grade);
+                    }
+                    toast.success('Result updated');
+                    return true;
+                } catch (error) {
+                    toast.error(error.message);
+                    return false;
+                }
+            }
+        });
+
+        this.addComponent(modal);
+        modal.mount();
+        modal.open();
+    }
+
     showResetAllModal() {
         const progress = this.comparisonService.getAllProgress();
         const totalComparisons = Object.values(progress).reduce((sum, p) => sum + p.completed, 0);
@@ -0,0 +1,357 @@
+// src/pages/HistoryPage.js
+
+/**
+ * HistoryPage - Comparison log with undo
+ */
+import BasePage from './BasePage.js';
+import Sidebar from '../components/Sidebar.js';
+import toast from '../components/base/Toast.js';
+import { activities } from '../config/activities/index.js';
+import { getIcon } from '../components/base/Icons.js';
+import { formatDate } from '../utils/formatters.js';
+import uiConfig from '../config/ui.js';
+import ratingConfig from '../config/rating.js';
+
+const { ELEMENT_IDS, INPUT_CONSTRAINTS, MESSAGES } = uiConfig;
+const { GRADES } = ratingConfig;
+
+class HistoryPage extends BasePage {
+    constructor(container, props = {}) {
+        super(container, props);
+        this.setTitle('History');
+
+        // Get services from props
+        this.activityConfig = props.activityConfig;
+        this.activityKey = props.activityKey;
+        this.playerService = props.services?.resolve('playerService');
+        this.comparisonHistoryService = props.services?.resolve('comparisonHistoryService');
+        this.comparisonService = props.services?.resolve('comparisonService');
+        this.raterService = props.services?.resolve('raterService');
+        this.sessionService = props.services?.resolve('sessionService');
+        this.eventBus = props.services?.resolve('eventBus');
+        this.sidebar = null;
+
+        // Filters survive re-renders
+        this.filterPosition = '';
+        this.filterPlayerId = '';
+        this.filterRaterId = '';
+        this.showUndone = true;
+        this.undoCount = INPUT_CONSTRAINTS.UNDO_COUNT.DEFAULT;
+    }
+
+    onCreate() {
+        this.on('comparison:completed', () => this.update());
+        this.on('comparison:undone', () => this.update());
+        this.on('comparison:rejudged', () => this.update());
+        this.on('match:recorded', () => this.update());
+        this.on('player:removed', () => this.update());
+        this.on('state:changed', () => this.update());
+        this.on('session:activated', () => {
+            this.filterPosition = '';
+            this.filterPlayerId = '';
+            this.filterRaterId = '';
+            this.update();
+        });
+    }
+
+    onMount() {
+        this.mountSidebar();
+        this.attachEventListeners();
+    }
+
+    onUpdate() {
+        // Re-mount sidebar if container was re-rendered
+        this.mountSidebar();
+        this.attachEventListeners();
+    }
+
+    onDestroy() {
+        if (this.sidebar) {
+            this.sidebar.destroy();
+            this.sidebar = null;
+        }
+    }
+
+    mountSidebar() {
+        const sidebarContainer = document.getElementById(ELEMENT_IDS.SIDEBAR_CONTAINER);
+        if (!sidebarContainer) return;
+
+        // Check if sidebar already exists and is properly mounted
+        if (this.sidebar && sidebarContainer.children.length > 0) {
+            this.sidebar.update();
+            return;
+        }
+
+        // Destroy old sidebar if it exists but is not mounted
+        if (this.sidebar) {
+            this.sidebar.destroy();
+        }
+
+        const activityConfig = this.activityKey ? activities[this.activityKey] : null;
+
+        this.sidebar = new Sidebar(sidebarContainer, {
+            sessionService: this.sessionService,
+            eventBus: this.eventBus,
+            activityKey: this.activityKey,
+            activityName: activityConfig?.name || null
+        });
+
+        this.sidebar.mount();
+        this.addComponent(this.sidebar);
+        this.setupMobileSidebarToggle();
+    }
+
+    render() {
+        const entries = this.comparisonHistoryService.getLog({
+            position: this.filterPosition,
+            playerId: this.filterPlayerId,
+            raterId: this.filterRaterId,
+            includeUndone: this.showUndone
+        });
+        const undoableCount = this.comparisonHistoryService.getUndoableCount();
+
+        return this.renderPageWithSidebar(`
+            <header class="page-header">
+                <h2>Comparison History</h2>
+                <p class="page-subtitle">Review every comparison and match result in this session and undo recent mistakes</p>
+            </header>
+
+            <div class="page-controls">
+                ${this.renderControls(undoableCount)}
+            </div>
+
+            <div class="page-content">
+                ${entries.length > 0
+                    ? `<ol class="history-list" aria-label="Comparison log">${entries.map(entry => this.renderEntry(entry)).join('')}</ol>`
+                    : this.renderEmpty('No comparisons match these filters yet. Compare players on the Compare page.', getIcon('file-text', { size: 40, color: 'var(--color-text-secondary)' }))
+                }
+            </div>
+        `);
+    }
+
+    renderControls(undoableCount) {
+        const positions = this.activityConfig?.positions || {};
+        const players = [...this.playerService.getAll()].sort((a, b) => a.name.localeCompare(b.name));
+        const raters = this.raterService.getAll();
+
+        return `
+            <div class="history-controls" role="region" aria-label="History filters and undo">
+                <div class="history-filters">
+                    <div class="form-group">
+                        <label for="historyPosition">Position</label>
+                        <select id="historyPosition" class="form-control">
+                            <option value="">All positions</option>
+                            ${Object.entries(positions).map(([key, name]) => `
+                                <option value="${key}" ${key === this.filterPosition ? 'selected' : ''}>${name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="historyPlayer">Player</label>
+                        <select id="historyPlayer" class="form-control">
+                            <option value="">All players</option>
+                            ${players.map(player => `
+                                <option value="${player.id}" ${player.id === this.filterPlayerId ? 'selected' : ''}>${this.escape(player.name)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    ${raters.length > 0 ? `
+                        <div class="form-group">
+                            <label for="historyRater">Rater</label>
+                            <select id="historyRater" class="form-control">
+                                <option value="">All raters</option>
+                                ${raters.map(rater => `
+                                    <option value="${rater.id}" ${rater.id === this.filterRaterId ? 'selected' : ''}>${this.escape(rater.name)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    ` : ''}
+                    <label class="history-toggle">
+                        <input type="checkbox" id="historyShowUndone" ${this.showUndone ? 'checked' : ''}>
+                        <span>Show undone</span>
+                    </label>
+                </div>
+
+                <div class="history-undo">
+                    <div class="form-group">
+                        <label for="historyUndoCount">Undo last</label>
+                        <input
+                            type="number"
+                            id="historyUndoCount"
+                            class="form-control"
+                            value="${Math.min(this.undoCount, Math.max(undoableCount, INPUT_CONSTRAINTS.UNDO_COUNT.MIN))}"
+                            min="${INPUT_CONSTRAINTS.UNDO_COUNT.MIN}"
+                            max="${Math.max(Math.min(undoableCount, INPUT_CONSTRAINTS.UNDO_COUNT.MAX), INPUT_CONSTRAINTS.UNDO_COUNT.MIN)}"
+                            aria-describedby="history-undo-help"
+                            ${undoableCount === 0 ? 'disabled' : ''}
+                        >
+                        <p class="form-help-text" id="history-undo-help">
+                            ${undoableCount} comparison${undoableCount === 1 ? '' : 's'} can be undone. Undo restores the exact ratings from before.
+                        </p>
+                    </div>
+                    <button class="btn btn-secondary" id="historyUndoBtn" ${undoableCount === 0 ? 'disabled' : ''}>
+                        ${getIcon('refresh', { size: 16, className: 'btn-icon' })}
+                        Undo
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderEntry(entry) {
+        if (entry.kind === 'match') {
+            return this.renderMatchEntry(entry);
+        }
+
+        const positionName = this.activityConfig?.positions?.[entry.position] || entry.position;
+        const winner = this.escape(entry.winnerName);
+        const loser = this.escape(entry.loserName);
+        const outcome = entry.isDraw
+            ? `<strong>${winner}</strong> and <strong>${loser}</strong> — Win-Win`
+            : `<strong>${winner}</strong> ${entry.grade === GRADES.LEVELS.SLIGHT ? 'narrowly beat' : 'beat'} <strong>${loser}</strong>`;
+
+        return `
+            <li class="history-item ${entry.undoneAt ? 'history-item--undone' : ''}">
+                <div class="history-item__header d-flex items-center gap-2">
+                    <span class="history-item__outcome">${outcome}</span>
+                    <span class="status-badge status-badge--neutral">${positionName}</span>
+                    ${entry.raterName ? `<span class="status-badge status-badge--neutral" title="Judged by">${this.escape(entry.raterName)}</span>` : ''}
+                    ${entry.undoneAt ? `<span class="status-badge status-badge--warning" title="Undone ${formatDate(entry.undoneAt, 'datetime')}">Undone</span>` : ''}
+                    ${entry.overrides ? '<span class="status-badge status-badge--in-progress">Re-judged</span>' : ''}
+                    ${entry.overriddenBy ? '<span class="status-badge status-badge--neutral" title="Replaced by a later re-judgment">Replaced</span>' : ''}
+                    ${entry.resetAt ? `<span class="status-badge status-badge--neutral" title="Cleared by a reset ${formatDate(entry.resetAt, 'datetime')}">Reset</span>` : ''}
+                    ${!entry.undoneAt && !entry.overriddenBy && !entry.resetAt ? `
+                        <button
+                            type="button"
+                            class="btn btn-sm btn-secondary history-item__rematch-btn"
+                            data-entry-id="${entry.id}"
+                            aria-label="Compare ${winner} and ${loser} again">
+                            ${getIcon('refresh', { size: 14, className: 'btn-icon' })}
+                            Compare again
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="history-item__details text-sm text-secondary d-flex items-center gap-2">
+                    <span>${this.renderRatingChange(entry.winnerName, entry.before.winner, entry.after.winner)}</span>
+                    <span aria-hidden="true"> • </span>
+                    <span>${this.renderRatingChange(entry.loserName, entry.before.loser, entry.after.loser)}</span>
+                    <span aria-hidden="true"> • </span>
+                    <time datetime="${entry.timestamp}">${formatDate(entry.timestamp, 'datetime')}</time>
+                </div>
+            </li>
+        `;
+    }
+
+    renderMatchEntry(entry) {
+        const [first, second] = entry.teams;
+        const score = entry.score ? ` ${entry.score[0]}–${entry.score[1]}` : '';
+        const outcome = entry.isDraw
+            ? `<strong>${this.escape(first.name)}</strong> drew with <strong>${this.escape(second.name)}</strong>${score}`
+            : `<strong>${this.escape(entry.teams[entry.winnerTeam].name)}</strong> beat <strong>${this.escape(entry.teams[1 - entry.winnerTeam].name)}</strong>${score}`;
+
+        return `
+            <li class="history-item ${entry.undoneAt ? 'history-item--undone' : ''}">
+                <div class="history-item__header d-flex items-center gap-2">
+                    <span class="history-item__outcome">${outcome}</span>
+                    <span class="status-badge status-badge--in-progress">Match</span>
+                    ${entry.undoneAt ? `<span class="status-badge status-badge--warning" title="Undone ${formatDate(entry.undoneAt, 'datetime')}">Undone</span>` : ''}
+                    ${entry.resetAt ? `<span class="status-badge status-badge--neutral" title="Cleared by a reset ${formatDate(entry.resetAt, 'datetime')}">Reset</span>` : ''}
+                </div>
+                <div class="history-item__details text-sm text-secondary d-flex items-center gap-2">
+                    ${entry.players.map(p => `
+                        <span>${this.renderRatingChange(p.before.name, p.before, p.after)}</span>
+                        <span aria-hidden="true"> • </span>
+                    `).join('')}
+                    <time datetime="${entry.timestamp}">${formatDate(entry.timestamp, 'datetime')}</time>
+                </div>
+            </li>
+        `;
+    }
+
+    renderRatingChange(name, before, after) {
+        const change = Math.round(after.rating - before.rating);
+        const sign = change > 0 ? '+' : '';
+        return `${this.escape(name)}: ${Math.round(before.rating)} → ${Math.round(after.rating)} (${sign}${change})`;
+    }
+
+    attachEventListeners() {
+        const positionSelect = this.$('#historyPosition');
+        if (positionSelect) {
+            positionSelect.addEventListener('change', (e) => {
+                this.filterPosition = e.target.value;
+                this.update();
+            });
+        }
+
+        const playerSelect = this.$('#historyPlayer');
+        if (playerSelect) {
+            playerSelect.addEventListener('change', (e) => {
+                this.filterPlayerId = e.target.value;
+                this.update();
+            });
+        }
+
+        const raterSelect = this.$('#historyRater');
+        if (raterSelect) {
+            raterSelect.addEventListener('change', (e) => {
+                this.filterRaterId = e.target.value;
+                this.update();
+            });
+        }
+
+        const showUndoneToggle = this.$('#historyShowUndone');
+        if (showUndoneToggle) {
+            showUndoneToggle.addEventListener('change', (e) => {
+                this.showUndone = e.target.checked;
+                this.update();
+            });
+        }
+
+        const undoCountInput = this.$('#historyUndoCount');
+        if (undoCountInput) {
+            undoCountInput.addEventListener('change', (e) => {
+                this.undoCount = parseInt(e.target.value) || INPUT_CONSTRAINTS.UNDO_COUNT.DEFAULT;
+            });
+        }
+
+        const undoBtn = this.$('#historyUndoBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.handleUndo());
+        }
+
+        this.$$('.history-item__rematch-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.handleRematch(btn.getAttribute('data-entry-id')));
+        });
+    }
+
+    handleRematch(entryId) {
+        const entry = this.comparisonHistoryService.getLog().find(e => e.id === entryId);
+        if (!entry) return;
+
+        try {
+            this.comparisonService.requestRematch(entry.winnerId, entry.loserId, entry.position);
+            toast.success(`${entry.winnerName} and ${entry.loserName} will be compared again next`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleUndo() {
+        const input = this.$('#historyUndoCount');
+        const count = parseInt(input?.value) || INPUT_CONSTRAINTS.UNDO_COUNT.DEFAULT;
+
+        if (count > 1 && !confirm(`Undo the last ${count} comparisons?`)) {
+            return;
+        }
+
+        try {
+            const undone = this.comparisonHistoryService.undoLast(count);
+            this.undoCount = INPUT_CONSTRAINTS.UNDO_COUNT.DEFAULT;
+            toast.success(undone.length === 1 ? MESSAGES.SUCCESS.UNDO_COMPLETE : `${undone.length} comparisons undone`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+}
+
+export default HistoryPage;
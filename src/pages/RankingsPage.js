@@ -5,12 +5,17 @@
  */
 import BasePage from './BasePage.js';
 import Sidebar from '../components/Sidebar.js';
+import Modal from '../components/base/Modal.js';
+import toast from '../components/base/Toast.js';
 import storage from '../core/StorageAdapter.js';
 import { activities } from '../config/activities/index.js';
 import { getIcon } from '../components/base/Icons.js';
+import { formatDate } from '../utils/formatters.js';
 import uiConfig from '../config/ui.js';
+import ratingConfig from '../config/rating.js';
 
 const { ELEMENT_IDS } = uiConfig;
+const { DECAY, SEASON } = ratingConfig;
 
 class RankingsPage extends BasePage {
     constructor(container, props = {}) {
@@ -21,9 +26,16 @@ class RankingsPage extends BasePage {
         this.activityConfig = props.activityConfig;
         this.activityKey = props.activityKey; // Key like 'volleyball', 'basketball', etc.
         this.playerService = props.services?.resolve('playerService');
+        this.ratingEngineService = props.services?.resolve('ratingEngineService');
+        this.ratingRecomputeService = props.services?.resolve('ratingRecomputeService');
+        this.raterService = props.services?.resolve('raterService');
+        this.ratingDecayService = props.services?.resolve('ratingDecayService');
         this.sessionService = props.services?.resolve('sessionService');
         this.eventBus = props.services?.resolve('eventBus');
         this.sidebar = null;
+
+        // 'current', 'combined' or a rater ID
+        this.ratingsView = 'current';
     }
 
     onCreate() {
@@ -32,16 +44,73 @@ class RankingsPage extends BasePage {
         this.on('player:removed', () => this.update());
         this.on('player:reset', () => this.update());
         this.on('state:changed', () => this.update());
-        this.on('session:activated', () => this.update());
+        this.on('session:activated', () => {
+            this.ratingsView = 'current';
+            this.update();
+        });
+        this.on('rating-engine:changed', () => this.update());
+        this.on('rater:updated', () => this.update());
+        this.on('rater:removed', () => this.update());
+        this.on('ratings:recomputed', () => this.update());
+        this.on('match:recorded', () => this.update());
+        this.on('decay-policy:changed', () => this.update());
+        this.on('ratings:decayed', () => this.update());
+        this.on('season:started', () => this.update());
     }
 
     onMount() {
         this.mountSidebar();
+        this.attachEventListeners();
     }
 
     onUpdate() {
         // Re-mount sidebar if container was re-rendered
         this.mountSidebar();
+        this.attachEventListeners();
+    }
+
+    attachEventListeners() {
+        const viewSelect = this.$('#ratingsViewSelect');
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.ratingsView = e.target.value;
+                this.update();
+            });
+        }
+
+        this.$$('.recompute-ratings-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.showRecomputeModal(btn.dataset.position));
+        });
+
+        // Inactivity decay
+        const decayModeSelect = this.$('#decayModeSelect');
+        if (decayModeSelect) {
+            decayModeSelect.addEventListener('change', (e) => this.handleDecayPolicyChange({ mode: e.target.value }));
+        }
+
+        const graceInput = this.$('#decayGraceDays');
+        if (graceInput) {
+            graceInput.addEventListener('change', (e) => {
+                this.handleDecayPolicyChange({ graceDays: parseInt(e.target.value) });
+            });
+        }
+
+        const rateInput = this.$('#decayRate');
+        if (rateInput) {
+            rateInput.addEventListener('change', (e) => {
+                this.handleDecayPolicyChange({ rate: parseFloat(e.target.value) / 100 });
+            });
+        }
+
+        const applyDecayBtn = this.$('#applyDecayBtn');
+        if (applyDecayBtn) {
+            applyDecayBtn.addEventListener('click', () => this.showDecayModal());
+        }
+
+        const newSeasonBtn = this.$('#newSeasonBtn');
+        if (newSeasonBtn) {
+            newSeasonBtn.addEventListener('click', () => this.showNewSeasonModal());
+        }
     }
 
     onDestroy() {
@@ -87,13 +156,26 @@ class RankingsPage extends BasePage {
     render() {
         const rankings = this.playerService.getRankings();
         const positions = this.activityConfig.positions;
+        const engineName = this.ratingEngineService.getActiveEngineName();
+        const raters = this.raterService.getAll();
+
+        // Fall back to current ratings if the viewed rater was removed
+        if (this.ratingsView !== 'current' && this.ratingsView !== 'combined' &&
+            !raters.some(r => r.id === this.ratingsView)) {
+            this.ratingsView = 'current';
+        }
 
         return this.renderPageWithSidebar(`
             <header class="page-header">
                 <h2>Player Rankings</h2>
-                <p class="page-subtitle">View and compare player skill ratings across all positions based on ELO rankings</p>
+                <p class="page-subtitle">View and compare player skill ratings across all positions based on ${engineName} rankings</p>
             </header>
 
+            <div class="page-controls">
+                ${raters.length > 0 ? this.renderViewSelector(raters) : ''}
+                ${this.renderMaintenanceControls()}
+            </div>
+
             <div class="page-content">
                 <div class="rankings-grid d-grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-6" role="region" aria-label="Player rankings by position">
                     ${Object.entries(positions).map(([key, name]) =>
@@ -104,7 +186,155 @@ class RankingsPage extends BasePage {
         `);
     }
 
-    renderPositionRankings(position, positionName, players) {
+    renderViewSelector(raters) {
+        return `
+            <div class="form-group ratings-view-selector">
+                <label for="ratingsViewSelect">Ratings</label>
+                <select id="ratingsViewSelect" class="form-control" aria-describedby="ratings-view-help">
+                    <option value="current" ${this.ratingsView === 'current' ? 'selected' : ''}>Current ratings</option>
+                    <option value="combined" ${this.ratingsView === 'combined' ? 'selected' : ''}>All raters (weighted)</option>
+                    ${raters.map(rater => `
+                        <option value="${rater.id}" ${rater.id === this.ratingsView ? 'selected' : ''}>
+                            ${this.escape(rater.name)} only
+                        </option>
+                    `).join('')}
+                </select>
+                <p class="form-help-text" id="ratings-view-help">
+                    Rater views are fitted from the logged comparisons of that rater, or of all raters by weight.
+                    Use Recompute to make the weighted ratings the current ones.
+                </p>
+            </div>
+        `;
+    }
+
+    renderMaintenanceControls() {
+        const policy = this.ratingDecayService.getPolicy();
+        const seasons = this.ratingDecayService.getSeasons();
+        const isOff = policy.mode === DECAY.MODES.OFF;
+        const dueCount = isOff ? 0 : this.ratingDecayService.preview().rows.length;
+        const modes = [
+            { key: DECAY.MODES.OFF, name: 'No decay' },
+            { key: DECAY.MODES.RATING, name: 'Drift toward default rating' },
+            { key: DECAY.MODES.UNCERTAINTY, name: 'Grow uncertainty (Glicko-2)' }
+        ];
+
+        return `
+            <div class="rating-maintenance">
+                <div class="form-group decay-policy-selector">
+                    <label for="decayModeSelect">Inactivity Decay</label>
+                    <div class="decay-policy-selector__inputs">
+                        <select id="decayModeSelect" class="form-control" aria-describedby="decay-policy-help">
+                            ${modes.map(mode => `
+                                <option value="${mode.key}" ${mode.key === policy.mode ? 'selected' : ''}>
+                                    ${mode.name}
+                                </option>
+                            `).join('')}
+                        </select>
+                        ${isOff ? '' : `
+                            <input
+                                type="number"
+                                id="decayGraceDays"
+                                class="form-control decay-policy-selector__number"
+                                value="${policy.graceDays}"
+                                min="1"
+                                aria-label="Grace period in days">
+                            <span class="text-sm text-secondary">days grace</span>
+                            ${policy.mode === DECAY.MODES.RATING ? `
+                                <input
+                                    type="number"
+                                    id="decayRate"
+                                    class="form-control decay-policy-selector__number"
+                                    value="${Math.round(policy.rate * 100)}"
+                                    min="1"
+                                    max="100"
+                                    aria-label="Decay per ${DECAY.PERIOD_DAYS} days in percent">
+                                <span class="text-sm text-secondary">% per ${DECAY.PERIOD_DAYS} days</span>
+                            ` : ''}
+                            <button
+                                type="button"
+                                class="btn btn-secondary btn-sm"
+                                id="applyDecayBtn"
+                                ${dueCount === 0 ? 'disabled' : ''}>
+                                Apply decay${dueCount > 0 ? ` (${dueCount})` : ''}
+                            </button>
+                        `}
+                    </div>
+                    <p class="form-help-text" id="decay-policy-help">
+                        Players not compared or played for longer than the grace period drift back toward
+                        the default rating, or their rating becomes less certain.
+                        ${policy.lastAppliedAt ? `Last applied ${formatDate(policy.lastAppliedAt, 'datetime')}.` : ''}
+                    </p>
+                </div>
+
+                <div class="form-group season-control">
+                    <label>Season</label>
+                    <div>
+                        <button type="button" class="btn btn-secondary btn-sm" id="newSeasonBtn">
+                            ${getIcon('refresh', { size: 16, className: 'btn-icon' })}
+                            Start new season
+                        </button>
+                    </div>
+                    <p class="form-help-text">
+                        ${seasons.length > 0
+                            ? `Season ${seasons.length + 1}, started ${formatDate(seasons[seasons.length - 1].startedAt)}.`
+                            : 'Soft-resets all ratings toward the position average. History is kept.'}
+                    </p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the players to list for a position in the selected view
+     * Rater views only include players the rater(s) compared.
+     */
+    getViewPlayers(position, players) {
+        if (this.ratingsView === 'current' || !players || players.length === 0) {
+            return players;
+        }
+
+        const fitted = this.ratingsView === 'combined'
+            ? this.raterService.getAggregatedRatings(position)
+            : this.raterService.getRaterRatings(position, this.ratingsView);
+
+        return fitted.rows.map(row => ({
+            id: row.playerId,
+            name: row.name,
+            positionRating: row.rating,
+            positionComparisons: row.games
+        }));
+    }
+
+    renderAgreement(position) {
+        const agreement = this.raterService.getAgreement(position);
+        if (agreement.agreement === null) {
+            return '';
+        }
+
+        const details = agreement.pairs
+            .map(p => `${p.raters[0].name} & ${p.raters[1].name}: ${Math.round(p.agreement * 100)}% of ${p.shared}`)
+            .join('\n');
+
+        return `
+            <p class="text-xs text-tertiary ranking-agreement" title="${this.escape(details)}">
+                Rater agreement: ${Math.round(agreement.agreement * 100)}% (${agreement.agreed}/${agreement.shared} shared pairs)
+            </p>
+        `;
+    }
+
+    renderPositionRankings(position, positionName, allPlayers) {
+        const players = this.getViewPlayers(position, allPlayers);
+
+        if (allPlayers && allPlayers.length > 0 && players.length === 0) {
+            const icon = getIcon('file-text', { size: 40, color: 'var(--color-text-secondary)' });
+            return `
+                <article class="ranking-card" role="region" aria-label="${positionName} rankings">
+                    <h3 class="ranking-title">${positionName}s</h3>
+                    ${this.renderEmpty(`No logged ${positionName} comparisons for this view yet.`, icon)}
+                </article>
+            `;
+        }
+
         if (!players || players.length === 0) {
             const icon = getIcon('users-x', { size: 40, color: 'var(--color-text-secondary)' });
             return `
@@ -119,7 +349,17 @@ class RankingsPage extends BasePage {
             <article class="ranking-card" role="region" aria-label="${positionName} rankings">
                 <header class="ranking-header mb-4">
                     <h3 class="ranking-title font-semibold text-lg">${positionName}s</h3>
-                    <p class="text-xs text-tertiary">${players.length} player${players.length !== 1 ? 's' : ''} ranked</p>
+                    <div class="d-flex items-center justify-between gap-2">
+                        <p class="text-xs text-tertiary">${players.length} player${players.length !== 1 ? 's' : ''} ranked</p>
+                        <button
+                            class="btn btn-secondary btn-sm recompute-ratings-btn"
+                            data-position="${position}"
+                            title="Refit ${positionName} ratings from all logged comparisons at once">
+                            ${getIcon('refresh', { size: 14, className: 'btn-icon' })}
+                            Recompute
+                        </button>
+                    </div>
+                    ${this.renderAgreement(position)}
                 </header>
                 <ol class="ranking-list" aria-label="${positionName} player rankings">
                     ${players.map((player, index) =>
@@ -130,6 +370,197 @@ class RankingsPage extends BasePage {
         `;
     }
 
+    showRecomputeModal(position) {
+        const positionName = this.activityConfig.positions[position];
+        const preview = this.ratingRecomputeService.preview(position);
+
+        if (preview.rows.length === 0) {
+            toast.info(`${positionName}: No logged comparisons to recompute ratings from`);
+            return;
+        }
+
+        const modal = new Modal({
+            title: `Recompute ${positionName} Ratings`,
+            content: this.renderRecomputePreview(preview),
+            size: 'large',
+            showCancel: true,
+            showConfirm: true,
+            confirmText: 'Apply Ratings',
+            onConfirm: () => {
+                try {
+                    this.ratingRecomputeService.apply(position);
+                    toast.success(`${positionName} ratings recomputed from ${preview.comparisons} comparison${preview.comparisons === 1 ? '' : 's'}`);
+                    return true;
+                } catch (error) {
+                    toast.error(error.message);
+                    return false;
+                }
+            }
+        });
+
+        this.addComponent(modal);
+        modal.mount();
+        modal.open();
+    }
+
+    renderRecomputePreview(preview) {
+        return `
+            <div class="modal-content-inner">
+                <p class="form-help-text mb-3">
+                    Ratings are fitted to all ${preview.comparisons} logged comparison${preview.comparisons === 1 ? '' : 's'} at once (Bradley-Terry model),
+                    so the order in which they were made no longer matters.
+                    ${preview.converged ? '' : 'The fit did not fully converge; results are approximate.'}
+                </p>
+                <table class="recompute-preview" aria-label="Current and recomputed ratings">
+                    <thead>
+                        <tr>
+                            <th scope="col">Player</th>
+                            <th scope="col">Current</th>
+                            <th scope="col">Recomputed</th>
+                            <th scope="col">Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${preview.rows.map(row => {
+                            const change = Math.round(row.change);
+                            const changeClass = change > 0 ? 'recompute-preview__change--up' : change < 0 ? 'recompute-preview__change--down' : '';
+                            return `
+                                <tr>
+                                    <td>${this.escape(row.name)} <span class="text-xs text-tertiary">(${row.games} comp.)</span></td>
+                                    <td>${Math.round(row.currentRating)}</td>
+                                    <td>${Math.round(row.fittedRating)}</td>
+                                    <td class="${changeClass}">${change > 0 ? '+' : ''}${change}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                ${preview.skipped.length > 0 ? `
+                    <p class="form-help-text mt-3">
+                        Unchanged (no logged comparisons): ${preview.skipped.map(p => this.escape(p.name)).join(', ')}
+                    </p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    handleDecayPolicyChange(updates) {
+        try {
+            this.ratingDecayService.setPolicy(updates);
+        } catch (error) {
+            toast.error(error.message);
+            this.update();
+        }
+    }
+
+    showDecayModal() {
+        const preview = this.ratingDecayService.preview();
+
+        if (preview.rows.length === 0) {
+            toast.info('No inactive players to decay');
+            return;
+        }
+
+        const isUncertainty = preview.mode === DECAY.MODES.UNCERTAINTY;
+
+        const modal = new Modal({
+            title: 'Apply Inactivity Decay',
+            content: `
+                <div class="modal-content-inner">
+                    <p class="form-help-text mb-3">
+                        ${isUncertainty
+                            ? 'Ratings stay the same; their uncertainty grows so the next comparisons move them faster.'
+                            : 'Ratings of inactive players move back toward the default rating.'}
+                    </p>
+                    <table class="recompute-preview" aria-label="Decay preview">
+                        <thead>
+                            <tr>
+                                <th scope="col">Player</th>
+                                <th scope="col">Position</th>
+                                <th scope="col">Inactive</th>
+                                <th scope="col">${isUncertainty ? 'Deviation' : 'Rating'}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${preview.rows.map(row => `
+                                <tr>
+                                    <td>${this.escape(row.name)}</td>
+                                    <td>${this.activityConfig.positions[row.position] || row.position}</td>
+                                    <td>${row.inactiveDays} days</td>
+                                    <td>${isUncertainty
+                                        ? `±${Math.round(row.currentDeviation)} → ±${Math.round(row.newDeviation)}`
+                                        : `${Math.round(row.currentRating)} → ${Math.round(row.newRating)}`}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `,
+            size: 'large',
+            showCancel: true,
+            showConfirm: true,
+            confirmText: 'Apply Decay',
+            onConfirm: () => {
+                try {
+                    this.ratingDecayService.apply();
+                    toast.success('Inactivity decay applied');
+                    return true;
+                } catch (error) {
+                    toast.error(error.message);
+                    return false;
+                }
+            }
+        });
+
+        this.addComponent(modal);
+        modal.mount();
+        modal.open();
+    }
+
+    showNewSeasonModal() {
+        const modal = new Modal({
+            title: 'Start New Season',
+            content: `
+                <div class="modal-content-inner">
+                    <p class="form-help-text mb-3">
+                        Every rating moves toward the average of its position, so last season's gaps
+                        shrink but the order is kept. Comparison history and counts are not touched.
+                    </p>
+                    <div class="form-group">
+                        <label for="seasonResetFraction">Reset strength (%)</label>
+                        <input
+                            type="number"
+                            id="seasonResetFraction"
+                            class="form-control"
+                            value="${Math.round(SEASON.DEFAULT_FRACTION * 100)}"
+                            min="1"
+                            max="100">
+                        <p class="form-help-text">100% puts everyone at the position average.</p>
+                    </div>
+                </div>
+            `,
+            showCancel: true,
+            showConfirm: true,
+            confirmText: 'Start Season',
+            onConfirm: () => {
+                const fraction = parseFloat(document.getElementById('seasonResetFraction')?.value) / 100;
+
+                try {
+                    const preview = this.ratingDecayService.startNewSeason(fraction);
+                    toast.success(`New season started; ${preview.rows.length} rating${preview.rows.length === 1 ? '' : 's'} reset`);
+                    return true;
+                } catch (error) {
+                    toast.error(error.message);
+                    return false;
+                }
+            }
+        });
+
+        this.addComponent(modal);
+        modal.mount();
+        modal.open();
+    }
+
     renderRankingItem(player, index, position) {
         const rank = index + 1;
         const rankClass = rank === 1 ? 'gold' : rank === 2 ? 'silver' : rank === 3 ? 'bronze' : '';
@@ -137,6 +568,12 @@ class RankingsPage extends BasePage {
         const comparisons = player.positionComparisons;
         const rankLabel = rank === 1 ? '🥇 1st' : rank === 2 ? '🥈 2nd' : rank === 3 ? '🥉 3rd' : `#${rank}`;
 
+        // Rating deviation is only available for engines that track uncertainty
+        // (rater views are fitted from the log and have none)
+        const isFitted = this.ratingsView !== 'current';
+        const deviation = isFitted ? null : this.ratingEngineService.getRatingDeviation(player, position);
+        const isUncertain = isFitted ? false : this.ratingEngineService.isUncertain(player, position);
+
         // Determine comparison status
         const hasComparisons = comparisons > 0;
         const statusClass = hasComparisons ? 'success' : 'neutral';
@@ -150,9 +587,14 @@ class RankingsPage extends BasePage {
                     ${rank}
                 </div>
                 <div class="ranking-info flex-1">
-                    <div class="ranking-name font-medium mb-1">${this.escape(player.name)}</div>
+                    <div class="ranking-name font-medium mb-1 d-flex items-center gap-2">
+                        ${this.escape(player.name)}
+                        ${isUncertain ? `
+                            <span class="status-badge status-badge--warning" title="Rating is still uncertain (±${Math.round(deviation)}). More comparisons needed.">Uncertain</span>
+                        ` : ''}
+                    </div>
                     <div class="ranking-stats text-sm text-secondary d-flex items-center gap-2" aria-label="Player statistics">
-                        <span aria-label="ELO rating">${rating} ELO</span>
+                        <span aria-label="Rating">${rating} ${deviation !== null ? `± ${Math.round(deviation)}` : isFitted ? 'fitted' : 'ELO'}</span>
                         <span aria-hidden="true"> • </span>
                         <span aria-label="Number of comparisons">${comparisons} comp.</span>
                     </div>
@@ -17,6 +17,10 @@ import ActivitySelector from '../components/settings/ActivitySelector.js';
 import AddPlayerForm from '../components/settings/AddPlayerForm.js';
 import PositionStats from '../components/settings/PositionStats.js';
 import PlayerList from '../components/settings/PlayerList.js';
+import AttributeManager from '../components/settings/AttributeManager.js';
+import { parseCSVLine } from '../utils/csv.js';
+import { getPositionLevel } from '../utils/positionPreferences.js';
+import teamBuilderConfig from '../config/teamBuilder.js';
 
 const { ELEMENT_IDS, DATA_ATTRIBUTES, ANIMATION } = uiConfig;
 
@@ -30,6 +34,7 @@ class SettingsPage extends BasePage {
         this.activityKey = props.activityKey; // Key like 'volleyball', 'basketball', etc.
         this.playerService = props.services?.resolve('playerService');
         this.sessionService = props.services?.resolve('sessionService');
+        this.playerAttributeService = props.services?.resolve('playerAttributeService');
         this.eventBus = props.services?.resolve('eventBus');
 
         this.sidebar = null;
@@ -37,6 +42,7 @@ class SettingsPage extends BasePage {
         this.addPlayerForm = null;
         this.positionStats = null;
         this.playerList = null;
+        this.attributeManager = null;
         this.importModal = null;
     }
 
@@ -150,7 +156,19 @@ class SettingsPage extends BasePage {
             this.addComponent(this.positionStats);
         }
 
-        // 4. Player List
+        // 4. Player Attributes
+        const attributeManagerContainer = this.$('.attribute-manager-container');
+        if (attributeManagerContainer && this.playerAttributeService) {
+            this.attributeManager = new AttributeManager(attributeManagerContainer, {
+                definitions: this.playerAttributeService.getDefinitions(),
+                onAdd: (definition) => this.handleAddAttribute(definition),
+                onRemove: (key) => this.handleRemoveAttribute(key)
+            });
+            this.attributeManager.mount();
+            this.addComponent(this.attributeManager);
+        }
+
+        // 5. Player List
         const playerListContainer = this.$('.player-list-container');
         if (playerListContainer && this.playerService && this.activityConfig) {
             const players = this.playerService.getAll();
@@ -158,7 +176,9 @@ class SettingsPage extends BasePage {
                 players,
                 positionOrder: this.activityConfig.positionOrder,
                 positionNames: this.activityConfig.positions,
-                onPlayerAction: (action, playerId) => this.handlePlayerAction(action, playerId)
+                attributes: this.playerAttributeService.getDefinitions(),
+                onPlayerAction: (action, playerId) => this.handlePlayerAction(action, playerId),
+                onAttributeChange: (playerId, key, value) => this.handleAttributeChange(playerId, key, value)
             });
             this.playerList.mount();
             this.addComponent(this.playerList);
@@ -178,6 +198,10 @@ class SettingsPage extends BasePage {
             this.positionStats.destroy();
             this.positionStats = null;
         }
+        if (this.attributeManager) {
+            this.attributeManager.destroy();
+            this.attributeManager = null;
+        }
         if (this.playerList) {
             this.playerList.destroy();
             this.playerList = null;
@@ -208,6 +232,7 @@ class SettingsPage extends BasePage {
             ${currentActivity ? `
                 <div class="page-content">
                     <div class="position-stats-container"></div>
+                    <div class="attribute-manager-container"></div>
                     <div class="player-list-container"></div>
                 </div>
             ` : ''}
@@ -285,6 +310,37 @@ class SettingsPage extends BasePage {
         }
     }
 
+    handleAddAttribute(definition) {
+        try {
+            const created = this.playerAttributeService.addDefinition(definition);
+            toast.success(`Attribute "${created.name}" added`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleRemoveAttribute(key) {
+        const definition = this.playerAttributeService.getDefinition(key);
+        if (!definition || !confirm(`Remove attribute "${definition.name}" and its values from all players?`)) {
+            return;
+        }
+
+        try {
+            this.playerAttributeService.removeDefinition(key);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleAttributeChange(playerId, key, value) {
+        try {
+            this.playerAttributeService.setValue(playerId, key, value);
+        } catch (error) {
+            toast.error(error.message);
+            this.update();
+        }
+    }
+
     // ===== MODAL: Edit Positions =====
     showEditPositionsModal(playerId) {
         const player = this.playerService.getById(playerId);
@@ -306,8 +362,12 @@ class SettingsPage extends BasePage {
                     toast.error('Please select at least one position');
                     return false;
                 }
+                const preferences = Object.fromEntries(selected.map(position => [
+                    position,
+                    document.querySelector(`select[name="editPositionLevel"][data-position="${position}"]`)?.value
+                ]));
                 try {
-                    this.playerService.updatePositions(playerId, selected);
+                    this.playerService.updatePositions(playerId, selected, preferences);
                     toast.success(`Positions updated for ${player.name}`);
                     return true;
                 } catch (error) {
@@ -327,19 +387,36 @@ class SettingsPage extends BasePage {
             <div class="modal-content-inner">
                 <div class="form-group">
                     <label>Positions (select all applicable):</label>
+                    <p class="form-help-text">
+                        Rank each position: the team builder prefers primary positions and uses emergency positions last.
+                    </p>
                     <div class="positions-grid">
-                        ${Object.entries(this.playerService.positions).map(([key, name]) => `
-                            <label class="position-checkbox">
-                                <input
-                                    type="checkbox"
-                                    name="editPositions"
-                                    value="${key}"
-                                    class="position-input"
-                                    ${player.positions.includes(key) ? 'checked' : ''}
-                                >
-                                <span class="position-label">${name} (${key})</span>
-                            </label>
-                        `).join('')}
+                        ${Object.entries(this.playerService.positions).map(([key, name]) => {
+                            const level = getPositionLevel(player, key);
+                            return `
+                                <div class="position-level">
+                                    <label class="position-checkbox">
+                                        <input
+                                            type="checkbox"
+                                            name="editPositions"
+                                            value="${key}"
+                                            class="position-input"
+                                            ${player.positions.includes(key) ? 'checked' : ''}
+                                        >
+                                        <span class="position-label">${name} (${key})</span>
+                                    </label>
+                                    <select
+                                        name="editPositionLevel"
+                                        data-position="${key}"
+                                        class="form-control position-level__select"
+                                        aria-label="${name} preference">
+                                        ${Object.values(teamBuilderConfig.POSITION_PREFERENCES.LEVELS).map(option => `
+                                            <option value="${option}" ${option === level ? 'selected' : ''}>${option.charAt(0).toUpperCase()}${option.slice(1)}</option>
+                                        `).join('')}
+                                    </select>
+                                </div>
+                            `;
+                        }).join('')}
                     </div>
                 </div>
             </div>
@@ -575,6 +652,7 @@ class SettingsPage extends BasePage {
         const positionsList = Object.entries(positions)
             .map(([key, name]) => `${name} (${key})`)
             .join(', ');
+        const attributeNames = this.playerAttributeService.getDefinitions().map(d => d.name).join(', ');
 
         // Generate example positions from current activity
         const positionKeys = Object.keys(positions);
@@ -629,6 +707,11 @@ class SettingsPage extends BasePage {
                     <div class="info-text">
                         Players should have positions for this activity: <strong>${positionsList}</strong>
                     </div>
+                    ${attributeNames ? `
+                        <div class="info-text">
+                            Optional attribute columns (CSV) or fields (JSON): <strong>${this.escape(attributeNames)}</strong>
+                        </div>
+                    ` : ''}
                 </div>
 
                 <div class="format-example">
@@ -716,7 +799,10 @@ class SettingsPage extends BasePage {
                     <strong>Found ${players.length} player(s)</strong>
                     <div class="preview-list">
                         ${players.map(p => `
-                            <div class="preview-item">• ${this.escape(p.name)} - ${p.positions.join(', ')}</div>
+                            <div class="preview-item">
+                                • ${this.escape(p.name)} - ${p.positions.join(', ')}
+                                ${Object.keys(p.attributes).length > 0 ? `(${this.escape(Object.values(p.attributes).join(', '))})` : ''}
+                            </div>
                         `).join('')}
                     </div>
                 </div>
@@ -741,7 +827,8 @@ class SettingsPage extends BasePage {
                 if (!Array.isArray(parsed)) parsed = [parsed];
                 return parsed.map(item => ({
                     name: item.name,
-                    positions: Array.isArray(item.positions) ? item.positions : [item.positions]
+                    positions: Array.isArray(item.positions) ? item.positions : [item.positions],
+                    attributes: this.readImportAttributes(key => item.attributes?.[key] ?? item[key])
                 }));
             } catch (e) {
                 throw new Error('Invalid JSON format');
@@ -752,22 +839,52 @@ class SettingsPage extends BasePage {
         const lines = data.split('\n').map(l => l.trim()).filter(l => l);
         if (lines.length < 2) throw new Error('CSV must have header and data rows');
 
+        const headers = parseCSVLine(lines[0]).map(h => h.trim().toLowerCase());
+        const nameIndex = Math.max(headers.indexOf('name'), 0);
+        const positionsIndex = headers.includes('positions') ? headers.indexOf('positions') : 1;
+        // With only name and positions, unquoted extra values are further positions
+        const positionsLast = headers.length <= 2 && positionsIndex === headers.length - 1;
+
         const dataLines = lines.slice(1);
         const players = [];
 
         for (const line of dataLines) {
-            const match = line.match(/^"?([^,"]+)"?\s*,\s*"?([^"]+)"?$/);
-            if (!match) throw new Error(`Invalid CSV line: ${line}`);
+            const values = parseCSVLine(line).map(v => v.trim());
+            const name = values[nameIndex];
+            const positions = positionsLast ? values.slice(positionsIndex).join(',') : values[positionsIndex];
+            if (!name || !positions) throw new Error(`Invalid CSV line: ${line}`);
 
             players.push({
-                name: match[1].trim(),
-                positions: match[2].split(',').map(p => p.trim())
+                name,
+                positions: positions.split(',').map(p => p.trim()).filter(Boolean),
+                attributes: this.readImportAttributes((key, attributeName) => {
+                    const index = headers.findIndex(h => h === key || h === attributeName.toLowerCase());
+                    return index === -1 ? undefined : values[index];
+                })
             });
         }
 
         return players;
     }
 
+    /**
+     * Collect imported attribute values for the session's attributes
+     * @param {Function} read - (key, name) => raw value or undefined if missing
+     * @returns {Object} Raw values by attribute key
+     */
+    readImportAttributes(read) {
+        const attributes = {};
+
+        this.playerAttributeService.getDefinitions().forEach(definition => {
+            const value = read(definition.key, definition.name);
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                attributes[definition.key] = value;
+            }
+        });
+
+        return attributes;
+    }
+
     handleImportConfirm() {
         const dataInput = document.getElementById(ELEMENT_IDS.IMPORT_DATA_INPUT);
         if (!dataInput || !dataInput.value.trim()) {
@@ -782,18 +899,33 @@ class SettingsPage extends BasePage {
                 return false;
             }
 
-            let imported = 0, skipped = 0;
+            let imported = 0, skipped = 0, invalidAttributes = 0;
             players.forEach(playerData => {
+                let player;
                 try {
-                    this.playerService.add(playerData.name, playerData.positions);
+                    player = this.playerService.add(playerData.name, playerData.positions);
                     imported++;
                 } catch (error) {
                     skipped++;
                     console.warn(`Skipped ${playerData.name}:`, error.message);
+                    return;
                 }
+
+                // Attribute values are set one by one, so one bad value doesn't drop the others
+                Object.entries(playerData.attributes || {}).forEach(([key, value]) => {
+                    try {
+                        this.playerAttributeService.setValue(player.id, key, value);
+                    } catch (error) {
+                        invalidAttributes++;
+                        console.warn(`Ignored ${key} of ${playerData.name}:`, error.message);
+                    }
+                });
             });
 
-            toast.success(`Imported ${imported} player(s)${skipped > 0 ? `, skipped ${skipped}` : ''}`);
+            toast.success(
+                `Imported ${imported} player(s)${skipped > 0 ? `, skipped ${skipped}` : ''}` +
+                `${invalidAttributes > 0 ? `, ignored ${invalidAttributes} invalid attribute value(s)` : ''}`
+            );
             return true;
         } catch (error) {
             toast.error('Import failed: ' + error.message);
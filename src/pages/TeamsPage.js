@@ -5,15 +5,39 @@
  */
 import BasePage from './BasePage.js';
 import toast from '../components/base/Toast.js';
+import Modal from '../components/base/Modal.js';
 import { getIcon } from '../components/base/Icons.js';
 import storage from '../core/StorageAdapter.js';
 import Sidebar from '../components/Sidebar.js';
 import { activities } from '../config/activities/index.js';
 import ratingConfig from '../config/rating.js';
+import teamBuilderConfig from '../config/teamBuilder.js';
 import uiConfig from '../config/ui.js';
+import { formatDate } from '../utils/formatters.js';
+import { escapeCSVValue } from '../utils/csv.js';
+import { getPositionLevel } from '../utils/positionPreferences.js';
+
+// Components
+import AttendancePanel from '../components/teams/AttendancePanel.js';
+import VarietyControls from '../components/teams/VarietyControls.js';
+import AttributeRules from '../components/teams/AttributeRules.js';
+import DraftSetup from '../components/teams/DraftSetup.js';
+import DraftBoard from '../components/teams/DraftBoard.js';
+import TeamAlternatives from '../components/teams/TeamAlternatives.js';
+import BalanceBreakdown from '../components/teams/BalanceBreakdown.js';
+import TeamIdentities from '../components/teams/TeamIdentities.js';
+import TeamGrid from '../components/teams/TeamGrid.js';
 
 const { ELEMENT_IDS, ICON_SIZES, MESSAGES } = uiConfig;
 
+// Team builder settings persisted per session (see getSettingsState for defaults)
+const SETTINGS_FIELDS = [
+    'showEloRatings', 'teamCount', 'composition', 'positionWeights',
+    'constraints', 'locks', 'keepLockedPositions', 'variety', 'attributeRules',
+    'positionPenalties', 'alternativeCount', 'timeBudget', 'seed',
+    'draftOrder', 'draftCaptainMode'
+];
+
 class TeamsPage extends BasePage {
     constructor(container, props = {}) {
         super(container, props);
@@ -27,57 +51,67 @@ class TeamsPage extends BasePage {
         this.eloService = props.services?.resolve('eloService');
         this.sessionService = props.services?.resolve('sessionService');
         this.sessionRepository = props.services?.resolve('sessionRepository');
+        this.matchResultService = props.services?.resolve('matchResultService');
+        this.attendanceService = props.services?.resolve('attendanceService');
+        this.validationService = props.services?.resolve('validationService');
+        this.playerAttributeService = props.services?.resolve('playerAttributeService');
+        this.teamIdentityService = props.services?.resolve('teamIdentityService');
         this.eventBus = props.services?.resolve('eventBus');
         this.sidebar = null;
-
-        // Initialize position weights from config
-        const initialWeights = {};
-        Object.keys(this.activityConfig.positions).forEach(pos => {
-            initialWeights[pos] = this.activityConfig.positionWeights[pos] || uiConfig.INPUT_CONSTRAINTS.WEIGHT.DEFAULT;
-        });
+        this.optimizeProgress = null;
+        this.optimizationCancelled = false;
+        this.draftPlayers = [];
+
+        this.attendancePanel = null;
+        this.varietyControls = null;
+        this.attributeRules = null;
+        this.draftSetup = null;
+        this.draftBoard = null;
+        this.teamAlternatives = null;
+        this.balanceBreakdown = null;
+        this.teamIdentities = null;
+        this.teamGrid = null;
 
         // Load saved settings and teams from active session
-        const savedSettings = this.loadSettings();
-        const savedTeams = this.loadTeams();
-
         this.state = {
-            teams: savedTeams,
+            teams: this.loadTeams(),
             isOptimizing: false,
-            showEloRatings: savedSettings.showEloRatings ?? true,
-            teamCount: savedSettings.teamCount ?? 2,
-            composition: savedSettings.composition ?? this.activityConfig.defaultComposition,
-            positionWeights: savedSettings.positionWeights ?? initialWeights
+            ...this.loadSettings(),
+            draftCaptainIds: [],
+            draft: null,
+            isDraftSetupOpen: false,
+            alternatives: null,
+            isEditingTeams: false,
+            isBreakdownOpen: false,
+            isIdentitiesOpen: false,
+            attendanceDate: this.attendanceService.getDateKey(),
+            attendanceSearch: ''
         };
     }
 
     onCreate() {
         this.on('player:added', () => this.update());
         this.on('player:removed', () => {
-            this.setState({ teams: null });
+            this.setState({ teams: null, locks: {}, draft: null });
             this.saveTeams(null);
+            this.saveSettings();
         });
         this.on('session:activated', () => {
-            // When session changes, reload settings and teams
-            const savedSettings = this.loadSettings();
-            const savedTeams = this.loadTeams();
+            // When session changes, reload settings and teams and drop the
+            // previous session's alternatives and draft
             this.setState({
-                teams: savedTeams,
-                showEloRatings: savedSettings.showEloRatings ?? true,
-                teamCount: savedSettings.teamCount ?? 2,
-                composition: savedSettings.composition ?? this.activityConfig.defaultComposition,
-                positionWeights: this.getInitialWeights()
+                teams: this.loadTeams(),
+                alternatives: null,
+                draft: null,
+                draftCaptainIds: [],
+                ...this.loadSettings()
             });
         });
         this.on('state:changed', () => {
             // When state changes (e.g., session switch within same activity), reload data
-            const savedSettings = this.loadSettings();
-            const savedTeams = this.loadTeams();
             this.setState({
-                teams: savedTeams,
-                showEloRatings: savedSettings.showEloRatings ?? true,
-                teamCount: savedSettings.teamCount ?? 2,
-                composition: savedSettings.composition ?? this.activityConfig.defaultComposition,
-                positionWeights: this.getInitialWeights()
+                teams: this.loadTeams(),
+                ...this.loadSettings()
             });
         });
     }
@@ -90,22 +124,62 @@ class TeamsPage extends BasePage {
         return initialWeights;
     }
 
+    getDefaultVariety() {
+        return {
+            strength: teamBuilderConfig.TEAM_VARIETY.DEFAULT_STRENGTH,
+            lookback: teamBuilderConfig.TEAM_VARIETY.DEFAULT_LOOKBACK
+        };
+    }
+
+    /**
+     * Map saved team builder settings to page state, filling in defaults
+     * for anything the session has not saved yet
+     */
+    getSettingsState(saved = {}) {
+        return {
+            showEloRatings: saved.showEloRatings ?? true,
+            teamCount: saved.teamCount ?? 2,
+            composition: saved.composition ?? this.activityConfig.defaultComposition,
+            positionWeights: saved.positionWeights ?? this.getInitialWeights(),
+            constraints: saved.constraints ?? { together: [], apart: [] },
+            locks: saved.locks ?? {},
+            keepLockedPositions: saved.keepLockedPositions ?? true,
+            variety: saved.variety ?? this.getDefaultVariety(),
+            attributeRules: saved.attributeRules ?? {},
+            positionPenalties: saved.positionPenalties ?? { ...teamBuilderConfig.POSITION_PREFERENCES.DEFAULT_PENALTIES },
+            alternativeCount: saved.alternativeCount ?? teamBuilderConfig.TEAM_ALTERNATIVES.DEFAULT_COUNT,
+            timeBudget: saved.timeBudget ?? teamBuilderConfig.TEAM_OPTIMIZATION.DEFAULT_TIME_BUDGET,
+            seed: saved.seed ?? '',
+            draftOrder: saved.draftOrder ?? teamBuilderConfig.TEAM_DRAFT.DEFAULT_ORDER,
+            draftCaptainMode: saved.draftCaptainMode ?? teamBuilderConfig.TEAM_DRAFT.DEFAULT_CAPTAIN_MODE
+        };
+    }
+
     onMount() {
         this.mountSidebar();
+        this.mountComponents();
         this.attachEventListeners();
     }
 
     onUpdate() {
         // Re-mount sidebar if container was re-rendered
         this.mountSidebar();
+        this.mountComponents();
         this.attachEventListeners();
     }
 
     onDestroy() {
+        if (this.state.isOptimizing) {
+            this.optimizationCancelled = true;
+            this.teamOptimizerService.cancel();
+        }
+
         if (this.sidebar) {
             this.sidebar.destroy();
             this.sidebar = null;
         }
+
+        this.destroyComponents();
     }
 
     mountSidebar() {
@@ -141,30 +215,240 @@ class TeamsPage extends BasePage {
         this.setupMobileSidebarToggle();
     }
 
+    mountComponents() {
+        this.destroyComponents();
+
+        const getTeamName = (index) => this.teamIdentityService.getTeamName(index);
+
+        // 1. Attendance
+        const attendanceContainer = this.$('.attendance-panel-container');
+        if (attendanceContainer) {
+            const date = this.state.attendanceDate;
+            const capacity = this.validationService.validateCompositionCapacity(
+                this.state.composition,
+                this.state.teamCount,
+                this.attendanceService.getPresentPlayers(date)
+            );
+
+            this.attendancePanel = new AttendancePanel(attendanceContainer, {
+                players: this.playerService.getAll(),
+                positionNames: this.playerService.positions,
+                date,
+                absentIds: this.attendanceService.getAbsentIds(date),
+                search: this.state.attendanceSearch,
+                capacityErrors: capacity.errors,
+                onDateChange: (value) => this.setState({ attendanceDate: value }),
+                onSearch: (search) => { this.state.attendanceSearch = search; },
+                onChange: (playerIds, present) => this.handleAttendanceChange(playerIds, present)
+            });
+            this.attendancePanel.mount();
+            this.addComponent(this.attendancePanel);
+        }
+
+        // 2. Teammate variety
+        const varietyContainer = this.$('.team-variety-container');
+        if (varietyContainer) {
+            this.varietyControls = new VarietyControls(varietyContainer, {
+                variety: this.state.variety,
+                generations: this.loadTeamHistory().length,
+                onChange: (variety) => this.handleVarietyChange(variety)
+            });
+            this.varietyControls.mount();
+            this.addComponent(this.varietyControls);
+        }
+
+        // 3. Attribute rules
+        const attributeRulesContainer = this.$('.attribute-rules-container');
+        if (attributeRulesContainer) {
+            this.attributeRules = new AttributeRules(attributeRulesContainer, {
+                definitions: this.playerAttributeService.getDefinitions(),
+                rules: this.state.attributeRules,
+                maxQuota: uiConfig.INPUT_CONSTRAINTS.COMPOSITION.MAX * this.activityConfig.positionOrder.length,
+                onModeChange: (key, mode) => this.handleAttributeModeChange(key, mode),
+                onQuotaChange: (key, option, min) => this.handleAttributeQuotaChange(key, option, min)
+            });
+            this.attributeRules.mount();
+            this.addComponent(this.attributeRules);
+        }
+
+        // 4. Captain draft setup
+        const draftSetupContainer = this.$('.draft-setup-container');
+        if (draftSetupContainer) {
+            const present = this.attendanceService.getPresentPlayers(this.state.attendanceDate);
+
+            this.draftSetup = new DraftSetup(draftSetupContainer, {
+                captainMode: this.state.draftCaptainMode,
+                order: this.state.draftOrder,
+                teamCount: this.state.teamCount,
+                players: present,
+                captainIds: this.state.draftCaptainIds,
+                getTeamName,
+                canStart: present.length >= 2 && !this.state.isOptimizing,
+                hasDraft: Boolean(this.state.draft),
+                isOpen: this.state.isDraftSetupOpen,
+                onToggle: (isOpen) => { this.state.isDraftSetupOpen = isOpen; },
+                onCaptainModeChange: (mode) => {
+                    this.setState({ draftCaptainMode: mode });
+                    this.saveSettings();
+                },
+                onOrderChange: (order) => {
+                    this.state.draftOrder = order;
+                    this.saveSettings();
+                },
+                onCaptainsChange: (captainIds) => this.setState({ draftCaptainIds: captainIds }),
+                onStart: () => this.handleStartDraft()
+            });
+            this.draftSetup.mount();
+            this.addComponent(this.draftSetup);
+        }
+
+        // 5. Captain draft in progress
+        const draftBoardContainer = this.$('.draft-board-container');
+        if (draftBoardContainer && this.state.draft) {
+            const draft = this.state.draft;
+            const players = this.draftPlayers;
+            const teams = this.teamOptimizerService.getDraftTeams(draft, players);
+            const weightedBalance = this.calculateWeightedBalance(teams);
+
+            this.draftBoard = new DraftBoard(draftBoardContainer, {
+                draft,
+                teams,
+                teamRatings: teams.map(team => this.calculateWeightedTeamRating(team)),
+                weightedBalance,
+                quality: this.getBalanceQuality(weightedBalance),
+                turn: this.teamOptimizerService.getDraftTurn(draft),
+                available: this.teamOptimizerService.getDraftAvailable(draft, players),
+                suggestion: this.teamOptimizerService.suggestDraftPick(draft, players),
+                positionNames: this.playerService.positions,
+                showElo: this.state.showEloRatings,
+                getTeamName,
+                onPick: (playerId, position) => this.handleDraftPick(playerId, position),
+                onUndo: () => this.handleUndoDraftPick(),
+                onCancel: () => this.handleCancelDraft(),
+                onFinish: () => this.handleFinishDraft()
+            });
+            this.draftBoard.mount();
+            this.addComponent(this.draftBoard);
+        }
+
+        // 6. Alternatives to compare
+        const alternativesContainer = this.$('.team-alternatives-container');
+        if (alternativesContainer && this.state.alternatives) {
+            this.teamAlternatives = new TeamAlternatives(alternativesContainer, {
+                alternatives: this.state.alternatives,
+                summaries: this.state.alternatives.map(alternative => {
+                    const weightedBalance = this.calculateWeightedBalance(alternative.teams);
+                    return {
+                        weightedBalance,
+                        quality: this.getBalanceQuality(weightedBalance),
+                        teamRatings: alternative.teams.map(team => this.calculateWeightedTeamRating(team))
+                    };
+                }),
+                showElo: this.state.showEloRatings,
+                getTeamName,
+                onUse: (index) => this.handleUseAlternative(index),
+                onDismiss: () => this.setState({ alternatives: null })
+            });
+            this.teamAlternatives.mount();
+            this.addComponent(this.teamAlternatives);
+        }
+
+        if (!this.state.teams) {
+            return;
+        }
+
+        const { teams, substitutes = [] } = this.state.teams;
+
+        // 7. Balance breakdown
+        const breakdownContainer = this.$('.balance-breakdown-container');
+        if (breakdownContainer && teams.length >= 2) {
+            this.balanceBreakdown = new BalanceBreakdown(breakdownContainer, {
+                breakdown: this.buildBalanceBreakdown(teams),
+                positionNames: this.playerService.positions,
+                getTeamName,
+                isOpen: this.state.isBreakdownOpen,
+                onToggle: (isOpen) => { this.state.isBreakdownOpen = isOpen; }
+            });
+            this.balanceBreakdown.mount();
+            this.addComponent(this.balanceBreakdown);
+        }
+
+        // 8. Team names, colors and bibs
+        const identitiesContainer = this.$('.team-identities-container');
+        if (identitiesContainer) {
+            this.teamIdentities = new TeamIdentities(identitiesContainer, {
+                identities: this.teamIdentityService.getIdentities(teams.length),
+                bibsEnabled: this.teamIdentityService.isBibsEnabled(),
+                paletteName: this.activityConfig.name,
+                isOpen: this.state.isIdentitiesOpen,
+                onToggle: (isOpen) => { this.state.isIdentitiesOpen = isOpen; },
+                onUpdate: (index, changes) => this.handleUpdateTeamIdentity(index, changes),
+                onApplyPalette: () => this.teamIdentityService.applyPalette(teams.length),
+                onReset: () => this.teamIdentityService.resetIdentities(),
+                onToggleBibs: (enabled) => this.teamIdentityService.setBibsEnabled(enabled, this.getLineups(this.state.teams)),
+                onRenumber: () => this.teamIdentityService.assignBibs(this.getLineups(this.state.teams), { renumber: true })
+            });
+            this.teamIdentities.mount();
+            this.addComponent(this.teamIdentities);
+        }
+
+        // 9. Team cards
+        const teamGridContainer = this.$('.team-grid-container');
+        if (teamGridContainer) {
+            const activeAttributes = this.playerAttributeService.getDefinitions()
+                .filter(definition => (this.state.attributeRules[definition.key]?.mode || 'off') !== 'off');
+
+            this.teamGrid = new TeamGrid(teamGridContainer, {
+                teams,
+                substitutes,
+                teamRatings: teams.map(team => this.calculateWeightedTeamRating(team)),
+                colors: teams.map((team, index) => this.teamIdentityService.getIdentity(index).color),
+                getTeamName,
+                positionNames: this.playerService.positions,
+                levels: new Map(teams.flat().map(player => [player.id, this.getAssignmentLevel(player)])),
+                attributes: activeAttributes,
+                currentPlayers: new Map(this.playerService.getAll().map(p => [p.id, p])),
+                bibs: this.getBibNumbers(),
+                locks: this.state.locks,
+                showElo: this.state.showEloRatings,
+                isEditing: this.state.isEditingTeams,
+                onMove: (from, to) => this.handleMovePlayer(from, to),
+                onToggleLock: (playerId, teamIndex) => this.handleToggleLock(playerId, teamIndex)
+            });
+            this.teamGrid.mount();
+            this.addComponent(this.teamGrid);
+        }
+    }
+
+    destroyComponents() {
+        const names = [
+            'attendancePanel', 'varietyControls', 'attributeRules', 'draftSetup', 'draftBoard',
+            'teamAlternatives', 'balanceBreakdown', 'teamIdentities', 'teamGrid'
+        ];
+
+        names.forEach(name => {
+            if (this[name]) {
+                this[name].destroy();
+                this[name] = null;
+            }
+        });
+    }
+
     /**
-     * Load settings from active session
+     * Load settings from active session as page state
      */
     loadSettings() {
         try {
             const activeSessionId = this.sessionRepository.getActiveSessionId(this.activityKey);
             if (!activeSessionId) {
-                return {};
+                return this.getSettingsState();
             }
 
             const saved = this.sessionRepository.getTeamBuilderSettings(this.activityKey, activeSessionId);
-            if (!saved) {
-                return {};
-            }
-
-            return {
-                showEloRatings: saved.showEloRatings,
-                teamCount: saved.teamCount,
-                composition: saved.composition,
-                positionWeights: saved.positionWeights
-            };
+            return this.getSettingsState(saved ?? {});
         } catch (error) {
             console.error('Error loading settings from session:', error);
-            return {};
+            return this.getSettingsState();
         }
     }
 
@@ -179,13 +463,10 @@ class TeamsPage extends BasePage {
                 return;
             }
 
-            const settings = {
-                showEloRatings: this.state.showEloRatings,
-                teamCount: this.state.teamCount,
-                composition: this.state.composition,
-                positionWeights: this.state.positionWeights,
-                savedAt: new Date().toISOString()
-            };
+            const settings = { savedAt: new Date().toISOString() };
+            SETTINGS_FIELDS.forEach(field => {
+                settings[field] = this.state[field];
+            });
 
             this.sessionRepository.updateTeamBuilderSettings(this.activityKey, activeSessionId, settings);
         } catch (error) {
@@ -222,11 +503,74 @@ class TeamsPage extends BasePage {
             }
 
             this.sessionRepository.updateGeneratedTeams(this.activityKey, activeSessionId, teams);
+
+            // Players joining a team get a number that is free on it
+            if (teams && this.teamIdentityService.isBibsEnabled()) {
+                this.teamIdentityService.assignBibs(this.getLineups(teams));
+            }
         } catch (error) {
             console.error('Error saving teams to session:', error);
         }
     }
 
+    /**
+     * Load the history of generated teams from active session
+     */
+    loadTeamHistory() {
+        try {
+            const activeSessionId = this.sessionRepository.getActiveSessionId(this.activityKey);
+            if (!activeSessionId) {
+                return [];
+            }
+
+            return this.sessionRepository.getTeamHistory(this.activityKey, activeSessionId);
+        } catch (error) {
+            console.error('Error loading team history from session:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Add teams to the history of the active session
+     * @param {Object} result - Generated teams
+     * @param {boolean} replaceLatest - Replace the latest entry (after a manual edit)
+     */
+    recordTeamHistory(result, replaceLatest = false) {
+        try {
+            const activeSessionId = this.sessionRepository.getActiveSessionId(this.activityKey);
+            if (!activeSessionId) {
+                return;
+            }
+
+            const history = this.loadTeamHistory();
+            const entry = {
+                generatedAt: new Date().toISOString(),
+                teams: result.teams.map(team => team.map(player => player.id))
+            };
+            const kept = replaceLatest && history.length > 0 ? history.slice(0, -1) : history;
+
+            this.sessionRepository.updateTeamHistory(
+                this.activityKey,
+                activeSessionId,
+                [...kept, entry].slice(-teamBuilderConfig.TEAM_VARIETY.HISTORY_LIMIT)
+            );
+        } catch (error) {
+            console.error('Error saving team history to session:', error);
+        }
+    }
+
+    /**
+     * Get recent generations as teams of player IDs, oldest first
+     * @param {number} count - Number of generations
+     * @param {boolean} excludeLatest - Leave out the latest entry (the teams on screen)
+     */
+    getRecentTeams(count, excludeLatest = false) {
+        const history = this.loadTeamHistory();
+        const past = excludeLatest ? history.slice(0, -1) : history;
+
+        return past.slice(-count).map(entry => entry.teams);
+    }
+
     render() {
         return this.renderPageWithSidebar(`
             <header class="page-header">
@@ -238,8 +582,13 @@ class TeamsPage extends BasePage {
                 ${this.renderTeamBuilder()}
             </div>
 
-            ${this.state.teams ? `
+            ${this.state.draft ? `
+                <div class="page-content">
+                    <div class="draft-board-container"></div>
+                </div>
+            ` : this.state.teams || this.state.alternatives ? `
                 <div class="page-content">
+                    ${this.state.alternatives ? '<div class="team-alternatives-container"></div>' : ''}
                     ${this.renderTeamsDisplay()}
                 </div>
             ` : ''}
@@ -248,9 +597,12 @@ class TeamsPage extends BasePage {
 
     renderTeamBuilder() {
         const players = this.playerService.getAll();
+        const presentCount = this.attendanceService.getPresentPlayers(this.state.attendanceDate).length;
 
         return `
             <div class="team-builder" role="region" aria-label="Team builder configuration">
+                <div class="attendance-panel-container"></div>
+
                 <div class="builder-settings">
                     <div class="form-group">
                         <label for="teamCount">Number of Teams</label>
@@ -301,26 +653,105 @@ class TeamsPage extends BasePage {
                     </div>
                 </div>
 
+                ${this.renderConstraints(players)}
+
+                <div class="team-variety-container"></div>
+
+                ${this.renderPositionPreferenceControls()}
+
+                <div class="attribute-rules-container"></div>
+
                 <div class="builder-settings">
                     <button
                         class="btn btn-primary btn-large"
                         id="optimizeBtn"
-                        ${players.length < 2 ? 'disabled' : ''}
+                        ${presentCount < 2 ? 'disabled' : ''}
                         aria-label="${this.state.isOptimizing ? 'Optimizing teams...' : 'Generate balanced teams'}"
                         ${this.state.isOptimizing ? 'aria-busy="true"' : ''}>
                         ${getIcon('users', { size: ICON_SIZES.LARGE, className: 'btn-icon' })}
                         ${this.state.isOptimizing ? 'Generating Teams...' : 'Generate Balanced Teams'}
                     </button>
+                    ${this.state.isOptimizing ? `
+                        <div class="optimize-progress mt-3">
+                            <span class="text-sm" id="optimizeProgress" role="status" aria-live="polite">
+                                ${this.describeOptimizeProgress(this.optimizeProgress)}
+                            </span>
+                            <button class="btn btn-secondary btn-sm" id="cancelOptimizeBtn">
+                                ${getIcon('x', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                                Cancel
+                            </button>
+                        </div>
+                    ` : ''}
+                    <div class="optimize-budget mt-3 text-sm">
+                        <label for="timeBudget">Search for up to</label>
+                        <input
+                            type="number"
+                            id="timeBudget"
+                            class="form-control"
+                            value="${this.state.timeBudget}"
+                            min="${teamBuilderConfig.TEAM_OPTIMIZATION.MIN_TIME_BUDGET}"
+                            max="${teamBuilderConfig.TEAM_OPTIMIZATION.MAX_TIME_BUDGET}"
+                            aria-describedby="time-budget-help">
+                        <span class="text-secondary" id="time-budget-help">seconds, keeping the best teams found</span>
+                    </div>
+                    <div class="optimize-budget mt-3 text-sm">
+                        <label for="optimizerSeed">Seed</label>
+                        <input
+                            type="text"
+                            id="optimizerSeed"
+                            class="form-control optimize-budget__seed"
+                            value="${this.escape(this.state.seed)}"
+                            maxlength="${teamBuilderConfig.TEAM_OPTIMIZATION.MAX_SEED_LENGTH}"
+                            placeholder="Random"
+                            aria-describedby="seed-help">
+                        <span class="text-secondary" id="seed-help">
+                            Optional. The same seed, players and settings always give the same teams
+                            (the time limit is then not used).
+                        </span>
+                    </div>
+                    <div class="team-alternatives__controls mt-3">
+                        <label for="alternativeCount" class="text-sm">Or compare</label>
+                        <input
+                            type="number"
+                            id="alternativeCount"
+                            class="form-control"
+                            value="${this.state.alternativeCount}"
+                            min="2"
+                            max="${teamBuilderConfig.TEAM_ALTERNATIVES.MAX_COUNT}"
+                            aria-label="Number of alternatives to compare">
+                        <button
+                            class="btn btn-secondary"
+                            id="generateAlternativesBtn"
+                            ${presentCount < 2 || this.state.isOptimizing ? 'disabled' : ''}
+                            aria-label="Generate alternative team solutions to compare">
+                            ${getIcon('scale', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                            Alternatives
+                        </button>
+                    </div>
+                    <div class="draft-setup-container"></div>
                     ${players.length < 2 ? `
                         <p class="form-help-text text-warning mt-3">
                             ⚠️ Add at least 2 players on the Settings page to create teams
                         </p>
+                    ` : presentCount < 2 ? `
+                        <p class="form-help-text text-warning mt-3">
+                            ⚠️ Check in at least 2 players to create teams
+                        </p>
                     ` : ''}
                 </div>
             </div>
         `;
     }
 
+    describeOptimizeProgress(progress) {
+        if (!progress) {
+            return MESSAGES.INFO.OPTIMIZING;
+        }
+
+        const seconds = (progress.elapsed / 1000).toFixed(1);
+        return `Run ${progress.iteration} · best difference ${progress.bestBalance} ELO · ${seconds}s`;
+    }
+
     renderCompositionWithWeights() {
         // Render both composition count and weight inputs for each position
         return Object.entries(this.activityConfig.positions).map(([key, name]) => `
@@ -355,10 +786,109 @@ class TeamsPage extends BasePage {
         `).join('');
     }
 
+    renderConstraints(players) {
+        const names = new Map(players.map(p => [p.id, p.name]));
+        const rows = [
+            ...this.state.constraints.together.map((pair, index) => ({ type: 'together', pair, index })),
+            ...this.state.constraints.apart.map((pair, index) => ({ type: 'apart', pair, index }))
+        ].filter(row => row.pair.every(id => names.has(id)));
+
+        const playerOptions = players.map(p => `<option value="${p.id}">${this.escape(p.name)}</option>`).join('');
+
+        return `
+            <div class="form-group team-constraints">
+                <label>Team Constraints</label>
+                <p class="form-help-text mb-3">
+                    Keep players on the same team (e.g. siblings sharing a ride) or split them up (e.g. rivals).
+                    Constraints are always met; if they can't be, generation stops with an explanation.
+                </p>
+                ${rows.length > 0 ? `
+                    <ul class="team-constraints__list">
+                        ${rows.map(row => `
+                            <li class="team-constraints__item text-sm">
+                                ${getIcon(row.type === 'together' ? 'link' : 'users-x', { size: ICON_SIZES.SMALL })}
+                                <span>
+                                    <strong>${this.escape(names.get(row.pair[0]))}</strong>
+                                    ${row.type === 'together' ? 'with' : 'not with'}
+                                    <strong>${this.escape(names.get(row.pair[1]))}</strong>
+                                </span>
+                                <button
+                                    type="button"
+                                    class="btn btn-sm btn-secondary team-constraints__remove-btn"
+                                    data-type="${row.type}"
+                                    data-index="${row.index}"
+                                    aria-label="Remove constraint">
+                                    ${getIcon('x', { size: ICON_SIZES.SMALL })}
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                ${players.length >= 2 ? `
+                    <div class="team-constraints__add">
+                        <select id="constraintPlayerA" class="form-control" aria-label="First player">${playerOptions}</select>
+                        <select id="constraintType" class="form-control" aria-label="Constraint type">
+                            <option value="together">must play with</option>
+                            <option value="apart">must not play with</option>
+                        </select>
+                        <select id="constraintPlayerB" class="form-control" aria-label="Second player">${playerOptions}</select>
+                        <button type="button" class="btn btn-secondary btn-sm" id="addConstraintBtn">
+                            ${getIcon('plus', { size: ICON_SIZES.SMALL, className: 'btn-icon' })}
+                            Add
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Rating penalties for placing players outside their primary positions
+     */
+    renderPositionPreferenceControls() {
+        const { MAX_PENALTY } = teamBuilderConfig.POSITION_PREFERENCES;
+        const { secondary, emergency } = this.state.positionPenalties;
+
+        return `
+            <div class="form-group position-penalties">
+                <label>Position Preferences</label>
+                <p class="form-help-text mb-3" id="position-penalties-help">
+                    Players rank their positions on the Settings page. Outside their primary positions they
+                    count as this many rating points weaker, so they are only placed there when it helps balance.
+                </p>
+                <div class="position-penalties__fields text-sm">
+                    <label for="penaltySecondary">Secondary</label>
+                    <input
+                        type="number"
+                        id="penaltySecondary"
+                        class="form-control position-penalties__input"
+                        data-level="secondary"
+                        value="${secondary}"
+                        min="0"
+                        max="${MAX_PENALTY}"
+                        step="10"
+                        aria-describedby="position-penalties-help">
+                    <label for="penaltyEmergency">Emergency</label>
+                    <input
+                        type="number"
+                        id="penaltyEmergency"
+                        class="form-control position-penalties__input"
+                        data-level="emergency"
+                        value="${emergency}"
+                        min="0"
+                        max="${MAX_PENALTY}"
+                        step="10"
+                        aria-describedby="position-penalties-help">
+                    <span class="text-secondary">rating points</span>
+                </div>
+            </div>
+        `;
+    }
+
     renderTeamsDisplay() {
         if (!this.state.teams) return '';
 
-        const { teams, balance, algorithm } = this.state.teams;
+        const { teams, balance, algorithm, variety, seed, manuallyEdited } = this.state.teams;
         const weightedBalance = this.calculateWeightedBalance(teams);
         const quality = this.getBalanceQuality(weightedBalance);
 
@@ -367,7 +897,11 @@ class TeamsPage extends BasePage {
                 <div class="result-header d-flex flex-column md:flex-row justify-between items-start md:items-center gap-4 mb-6">
                     <div>
                         <h3 class="text-xl md:text-2xl font-semibold m-0">Your Balanced Teams</h3>
-                        <p class="text-secondary text-sm mt-1">${teams.length} teams generated</p>
+                        <p class="text-secondary text-sm mt-1">
+                            ${teams.length} teams generated
+                            ${variety ? ` · ${variety.repeatedPairs} repeated teammate pair${variety.repeatedPairs === 1 ? '' : 's'} from the last ${variety.generations} generation${variety.generations === 1 ? '' : 's'}` : ''}
+                            ${seed ? ` · Seed <code class="team-seed">${this.escape(seed)}</code>${manuallyEdited ? ' (edited since)' : ''}` : ''}
+                        </p>
                     </div>
                     <div class="result-controls d-flex items-center gap-4">
                         <label class="toggle-switch">
@@ -380,7 +914,27 @@ class TeamsPage extends BasePage {
                             <span class="toggle-slider"></span>
                             <span class="toggle-label">Show ELO Ratings</span>
                         </label>
+                        <label class="toggle-switch">
+                            <input
+                                type="checkbox"
+                                id="editTeamsToggle"
+                                ${this.state.isEditingTeams ? 'checked' : ''}
+                                aria-label="Edit teams by moving players"
+                            >
+                            <span class="toggle-slider"></span>
+                            <span class="toggle-label">Edit Teams</span>
+                        </label>
                         <div class="control-divider" style="width: 1px; height: 24px; background: var(--color-border-default);" aria-hidden="true"></div>
+                        ${this.renderReoptimizeControls()}
+                        ${teams.length >= 2 ? `
+                            <button
+                                class="btn btn-secondary btn-sm"
+                                id="recordMatchBtn"
+                                aria-label="Record the result of a match between these teams">
+                                ${getIcon('award', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                                Record Result
+                            </button>
+                        ` : ''}
                         <button
                             class="btn btn-primary btn-sm"
                             id="exportTeamsBtn"
@@ -410,13 +964,52 @@ class TeamsPage extends BasePage {
                     </div>
                 </div>
 
-                <div class="teams-grid d-grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 md:gap-6">
-                    ${teams.map((team, index) => this.renderTeam(team, index)).join('')}
-                </div>
+                <div class="balance-breakdown-container"></div>
+
+                <div class="team-identities-container"></div>
+
+                <div class="team-grid-container"></div>
+
+                ${this.renderMatchResults()}
             </div>
         `;
     }
 
+    renderMatchResults() {
+        const matches = this.matchResultService.getMatches();
+        if (matches.length === 0) {
+            return '';
+        }
+
+        return `
+            <section class="match-results" aria-label="Recorded match results">
+                <h4 class="font-semibold m-0">Recorded Results</h4>
+                <p class="form-help-text">Results update each player's rating at the position they played. Undo them from the History page.</p>
+                <ul class="match-results__list">
+                    ${matches.map(match => `
+                        <li class="match-results__item text-sm">
+                            <span>${this.describeMatch(match)}</span>
+                            <time class="text-secondary" datetime="${match.timestamp}">${formatDate(match.timestamp, 'datetime')}</time>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `;
+    }
+
+    describeMatch(match) {
+        const [first, second] = match.teams;
+        const score = match.score ? ` ${match.score[0]}–${match.score[1]}` : '';
+
+        if (match.isDraw) {
+            return `${this.escape(first.name)} drew with ${this.escape(second.name)}${score}`;
+        }
+
+        return match.winnerTeam === 0
+            ? `<strong>${this.escape(first.name)}</strong> beat ${this.escape(second.name)}${score}`
+            : `<strong>${this.escape(second.name)}</strong> beat ${this.escape(first.name)}${match.score ? ` ${match.score[1]}–${match.score[0]}` : ''}`;
+    }
+
     calculateWeightedBalance(teams) {
         if (!teams || teams.length < 2) return 0;
 
@@ -436,65 +1029,146 @@ class TeamsPage extends BasePage {
         return { label: 'Poor', class: 'poor', icon: 'alert-triangle' };
     }
 
-    renderTeam(team, index) {
-        const strength = this.eloService.calculateTeamStrength(team);
-        const weightedRating = this.calculateWeightedTeamRating(team);
-        const showElo = this.state.showEloRatings;
+    /**
+     * Escaped name of a team slot
+     */
+    getTeamName(index) {
+        return this.escape(this.teamIdentityService.getTeamName(index));
+    }
 
-        return `
-            <div class="team-card">
-                <div class="team-header mb-4 d-flex justify-between items-center">
-                    <h4 class="font-semibold text-lg md:text-xl m-0">Team ${index + 1}</h4>
-                    ${showElo ? `<span class="status-badge status-badge--neutral">${weightedRating} ELO</span>` : ''}
-                </div>
+    /**
+     * Player IDs per team, starters then substitutes
+     */
+    getLineups({ teams, substitutes = [] }) {
+        return teams.map((team, index) => [...team, ...(substitutes[index] || [])].map(player => player.id));
+    }
 
-                <div class="team-players">
-                    ${team.map((player, playerIndex) => this.renderTeamPlayer(player, showElo, playerIndex)).join('')}
-                </div>
-            </div>
-        `;
+    /**
+     * Bib numbers of the current teams, or null when bibs are off
+     */
+    getBibNumbers() {
+        if (!this.state.teams || !this.teamIdentityService.isBibsEnabled()) {
+            return null;
+        }
+
+        return this.teamIdentityService.getBibNumbers(this.getLineups(this.state.teams));
+    }
+
+    /**
+     * Preference level of a player's assigned position, from the current player record
+     */
+    getAssignmentLevel(player) {
+        const current = this.playerService.getById(player.id) || player;
+        return getPositionLevel(current, player.assignedPosition);
     }
 
     calculateWeightedTeamRating(team) {
         if (!team || team.length === 0) return 0;
 
-        let weightedTotal = 0;
+        const weightedTotal = team.reduce((sum, player) => {
+            const slot = this.getSlot(player);
+            return sum + slot.rating * slot.weight;
+        }, 0);
+
+        return Math.round(weightedTotal);
+    }
 
-        team.forEach(player => {
-            const position = player.assignedPosition || player.positions?.[0];
-            const rating = position && player.ratings?.[position]
-                ? player.ratings[position]
-                : ratingConfig.RATING_CONSTANTS.DEFAULT;
+    /**
+     * Position, rating and weight of a player's place in a team
+     */
+    getSlot(player) {
+        const position = player.assignedPosition || player.positions?.[0];
+        const rating = position && player.ratings?.[position]
+            ? player.ratings[position]
+            : ratingConfig.RATING_CONSTANTS.DEFAULT;
+
+        return {
+            position,
+            rating,
+            weight: this.state.positionWeights[position] || uiConfig.INPUT_CONSTRAINTS.WEIGHT.DEFAULT
+        };
+    }
 
-            const weight = this.state.positionWeights[position] || uiConfig.INPUT_CONSTRAINTS.WEIGHT.DEFAULT;
-            weightedTotal += rating * weight;
+    /**
+     * Explain the balance: weighted contribution of each position per team,
+     * position matchups across teams and predicted win probabilities
+     * @returns {Object} {positions, teams, matchups, predictions}
+     */
+    buildBalanceBreakdown(teams) {
+        const positions = this.activityConfig.positionOrder
+            .filter(pos => teams.some(team => team.some(player => this.getSlot(player).position === pos)));
+
+        const teamRows = teams.map((team, index) => {
+            const slots = team.map(player => ({ player, ...this.getSlot(player) }));
+            const byRating = [...slots].sort((a, b) => b.rating - a.rating);
+
+            return {
+                index,
+                total: this.calculateWeightedTeamRating(team),
+                contributions: Object.fromEntries(positions.map(pos => [
+                    pos,
+                    Math.round(slots.filter(slot => slot.position === pos).reduce((sum, slot) => sum + slot.rating * slot.weight, 0))
+                ])),
+                strongest: byRating[0] || null,
+                weakest: byRating.length > 1 ? byRating[byRating.length - 1] : null,
+                // Same team rating as recorded match results use: average position rating
+                averageRating: slots.length > 0 ? slots.reduce((sum, slot) => sum + slot.rating, 0) / slots.length : 0
+            };
         });
 
-        return Math.round(weightedTotal);
-    }
+        const matchups = positions.map(pos => {
+            const averages = teams.map(team => {
+                const ratings = team.map(player => this.getSlot(player)).filter(slot => slot.position === pos).map(slot => slot.rating);
+                return ratings.length > 0 ? Math.round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length) : null;
+            });
+            const present = averages.filter(avg => avg !== null);
 
-    renderTeamPlayer(player, showElo, playerIndex) {
-        const position = player.assignedPosition;
-        const rating = Math.round(player.positionRating);
-        const posName = this.playerService.positions[position];
-        const comparisons = player.positionComparisons || 0;
+            return {
+                position: pos,
+                averages,
+                best: present.length > 1 ? Math.max(...present) : null,
+                gap: present.length > 1 ? Math.max(...present) - Math.min(...present) : 0
+            };
+        });
+
+        const predictions = [];
+        for (let a = 0; a < teamRows.length; a++) {
+            for (let b = a + 1; b < teamRows.length; b++) {
+                predictions.push({
+                    teamA: a,
+                    teamB: b,
+                    probabilityA: this.eloService.calculateExpectedScore(teamRows[a].averageRating, teamRows[b].averageRating)
+                });
+            }
+        }
 
-        // Determine rating status based on comparisons
-        const hasComparisons = comparisons > 0;
-        const statusClass = hasComparisons ? 'success' : 'neutral';
+        return { positions, teams: teamRows, matchups, predictions };
+    }
+
+    renderReoptimizeControls() {
+        const lockCount = Object.keys(this.state.locks).length;
+        if (lockCount === 0) {
+            return '';
+        }
 
         return `
-            <div class="team-player">
-                <div class="player-info flex-1">
-                    <div class="player-name font-medium mb-1">
-                        ${this.escape(player.name)}
-                    </div>
-                    <div class="player-position text-sm text-secondary">${posName}</div>
-                </div>
-                ${showElo ? `
-                    <div class="player-rating font-semibold text-brand">${rating}</div>
-                ` : ''}
-            </div>
+            <label class="toggle-switch">
+                <input
+                    type="checkbox"
+                    id="keepLockedPositionsToggle"
+                    ${this.state.keepLockedPositions ? 'checked' : ''}
+                    aria-label="Keep the positions of locked players">
+                <span class="toggle-slider"></span>
+                <span class="toggle-label">Keep positions</span>
+            </label>
+            <button
+                class="btn btn-secondary btn-sm"
+                id="reoptimizeBtn"
+                ${this.state.isOptimizing ? 'disabled' : ''}
+                aria-label="Re-optimize teams, keeping ${lockCount} locked player${lockCount === 1 ? '' : 's'} in place">
+                ${getIcon('shuffle', { size: ICON_SIZES.MEDIUM, className: 'btn-icon' })}
+                Re-optimize unlocked (${lockCount} locked)
+            </button>
         `;
     }
 
@@ -563,12 +1237,82 @@ class TeamsPage extends BasePage {
         // which calls attachEventListeners() again. Settings are already loaded
         // from loadSettings() in the state:changed listener.
 
+        // Team constraints
+        const addConstraintBtn = this.$('#addConstraintBtn');
+        if (addConstraintBtn) {
+            addConstraintBtn.addEventListener('click', () => this.handleAddConstraint());
+        }
+
+        this.$$('.team-constraints__remove-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.handleRemoveConstraint(btn.dataset.type, parseInt(btn.dataset.index));
+            });
+        });
+
+        // Position preference penalties
+        this.$$('.position-penalties__input').forEach(input => {
+            input.addEventListener('change', () => {
+                const penalty = Math.min(
+                    teamBuilderConfig.POSITION_PREFERENCES.MAX_PENALTY,
+                    Math.max(0, parseInt(input.value) || 0)
+                );
+                input.value = penalty;
+                this.state.positionPenalties = { ...this.state.positionPenalties, [input.dataset.level]: penalty };
+                this.saveSettings();
+            });
+        });
+
         // Optimize button
         const optimizeBtn = this.$('#optimizeBtn');
         if (optimizeBtn) {
             optimizeBtn.addEventListener('click', () => this.handleOptimize());
         }
 
+        // Optimization time budget and cancel
+        const timeBudget = this.$('#timeBudget');
+        if (timeBudget) {
+            timeBudget.addEventListener('change', (e) => {
+                const { MIN_TIME_BUDGET, MAX_TIME_BUDGET, DEFAULT_TIME_BUDGET } = teamBuilderConfig.TEAM_OPTIMIZATION;
+                const seconds = Math.min(MAX_TIME_BUDGET, Math.max(MIN_TIME_BUDGET, parseInt(e.target.value) || DEFAULT_TIME_BUDGET));
+                e.target.value = seconds;
+                this.state.timeBudget = seconds;
+                this.saveSettings();
+            });
+        }
+
+        const optimizerSeed = this.$('#optimizerSeed');
+        if (optimizerSeed) {
+            optimizerSeed.addEventListener('change', (e) => {
+                this.state.seed = e.target.value.trim();
+                e.target.value = this.state.seed;
+                this.saveSettings();
+            });
+        }
+
+        const cancelOptimizeBtn = this.$('#cancelOptimizeBtn');
+        if (cancelOptimizeBtn) {
+            cancelOptimizeBtn.addEventListener('click', () => this.handleCancelOptimize());
+        }
+
+        // Alternatives
+        const alternativeCount = this.$('#alternativeCount');
+        if (alternativeCount) {
+            alternativeCount.addEventListener('change', (e) => {
+                const count = Math.min(
+                    teamBuilderConfig.TEAM_ALTERNATIVES.MAX_COUNT,
+                    Math.max(2, parseInt(e.target.value) || teamBuilderConfig.TEAM_ALTERNATIVES.DEFAULT_COUNT)
+                );
+                e.target.value = count;
+                this.state.alternativeCount = count;
+                this.saveSettings();
+            });
+        }
+
+        const generateAlternativesBtn = this.$('#generateAlternativesBtn');
+        if (generateAlternativesBtn) {
+            generateAlternativesBtn.addEventListener('click', () => this.handleGenerateAlternatives());
+        }
+
         // Show ELO toggle
         const showEloToggle = this.$('#showEloToggle');
         if (showEloToggle) {
@@ -580,6 +1324,34 @@ class TeamsPage extends BasePage {
             });
         }
 
+        // Manual team editing
+        const editTeamsToggle = this.$('#editTeamsToggle');
+        if (editTeamsToggle) {
+            editTeamsToggle.addEventListener('change', (e) => {
+                this.setState({ isEditingTeams: e.target.checked });
+            });
+        }
+
+        // Re-optimize around locked players
+        const keepPositionsToggle = this.$('#keepLockedPositionsToggle');
+        if (keepPositionsToggle) {
+            keepPositionsToggle.addEventListener('change', (e) => {
+                this.setState({ keepLockedPositions: e.target.checked });
+                this.saveSettings();
+            });
+        }
+
+        const reoptimizeBtn = this.$('#reoptimizeBtn');
+        if (reoptimizeBtn) {
+            reoptimizeBtn.addEventListener('click', () => this.handleOptimize(true));
+        }
+
+        // Record match result button
+        const recordMatchBtn = this.$('#recordMatchBtn');
+        if (recordMatchBtn) {
+            recordMatchBtn.addEventListener('click', () => this.showRecordMatchModal());
+        }
+
         // Export button
         const exportBtn = this.$('#exportTeamsBtn');
         if (exportBtn) {
@@ -587,6 +1359,194 @@ class TeamsPage extends BasePage {
         }
     }
 
+    /**
+     * Move a player to another team and/or position, or swap two players
+     * Swapped players exchange positions when both can play them; a moved
+     * player keeps their position unless a new one is given.
+     * @param {Object} from - {team, index} of the player to move
+     * @param {Object} to - {team, index} of a player to swap with, or {team, position}
+     */
+    handleMovePlayer(from, to) {
+        const current = this.state.teams;
+        const placements = current.teams.map(team => team.map(player => ({
+            playerId: player.id,
+            position: player.assignedPosition
+        })));
+        const moving = placements[from.team]?.[from.index];
+        if (!moving) return;
+
+        const locks = { ...this.state.locks };
+        const followLock = (playerId, team) => {
+            if (locks[playerId] !== undefined) locks[playerId] = team;
+        };
+
+        if (to.index !== undefined) {
+            const other = placements[to.team]?.[to.index];
+            if (!other || other === moving) return;
+
+            const canPlay = (placement, position) => current.teams.flat()
+                .find(p => p.id === placement.playerId)?.positions.includes(position);
+            const exchange = canPlay(moving, other.position) && canPlay(other, moving.position);
+
+            placements[from.team][from.index] = { playerId: other.playerId, position: exchange ? moving.position : other.position };
+            placements[to.team][to.index] = { playerId: moving.playerId, position: exchange ? other.position : moving.position };
+            followLock(moving.playerId, to.team);
+            followLock(other.playerId, from.team);
+        } else {
+            const position = to.position || moving.position;
+            if (to.team === from.team && position === moving.position) return;
+
+            placements[from.team].splice(from.index, 1);
+            placements[to.team].push({ playerId: moving.playerId, position });
+            followLock(moving.playerId, to.team);
+        }
+
+        try {
+            const edited = this.teamOptimizerService.applyManualEdit(current, placements, this.playerService.getAll());
+            const result = edited.variety ? { ...edited, variety: this.recountVariety(edited) } : edited;
+
+            this.setState({ teams: result, locks });
+            this.saveTeams(result);
+            this.recordTeamHistory(result, true);
+            this.saveSettings();
+        } catch (error) {
+            toast.error(error.message);
+            this.update();
+        }
+    }
+
+    /**
+     * Recount repeated teammates after a manual edit, against the generations
+     * the teams were generated with
+     */
+    recountVariety(result) {
+        const pairCounts = this.teamOptimizerService.countTeammatePairs(
+            this.getRecentTeams(result.variety.generations, true)
+        );
+
+        return {
+            ...result.variety,
+            repeatedPairs: this.teamOptimizerService.countRepeatedPairs(result.teams, pairCounts)
+        };
+    }
+
+    handleAttendanceChange(playerIds, present) {
+        try {
+            this.attendanceService.setPresent(this.state.attendanceDate, playerIds, present);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleVarietyChange(variety) {
+        this.state.variety = variety;
+        this.saveSettings();
+    }
+
+    handleAttributeModeChange(key, mode) {
+        const current = this.state.attributeRules[key] || { quotas: {} };
+        this.setState({
+            attributeRules: {
+                ...this.state.attributeRules,
+                [key]: { ...current, mode }
+            }
+        });
+        this.saveSettings();
+    }
+
+    handleAttributeQuotaChange(key, option, min) {
+        const rule = this.state.attributeRules[key];
+        this.state.attributeRules = {
+            ...this.state.attributeRules,
+            [key]: { ...rule, quotas: { ...rule.quotas, [option]: min } }
+        };
+        this.saveSettings();
+    }
+
+    handleAddConstraint() {
+        const playerA = this.$('#constraintPlayerA')?.value;
+        const playerB = this.$('#constraintPlayerB')?.value;
+        const type = this.$('#constraintType')?.value;
+
+        if (!playerA || !playerB || playerA === playerB) {
+            toast.error('Select two different players');
+            return;
+        }
+
+        const samePair = (pair) => pair.includes(playerA) && pair.includes(playerB);
+        const { together, apart } = this.state.constraints;
+        if (together.some(samePair) || apart.some(samePair)) {
+            toast.error('These players already have a constraint');
+            return;
+        }
+
+        this.setState({
+            constraints: {
+                ...this.state.constraints,
+                [type]: [...this.state.constraints[type], [playerA, playerB]]
+            }
+        });
+        this.saveSettings();
+    }
+
+    handleRemoveConstraint(type, index) {
+        this.setState({
+            constraints: {
+                ...this.state.constraints,
+                [type]: this.state.constraints[type].filter((pair, i) => i !== index)
+            }
+        });
+        this.saveSettings();
+    }
+
+    handleToggleLock(playerId, teamIndex) {
+        const { [playerId]: current, ...others } = this.state.locks;
+        const locks = current === teamIndex ? others : { ...others, [playerId]: teamIndex };
+
+        this.setState({ locks });
+        this.saveSettings();
+    }
+
+    /**
+     * Build lock constraints from the current teams
+     * Positions are only fixed when "Keep positions" is on.
+     */
+    getLockConstraints() {
+        const teams = this.state.teams?.teams || [];
+
+        return Object.entries(this.state.locks).map(([playerId, team]) => {
+            const placed = teams[team]?.find(p => p.id === playerId);
+            return {
+                playerId,
+                team,
+                position: this.state.keepLockedPositions ? placed?.assignedPosition || null : null
+            };
+        });
+    }
+
+    /**
+     * Build quota constraints from attribute rules set to "Minimum per team"
+     */
+    getQuotaConstraints() {
+        return this.playerAttributeService.getDefinitions().flatMap(definition => {
+            const rule = this.state.attributeRules[definition.key];
+            if (rule?.mode !== 'quota') return [];
+
+            return definition.options
+                .filter(option => rule.quotas?.[option] > 0)
+                .map(option => ({ key: definition.key, name: definition.name, value: option, min: rule.quotas[option] }));
+        });
+    }
+
+    /**
+     * Attributes to balance across teams
+     */
+    getBalancedAttributes() {
+        return this.playerAttributeService.getDefinitions()
+            .filter(definition => this.state.attributeRules[definition.key]?.mode === 'balance')
+            .map(definition => ({ key: definition.key, type: definition.type }));
+    }
+
     getComposition() {
         const positions = this.activityConfig.positionOrder;
         const composition = {};
@@ -599,58 +1559,391 @@ class TeamsPage extends BasePage {
         return composition;
     }
 
-    async handleOptimize() {
+    /**
+     * Generate teams
+     * @param {boolean} keepLocks - Re-optimize around locked players instead of starting fresh
+     */
+    async handleOptimize(keepLocks = false) {
         if (this.state.isOptimizing) return;
 
+        const input = this.getOptimizationInput();
+        if (!input) return;
+
         try {
-            this.setState({ isOptimizing: true });
+            this.startOptimizing();
+
+            // Optimize in a worker, streaming progress
+            const result = await this.runWithPositionWeights(() => this.teamOptimizerService.optimize(
+                input.composition,
+                input.teamCount,
+                input.players,
+                this.getOptimizerConstraints(keepLocks),
+                this.getOptimizerPreferences(),
+                {
+                    timeBudget: this.state.timeBudget * 1000,
+                    seed: this.state.seed,
+                    onProgress: (progress) => this.showOptimizeProgress(progress)
+                }
+            ));
+
+            // Calculate weighted balance for display
+            const weightedBalance = this.calculateWeightedBalance(result.teams);
+
+            // Fresh teams start without locks
+            this.setState({
+                teams: result,
+                alternatives: null,
+                locks: keepLocks ? this.state.locks : {},
+                isOptimizing: false
+            });
 
-            const teamCount = this.state.teamCount;
-            const composition = this.getComposition();
-            const players = this.playerService.getAll();
+            // Save teams (and locks) to active session
+            this.saveTeams(result);
+            this.recordTeamHistory(result);
+            this.saveSettings();
 
-            // Validate
-            if (Object.values(composition).every(v => v === 0)) {
-                toast.error(MESSAGES.ERRORS.SELECT_PLAYER_PER_TEAM);
-                this.setState({ isOptimizing: false });
-                return;
+            toast.success(`Teams created! Balance: ${weightedBalance} weighted ELO difference`);
+        } catch (error) {
+            this.handleOptimizeError(error);
+        }
+    }
+
+    /**
+     * Generate alternative solutions to compare; nothing is saved until one is picked
+     */
+    async handleGenerateAlternatives() {
+        if (this.state.isOptimizing) return;
+
+        const input = this.getOptimizationInput();
+        if (!input) return;
+
+        try {
+            this.startOptimizing();
+
+            const alternatives = await this.runWithPositionWeights(() => this.teamOptimizerService.optimizeAlternatives(
+                input.composition,
+                input.teamCount,
+                input.players,
+                this.getOptimizerConstraints(false),
+                this.getOptimizerPreferences(),
+                this.state.alternativeCount,
+                {
+                    seed: this.state.seed,
+                    onProgress: (progress) => this.showOptimizeProgress(progress)
+                }
+            ));
+
+            this.setState({ alternatives, isOptimizing: false });
+
+            if (alternatives.length < this.state.alternativeCount) {
+                toast.info(`Found ${alternatives.length} comparably balanced alternative${alternatives.length === 1 ? '' : 's'}`);
             }
+        } catch (error) {
+            this.handleOptimizeError(error);
+        }
+    }
 
-            // Show optimizing message
-            toast.info(MESSAGES.INFO.OPTIMIZING, uiConfig.TOAST.LONG_DURATION);
+    startOptimizing() {
+        this.optimizeProgress = null;
+        this.optimizationCancelled = false;
+        this.setState({ isOptimizing: true });
+    }
 
-            // Apply custom position weights temporarily for optimization
-            const originalWeights = { ...this.activityConfig.positionWeights };
-            Object.assign(this.activityConfig.positionWeights, this.state.positionWeights);
+    /**
+     * Show worker progress without re-rendering the page
+     */
+    showOptimizeProgress(progress) {
+        this.optimizeProgress = progress;
 
-            try {
-                // Optimize (async)
-                const result = await this.teamOptimizerService.optimize(
-                    composition,
-                    teamCount,
-                    players
-                );
+        const label = this.$('#optimizeProgress');
+        if (label) {
+            label.textContent = this.describeOptimizeProgress(progress);
+        }
+    }
 
-                // Calculate weighted balance for display
-                const weightedBalance = this.calculateWeightedBalance(result.teams);
+    handleCancelOptimize() {
+        if (!this.state.isOptimizing) return;
 
-                this.setState({
-                    teams: result,
-                    isOptimizing: false
-                });
+        this.optimizationCancelled = true;
+        this.teamOptimizerService.cancel();
+    }
+
+    handleOptimizeError(error) {
+        // Cancelled by leaving the page
+        if (this.isDestroyed) return;
+
+        this.setState({ isOptimizing: false });
+
+        if (this.optimizationCancelled) {
+            toast.info('Optimization cancelled');
+        } else {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Save a compared alternative as the session's teams
+     */
+    handleUseAlternative(index) {
+        const result = this.state.alternatives?.[index];
+        if (!result) return;
+
+        this.setState({
+            teams: result,
+            alternatives: null,
+            locks: {}
+        });
+
+        this.saveTeams(result);
+        this.recordTeamHistory(result);
+        this.saveSettings();
+
+        toast.success(`Option ${index + 1} saved. Balance: ${this.calculateWeightedBalance(result.teams)} weighted ELO difference`);
+    }
+
+    /**
+     * Start a captain draft with the checked-in players
+     */
+    handleStartDraft() {
+        const input = this.getOptimizationInput();
+        if (!input) return;
+
+        if (this.state.draft?.picks.length > 0 && !confirm('Restart the draft? Picks made so far are lost.')) {
+            return;
+        }
+
+        const isManual = this.state.draftCaptainMode === teamBuilderConfig.TEAM_DRAFT.CAPTAIN_MODES.MANUAL;
+        const presentIds = new Set(input.players.map(p => p.id));
+
+        try {
+            const draft = this.teamOptimizerService.createDraft(input.composition, input.teamCount, input.players, {
+                captainIds: isManual ? this.state.draftCaptainIds.filter(id => presentIds.has(id)) : null,
+                order: this.state.draftOrder,
+                positionWeights: this.state.positionWeights,
+                positionPenalties: this.state.positionPenalties
+            });
+
+            this.draftPlayers = input.players;
+            this.setState({ draft, alternatives: null, isEditingTeams: false });
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Pick a player for the team on the clock
+     * @param {string} playerId - Picked player
+     * @param {string|null} position - Position (default: best-rated open slot)
+     */
+    handleDraftPick(playerId, position = null) {
+        try {
+            const draft = this.teamOptimizerService.makeDraftPick(this.state.draft, playerId, this.draftPlayers, position);
+            this.setState({ draft });
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleUndoDraftPick() {
+        try {
+            this.setState({ draft: this.teamOptimizerService.undoDraftPick(this.state.draft) });
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
 
-                // Save teams to active session
-                this.saveTeams(result);
+    handleCancelDraft() {
+        if (this.state.draft?.picks.length > 0 && !confirm('Cancel the draft? Picks made so far are lost.')) {
+            return;
+        }
+
+        this.draftPlayers = [];
+        this.setState({ draft: null });
+    }
+
+    /**
+     * Save the drafted teams as the session's teams
+     */
+    handleFinishDraft() {
+        try {
+            const result = this.teamOptimizerService.finishDraft(this.state.draft, this.draftPlayers);
 
-                toast.success(`Teams created! Balance: ${weightedBalance} weighted ELO difference`);
-            } finally {
-                // Restore original weights
-                Object.assign(this.activityConfig.positionWeights, originalWeights);
+            this.draftPlayers = [];
+            this.setState({
+                teams: result,
+                draft: null,
+                locks: {}
+            });
+
+            this.saveTeams(result);
+            this.recordTeamHistory(result);
+            this.saveSettings();
+
+            toast.success(`Draft saved! Balance: ${this.calculateWeightedBalance(result.teams)} weighted ELO difference`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    /**
+     * Check the builder input before optimizing
+     * @returns {Object|null} {composition, teamCount, players}, or null after reporting the problem
+     */
+    getOptimizationInput() {
+        const teamCount = this.state.teamCount;
+        const composition = this.getComposition();
+        const players = this.attendanceService.getPresentPlayers(this.state.attendanceDate);
+
+        if (Object.values(composition).every(v => v === 0)) {
+            toast.error(MESSAGES.ERRORS.SELECT_PLAYER_PER_TEAM);
+            return null;
+        }
+
+        if (players.length < 2) {
+            toast.error('Check in at least 2 players to create teams');
+            return null;
+        }
+
+        const capacity = this.validationService.validateCompositionCapacity(composition, teamCount, players);
+        if (!capacity.isValid) {
+            toast.warning(capacity.errors[0]);
+        }
+
+        return { composition, teamCount, players };
+    }
+
+    getOptimizerConstraints(keepLocks) {
+        return {
+            ...this.state.constraints,
+            locks: keepLocks ? this.getLockConstraints() : [],
+            quotas: this.getQuotaConstraints()
+        };
+    }
+
+    getOptimizerPreferences() {
+        return {
+            variety: {
+                recentTeams: this.getRecentTeams(this.state.variety.lookback),
+                strength: this.state.variety.strength
+            },
+            attributes: this.getBalancedAttributes(),
+            positionPenalties: this.state.positionPenalties
+        };
+    }
+
+    /**
+     * Run an optimization with the custom position weights applied temporarily
+     */
+    async runWithPositionWeights(optimize) {
+        const originalWeights = { ...this.activityConfig.positionWeights };
+        Object.assign(this.activityConfig.positionWeights, this.state.positionWeights);
+
+        try {
+            return await optimize();
+        } finally {
+            // Restore original weights
+            Object.assign(this.activityConfig.positionWeights, originalWeights);
+        }
+    }
+
+    showRecordMatchModal() {
+        const teams = this.state.teams?.teams || [];
+
+        const modal = new Modal({
+            title: 'Record Match Result',
+            content: this.renderRecordMatchContent(teams),
+            showCancel: true,
+            showConfirm: true,
+            confirmText: 'Record Result',
+            onConfirm: () => {
+                try {
+                    const match = this.readRecordMatchForm();
+                    this.matchResultService.recordMatch(match);
+                    toast.success('Match result recorded and ratings updated');
+                    return true;
+                } catch (error) {
+                    toast.error(error.message);
+                    return false;
+                }
             }
+        });
 
+        this.addComponent(modal);
+        modal.mount();
+        modal.open();
+    }
+
+    renderRecordMatchContent(teams) {
+        const teamOptions = (selected) => teams.map((team, index) => `
+            <option value="${index}" ${index === selected ? 'selected' : ''}>${this.getTeamName(index)}</option>
+        `).join('');
+
+        return `
+            <div class="modal-content-inner record-match">
+                <p class="form-help-text mb-3">
+                    Each player's rating changes at the position they were assigned, based on how
+                    surprising the result was for the two teams' average ratings.
+                </p>
+                <div class="record-match__teams">
+                    <div class="form-group">
+                        <label for="matchTeamA">First team</label>
+                        <select id="matchTeamA" class="form-control">${teamOptions(0)}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="matchTeamB">Second team</label>
+                        <select id="matchTeamB" class="form-control">${teamOptions(1)}</select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="matchOutcome">Result</label>
+                    <select id="matchOutcome" class="form-control">
+                        <option value="first">First team won</option>
+                        <option value="second">Second team won</option>
+                        <option value="draw">Draw</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Score <span class="text-tertiary">(optional)</span></label>
+                    <div class="record-match__score">
+                        <input type="number" id="matchScoreA" class="form-control" min="0" aria-label="First team score">
+                        <span aria-hidden="true">–</span>
+                        <input type="number" id="matchScoreB" class="form-control" min="0" aria-label="Second team score">
+                    </div>
+                    <p class="form-help-text">A decisive score moves ratings a little more than a close one.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    readRecordMatchForm() {
+        const teamA = parseInt(document.getElementById('matchTeamA')?.value);
+        const teamB = parseInt(document.getElementById('matchTeamB')?.value);
+        const outcome = document.getElementById('matchOutcome')?.value;
+        const scoreA = document.getElementById('matchScoreA')?.value;
+        const scoreB = document.getElementById('matchScoreB')?.value;
+
+        let score = null;
+        if (scoreA !== '' || scoreB !== '') {
+            score = [parseInt(scoreA), parseInt(scoreB)];
+        }
+
+        return {
+            teams: [teamA, teamB],
+            winnerTeam: outcome === 'draw' ? null : outcome === 'first' ? teamA : teamB,
+            score
+        };
+    }
+
+    /**
+     * Rename or recolor a team, keeping the part that did not change
+     */
+    handleUpdateTeamIdentity(index, changes) {
+        try {
+            const current = this.teamIdentityService.getIdentity(index);
+            this.teamIdentityService.updateIdentity(index, { ...current, ...changes }, this.state.teams.teams.length);
         } catch (error) {
-            this.setState({ isOptimizing: false });
             toast.error(error.message);
+            this.update();
         }
     }
 
@@ -658,26 +1951,43 @@ class TeamsPage extends BasePage {
         if (!this.state.teams) return;
 
         try {
-            const { teams } = this.state.teams;
+            const { teams, substitutes = [] } = this.state.teams;
             const showElo = this.state.showEloRatings;
+            const identities = this.teamIdentityService.getIdentities(teams.length);
+            const showColors = identities.some(identity => identity.color);
+            const bibs = this.getBibNumbers();
 
             const lines = [];
-            const header = showElo ?
-                ['Team', 'Player', 'Position', 'ELO Rating'] :
-                ['Team', 'Player', 'Position'];
+            const header = [
+                'Team',
+                ...(showColors ? ['Color'] : []),
+                ...(bibs ? ['Bib'] : []),
+                'Player',
+                'Position',
+                'Role',
+                ...(showElo ? ['ELO Rating'] : [])
+            ];
 
             lines.push(header.join(','));
 
             teams.forEach((team, teamIndex) => {
-                team.forEach(player => {
+                const members = [
+                    ...team.map(player => ({ player, role: 'Starter' })),
+                    ...(substitutes[teamIndex] || []).map(player => ({ player, role: 'Substitute' }))
+                ];
+
+                members.forEach(({ player, role }) => {
                     const position = player.assignedPosition;
                     const posName = this.playerService.positions[position];
                     const rating = Math.round(player.positionRating);
 
                     const row = [
-                        `Team ${teamIndex + 1}`,
+                        escapeCSVValue(identities[teamIndex].name),
+                        ...(showColors ? [identities[teamIndex].color || ''] : []),
+                        ...(bibs ? [bibs.get(player.id)] : []),
                         `"${player.name.replace(/"/g, '""')}"`,
-                        posName
+                        posName,
+                        role
                     ];
 
                     if (showElo) {
@@ -0,0 +1,448 @@
+// src/pages/TournamentPage.js
+
+/**
+ * TournamentPage - Schedule, results and standings for the generated teams
+ */
+import BasePage from './BasePage.js';
+import Sidebar from '../components/Sidebar.js';
+import toast from '../components/base/Toast.js';
+import { activities } from '../config/activities/index.js';
+import { getIcon } from '../components/base/Icons.js';
+import uiConfig from '../config/ui.js';
+import tournamentConfig from '../config/tournament.js';
+
+const { ELEMENT_IDS } = uiConfig;
+const { TOURNAMENT_FORMATS, TOURNAMENT_LIMITS, TOURNAMENT_DEFAULTS } = tournamentConfig;
+
+const FORMAT_NAMES = {
+    [TOURNAMENT_FORMATS.ROUND_ROBIN]: 'Round-robin',
+    [TOURNAMENT_FORMATS.SINGLE_ELIMINATION]: 'Single elimination',
+    [TOURNAMENT_FORMATS.DOUBLE_ELIMINATION]: 'Double elimination',
+    [TOURNAMENT_FORMATS.POOLS_PLAYOFFS]: 'Pools + playoffs'
+};
+
+class TournamentPage extends BasePage {
+    constructor(container, props = {}) {
+        super(container, props);
+        this.setTitle('Tournament');
+
+        // Get services from props
+        this.activityKey = props.activityKey;
+        this.tournamentService = props.services?.resolve('tournamentService');
+        this.sessionService = props.services?.resolve('sessionService');
+        this.eventBus = props.services?.resolve('eventBus');
+        this.sidebar = null;
+
+        // Setup form values survive re-renders
+        this.settings = {
+            format: TOURNAMENT_DEFAULTS.FORMAT,
+            courts: TOURNAMENT_DEFAULTS.COURTS,
+            startTime: TOURNAMENT_DEFAULTS.START_TIME,
+            slotMinutes: TOURNAMENT_DEFAULTS.SLOT_MINUTES,
+            poolCount: TOURNAMENT_DEFAULTS.POOLS,
+            advancePerPool: TOURNAMENT_DEFAULTS.ADVANCE_PER_POOL
+        };
+        this.isSetupOpen = false;
+    }
+
+    onCreate() {
+        this.on('tournament:changed', () => this.update());
+        this.on('state:changed', () => this.update());
+        this.on('session:activated', () => {
+            this.isSetupOpen = false;
+            this.update();
+        });
+    }
+
+    onMount() {
+        this.mountSidebar();
+        this.attachEventListeners();
+    }
+
+    onUpdate() {
+        // Re-mount sidebar if container was re-rendered
+        this.mountSidebar();
+        this.attachEventListeners();
+    }
+
+    onDestroy() {
+        if (this.sidebar) {
+            this.sidebar.destroy();
+            this.sidebar = null;
+        }
+    }
+
+    mountSidebar() {
+        const sidebarContainer = document.getElementById(ELEMENT_IDS.SIDEBAR_CONTAINER);
+        if (!sidebarContainer) return;
+
+        // Check if sidebar already exists and is properly mounted
+        if (this.sidebar && sidebarContainer.children.length > 0) {
+            this.sidebar.update();
+            return;
+        }
+
+        // Destroy old sidebar if it exists but is not mounted
+        if (this.sidebar) {
+            this.sidebar.destroy();
+        }
+
+        const activityConfig = this.activityKey ? activities[this.activityKey] : null;
+
+        this.sidebar = new Sidebar(sidebarContainer, {
+            sessionService: this.sessionService,
+            eventBus: this.eventBus,
+            activityKey: this.activityKey,
+            activityName: activityConfig?.name || null
+        });
+
+        this.sidebar.mount();
+        this.addComponent(this.sidebar);
+        this.setupMobileSidebarToggle();
+    }
+
+    render() {
+        const tournament = this.tournamentService.getTournament();
+        const teamCount = this.tournamentService.getGeneratedTeamCount();
+        const canCreate = teamCount >= TOURNAMENT_LIMITS.MIN_TEAMS && teamCount <= TOURNAMENT_LIMITS.MAX_TEAMS;
+
+        let content;
+        if (tournament && !this.isSetupOpen) {
+            content = this.renderTournament(tournament);
+        } else if (canCreate) {
+            content = this.renderSetup(teamCount, Boolean(tournament));
+        } else {
+            content = this.renderEmpty(
+                `Generate ${TOURNAMENT_LIMITS.MIN_TEAMS}-${TOURNAMENT_LIMITS.MAX_TEAMS} teams on the Teams page to schedule a tournament.`,
+                getIcon('award', { size: 40, color: 'var(--color-text-secondary)' })
+            );
+        }
+
+        return this.renderPageWithSidebar(`
+            <header class="page-header">
+                <h2>Tournament</h2>
+                <p class="page-subtitle">Schedule games between the generated teams, enter results and follow the standings</p>
+            </header>
+
+            <div class="page-content">
+                ${content}
+            </div>
+        `);
+    }
+
+    renderSetup(teamCount, hasTournament) {
+        const { format, courts, startTime, slotMinutes, poolCount, advancePerPool } = this.settings;
+        const isPools = format === TOURNAMENT_FORMATS.POOLS_PLAYOFFS;
+
+        return `
+            <form class="tournament-setup" id="tournamentSetupForm" aria-label="Tournament setup">
+                <p class="form-help-text">
+                    ${teamCount} generated teams, seeded by average rating. The tournament keeps these teams even if new teams are generated.
+                </p>
+                <div class="tournament-setup__fields">
+                    <div class="form-group">
+                        <label for="tournamentFormat">Format</label>
+                        <select id="tournamentFormat" class="form-control">
+                            ${Object.values(TOURNAMENT_FORMATS).map(value => `
+                                <option value="${value}" ${value === format ? 'selected' : ''}>${FORMAT_NAMES[value]}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="tournamentCourts">Courts</label>
+                        <input type="number" id="tournamentCourts" class="form-control"
+                            value="${courts}" min="1" max="${TOURNAMENT_LIMITS.MAX_COURTS}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="tournamentStartTime">First game</label>
+                        <input type="time" id="tournamentStartTime" class="form-control" value="${startTime}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="tournamentSlotMinutes">Minutes per game</label>
+                        <input type="number" id="tournamentSlotMinutes" class="form-control"
+                            value="${slotMinutes}" min="${TOURNAMENT_LIMITS.MIN_SLOT_MINUTES}" max="${TOURNAMENT_LIMITS.MAX_SLOT_MINUTES}" required>
+                    </div>
+                    <div class="form-group tournament-setup__pools" ${isPools ? '' : 'hidden'}>
+                        <label for="tournamentPoolCount">Pools</label>
+                        <input type="number" id="tournamentPoolCount" class="form-control"
+                            value="${poolCount}" min="2" max="${TOURNAMENT_LIMITS.MAX_POOLS}">
+                    </div>
+                    <div class="form-group tournament-setup__pools" ${isPools ? '' : 'hidden'}>
+                        <label for="tournamentAdvance">Playoff teams per pool</label>
+                        <input type="number" id="tournamentAdvance" class="form-control"
+                            value="${advancePerPool}" min="1">
+                    </div>
+                </div>
+                <div class="tournament-setup__actions">
+                    <button type="submit" class="btn btn-primary">
+                        ${getIcon('award', { size: 16, className: 'btn-icon' })}
+                        ${hasTournament ? 'Replace tournament' : 'Create schedule'}
+                    </button>
+                    ${hasTournament ? `
+                        <button type="button" class="btn btn-secondary" id="cancelTournamentSetupBtn">Cancel</button>
+                    ` : ''}
+                </div>
+            </form>
+        `;
+    }
+
+    renderTournament(tournament) {
+        const schedule = this.tournamentService.getSchedule(tournament);
+        const standings = this.tournamentService.getStandings(tournament);
+        const games = schedule.flatMap(slot => slot.games);
+        const played = games.filter(game => game.scores).length;
+
+        return `
+            <div class="tournament-toolbar">
+                <p class="tournament-toolbar__summary">
+                    <strong>${FORMAT_NAMES[tournament.format]}</strong>
+                    · ${tournament.teams.length} teams
+                    · ${tournament.courts} court${tournament.courts === 1 ? '' : 's'}
+                    · ${played}/${games.length} games played
+                </p>
+                <div class="tournament-toolbar__actions">
+                    <button type="button" class="btn btn-secondary btn-sm" id="printTournamentBtn">
+                        ${getIcon('file-text', { size: 14, className: 'btn-icon' })}
+                        Print
+                    </button>
+                    <button type="button" class="btn btn-secondary btn-sm" id="newTournamentBtn">
+                        ${getIcon('refresh', { size: 14, className: 'btn-icon' })}
+                        New tournament
+                    </button>
+                </div>
+            </div>
+
+            <section class="tournament-section" aria-labelledby="tournamentTeamsTitle">
+                <h3 id="tournamentTeamsTitle">Teams</h3>
+                <ul class="tournament-teams">
+                    ${tournament.teams.map(team => `
+                        <li class="text-sm">
+                            ${this.renderSwatch(team)}
+                            <strong>${this.escape(team.name)}</strong>
+                            <span class="text-secondary">${team.players.map(name => this.escape(name)).join(', ')}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+
+            <section class="tournament-section" aria-labelledby="tournamentScheduleTitle">
+                <h3 id="tournamentScheduleTitle">Schedule</h3>
+                ${schedule.map(slot => this.renderSlot(slot, tournament.courts > 1, tournament.teams)).join('')}
+            </section>
+
+            <section class="tournament-section" aria-labelledby="tournamentStandingsTitle">
+                <h3 id="tournamentStandingsTitle">Standings</h3>
+                ${standings.tables.map(table => this.renderTable(table, tournament.teams)).join('')}
+                ${this.renderPlacements(standings.placements, tournament.format, tournament.teams)}
+            </section>
+        `;
+    }
+
+    renderSlot(slot, showCourts, teams) {
+        return `
+            <div class="tournament-slot">
+                <h4 class="tournament-slot__time">${slot.time}</h4>
+                <ul class="tournament-slot__games">
+                    ${slot.games.map(game => this.renderGame(game, showCourts, teams)).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    renderGame(game, showCourts, teams) {
+        const [sideA, sideB] = game.sides;
+        const sideName = (side) => side.team !== null
+            ? `${this.renderSwatch(teams[side.team])}<strong>${this.escape(side.name)}</strong>`
+            : `<span class="text-secondary">${this.escape(side.name)}</span>`;
+
+        return `
+            <li class="tournament-game ${game.scores ? 'tournament-game--played' : ''}" data-game-id="${game.id}">
+                <span class="tournament-game__info text-sm text-secondary">
+                    #${game.number}${showCourts ? ` · Court ${game.court}` : ''} · ${this.escape(game.label)}
+                </span>
+                <span class="tournament-game__teams">
+                    ${sideName(sideA)}
+                    <span class="tournament-game__score">${game.scores ? `${game.scores[0]}–${game.scores[1]}` : 'vs'}</span>
+                    ${sideName(sideB)}
+                </span>
+                ${game.isReady ? `
+                    <form class="tournament-game__result" data-game-id="${game.id}" aria-label="Result of game ${game.number}">
+                        <input type="number" class="form-control tournament-game__input" min="0" required
+                            value="${game.scores ? game.scores[0] : ''}" aria-label="${this.escape(sideA.name)} score">
+                        <span aria-hidden="true">–</span>
+                        <input type="number" class="form-control tournament-game__input" min="0" required
+                            value="${game.scores ? game.scores[1] : ''}" aria-label="${this.escape(sideB.name)} score">
+                        <button type="submit" class="btn btn-secondary btn-sm" title="${game.allowsDraw ? 'Save result' : 'Save result (no draws)'}">
+                            ${getIcon('check', { size: 14, className: 'btn-icon' })}
+                            Save
+                        </button>
+                        ${game.scores ? `
+                            <button type="button" class="btn btn-secondary btn-sm tournament-game__clear-btn" aria-label="Clear result of game ${game.number}">
+                                ${getIcon('x', { size: 14 })}
+                            </button>
+                        ` : ''}
+                    </form>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    renderTable(table, teams) {
+        return `
+            <div class="tournament-table">
+                <h4>${this.escape(table.title)}</h4>
+                <table class="tournament-table__grid">
+                    <thead>
+                        <tr>
+                            <th scope="col">#</th>
+                            <th scope="col">Team</th>
+                            <th scope="col" title="Played">P</th>
+                            <th scope="col" title="Won">W</th>
+                            <th scope="col" title="Drawn">D</th>
+                            <th scope="col" title="Lost">L</th>
+                            <th scope="col" title="Score">+/-</th>
+                            <th scope="col" title="Points">Pts</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${table.rows.map((row, index) => `
+                            <tr class="${index < table.advance ? 'tournament-table__advance' : ''}">
+                                <td>${index + 1}</td>
+                                <td>${this.renderSwatch(teams[row.team])}${this.escape(row.name)}</td>
+                                <td>${row.played}</td>
+                                <td>${row.won}</td>
+                                <td>${row.drawn}</td>
+                                <td>${row.lost}</td>
+                                <td>${row.scored}:${row.conceded}</td>
+                                <td><strong>${row.points}</strong></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${table.advance > 0 ? `<p class="form-help-text">The top ${table.advance} go on to the playoffs.</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderPlacements(placements, format, teams) {
+        if (format === TOURNAMENT_FORMATS.ROUND_ROBIN) {
+            return '';
+        }
+
+        return `
+            <div class="tournament-table">
+                <h4>${format === TOURNAMENT_FORMATS.POOLS_PLAYOFFS ? 'Playoffs' : 'Placements'}</h4>
+                ${placements.length > 0 ? `
+                    <ol class="tournament-placements">
+                        ${placements.map(placement => `
+                            <li class="text-sm">
+                                <span class="tournament-placements__place">${placement.place}.</span>
+                                ${this.renderSwatch(teams[placement.team])}
+                                <strong>${this.escape(placement.name)}</strong>
+                                <span class="text-secondary">${this.escape(placement.label)}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                ` : '<p class="form-help-text">Placements appear as knockout games are played.</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Color dot of a team, if it has a color
+     */
+    renderSwatch(team) {
+        return team?.color
+            ? `<span class="team-swatch" style="background-color: ${this.escape(team.color)}" aria-hidden="true"></span>`
+            : '';
+    }
+
+    attachEventListeners() {
+        const setupForm = this.$('#tournamentSetupForm');
+        if (setupForm) {
+            const formatSelect = this.$('#tournamentFormat');
+            formatSelect.addEventListener('change', () => {
+                const isPools = formatSelect.value === TOURNAMENT_FORMATS.POOLS_PLAYOFFS;
+                this.$$('.tournament-setup__pools').forEach(group => {
+                    group.hidden = !isPools;
+                });
+            });
+
+            setupForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleCreate();
+            });
+        }
+
+        const cancelSetupBtn = this.$('#cancelTournamentSetupBtn');
+        if (cancelSetupBtn) {
+            cancelSetupBtn.addEventListener('click', () => {
+                this.isSetupOpen = false;
+                this.update();
+            });
+        }
+
+        const printBtn = this.$('#printTournamentBtn');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => window.print());
+        }
+
+        const newTournamentBtn = this.$('#newTournamentBtn');
+        if (newTournamentBtn) {
+            newTournamentBtn.addEventListener('click', () => {
+                this.isSetupOpen = true;
+                this.update();
+            });
+        }
+
+        this.$$('.tournament-game__result').forEach(form => {
+            const gameId = form.getAttribute('data-game-id');
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const scores = [...form.querySelectorAll('.tournament-game__input')].map(input => Number(input.value));
+                this.handleRecordResult(gameId, scores);
+            });
+
+            const clearBtn = form.querySelector('.tournament-game__clear-btn');
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => this.handleRecordResult(gameId, null));
+            }
+        });
+    }
+
+    handleCreate() {
+        this.settings = {
+            format: this.$('#tournamentFormat').value,
+            courts: parseInt(this.$('#tournamentCourts').value),
+            startTime: this.$('#tournamentStartTime').value,
+            slotMinutes: parseInt(this.$('#tournamentSlotMinutes').value),
+            poolCount: parseInt(this.$('#tournamentPoolCount').value),
+            advancePerPool: parseInt(this.$('#tournamentAdvance').value)
+        };
+
+        if (this.tournamentService.getTournament() && !confirm('Replace the current tournament? Its results will be lost.')) {
+            return;
+        }
+
+        try {
+            const tournament = this.tournamentService.createTournament(this.settings);
+            this.isSetupOpen = false;
+            this.update();
+            const count = tournament.games.filter(game => game.slot !== null).length;
+            toast.success(`Scheduled ${count} game${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+
+    handleRecordResult(gameId, scores) {
+        try {
+            this.tournamentService.recordResult(gameId, scores);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }
+}
+
+export default TournamentPage;
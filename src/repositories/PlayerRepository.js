@@ -1,6 +1,7 @@
 // src/repositories/PlayerRepository.js
 
 import ratingConfig from '../config/rating.js';
+import { getComparedNames, addComparedRecord, removeComparedRecord } from '../utils/comparedWith.js';
 
 /**
  * PlayerRepository - Data Access Layer for Player entities
@@ -200,9 +201,10 @@ class PlayerRepository {
     /**
      * Update multiple players at once in the current activity's active session
      * @param {Array<{id: string, updates: Object}>} playerUpdates - Array of player updates
+     * @param {Object} sessionUpdates - Other session fields to write in the same state update
      * @returns {Array<Object>} Updated players
      */
-    updateMany(playerUpdates) {
+    updateMany(playerUpdates, sessionUpdates = {}) {
         const currentPlayers = this.getAll();
         const updatedPlayers = [...currentPlayers];
 
@@ -219,7 +221,7 @@ class PlayerRepository {
             }
         });
 
-        this._updateActiveSession({ players: updatedPlayers });
+        this._updateActiveSession({ ...sessionUpdates, players: updatedPlayers });
 
         this.eventBus.emit('players:updated', results);
         return results;
@@ -294,56 +296,31 @@ class PlayerRepository {
     }
 
     /**
-     * Reset player's ratings for specific positions
-     * @param {string} playerId - Player ID
-     * @param {Array<string>} positions - Positions to reset
-     * @param {number} defaultRating - Default rating value
-     * @returns {Object} Updated player
-     */
-    resetPlayerPositions(playerId, positions, defaultRating = ratingConfig.RATING_CONSTANTS.DEFAULT) {
-        const player = this.getById(playerId);
-        if (!player) {
-            throw new Error('Player not found');
-        }
-
-        const updatedRatings = { ...player.ratings };
-        const updatedComparisons = { ...player.comparisons };
-        const updatedComparedWith = { ...player.comparedWith };
-
-        positions.forEach(pos => {
-            if (updatedRatings[pos] !== undefined) {
-                updatedRatings[pos] = defaultRating;
-                updatedComparisons[pos] = 0;
-                updatedComparedWith[pos] = [];
-            }
-        });
-
-        return this.update(playerId, {
-            ratings: updatedRatings,
-            comparisons: updatedComparisons,
-            comparedWith: updatedComparedWith
-        });
-    }
-
-    /**
-     * Reset all players' ratings for specific positions
+     * Build updates that reset players' ratings for specific positions
+     * Nothing is saved: the reset is written together with its log marks
+     * (see ComparisonHistoryService.recordReset).
      * @param {Array<string>} positions - Positions to reset
+     * @param {Array<string>|null} playerIds - Players to reset (null = all)
      * @param {number} defaultRating - Default rating value
-     * @returns {Array<Object>} Updated players
+     * @returns {Array<{id: string, updates: Object}>} Player updates
      */
-    resetAllPositions(positions, defaultRating = ratingConfig.RATING_CONSTANTS.DEFAULT) {
-        const players = this.getAll();
+    buildResetUpdates(positions, playerIds = null, defaultRating = ratingConfig.RATING_CONSTANTS.DEFAULT) {
+        const players = this.getAll().filter(player => !playerIds || playerIds.includes(player.id));
 
-        const updates = players.map(player => {
+        return players.map(player => {
             const updatedRatings = { ...player.ratings };
             const updatedComparisons = { ...player.comparisons };
             const updatedComparedWith = { ...player.comparedWith };
+            const updatedDeviations = { ...player.ratingDeviations };
+            const updatedVolatilities = { ...player.volatilities };
 
             positions.forEach(pos => {
                 if (updatedRatings[pos] !== undefined) {
                     updatedRatings[pos] = defaultRating;
                     updatedComparisons[pos] = 0;
                     updatedComparedWith[pos] = [];
+                    delete updatedDeviations[pos];
+                    delete updatedVolatilities[pos];
                 }
             });
 
@@ -352,12 +329,12 @@ class PlayerRepository {
                 updates: {
                     ratings: updatedRatings,
                     comparisons: updatedComparisons,
-                    comparedWith: updatedComparedWith
+                    comparedWith: updatedComparedWith,
+                    ratingDeviations: updatedDeviations,
+                    volatilities: updatedVolatilities
                 }
             };
         });
-
-        return this.updateMany(updates);
     }
 
     /**
@@ -415,6 +392,20 @@ class PlayerRepository {
         this._updateActiveSession({ comparisons: newCount });
     }
 
+    /**
+     * Decrement session comparison counter
+     * Should be called when a comparison is undone
+     */
+    decrementSessionComparison() {
+        const session = this._getActiveSession();
+        if (!session) {
+            throw new Error('No active session found');
+        }
+
+        const newCount = Math.max(0, (session.comparisons || 0) - 1);
+        this._updateActiveSession({ comparisons: newCount });
+    }
+
     /**
      * Add opponent to player's compared list
      * @param {string} playerId - Player ID
@@ -428,16 +419,12 @@ class PlayerRepository {
             throw new Error('Player not found');
         }
 
-        const currentCompared = player.comparedWith[position] || [];
-
-        // Avoid duplicates
-        if (currentCompared.includes(opponentName)) {
-            return player;
-        }
-
         const updatedComparedWith = {
             ...player.comparedWith,
-            [position]: [...currentCompared, opponentName]
+            [position]: addComparedRecord(player.comparedWith[position], opponentName, {
+                comparedAt: new Date().toISOString(),
+                atComparison: player.comparisons[position] || 0
+            })
         };
 
         return this.update(playerId, { comparedWith: updatedComparedWith });
@@ -456,9 +443,8 @@ class PlayerRepository {
                 let hasChanges = false;
 
                 Object.keys(updatedComparedWith).forEach(pos => {
-                    const filtered = updatedComparedWith[pos].filter(name => name !== playerName);
-                    if (filtered.length !== updatedComparedWith[pos].length) {
-                        updatedComparedWith[pos] = filtered;
+                    if (getComparedNames(updatedComparedWith[pos]).includes(playerName)) {
+                        updatedComparedWith[pos] = removeComparedRecord(updatedComparedWith[pos], playerName);
                         hasChanges = true;
                     }
                 });
@@ -86,6 +86,12 @@ class SessionRepository {
             settings: {},
             teamBuilderSettings: null,
             generatedTeams: null,
+            teamHistory: [],
+            attendance: {},
+            comparisonLog: [],
+            raters: [],
+            tournament: null,
+            teamIdentities: null,
             ...sessionData
         };
 
@@ -326,6 +332,34 @@ class SessionRepository {
         return this.update(activityKey, sessionId, { players });
     }
 
+    /**
+     * Get general settings for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Object} Session settings (empty object if none)
+     */
+    getSettings(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.settings || {};
+    }
+
+    /**
+     * Merge updates into the general settings of a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Object} updates - Settings to merge
+     * @returns {Object} Updated session
+     */
+    updateSettings(activityKey, sessionId, updates) {
+        const settings = this.getSettings(activityKey, sessionId);
+        return this.update(activityKey, sessionId, {
+            settings: {
+                ...settings,
+                ...updates
+            }
+        });
+    }
+
     /**
      * Get team builder settings for a specific session
      * @param {string} activityKey - Activity key
@@ -369,6 +403,140 @@ class SessionRepository {
     updateGeneratedTeams(activityKey, sessionId, generatedTeams) {
         return this.update(activityKey, sessionId, { generatedTeams });
     }
+
+    /**
+     * Get the history of generated teams for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Array<Object>} History entries as {generatedAt, teams}, oldest first
+     */
+    getTeamHistory(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.teamHistory || [];
+    }
+
+    /**
+     * Replace the history of generated teams for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Array<Object>} teamHistory - Updated history entries
+     * @returns {Object} Updated session
+     */
+    updateTeamHistory(activityKey, sessionId, teamHistory) {
+        return this.update(activityKey, sessionId, { teamHistory });
+    }
+
+    /**
+     * Get attendance for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Object} Attendance by date key: {absent: [playerIds]}
+     */
+    getAttendance(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.attendance || {};
+    }
+
+    /**
+     * Replace the attendance of a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Object} attendance - Updated attendance by date key
+     * @returns {Object} Updated session
+     */
+    updateAttendance(activityKey, sessionId, attendance) {
+        return this.update(activityKey, sessionId, { attendance });
+    }
+
+    /**
+     * Get the tournament of a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Tournament or null
+     */
+    getTournament(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.tournament || null;
+    }
+
+    /**
+     * Replace (or clear) the tournament of a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Object|null} tournament - Tournament or null
+     * @returns {Object} Updated session
+     */
+    updateTournament(activityKey, sessionId, tournament) {
+        return this.update(activityKey, sessionId, { tournament });
+    }
+
+    /**
+     * Get team names, colors and bib numbers for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Team identities or null
+     */
+    getTeamIdentities(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.teamIdentities || null;
+    }
+
+    /**
+     * Replace (or clear) team names, colors and bib numbers for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Object|null} teamIdentities - Team identities or null
+     * @returns {Object} Updated session
+     */
+    updateTeamIdentities(activityKey, sessionId, teamIdentities) {
+        return this.update(activityKey, sessionId, { teamIdentities });
+    }
+
+    /**
+     * Get comparison log for a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Array<Object>} Log entries, oldest first
+     */
+    getComparisonLog(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.comparisonLog || [];
+    }
+
+    /**
+     * Replace the comparison log of a specific session
+     * Entries are never removed; this is used to append entries, compact
+     * old ones and mark entries as undone.
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Array<Object>} comparisonLog - Updated log entries
+     * @returns {Object} Updated session
+     */
+    updateComparisonLog(activityKey, sessionId, comparisonLog) {
+        return this.update(activityKey, sessionId, { comparisonLog });
+    }
+
+    /**
+     * Get raters (judges) of a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @returns {Array<Object>} Raters
+     */
+    getRaters(activityKey, sessionId) {
+        const session = this.getById(activityKey, sessionId);
+        return session?.raters || [];
+    }
+
+    /**
+     * Replace the raters of a specific session
+     * @param {string} activityKey - Activity key
+     * @param {string} sessionId - Session ID
+     * @param {Array<Object>} raters - Updated raters
+     * @returns {Object} Updated session
+     */
+    updateRaters(activityKey, sessionId, raters) {
+        return this.update(activityKey, sessionId, { raters });
+    }
 }
 
 export default SessionRepository;
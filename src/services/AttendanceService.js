@@ -0,0 +1,124 @@
+// src/services/AttendanceService.js
+
+/**
+ * AttendanceService - Who is present on a given day
+ *
+ * Responsibilities:
+ * - Keep the session's attendance per date
+ * - Check players in and out, one at a time or all at once
+ * - List the players present on a date (the pool for team generation)
+ *
+ * Attendance is stored as the players who are absent on each date, so
+ * everyone is present on a date nobody was checked out of, and players
+ * added to the roster later are present until checked out.
+ */
+class AttendanceService {
+    /**
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {SessionRepository} sessionRepository - Session data access (attendance)
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(playerRepository, sessionRepository, storageAdapter, eventBus) {
+        this.playerRepository = playerRepository;
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Build the attendance key for a date (local calendar day)
+     * @param {Date} date - Date (default: today)
+     * @returns {string} Key as YYYY-MM-DD
+     */
+    getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Get the IDs of players checked out on a date
+     * @param {string} dateKey - Date key (see getDateKey)
+     * @returns {Set<string>} Absent player IDs
+     */
+    getAbsentIds(dateKey) {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            return new Set();
+        }
+
+        const attendance = this.sessionRepository.getAttendance(activityKey, sessionId);
+        return new Set(attendance[dateKey]?.absent || []);
+    }
+
+    /**
+     * Check whether a player is present on a date
+     * @param {string} dateKey - Date key
+     * @param {string} playerId - Player ID
+     * @returns {boolean} True if present
+     */
+    isPresent(dateKey, playerId) {
+        return !this.getAbsentIds(dateKey).has(playerId);
+    }
+
+    /**
+     * Get the players present on a date
+     * @param {string} dateKey - Date key
+     * @returns {Array<Object>} Present players
+     */
+    getPresentPlayers(dateKey) {
+        const absent = this.getAbsentIds(dateKey);
+        return this.playerRepository.getAll().filter(player => !absent.has(player.id));
+    }
+
+    /**
+     * Check players in or out on a date
+     *
+     * @param {string} dateKey - Date key
+     * @param {Array<string>} playerIds - Player IDs
+     * @param {boolean} present - True to check in, false to check out
+     * @throws {Error} If the date is invalid or no session is active
+     */
+    setPresent(dateKey, playerIds, present) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+            throw new Error('Invalid attendance date');
+        }
+
+        const { activityKey, sessionId } = this._getSessionContext();
+        const attendance = this.sessionRepository.getAttendance(activityKey, sessionId);
+        const absent = new Set(attendance[dateKey]?.absent || []);
+
+        playerIds.forEach(id => {
+            if (present) {
+                absent.delete(id);
+            } else {
+                absent.add(id);
+            }
+        });
+
+        this.sessionRepository.updateAttendance(activityKey, sessionId, {
+            ...attendance,
+            [dateKey]: { absent: [...absent] }
+        });
+
+        this.eventBus.emit('attendance:changed', { date: dateKey, playerIds, present });
+    }
+}
+
+export default AttendanceService;
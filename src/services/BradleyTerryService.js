@@ -0,0 +1,120 @@
+// src/services/BradleyTerryService.js
+
+import ratingConfig from '../config/rating.js';
+
+/**
+ * BradleyTerryService - Batch rating fit over a set of comparison results
+ * Pure business logic with no state management
+ *
+ * Unlike sequential ELO updates, the fit treats all results at once, so the
+ * order in which comparisons were made has no influence on the outcome.
+ * Strengths are fitted with the minorization-maximization algorithm
+ * (Hunter, 2004); a Win-Win counts as half a win for each player.
+ * Results may carry a weight (e.g. the rater's weight); a result with
+ * weight 2 counts as if it had been made twice.
+ *
+ * Fitted strengths are converted to the ELO scale
+ * (rating = DEFAULT + 400 * log10(strength)), on which the Bradley-Terry
+ * win probability equals the ELO expected score.
+ */
+class BradleyTerryService {
+    constructor() {
+        // Import rating constants from centralized config
+        this.DEFAULT_RATING = ratingConfig.RATING_CONSTANTS.DEFAULT;
+        this.RATING_DIVISOR = ratingConfig.RATING_CONSTANTS.RATING_DIVISOR;
+        this.PROBABILITY_BASE = ratingConfig.RATING_CONSTANTS.PROBABILITY_BASE;
+        this.MAX_ITERATIONS = ratingConfig.BRADLEY_TERRY.MAX_ITERATIONS;
+        this.CONVERGENCE_TOLERANCE = ratingConfig.BRADLEY_TERRY.CONVERGENCE_TOLERANCE;
+        this.PRIOR_GAMES = ratingConfig.BRADLEY_TERRY.PRIOR_GAMES;
+    }
+
+    /**
+     * Fit ratings to comparison results
+     *
+     * @param {Array<string>} playerIds - Players to rate
+     * @param {Array<Object>} results - Results as {winnerId, loserId, isDraw, score?, weight?};
+     *                                  score is the winner's (graded) score, 1 if not given;
+     *                                  results involving other players or with
+     *                                  zero weight are ignored
+     * @returns {Object} Fit details: {ratings, games, iterations, converged}
+     */
+    fit(playerIds, results) {
+        const ids = new Set(playerIds);
+        const games = results.filter(r =>
+            ids.has(r.winnerId) && ids.has(r.loserId) && r.winnerId !== r.loserId && (r.weight ?? 1) > 0
+        );
+
+        // Score (wins + half Win-Wins) and opponents per player
+        const scores = {};
+        const opponents = {};
+        playerIds.forEach(id => {
+            scores[id] = this.PRIOR_GAMES * 0.5;
+            opponents[id] = [];
+        });
+
+        games.forEach(({ winnerId, loserId, isDraw, score, weight = 1 }) => {
+            const winnerScore = isDraw ? 0.5 : score ?? 1;
+            scores[winnerId] += winnerScore * weight;
+            scores[loserId] += (1 - winnerScore) * weight;
+            opponents[winnerId].push({ id: loserId, weight });
+            opponents[loserId].push({ id: winnerId, weight });
+        });
+
+        let strengths = {};
+        playerIds.forEach(id => {
+            strengths[id] = 1;
+        });
+
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < this.MAX_ITERATIONS && !converged) {
+            const next = {};
+            let maxChange = 0;
+
+            playerIds.forEach(id => {
+                const strength = strengths[id];
+
+                // The prior opponent has the average strength of 1
+                let denominator = this.PRIOR_GAMES / (strength + 1);
+                opponents[id].forEach(opponent => {
+                    denominator += opponent.weight / (strength + strengths[opponent.id]);
+                });
+
+                next[id] = scores[id] / denominator;
+                maxChange = Math.max(maxChange, Math.abs(next[id] - strength) / strength);
+            });
+
+            strengths = next;
+            iterations++;
+            converged = maxChange < this.CONVERGENCE_TOLERANCE;
+        }
+
+        const ratings = {};
+        const gameCounts = {};
+        playerIds.forEach(id => {
+            ratings[id] = this.strengthToRating(strengths[id]);
+            gameCounts[id] = opponents[id].length;
+        });
+
+        return {
+            ratings,
+            games: gameCounts,
+            iterations,
+            converged
+        };
+    }
+
+    /**
+     * Convert a Bradley-Terry strength to the ELO rating scale
+     *
+     * @param {number} strength - Fitted strength (1 = average)
+     * @returns {number} Rating
+     */
+    strengthToRating(strength) {
+        return this.DEFAULT_RATING +
+            this.RATING_DIVISOR * Math.log(strength) / Math.log(this.PROBABILITY_BASE);
+    }
+}
+
+export default BradleyTerryService;
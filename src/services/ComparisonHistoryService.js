@@ -0,0 +1,551 @@
+// src/services/ComparisonHistoryService.js
+
+import ratingConfig from '../config/rating.js';
+import {
+    normalizeComparedList,
+    findComparedRecord,
+    updateComparedRecord,
+    removeComparedRecord
+} from '../utils/comparedWith.js';
+
+const { GRADES, COMPARISON_LOG } = ratingConfig;
+
+/**
+ * ComparisonHistoryService - Comparison log and undo
+ *
+ * Responsibilities:
+ * - Record every comparison in the active session's append-only log
+ * - Filter the log for the history view
+ * - Undo the most recent comparisons, restoring the exact prior player state
+ *
+ * Each log entry keeps a snapshot of both players' position data (rating,
+ * deviation, volatility, comparison count and the compared-with record of
+ * the opponent) taken before and after the comparison. Undo writes the
+ * "before" snapshot back and marks the entry as undone. Entries are never
+ * removed from the log, but past the newest COMPARISON_LOG.UNDO_DEPTH
+ * entries they are compacted to ratings, deviations and volatilities and
+ * can no longer be undone.
+ *
+ * Played team matches are logged alongside comparisons (kind 'match') with
+ * a snapshot of every player involved, and undo the same way.
+ *
+ * Resetting a position marks its entries as reset: they stay in the
+ * history but no longer stand, so recomputing and re-judging cannot bring
+ * back results the reset cleared.
+ */
+class ComparisonHistoryService {
+    /**
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {SessionRepository} sessionRepository - Session data access
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(playerRepository, sessionRepository, storageAdapter, eventBus) {
+        this.playerRepository = playerRepository;
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Capture a player's data for one position
+     * Only the compared-with record of the opponent is kept: a comparison
+     * changes no other record, so undo can rebuild the list from it.
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @param {string|null} opponentName - Opponent of a comparison (null for matches)
+     * @returns {Object} Position snapshot
+     */
+    snapshotPlayer(player, position, opponentName = null) {
+        const snapshot = {
+            id: player.id,
+            name: player.name,
+            rating: player.ratings[position],
+            deviation: player.ratingDeviations?.[position] ?? null,
+            volatility: player.volatilities?.[position] ?? null,
+            comparisons: player.comparisons[position] || 0
+        };
+
+        if (opponentName !== null) {
+            snapshot.opponent = opponentName;
+            snapshot.opponentRecord = findComparedRecord(player.comparedWith[position], opponentName);
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Append a comparison to the active session's log
+     *
+     * @param {Object} comparison - Comparison details
+     * @param {string} comparison.position - Position compared
+     * @param {boolean} comparison.isDraw - True for a Win-Win
+     * @param {string|null} comparison.grade - How much better the winner is (null for a Win-Win)
+     * @param {string} comparison.engine - Rating engine key used
+     * @param {Object} comparison.winner - Winner (player 1 for a Win-Win) before and after
+     * @param {Object} comparison.loser - Loser (player 2 for a Win-Win) before and after
+     * @param {string|null} comparison.overrides - ID of the entry this re-judgment replaces
+     * @param {Object|null} comparison.rater - Rater who judged ({id, name}), null if anonymous
+     * @param {Array<Object>} playerUpdates - Player updates of the comparison ({id, updates}),
+     *                                        written in the same state update as the entry
+     * @returns {Object} Log entry
+     */
+    record({ position, isDraw, grade = null, engine, winner, loser, overrides = null, rater = null }, playerUpdates = []) {
+        const { activityKey, sessionId } = this._getSessionContext();
+
+        const entry = {
+            id: `cmp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            kind: 'comparison',
+            timestamp: new Date().toISOString(),
+            position,
+            isDraw,
+            grade: isDraw ? null : grade || GRADES.DEFAULT_GRADE,
+            score: isDraw ? 0.5 : GRADES.SCORES[grade || GRADES.DEFAULT_GRADE],
+            engine,
+            winnerId: winner.before.id,
+            winnerName: winner.before.name,
+            loserId: loser.before.id,
+            loserName: loser.before.name,
+            raterId: rater?.id || null,
+            raterName: rater?.name || null,
+            before: {
+                winner: winner.before,
+                loser: loser.before
+            },
+            after: {
+                winner: winner.after,
+                loser: loser.after
+            },
+            overrides,
+            overriddenBy: null,
+            undoneAt: null
+        };
+
+        this.appendEntry(activityKey, sessionId, entry, playerUpdates);
+
+        return entry;
+    }
+
+    /**
+     * Append a played team match to the active session's log
+     *
+     * @param {Object} match - Match details
+     * @param {Array<Object>} match.teams - The two teams as {index, name, playerIds, rating}
+     * @param {number|null} match.winnerTeam - Index (0 or 1) of the winning team, null for a draw
+     * @param {Array<number>|null} match.score - Score as [team 1, team 2], null if not given
+     * @param {Array<Object>} match.players - Per player: {team, position, before, after} snapshots
+     * @param {string} match.engine - Rating engine key used
+     * @param {Array<Object>} playerUpdates - Player updates of the match ({id, updates}),
+     *                                        written in the same state update as the entry
+     * @returns {Object} Log entry
+     */
+    recordMatch({ teams, winnerTeam, score = null, players, engine }, playerUpdates = []) {
+        const { activityKey, sessionId } = this._getSessionContext();
+
+        const entry = {
+            id: `match-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            kind: 'match',
+            timestamp: new Date().toISOString(),
+            engine,
+            teams,
+            winnerTeam,
+            isDraw: winnerTeam === null,
+            score,
+            players,
+            overrides: null,
+            overriddenBy: null,
+            undoneAt: null
+        };
+
+        this.appendEntry(activityKey, sessionId, entry, playerUpdates);
+
+        return entry;
+    }
+
+    /**
+     * Append an entry to the log, compacting entries past the undo depth
+     * The players' updates are written together with the log, so a rating
+     * change is never saved without the entry that undoes it.
+     * @private
+     */
+    appendEntry(activityKey, sessionId, entry, playerUpdates) {
+        const log = [...this.sessionRepository.getComparisonLog(activityKey, sessionId), entry];
+        const keepFrom = log.length - COMPARISON_LOG.UNDO_DEPTH;
+
+        const comparisonLog = log.map((logged, index) => {
+            const kept = index < keepFrom ? this.compactEntry(logged) : logged;
+            return entry.overrides && kept.id === entry.overrides ? { ...kept, overriddenBy: entry.id } : kept;
+        });
+
+        if (playerUpdates.length > 0) {
+            this.playerRepository.updateMany(playerUpdates, { comparisonLog });
+        } else {
+            this.sessionRepository.updateComparisonLog(activityKey, sessionId, comparisonLog);
+        }
+    }
+
+    /**
+     * Reduce an entry's snapshots to ratings, deviations and volatilities
+     * Enough for the history view and for re-judging, not for undo.
+     * @private
+     */
+    compactEntry(entry) {
+        if (entry.compacted) {
+            return entry;
+        }
+
+        const compact = ({ id, name, rating, deviation, volatility }) => ({ id, name, rating, deviation, volatility });
+
+        if (this.getEntryKind(entry) === 'match') {
+            return {
+                ...entry,
+                players: entry.players.map(p => ({ ...p, before: compact(p.before), after: compact(p.after) })),
+                compacted: true
+            };
+        }
+
+        return {
+            ...entry,
+            before: { winner: compact(entry.before.winner), loser: compact(entry.before.loser) },
+            after: { winner: compact(entry.after.winner), loser: compact(entry.after.loser) },
+            compacted: true
+        };
+    }
+
+    /**
+     * Get the active session's log, newest first
+     *
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.kind - Only 'comparison' or 'match' entries
+     * @param {string} filters.position - Only entries for this position
+     * @param {string} filters.playerId - Only entries involving this player
+     * @param {string} filters.raterId - Only entries judged by this rater
+     * @param {boolean} filters.includeUndone - Include undone entries (default true)
+     * @param {boolean} filters.includeOverridden - Include entries replaced by a re-judgment (default true)
+     * @param {boolean} filters.includeReset - Include entries cleared by a reset (default true)
+     * @returns {Array<Object>} Log entries
+     */
+    getLog({ kind = '', position = '', playerId = '', raterId = '', includeUndone = true, includeOverridden = true, includeReset = true } = {}) {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            return [];
+        }
+
+        return this.sessionRepository.getComparisonLog(activityKey, sessionId)
+            .filter(entry => !kind || this.getEntryKind(entry) === kind)
+            .filter(entry => !position || this.getEntryChanges(entry).some(c => c.position === position))
+            .filter(entry => !playerId || this.getEntryChanges(entry).some(c => c.before.id === playerId))
+            .filter(entry => !raterId || entry.raterId === raterId)
+            .filter(entry => includeUndone || !entry.undoneAt)
+            .filter(entry => includeOverridden || !entry.overriddenBy)
+            .filter(entry => includeReset || !entry.resetAt)
+            .reverse();
+    }
+
+    /**
+     * Get the results that currently stand at a position
+     * Undone entries, entries replaced by a re-judgment and entries cleared
+     * by a reset are left out.
+     *
+     * @param {string} position - Position
+     * @param {string|null} [raterId] - Only results of this rater (null for
+     *                                  results judged without a rater); all raters when omitted
+     * @returns {Array<Object>} Log entries, newest first
+     */
+    getStandingResults(position, raterId) {
+        return this.getLog({ kind: 'comparison', position, includeUndone: false, includeOverridden: false, includeReset: false })
+            .filter(entry => raterId === undefined || (entry.raterId || null) === raterId);
+    }
+
+    /**
+     * Get the kind of a log entry
+     * Entries logged before matches existed have no kind and are comparisons.
+     *
+     * @param {Object} entry - Log entry
+     * @returns {string} 'comparison' or 'match'
+     */
+    getEntryKind(entry) {
+        return entry.kind || 'comparison';
+    }
+
+    /**
+     * Get the player changes of a log entry
+     *
+     * @param {Object} entry - Log entry
+     * @returns {Array<Object>} Changes as {position, before, after} snapshots
+     */
+    getEntryChanges(entry) {
+        if (this.getEntryKind(entry) === 'match') {
+            return entry.players.map(p => ({ position: p.position, before: p.before, after: p.after }));
+        }
+
+        return [
+            { position: entry.position, before: entry.before.winner, after: entry.after.winner },
+            { position: entry.position, before: entry.before.loser, after: entry.after.loser }
+        ];
+    }
+
+    /**
+     * Find a rater's standing result between two players at a position
+     *
+     * @param {string} position - Position
+     * @param {string} playerId1 - First player ID
+     * @param {string} playerId2 - Second player ID
+     * @param {string|null} raterId - Rater ID, or null for results judged without a rater
+     * @returns {Object|null} Log entry or null if the rater has no logged result for the pair
+     */
+    findStandingResult(position, playerId1, playerId2, raterId = null) {
+        return this.getStandingResults(position, raterId).find(entry =>
+            (entry.winnerId === playerId1 && entry.loserId === playerId2) ||
+            (entry.winnerId === playerId2 && entry.loserId === playerId1)
+        ) || null;
+    }
+
+    /**
+     * Get number of comparisons that can still be undone
+     * Undo stops at the first compacted or reset entry.
+     * @returns {number} Count of entries not yet undone
+     */
+    getUndoableCount() {
+        const entries = this.getLog({ includeUndone: false });
+        const blocked = entries.findIndex(entry => entry.compacted || entry.resetAt);
+        return blocked === -1 ? entries.length : blocked;
+    }
+
+    /**
+     * Reset players and clear their logged results in one state update
+     * Entries with a change at one of the positions (for one of the
+     * players, when given) are marked as reset.
+     *
+     * @param {Array<string>} positions - Reset positions
+     * @param {Array<Object>} playerUpdates - Player updates of the reset ({id, updates})
+     * @param {Array<string>|null} playerIds - Reset players (null for everyone)
+     * @returns {Array<Object>} Updated players
+     */
+    recordReset(positions, playerUpdates, playerIds = null) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const resetAt = new Date().toISOString();
+
+        const isCleared = (change) => positions.includes(change.position) &&
+            (!playerIds || playerIds.includes(change.before.id));
+
+        const comparisonLog = this.sessionRepository.getComparisonLog(activityKey, sessionId)
+            .map(entry => !entry.resetAt && this.getEntryChanges(entry).some(isCleared) ? { ...entry, resetAt } : entry);
+
+        if (playerUpdates.length === 0) {
+            this.sessionRepository.updateComparisonLog(activityKey, sessionId, comparisonLog);
+            return [];
+        }
+
+        return this.playerRepository.updateMany(playerUpdates, { comparisonLog });
+    }
+
+    /**
+     * Undo the most recent comparisons
+     * Restores both players' position data to the state before each comparison,
+     * newest first.
+     *
+     * @param {number} count - Number of comparisons to undo
+     * @returns {Array<Object>} Undone log entries, newest first
+     * @throws {Error} If there is nothing to undo or player data changed since
+     */
+    undoLast(count = 1) {
+        const { activityKey, sessionId } = this._getSessionContext();
+
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('Number of comparisons to undo must be a positive integer');
+        }
+
+        const entries = this.getLog({ includeUndone: false }).slice(0, count);
+        if (entries.length === 0) {
+            throw new Error('No comparisons to undo');
+        }
+        if (entries.some(entry => entry.compacted || entry.resetAt)) {
+            throw new Error(`Only the last ${this.getUndoableCount()} comparisons can be undone`);
+        }
+
+        const undoneAt = new Date().toISOString();
+        const undone = [];
+
+        try {
+            entries.forEach(entry => {
+                this.restoreEntry(entry);
+                undone.push(entry);
+            });
+        } finally {
+            // Mark whatever was restored, even if a later entry failed
+            if (undone.length > 0) {
+                const undoneIds = undone.map(entry => entry.id);
+                this.updateEntries(activityKey, sessionId, undoneIds, { undoneAt });
+
+                // Results replaced by an undone re-judgment stand again
+                const restoredIds = undone.map(entry => entry.overrides).filter(Boolean);
+                this.updateEntries(activityKey, sessionId, restoredIds, { overriddenBy: null });
+
+                this.eventBus.emit('comparison:undone', {
+                    entries: undone,
+                    count: undone.length
+                });
+            }
+        }
+
+        return undone;
+    }
+
+    /**
+     * Merge updates into log entries
+     * @private
+     */
+    updateEntries(activityKey, sessionId, entryIds, updates) {
+        if (entryIds.length === 0) {
+            return;
+        }
+
+        const ids = new Set(entryIds);
+        const log = this.sessionRepository.getComparisonLog(activityKey, sessionId)
+            .map(entry => ids.has(entry.id) ? { ...entry, ...updates } : entry);
+
+        this.sessionRepository.updateComparisonLog(activityKey, sessionId, log);
+    }
+
+    /**
+     * Restore the players of one log entry to their state before the comparison
+     * @private
+     * @throws {Error} If the players no longer match the entry's "after" state
+     */
+    restoreEntry(entry) {
+        const changes = this.getEntryChanges(entry);
+        const isMatch = this.getEntryKind(entry) === 'match';
+
+        changes.forEach(change => {
+            const player = this.playerRepository.getById(change.before.id);
+
+            if (!player || !this.matchesSnapshot(player, change.position, change.after)) {
+                const label = isMatch
+                    ? `${entry.teams[0].name} vs ${entry.teams[1].name}`
+                    : `${entry.winnerName} vs ${entry.loserName}`;
+                throw new Error(`Cannot undo ${label}: player data has changed since this ${isMatch ? 'match' : 'comparison'}`);
+            }
+        });
+
+        this.playerRepository.updateMany(changes.map(change => {
+            const player = this.playerRepository.getById(change.before.id);
+            return {
+                id: change.before.id,
+                updates: this.buildRestoredPlayer(player, change.position, change.before)
+            };
+        }));
+
+        // Re-judgments replace a result and matches are not comparisons,
+        // so neither counted as a new comparison
+        if (!isMatch && !entry.overrides) {
+            this.playerRepository.decrementSessionComparison();
+        }
+    }
+
+    /**
+     * Check whether a player's position data still equals a snapshot
+     * Compares rating, comparison count and compared-with records.
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @param {Object} snapshot - Snapshot from snapshotPlayer
+     * @returns {boolean} True if nothing changed since the snapshot
+     */
+    matchesSnapshot(player, position, snapshot) {
+        if (player.ratings[position] !== snapshot.rating ||
+            (player.comparisons[position] || 0) !== snapshot.comparisons) {
+            return false;
+        }
+
+        // Re-match requests don't count as a change
+        if (snapshot.comparedWith) {
+            // Older entries kept the whole compared-with list
+            const current = normalizeComparedList(player.comparedWith[position]);
+            const snapshotCompared = normalizeComparedList(snapshot.comparedWith);
+            return current.length === snapshotCompared.length &&
+                current.every(record => snapshotCompared.some(
+                    other => other.name === record.name && other.count === record.count
+                ));
+        }
+
+        if (snapshot.opponent === undefined) {
+            return true;
+        }
+
+        const record = findComparedRecord(player.comparedWith[position], snapshot.opponent);
+        return (record?.count || 0) === (snapshot.opponentRecord?.count || 0);
+    }
+
+    /**
+     * Build player updates that write a snapshot back for one position
+     * @private
+     */
+    buildRestoredPlayer(player, position, snapshot) {
+        return {
+            ratings: {
+                ...player.ratings,
+                [position]: snapshot.rating
+            },
+            comparisons: {
+                ...player.comparisons,
+                [position]: snapshot.comparisons
+            },
+            comparedWith: {
+                ...player.comparedWith,
+                [position]: this.restoreComparedWith(player.comparedWith[position], snapshot)
+            },
+            ratingDeviations: this.restorePosition(player.ratingDeviations, position, snapshot.deviation),
+            volatilities: this.restorePosition(player.volatilities, position, snapshot.volatility)
+        };
+    }
+
+    /**
+     * Write a snapshot's compared-with record back into a list
+     * Match snapshots have no opponent and leave the list as it is.
+     * @private
+     */
+    restoreComparedWith(list, snapshot) {
+        if (snapshot.comparedWith) {
+            return normalizeComparedList(snapshot.comparedWith);
+        }
+        if (snapshot.opponent === undefined) {
+            return normalizeComparedList(list);
+        }
+        if (!snapshot.opponentRecord) {
+            return removeComparedRecord(list, snapshot.opponent);
+        }
+
+        return findComparedRecord(list, snapshot.opponent)
+            ? updateComparedRecord(list, snapshot.opponent, snapshot.opponentRecord)
+            : [...normalizeComparedList(list), snapshot.opponentRecord];
+    }
+
+    /**
+     * Copy a per-position map with one value restored
+     * A null value means the position had no entry before the comparison
+     * @private
+     */
+    restorePosition(map, position, value) {
+        const { [position]: removed, ...rest } = map || {};
+        return value === null ? rest : { ...rest, [position]: value };
+    }
+}
+
+export default ComparisonHistoryService;
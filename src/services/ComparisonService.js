@@ -1,5 +1,18 @@
 // src/services/ComparisonService.js (Refactored)
 
+import ratingConfig from '../config/rating.js';
+import {
+    normalizeComparedList,
+    getComparedNames,
+    findComparedRecord,
+    addComparedRecord,
+    updateComparedRecord
+} from '../utils/comparedWith.js';
+
+const { PAIRING, REMATCH, GRADES, GLICKO2 } = ratingConfig;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * ComparisonService - Player comparison logic
  *
@@ -28,17 +41,203 @@ class ComparisonService {
      * @param {Object} activityConfig - Activity configuration
      * @param {PlayerRepository} playerRepository - Player data repository
      * @param {ValidationService} validationService - Validation service
-     * @param {EloService} eloService - ELO rating service
+     * @param {RatingEngineService} ratingEngineService - Rating engine for the active session
+     * @param {ComparisonHistoryService} comparisonHistoryService - Comparison log
+     * @param {RaterService} raterService - Who is judging
+     * @param {SessionRepository} sessionRepository - Session data access (pairing mode)
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
      * @param {EventBus} eventBus - Event bus
      */
-    constructor(activityConfig, playerRepository, validationService, eloService, eventBus) {
+    constructor(activityConfig, playerRepository, validationService, ratingEngineService, comparisonHistoryService, raterService, sessionRepository, storageAdapter, eventBus) {
         this.config = activityConfig;
         this.playerRepository = playerRepository;
         this.validationService = validationService;
-        this.eloService = eloService;
+        this.ratingEngineService = ratingEngineService;
+        this.comparisonHistoryService = comparisonHistoryService;
+        this.raterService = raterService;
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
         this.eventBus = eventBus;
     }
 
+    /**
+     * Get pairing mode selected for the active session
+     * @returns {string} Pairing mode (see PAIRING.MODES)
+     */
+    getPairingMode() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+        const mode = session?.settings?.pairingMode;
+
+        return Object.values(PAIRING.MODES).includes(mode) ? mode : PAIRING.DEFAULT_MODE;
+    }
+
+    /**
+     * Select the pairing mode for the active session
+     *
+     * @param {string} mode - Pairing mode (see PAIRING.MODES)
+     * @throws {Error} If mode is unknown or no session is active
+     */
+    setPairingMode(mode) {
+        if (!Object.values(PAIRING.MODES).includes(mode)) {
+            throw new Error(`Unknown pairing mode: ${mode}`);
+        }
+
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, { pairingMode: mode });
+
+        this.eventBus.emit('pairing-mode:changed', { mode });
+    }
+
+    /**
+     * Check whether graded comparisons are enabled for the active session
+     * @returns {boolean} True if a win can be marked as slight
+     */
+    isGradedMode() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+
+        return session?.settings?.gradedComparisons === true;
+    }
+
+    /**
+     * Enable or disable graded comparisons for the active session
+     *
+     * @param {boolean} enabled - True to offer "slightly better" alongside "clearly better"
+     * @throws {Error} If no session is active
+     */
+    setGradedMode(enabled) {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, { gradedComparisons: !!enabled });
+
+        this.eventBus.emit('graded-mode:changed', { enabled: !!enabled });
+    }
+
+    /**
+     * Get the winner's score for a grade
+     *
+     * @param {string} grade - Grade (see GRADES.LEVELS)
+     * @returns {number} Winner's score (0.5-1)
+     * @throws {Error} If the grade is unknown
+     */
+    getGradeScore(grade) {
+        if (!Object.values(GRADES.LEVELS).includes(grade)) {
+            throw new Error(`Unknown comparison grade: ${grade}`);
+        }
+
+        return GRADES.SCORES[grade];
+    }
+
+    /**
+     * Get re-match policy selected for the active session
+     * @returns {Object} Policy: {mode, cooldownDays, minComparisons}
+     */
+    getRematchPolicy() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+        const policy = session?.settings?.rematchPolicy || {};
+
+        return {
+            mode: Object.values(REMATCH.MODES).includes(policy.mode) ? policy.mode : REMATCH.DEFAULT_MODE,
+            cooldownDays: policy.cooldownDays || REMATCH.DEFAULT_COOLDOWN_DAYS,
+            minComparisons: policy.minComparisons || REMATCH.DEFAULT_MIN_COMPARISONS
+        };
+    }
+
+    /**
+     * Update the re-match policy for the active session
+     *
+     * @param {Object} updates - Any of {mode, cooldownDays, minComparisons}
+     * @throws {Error} If a value is invalid or no session is active
+     */
+    setRematchPolicy(updates) {
+        const policy = { ...this.getRematchPolicy(), ...updates };
+
+        if (!Object.values(REMATCH.MODES).includes(policy.mode)) {
+            throw new Error(`Unknown re-match policy: ${policy.mode}`);
+        }
+        if (!Number.isInteger(policy.cooldownDays) || policy.cooldownDays < 1) {
+            throw new Error('Cooldown must be a whole number of days (at least 1)');
+        }
+        if (!Number.isInteger(policy.minComparisons) || policy.minComparisons < 1) {
+            throw new Error('Number of comparisons must be a whole number (at least 1)');
+        }
+
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, { rematchPolicy: policy });
+
+        this.eventBus.emit('rematch-policy:changed', policy);
+    }
+
+    /**
+     * Queue an already-compared pair for another comparison
+     * The pair is offered next, regardless of the re-match policy.
+     *
+     * @param {string} player1Id - First player ID
+     * @param {string} player2Id - Second player ID
+     * @param {string} position - Position
+     * @throws {Error} If players are not found or were never compared
+     */
+    requestRematch(player1Id, player2Id, position) {
+        const player1 = this.playerRepository.getById(player1Id);
+        const player2 = this.playerRepository.getById(player2Id);
+
+        if (!player1 || !player2) {
+            throw new Error('Players not found');
+        }
+
+        if (!this.hasCompared(player1, player2, position)) {
+            throw new Error('These players have not been compared at this position yet');
+        }
+
+        this.playerRepository.updateMany([
+            {
+                id: player1Id,
+                updates: this.buildRematchRequest(player1, position, player2.name)
+            },
+            {
+                id: player2Id,
+                updates: this.buildRematchRequest(player2, position, player1.name)
+            }
+        ]);
+
+        this.eventBus.emit('comparison:rematch-requested', {
+            player1Id,
+            player2Id,
+            position
+        });
+    }
+
+    /**
+     * Build comparedWith update that flags a re-match request
+     * @private
+     */
+    buildRematchRequest(player, position, opponentName) {
+        return {
+            comparedWith: {
+                ...player.comparedWith,
+                [position]: updateComparedRecord(player.comparedWith[position], opponentName, {
+                    rematchRequested: true
+                })
+            }
+        };
+    }
+
     /**
      * Find next pair for comparison at position
      * Deterministic - returns same pair for same state
@@ -53,6 +252,19 @@ class ComparisonService {
             return null;
         }
 
+        // Explicitly requested re-matches come first
+        const requested = this.findRequestedRematch(players, position);
+        if (requested) {
+            return requested;
+        }
+
+        // Pairs the current rater has judged (other raters' pairs stay open to them)
+        const raterPairs = this.getActiveRaterPairs(position);
+
+        if (this.getPairingMode() === PAIRING.MODES.ADAPTIVE) {
+            return this.findMostInformativePair(players, position, raterPairs);
+        }
+
         // Find players with minimum comparisons
         const minComparisons = Math.min(
             ...players.map(p => p.comparisons[position] || 0)
@@ -75,22 +287,97 @@ class ComparisonService {
             });
 
             pair = this.findValidPair(allPlayers, position);
+
+            if (!pair) {
+                // Every pair has been compared - fall back to allowed re-matches
+                pair = this.findValidPair(allPlayers, position, true, raterPairs);
+            }
         }
 
         return pair;
     }
 
     /**
-     * Find valid pair (not yet compared)
+     * Find a pair explicitly queued for a re-match
      * @private
      */
-    findValidPair(players, position) {
+    findRequestedRematch(players, position) {
+        for (const player of players) {
+            const record = normalizeComparedList(player.comparedWith[position])
+                .find(r => r.rematchRequested);
+
+            if (record) {
+                const opponent = players.find(p => p.name === record.name);
+                if (opponent) {
+                    return [player, opponent];
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the comparable pair whose result tells us the most
+     * Scores each pair by the entropy of its predicted outcome (highest for
+     * a coin flip) times the average rating uncertainty of the two players.
+     * @private
+     */
+    findMostInformativePair(players, position, raterPairs = null) {
+        const sorted = [...players].sort((a, b) => a.id.localeCompare(b.id));
+
+        let bestPair = null;
+        let bestScore = -1;
+
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                const p1 = sorted[i];
+                const p2 = sorted[j];
+
+                if (!this.canCompare(p1, p2, position, true, raterPairs)) {
+                    continue;
+                }
+
+                const score = this.calculateInformationGain(p1, p2, position);
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestPair = [p1, p2];
+                }
+            }
+        }
+
+        return bestPair;
+    }
+
+    /**
+     * Expected information from comparing two players
+     * @private
+     */
+    calculateInformationGain(player1, player2, position) {
+        const p = this.ratingEngineService.predictWinProbability(player1, player2, position);
+        const entropy = p <= 0 || p >= 1
+            ? 0
+            : -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+
+        const uncertainty = (
+            this.ratingEngineService.estimateDeviation(player1, position) +
+            this.ratingEngineService.estimateDeviation(player2, position)
+        ) / (2 * GLICKO2.DEFAULT_DEVIATION);
+
+        return entropy * uncertainty;
+    }
+
+    /**
+     * Find valid pair (not yet compared, or allowed re-match)
+     * @private
+     */
+    findValidPair(players, position, allowRematch = false, raterPairs = null) {
         for (let i = 0; i < players.length; i++) {
             for (let j = i + 1; j < players.length; j++) {
                 const p1 = players[i];
                 const p2 = players[j];
 
-                if (this.canCompare(p1, p2, position)) {
+                if (this.canCompare(p1, p2, position, allowRematch, raterPairs)) {
                     return [p1, p2];
                 }
             }
@@ -101,14 +388,89 @@ class ComparisonService {
 
     /**
      * Check if two players can be compared at position
+     * A pair compared by someone else is still open to a rater who hasn't judged it.
+     *
+     * @private
+     * @param {Set<string>|null} raterPairs - Pairs judged by the current rater (null if anonymous)
+     */
+    canCompare(player1, player2, position, allowRematch = false, raterPairs = null) {
+        if (!this.hasCompared(player1, player2, position)) {
+            return true;
+        }
+
+        if (!allowRematch) {
+            return false;
+        }
+
+        if (raterPairs && !raterPairs.has(this.raterService.getPairKey(player1.id, player2.id))) {
+            return true;
+        }
+
+        return this.isRematchAllowed(player1, player2, position);
+    }
+
+    /**
+     * Get pairs judged by the current rater at position
      * @private
+     * @returns {Set<string>|null} Pair keys, or null for anonymous comparisons
      */
-    canCompare(player1, player2, position) {
-        const p1Compared = player1.comparedWith[position] || [];
-        const p2Compared = player2.comparedWith[position] || [];
+    getActiveRaterPairs(position) {
+        const rater = this.raterService.getActiveRater();
+        return rater ? this.raterService.getJudgedPairKeys(position, rater.id) : null;
+    }
+
+    /**
+     * Check if two players have been compared at position
+     * @private
+     */
+    hasCompared(player1, player2, position) {
+        return getComparedNames(player1.comparedWith[position]).includes(player2.name) ||
+               getComparedNames(player2.comparedWith[position]).includes(player1.name);
+    }
+
+    /**
+     * Check if an already-compared pair may be compared again
+     * Both players must satisfy the session's re-match policy,
+     * unless the pair was explicitly queued.
+     * @private
+     */
+    isRematchAllowed(player1, player2, position) {
+        const record1 = findComparedRecord(player1.comparedWith[position], player2.name);
+        const record2 = findComparedRecord(player2.comparedWith[position], player1.name);
+
+        if (record1?.rematchRequested || record2?.rematchRequested) {
+            return true;
+        }
+
+        const policy = this.getRematchPolicy();
 
-        return !p1Compared.includes(player2.name) &&
-               !p2Compared.includes(player1.name);
+        return this.isRecordDue(record1, player1, position, policy) &&
+               this.isRecordDue(record2, player2, position, policy);
+    }
+
+    /**
+     * Check one player's record of a pair against the re-match policy
+     * Records without a date or count (older data) count as long ago.
+     * @private
+     */
+    isRecordDue(record, player, position, policy) {
+        if (!record) {
+            return true;
+        }
+
+        if (policy.mode === REMATCH.MODES.COOLDOWN) {
+            if (!record.lastComparedAt) return true;
+            const elapsedDays = (Date.now() - new Date(record.lastComparedAt).getTime()) / DAY_MS;
+            return elapsedDays >= policy.cooldownDays;
+        }
+
+        if (policy.mode === REMATCH.MODES.AFTER_COMPARISONS) {
+            if (record.atComparison === null) return true;
+            const since = (player.comparisons[position] || 0) - record.atComparison;
+            return since >= policy.minComparisons;
+        }
+
+        return false;
     }
 
     /**
@@ -153,12 +515,14 @@ class ComparisonService {
      * @param {string} winnerId - Winner player ID
      * @param {string} loserId - Loser player ID
      * @param {string} position - Position being compared
+     * @param {string} grade - How much better the winner is (see GRADES.LEVELS)
      * @returns {Object} Comparison result
      * @throws {Error} If validation fails
      */
-    processComparison(winnerId, loserId, position) {
+    processComparison(winnerId, loserId, position, grade = GRADES.DEFAULT_GRADE) {
         // Validate input
         this.validateComparisonInput(winnerId, loserId, position);
+        const score = this.getGradeScore(grade);
 
         // Get players
         const winner = this.playerRepository.getById(winnerId);
@@ -172,22 +536,18 @@ class ComparisonService {
 
         // Calculate rating changes
         const poolSize = this.playerRepository.countByPosition(position);
-        const changes = this.eloService.calculateRatingChange(
+        const changes = this.ratingEngineService.calculateRatingChange(
             winner,
             loser,
             position,
-            poolSize
+            poolSize,
+            score
         );
 
-        // Update player data
-        this.updatePlayersAfterComparison(
-            winnerId,
-            loserId,
-            position,
-            changes,
-            winner.name,
-            loser.name
-        );
+        // Update player data and record it in the comparison log
+        const playerUpdates = this.buildComparisonUpdates(winner, loser, position, changes.winner, changes.loser);
+        this.recordComparison(position, false, winner, loser, playerUpdates, null, grade);
+        this.playerRepository.incrementSessionComparison();
 
         // Get updated players
         const updatedWinner = this.playerRepository.getById(winnerId);
@@ -198,6 +558,7 @@ class ComparisonService {
             winner: updatedWinner,
             loser: updatedLoser,
             position,
+            grade,
             changes
         };
 
@@ -233,22 +594,17 @@ class ComparisonService {
 
         // Calculate rating changes for Win-Win
         const poolSize = this.playerRepository.countByPosition(position);
-        const changes = this.eloService.calculateDrawRatingChange(
+        const changes = this.ratingEngineService.calculateDrawRatingChange(
             player1,
             player2,
             position,
             poolSize
         );
 
-        // Update player data
-        this.updatePlayersAfterDraw(
-            player1Id,
-            player2Id,
-            position,
-            changes,
-            player1.name,
-            player2.name
-        );
+        // Update player data and record it in the comparison log
+        const playerUpdates = this.buildComparisonUpdates(player1, player2, position, changes.player1, changes.player2);
+        this.recordComparison(position, true, player1, player2, playerUpdates);
+        this.playerRepository.incrementSessionComparison();
 
         // Get updated players
         const updatedPlayer1 = this.playerRepository.getById(player1Id);
@@ -269,6 +625,218 @@ class ComparisonService {
         return result;
     }
 
+    /**
+     * Re-judge a pair that already has a logged result
+     * Takes back the rating, deviation and volatility changes of the
+     * active rater's previous result and applies the new one. Results of
+     * other raters stand, and results cleared by a reset cannot be
+     * re-judged: the reset already took back their rating changes.
+     * Comparison counts are unchanged; the previous log entry is marked as
+     * overridden.
+     *
+     * @param {string} player1Id - Winner (first player for a Win-Win)
+     * @param {string} player2Id - Loser (second player for a Win-Win)
+     * @param {string} position - Position being compared
+     * @param {boolean} isDraw - True to record a Win-Win
+     * @param {string} grade - How much better the winner is (ignored for a Win-Win)
+     * @returns {Object} Comparison result
+     * @throws {Error} If validation fails or the active rater has no logged result for the pair
+     */
+    rejudgeComparison(player1Id, player2Id, position, isDraw = false, grade = GRADES.DEFAULT_GRADE) {
+        // Validate input
+        this.validateComparisonInput(player1Id, player2Id, position);
+        const score = isDraw ? 0.5 : this.getGradeScore(grade);
+
+        // Get players
+        const player1 = this.playerRepository.getById(player1Id);
+        const player2 = this.playerRepository.getById(player2Id);
+
+        // Validate players exist and have required data
+        this.validatePlayers(player1, player2, position);
+
+        const rater = this.raterService.getActiveRater();
+        const previous = this.comparisonHistoryService.findStandingResult(position, player1Id, player2Id, rater?.id || null);
+        if (!previous) {
+            throw new Error(rater
+                ? `${rater.name} has no logged result for these players at this position to re-judge`
+                : 'These players have no logged result at this position to re-judge');
+        }
+
+        // Calculate rating changes as if the previous result never happened
+        const poolSize = this.playerRepository.countByPosition(position);
+        const reverted1 = this.withoutResult(player1, previous, position);
+        const reverted2 = this.withoutResult(player2, previous, position);
+        const changes = isDraw
+            ? this.ratingEngineService.calculateDrawRatingChange(reverted1, reverted2, position, poolSize)
+            : this.ratingEngineService.calculateRatingChange(reverted1, reverted2, position, poolSize, score);
+
+        const change1 = isDraw ? changes.player1 : changes.winner;
+        const change2 = isDraw ? changes.player2 : changes.loser;
+
+        // Update ratings only - the pair was already counted as compared
+        const playerUpdates = [
+            {
+                id: player1Id,
+                updates: {
+                    ratings: this.buildUpdatedRatings(player1Id, position, change1.newRating),
+                    ratingDeviations: reverted1.ratingDeviations,
+                    volatilities: reverted1.volatilities,
+                    ...this.buildUpdatedUncertainty(player1Id, position, change1)
+                }
+            },
+            {
+                id: player2Id,
+                updates: {
+                    ratings: this.buildUpdatedRatings(player2Id, position, change2.newRating),
+                    ratingDeviations: reverted2.ratingDeviations,
+                    volatilities: reverted2.volatilities,
+                    ...this.buildUpdatedUncertainty(player2Id, position, change2)
+                }
+            }
+        ];
+
+        // Record in comparison log, replacing the previous result
+        this.recordComparison(position, isDraw, player1, player2, playerUpdates, previous.id, isDraw ? null : grade);
+
+        // Get updated players
+        const updatedPlayer1 = this.playerRepository.getById(player1Id);
+        const updatedPlayer2 = this.playerRepository.getById(player2Id);
+
+        // Build result
+        const result = {
+            player1: updatedPlayer1,
+            player2: updatedPlayer2,
+            position,
+            changes,
+            isDraw,
+            grade: isDraw ? null : grade,
+            previous
+        };
+
+        // Emit event
+        this.eventBus.emit('comparison:rejudged', result);
+
+        return result;
+    }
+
+    /**
+     * Copy a player with a logged result's changes taken back
+     * While nothing else has changed the player since the result, its
+     * "before" snapshot is restored exactly. Otherwise the result's rating,
+     * deviation and volatility deltas are subtracted, leaving later changes
+     * in place. A re-judgment's "before" still holds the result it replaced,
+     * so that result is taken back too, unless a reset already did.
+     * @private
+     */
+    withoutResult(player, entry, position) {
+        const isWinner = entry.winnerId === player.id;
+        const before = isWinner ? entry.before.winner : entry.before.loser;
+        const after = isWinner ? entry.after.winner : entry.after.loser;
+        const isUnchanged = this.comparisonHistoryService.matchesSnapshot(player, position, after) &&
+            (player.ratingDeviations?.[position] ?? null) === after.deviation &&
+            (player.volatilities?.[position] ?? null) === after.volatility;
+
+        // Deltas only apply where the value existed before the result
+        const revert = (current, beforeValue, afterValue) => {
+            if (isUnchanged || beforeValue === null || beforeValue === undefined) {
+                return beforeValue ?? null;
+            }
+            return current === undefined || afterValue === null || afterValue === undefined
+                ? beforeValue
+                : current - (afterValue - beforeValue);
+        };
+        const withValue = (map, value) => {
+            const { [position]: removed, ...rest } = map || {};
+            return value === null ? rest : { ...rest, [position]: value };
+        };
+
+        const reverted = {
+            ...player,
+            ratings: {
+                ...player.ratings,
+                [position]: isUnchanged ? before.rating : player.ratings[position] - (after.rating - before.rating)
+            },
+            ratingDeviations: withValue(player.ratingDeviations, this.capDeviation(revert(player.ratingDeviations?.[position], before.deviation, after.deviation))),
+            volatilities: withValue(player.volatilities, revert(player.volatilities?.[position], before.volatility, after.volatility))
+        };
+
+        const replaced = entry.overrides
+            ? this.comparisonHistoryService.getLog({ kind: 'comparison', position, includeReset: false }).find(e => e.id === entry.overrides)
+            : null;
+
+        return replaced ? this.withoutResult(reverted, replaced, position) : reverted;
+    }
+
+    /**
+     * Keep a reverted deviation within the starting deviation
+     * @private
+     */
+    capDeviation(deviation) {
+        return deviation === null ? null : Math.min(GLICKO2.DEFAULT_DEVIATION, deviation);
+    }
+
+    /**
+     * Find contradictory triads at a position
+     * A triad is three players whose standing results form a cycle
+     * (A beat B, B beat C, C beat A). Win-Wins never form a cycle.
+     * Only one rater's results are checked: raters who disagree with each
+     * other are not contradicting themselves. Results cleared by a reset
+     * are left out.
+     *
+     * @param {string} position - Position to check
+     * @param {string|null} raterId - Rater whose results to check (defaults to
+     *                                the active rater, null for results judged without a rater)
+     * @returns {Array<Object>} Triads as {key, players: [{id, name}], results: [entry]},
+     *                          with results[i] being players[i] beating players[i + 1]
+     */
+    findIntransitiveTriads(position, raterId = this.raterService.getActiveRater()?.id || null) {
+        const playerIds = new Set(this.playerRepository.getByPosition(position).map(p => p.id));
+
+        // Directed "beats" graph from the newest standing result per pair
+        const seenPairs = new Set();
+        const beats = new Map();
+
+        this.comparisonHistoryService.getStandingResults(position, raterId).forEach(entry => {
+            const pairKey = [entry.winnerId, entry.loserId].sort().join('|');
+            if (seenPairs.has(pairKey)) return;
+            seenPairs.add(pairKey);
+
+            if (entry.isDraw || !playerIds.has(entry.winnerId) || !playerIds.has(entry.loserId)) return;
+
+            if (!beats.has(entry.winnerId)) {
+                beats.set(entry.winnerId, new Map());
+            }
+            beats.get(entry.winnerId).set(entry.loserId, entry);
+        });
+
+        const triads = new Map();
+
+        beats.forEach((losersOfA, a) => {
+            losersOfA.forEach((entryAB, b) => {
+                (beats.get(b) || new Map()).forEach((entryBC, c) => {
+                    const entryCA = beats.get(c)?.get(a);
+                    if (!entryCA) return;
+
+                    // Same cycle is found once from each member; keep one rotation
+                    const cycle = [[a, entryAB], [b, entryBC], [c, entryCA]];
+                    const start = cycle.findIndex(([id]) => id === [a, b, c].sort()[0]);
+                    const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+                    const key = rotated.map(([id]) => id).join('>');
+
+                    if (!triads.has(key)) {
+                        triads.set(key, {
+                            key,
+                            players: rotated.map(([id, entry]) => ({ id, name: entry.winnerName })),
+                            results: rotated.map(([, entry]) => entry)
+                        });
+                    }
+                });
+            });
+        });
+
+        return [...triads.values()];
+    }
+
     /**
      * Validate comparison input
      * @private
@@ -304,69 +872,65 @@ class ComparisonService {
      * @private
      */
     checkAlreadyCompared(winner, loser, position) {
-        const winnerCompared = winner.comparedWith[position] || [];
-
-        if (winnerCompared.includes(loser.name)) {
+        if (!this.canCompare(winner, loser, position, true, this.getActiveRaterPairs(position))) {
             throw new Error('These players have already been compared at this position');
         }
     }
 
     /**
-     * Update players after comparison
+     * Build player updates after a comparison or Win-Win
      * @private
      */
-    updatePlayersAfterComparison(winnerId, loserId, position, changes, winnerName, loserName) {
-        // Update both players in a single batch operation
-        this.playerRepository.updateMany([
+    buildComparisonUpdates(player1, player2, position, change1, change2) {
+        return [
             {
-                id: winnerId,
+                id: player1.id,
                 updates: {
-                    ratings: this.buildUpdatedRatings(winnerId, position, changes.winner.newRating),
-                    comparisons: this.buildUpdatedComparisons(winnerId, position),
-                    comparedWith: this.buildUpdatedComparedWith(winnerId, position, loserName)
+                    ratings: this.buildUpdatedRatings(player1.id, position, change1.newRating),
+                    comparisons: this.buildUpdatedComparisons(player1.id, position),
+                    comparedWith: this.buildUpdatedComparedWith(player1.id, position, player2.name),
+                    ...this.buildUpdatedUncertainty(player1.id, position, change1)
                 }
             },
             {
-                id: loserId,
+                id: player2.id,
                 updates: {
-                    ratings: this.buildUpdatedRatings(loserId, position, changes.loser.newRating),
-                    comparisons: this.buildUpdatedComparisons(loserId, position),
-                    comparedWith: this.buildUpdatedComparedWith(loserId, position, winnerName)
+                    ratings: this.buildUpdatedRatings(player2.id, position, change2.newRating),
+                    comparisons: this.buildUpdatedComparisons(player2.id, position),
+                    comparedWith: this.buildUpdatedComparedWith(player2.id, position, player1.name),
+                    ...this.buildUpdatedUncertainty(player2.id, position, change2)
                 }
             }
-        ]);
-
-        // Increment session comparison counter
-        this.playerRepository.incrementSessionComparison();
+        ];
     }
 
     /**
-     * Update players after Win-Win
+     * Write player updates and their comparison log entry together
      * @private
      */
-    updatePlayersAfterDraw(player1Id, player2Id, position, changes, player1Name, player2Name) {
-        // Update both players in a single batch operation
-        this.playerRepository.updateMany([
-            {
-                id: player1Id,
-                updates: {
-                    ratings: this.buildUpdatedRatings(player1Id, position, changes.player1.newRating),
-                    comparisons: this.buildUpdatedComparisons(player1Id, position),
-                    comparedWith: this.buildUpdatedComparedWith(player1Id, position, player2Name)
-                }
+    recordComparison(position, isDraw, first, second, playerUpdates, overrides = null, grade = null) {
+        const history = this.comparisonHistoryService;
+        const withUpdates = (player) => ({
+            ...player,
+            ...playerUpdates.find(update => update.id === player.id).updates
+        });
+
+        history.record({
+            position,
+            isDraw,
+            grade,
+            overrides,
+            rater: this.raterService.getActiveRater(),
+            engine: this.ratingEngineService.getActiveEngineKey(),
+            winner: {
+                before: history.snapshotPlayer(first, position, second.name),
+                after: history.snapshotPlayer(withUpdates(first), position, second.name)
             },
-            {
-                id: player2Id,
-                updates: {
-                    ratings: this.buildUpdatedRatings(player2Id, position, changes.player2.newRating),
-                    comparisons: this.buildUpdatedComparisons(player2Id, position),
-                    comparedWith: this.buildUpdatedComparedWith(player2Id, position, player1Name)
-                }
+            loser: {
+                before: history.snapshotPlayer(second, position, first.name),
+                after: history.snapshotPlayer(withUpdates(second), position, first.name)
             }
-        ]);
-
-        // Increment session comparison counter
-        this.playerRepository.incrementSessionComparison();
+        }, playerUpdates);
     }
 
     /**
@@ -399,12 +963,37 @@ class ComparisonService {
      */
     buildUpdatedComparedWith(playerId, position, opponentName) {
         const player = this.playerRepository.getById(playerId);
-        const currentCompared = player.comparedWith[position] || [];
 
-        // Add opponent and remove duplicates
+        // Add opponent or bump the existing record
         return {
             ...player.comparedWith,
-            [position]: [...new Set([...currentCompared, opponentName])]
+            [position]: addComparedRecord(player.comparedWith[position], opponentName, {
+                comparedAt: new Date().toISOString(),
+                atComparison: (player.comparisons[position] || 0) + 1
+            })
+        };
+    }
+
+    /**
+     * Build updated deviation/volatility objects
+     * Only engines that track uncertainty (Glicko-2) report these values
+     * @private
+     */
+    buildUpdatedUncertainty(playerId, position, playerChange) {
+        if (playerChange.newDeviation === undefined) {
+            return {};
+        }
+
+        const player = this.playerRepository.getById(playerId);
+        return {
+            ratingDeviations: {
+                ...player.ratingDeviations,
+                [position]: playerChange.newDeviation
+            },
+            volatilities: {
+                ...player.volatilities,
+                [position]: playerChange.newVolatility
+            }
         };
     }
 
@@ -422,7 +1011,8 @@ class ComparisonService {
                 completed: 0,
                 total: 0,
                 percentage: 0,
-                remaining: 0
+                remaining: 0,
+                converged: 0
             };
         }
 
@@ -436,10 +1026,32 @@ class ComparisonService {
             completed: comparedPairs,
             total: totalPairs,
             percentage,
-            remaining
+            remaining,
+            converged: this.estimateConvergence(players, position)
         };
     }
 
+    /**
+     * Estimate how settled the ratings at a position are
+     * Each player contributes how far their rating deviation has shrunk from
+     * the starting value towards the converged threshold.
+     * @private
+     *
+     * @returns {number} Converged percentage (0-100)
+     */
+    estimateConvergence(players, position) {
+        const start = GLICKO2.DEFAULT_DEVIATION;
+        const target = PAIRING.CONVERGED_DEVIATION;
+
+        const total = players.reduce((sum, player) => {
+            const deviation = this.ratingEngineService.estimateDeviation(player, position);
+            const progress = (start - deviation) / (start - target);
+            return sum + Math.min(1, Math.max(0, progress));
+        }, 0);
+
+        return Math.round((total / players.length) * 100);
+    }
+
     /**
      * Count how many pairs have been compared
      * @private
@@ -448,7 +1060,7 @@ class ComparisonService {
         const comparedPairs = new Set();
 
         players.forEach(player => {
-            const compared = player.comparedWith[position] || [];
+            const compared = getComparedNames(player.comparedWith[position]);
             compared.forEach(opponentName => {
                 const pair = [player.name, opponentName].sort().join('|');
                 comparedPairs.add(pair);
@@ -476,6 +1088,8 @@ class ComparisonService {
 
     /**
      * Reset comparisons for a single position
+     * Logged results at the position are marked as reset, so they no
+     * longer count for recomputing, re-judging or contradictions.
      *
      * @param {string} position - Position to reset
      */
@@ -502,12 +1116,14 @@ class ComparisonService {
                 comparedWith: {
                     ...player.comparedWith,
                     [position]: []
-                }
+                },
+                ratingDeviations: this.omitPosition(player.ratingDeviations, position),
+                volatilities: this.omitPosition(player.volatilities, position)
             }
         }));
 
-        // Update all players
-        this.playerRepository.updateMany(updates);
+        // Update all players and clear their logged results
+        this.comparisonHistoryService.recordReset([position], updates);
 
         // Emit event
         this.eventBus.emit('comparison:reset-position', {
@@ -516,14 +1132,25 @@ class ComparisonService {
         });
     }
 
+    /**
+     * Copy a per-position map without one position
+     * Missing entries fall back to the engine defaults
+     * @private
+     */
+    omitPosition(map, position) {
+        const { [position]: removed, ...rest } = map || {};
+        return rest;
+    }
+
     /**
      * Reset all comparisons for positions
+     * Logged results at the positions are marked as reset (see resetPosition).
      *
      * @param {Array<string>} positions - Positions to reset
      */
     resetAll(positions) {
-        // Use repository method to reset all positions
-        this.playerRepository.resetAllPositions(positions);
+        // Reset all players and clear their logged results
+        this.comparisonHistoryService.recordReset(positions, this.playerRepository.buildResetUpdates(positions));
 
         // Emit event
         this.eventBus.emit('comparison:reset-all', {
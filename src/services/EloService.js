@@ -46,6 +46,18 @@ class EloService {
         return 1 / (1 + Math.pow(this.PROBABILITY_BASE, ratingDifference / this.RATING_DIVISOR));
     }
 
+    /**
+     * Get player's rating deviation at a position
+     * ELO has no notion of rating uncertainty, so there is nothing to report
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {null} Always null for ELO
+     */
+    getRatingDeviation(player, position) {
+        return null;
+    }
+
     /**
      * Dynamic K-factor based on experience and skill level
      * Higher K-factor for new players (more volatile)
@@ -114,13 +126,17 @@ class EloService {
      * @param {Object} loser - Loser player object
      * @param {string} position - Position being compared
      * @param {number} poolSize - Optional: Number of players in position pool (for fair K-factor adjustment)
+     * @param {number} score - Winner's score, 0.5-1 (default 1); the loser gets 1 - score
      * @returns {Object} Rating change details
      */
-    calculateRatingChange(winner, loser, position, poolSize = null) {
+    calculateRatingChange(winner, loser, position, poolSize = null, score = 1) {
         // Validate that winner and loser are different players
         if (winner.id === loser.id) {
             throw new Error('Cannot calculate rating change for same player');
         }
+        if (!(score >= 0.5 && score <= 1)) {
+            throw new Error('Invalid score: a win must score between 0.5 and 1');
+        }
 
         const winnerRating = winner.ratings?.[position] || this.DEFAULT_RATING;
         const loserRating = loser.ratings?.[position] || this.DEFAULT_RATING;
@@ -151,8 +167,8 @@ class EloService {
             loserK = this.calculatePoolAdjustedKFactor(loserBaseK, poolSize);
         }
 
-        const winnerChange = winnerK * (1 - winnerExpected);
-        const loserChange = loserK * (0 - loserExpected);
+        const winnerChange = winnerK * (score - winnerExpected);
+        const loserChange = loserK * ((1 - score) - loserExpected);
 
         return {
             winner: {
@@ -172,7 +188,8 @@ class EloService {
                 expected: loserExpected
             },
             poolSize: poolSize || null,
-            poolAdjusted: poolSize && poolSize > 1
+            poolAdjusted: poolSize && poolSize > 1,
+            score
         };
     }
 
@@ -248,6 +265,35 @@ class EloService {
         };
     }
 
+    /**
+     * Calculate one player's rating change from a team match
+     * Every player of a team gets the team's expected-score error, scaled
+     * by their own K-factor times the match weight.
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position the player played
+     * @param {Object} match - Match details
+     * @param {number} match.teamRating - Average rating of the player's team
+     * @param {number} match.opponentRating - Average rating of the opposing team
+     * @param {number} match.score - Team's score: 1 for a win, 0.5 for a draw, 0 for a loss
+     * @param {number} match.weight - Multiplier for the K-factor (default 1)
+     * @returns {Object} Rating change details
+     */
+    calculateTeamMatchChange(player, position, { teamRating, opponentRating, score, weight = 1 }) {
+        const rating = player.ratings?.[position] || this.DEFAULT_RATING;
+        const expected = this.calculateExpectedScore(teamRating, opponentRating);
+        const kFactor = this.calculateKFactor(player.comparisons?.[position] || 0, rating) * weight;
+        const change = kFactor * (score - expected);
+
+        return {
+            oldRating: rating,
+            newRating: rating + change,
+            change,
+            kFactor,
+            expected
+        };
+    }
+
     /**
      * Predict match outcome
      * Calculates win probabilities based on ratings
@@ -0,0 +1,281 @@
+// src/services/Glicko2Service.js
+
+import ratingConfig from '../config/rating.js';
+
+/**
+ * Glicko2Service - Glicko-2 rating calculations
+ * Pure business logic with no state management
+ *
+ * Alternative rating engine to EloService. Every player carries a rating
+ * deviation (how uncertain the rating is) and a volatility (how erratic the
+ * player's results are) per position, stored in player.ratingDeviations and
+ * player.volatilities. Each comparison is treated as its own rating period.
+ *
+ * Exposes the same calculation interface as EloService so that
+ * RatingEngineService can switch between the two.
+ */
+class Glicko2Service {
+    constructor(activityConfig) {
+        // Store activity config
+        this.config = activityConfig;
+
+        // Import rating constants from centralized config
+        this.DEFAULT_RATING = ratingConfig.RATING_CONSTANTS.DEFAULT;
+        this.DEFAULT_DEVIATION = ratingConfig.GLICKO2.DEFAULT_DEVIATION;
+        this.DEFAULT_VOLATILITY = ratingConfig.GLICKO2.DEFAULT_VOLATILITY;
+        this.TAU = ratingConfig.GLICKO2.TAU;
+        this.SCALE = ratingConfig.GLICKO2.SCALE;
+        this.CONVERGENCE_TOLERANCE = ratingConfig.GLICKO2.CONVERGENCE_TOLERANCE;
+    }
+
+    /**
+     * Get player's rating deviation at a position
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {number} Rating deviation (on the rating scale)
+     */
+    getRatingDeviation(player, position) {
+        return player.ratingDeviations?.[position] || this.DEFAULT_DEVIATION;
+    }
+
+    /**
+     * Get player's volatility at a position
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {number} Volatility
+     */
+    getVolatility(player, position) {
+        return player.volatilities?.[position] || this.DEFAULT_VOLATILITY;
+    }
+
+    /**
+     * Reduce the impact of a result by the opponent's deviation
+     * @private
+     */
+    g(phi) {
+        return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+    }
+
+    /**
+     * Calculate expected match outcome
+     * Accounts for the opponent's rating deviation
+     *
+     * @param {number} playerRating - Player's current rating
+     * @param {number} opponentRating - Opponent's current rating
+     * @param {number} opponentDeviation - Opponent's rating deviation
+     * @returns {number} Expected score (0-1, where 1 = 100% win probability)
+     */
+    calculateExpectedScore(playerRating, opponentRating, opponentDeviation = this.DEFAULT_DEVIATION) {
+        const mu = (playerRating - this.DEFAULT_RATING) / this.SCALE;
+        const opponentMu = (opponentRating - this.DEFAULT_RATING) / this.SCALE;
+        const opponentPhi = opponentDeviation / this.SCALE;
+
+        return 1 / (1 + Math.exp(-this.g(opponentPhi) * (mu - opponentMu)));
+    }
+
+    /**
+     * Calculate new volatility (Illinois algorithm, step 5 of Glicko-2)
+     * @private
+     */
+    calculateNewVolatility(phi, sigma, delta, v) {
+        const a = Math.log(sigma * sigma);
+        const tau = this.TAU;
+
+        const f = (x) => {
+            const ex = Math.exp(x);
+            const denominator = phi * phi + v + ex;
+            return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator)
+                - (x - a) / (tau * tau);
+        };
+
+        let A = a;
+        let B;
+
+        if (delta * delta > phi * phi + v) {
+            B = Math.log(delta * delta - phi * phi - v);
+        } else {
+            let k = 1;
+            while (f(a - k * tau) < 0) {
+                k++;
+            }
+            B = a - k * tau;
+        }
+
+        let fA = f(A);
+        let fB = f(B);
+
+        while (Math.abs(B - A) > this.CONVERGENCE_TOLERANCE) {
+            const C = A + ((A - B) * fA) / (fB - fA);
+            const fC = f(C);
+
+            if (fC * fB <= 0) {
+                A = B;
+                fA = fB;
+            } else {
+                fA = fA / 2;
+            }
+
+            B = C;
+            fB = fC;
+        }
+
+        return Math.exp(A / 2);
+    }
+
+    /**
+     * Rate a single player against one opponent
+     * @private
+     *
+     * @param {Object} player - Player being rated
+     * @param {Object} opponent - Opponent (pre-comparison state)
+     * @param {string} position - Position being compared
+     * @param {number} score - 1 for win, 0.5 for Win-Win, 0 for loss (or a graded score in between)
+     * @returns {Object} Rating change details for the player
+     */
+    ratePlayer(player, opponent, position, score) {
+        const rating = player.ratings?.[position] || this.DEFAULT_RATING;
+        const deviation = this.getRatingDeviation(player, position);
+        const volatility = this.getVolatility(player, position);
+
+        const opponentRating = opponent.ratings?.[position] || this.DEFAULT_RATING;
+        const opponentDeviation = this.getRatingDeviation(opponent, position);
+
+        // Step 2: convert to Glicko-2 scale
+        const mu = (rating - this.DEFAULT_RATING) / this.SCALE;
+        const phi = deviation / this.SCALE;
+        const opponentPhi = opponentDeviation / this.SCALE;
+
+        // Steps 3-4: estimated variance and improvement
+        const gPhi = this.g(opponentPhi);
+        const expected = this.calculateExpectedScore(rating, opponentRating, opponentDeviation);
+        const v = 1 / (gPhi * gPhi * expected * (1 - expected));
+        const delta = v * gPhi * (score - expected);
+
+        // Step 5: new volatility
+        const newVolatility = this.calculateNewVolatility(phi, volatility, delta, v);
+
+        // Steps 6-7: new deviation and rating
+        const phiStar = Math.min(
+            Math.sqrt(phi * phi + newVolatility * newVolatility),
+            this.DEFAULT_DEVIATION / this.SCALE
+        );
+        const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+        const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+        // Step 8: convert back to rating scale
+        const newRating = this.SCALE * newMu + this.DEFAULT_RATING;
+        const newDeviation = this.SCALE * newPhi;
+
+        return {
+            oldRating: rating,
+            newRating,
+            change: newRating - rating,
+            expected,
+            oldDeviation: deviation,
+            newDeviation,
+            oldVolatility: volatility,
+            newVolatility
+        };
+    }
+
+    /**
+     * Validate that two players can be rated against each other
+     * @private
+     */
+    validatePair(player1, player2, position) {
+        if (player1.id === player2.id) {
+            throw new Error('Cannot calculate rating change for same player');
+        }
+
+        const rating1 = player1.ratings?.[position] || this.DEFAULT_RATING;
+        const rating2 = player2.ratings?.[position] || this.DEFAULT_RATING;
+
+        if (rating1 < 0 || rating2 < 0) {
+            throw new Error('Invalid rating value: ratings cannot be negative');
+        }
+        if (!isFinite(rating1) || !isFinite(rating2)) {
+            throw new Error('Invalid rating value: ratings must be finite numbers');
+        }
+    }
+
+    /**
+     * Calculate rating changes for a position
+     *
+     * @param {Object} winner - Winner player object
+     * @param {Object} loser - Loser player object
+     * @param {string} position - Position being compared
+     * @param {number} poolSize - Optional: Number of players in position pool (informational only)
+     * @param {number} score - Winner's score, 0.5-1 (default 1); the loser gets 1 - score
+     * @returns {Object} Rating change details
+     */
+    calculateRatingChange(winner, loser, position, poolSize = null, score = 1) {
+        this.validatePair(winner, loser, position);
+        if (!(score >= 0.5 && score <= 1)) {
+            throw new Error('Invalid score: a win must score between 0.5 and 1');
+        }
+
+        return {
+            winner: this.ratePlayer(winner, loser, position, score),
+            loser: this.ratePlayer(loser, winner, position, 1 - score),
+            poolSize: poolSize || null,
+            poolAdjusted: false,
+            score
+        };
+    }
+
+    /**
+     * Calculate one player's rating change from a team match
+     * The opposing team counts as a single opponent with its average rating
+     * and deviation. The match weight scales the rating step; deviation and
+     * volatility change as for any single result.
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position the player played
+     * @param {Object} match - Match details
+     * @param {number} match.opponentRating - Average rating of the opposing team
+     * @param {number|null} match.opponentDeviation - Typical deviation of the opposing team
+     * @param {number} match.score - Team's score: 1 for a win, 0.5 for a draw, 0 for a loss
+     * @param {number} match.weight - Multiplier for the rating step (default 1)
+     * @returns {Object} Rating change details
+     */
+    calculateTeamMatchChange(player, position, { opponentRating, opponentDeviation = null, score, weight = 1 }) {
+        const opponent = {
+            ratings: { [position]: opponentRating },
+            ratingDeviations: { [position]: opponentDeviation ?? this.DEFAULT_DEVIATION }
+        };
+        const result = this.ratePlayer(player, opponent, position, score);
+        const change = result.change * weight;
+
+        return {
+            ...result,
+            newRating: result.oldRating + change,
+            change
+        };
+    }
+
+    /**
+     * Calculate rating changes for a Win-Win
+     * In a Win-Win, both players receive a score of 0.5
+     *
+     * @param {Object} player1 - First player object
+     * @param {Object} player2 - Second player object
+     * @param {string} position - Position being compared
+     * @param {number} poolSize - Optional: Number of players in position pool (informational only)
+     * @returns {Object} Rating change details
+     */
+    calculateDrawRatingChange(player1, player2, position, poolSize = null) {
+        this.validatePair(player1, player2, position);
+
+        return {
+            player1: this.ratePlayer(player1, player2, position, 0.5),
+            player2: this.ratePlayer(player2, player1, position, 0.5),
+            poolSize: poolSize || null,
+            poolAdjusted: false,
+            isDraw: true
+        };
+    }
+}
+
+export default Glicko2Service;
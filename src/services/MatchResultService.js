@@ -0,0 +1,275 @@
+// src/services/MatchResultService.js
+
+import ratingConfig from '../config/rating.js';
+
+const { MATCH, RATING_CONSTANTS } = ratingConfig;
+
+/**
+ * MatchResultService - Feed played matches back into player ratings
+ *
+ * Responsibilities:
+ * - Read the teams saved by the team builder for the active session
+ * - Rate the players of a match between two of those teams with the
+ *   session's rating engine
+ * - Log the match alongside pairwise comparisons (undoable from History)
+ *
+ * Team rating is the average of the players' current ratings at their
+ * assigned positions. With ELO every player gets the team's expected-score
+ * error scaled by their own K-factor (times MATCH.K_MULTIPLIER), so players
+ * with few comparisons move more. With Glicko-2 every player is rated
+ * against the opposing team as one opponent, which also narrows their
+ * deviation. Comparison counts and compared-with lists are left as they are.
+ */
+class MatchResultService {
+    /**
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {RatingEngineService} ratingEngineService - Rating engine of the session
+     * @param {ComparisonHistoryService} comparisonHistoryService - Comparison log
+     * @param {SessionRepository} sessionRepository - Session data access (generated teams)
+     * @param {TeamIdentityService} teamIdentityService - Team names
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(playerRepository, ratingEngineService, comparisonHistoryService, sessionRepository, teamIdentityService, storageAdapter, eventBus) {
+        this.playerRepository = playerRepository;
+        this.ratingEngineService = ratingEngineService;
+        this.comparisonHistoryService = comparisonHistoryService;
+        this.sessionRepository = sessionRepository;
+        this.teamIdentityService = teamIdentityService;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get the teams saved by the team builder
+     * @returns {Array<Array<Object>>} Teams (empty if none were generated)
+     */
+    getSavedTeams() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            return [];
+        }
+
+        return this.sessionRepository.getGeneratedTeams(activityKey, sessionId)?.teams || [];
+    }
+
+    /**
+     * Get recorded matches, newest first
+     * @param {boolean} includeUndone - Include undone matches (default false)
+     * @returns {Array<Object>} Match log entries
+     */
+    getMatches(includeUndone = false) {
+        return this.comparisonHistoryService.getLog({ kind: 'match', includeUndone });
+    }
+
+    /**
+     * Record a played match between two saved teams
+     *
+     * @param {Object} match - Match details
+     * @param {Array<number>} match.teams - Indexes of the two saved teams that played
+     * @param {number|null} match.winnerTeam - Index of the winning saved team, null for a draw
+     * @param {Array<number>|null} match.score - Optional score in the order of match.teams
+     * @returns {Object} Match log entry
+     * @throws {Error} If the teams or result are invalid
+     */
+    recordMatch({ teams: teamIndexes, winnerTeam, score = null }) {
+        const savedTeams = this.getSavedTeams();
+        const [indexA, indexB] = teamIndexes || [];
+
+        if (!savedTeams[indexA] || !savedTeams[indexB] || indexA === indexB) {
+            throw new Error('Select two different generated teams');
+        }
+        if (winnerTeam !== null && winnerTeam !== indexA && winnerTeam !== indexB) {
+            throw new Error('The winner must be one of the two teams');
+        }
+
+        this.validateScore(score, winnerTeam === null ? null : winnerTeam === indexA ? 0 : 1);
+
+        const teamA = this.resolveTeam(savedTeams[indexA]);
+        const teamB = this.resolveTeam(savedTeams[indexB]);
+
+        const ratingA = this.calculateTeamRating(teamA);
+        const ratingB = this.calculateTeamRating(teamB);
+        const deviationA = this.calculateTeamDeviation(teamA);
+        const deviationB = this.calculateTeamDeviation(teamB);
+
+        // Actual score from team A's point of view
+        const actualA = winnerTeam === null ? 0.5 : winnerTeam === indexA ? 1 : 0;
+        const weight = MATCH.K_MULTIPLIER * this.calculateMarginMultiplier(score);
+
+        const changes = [
+            ...teamA.map(member => this.buildChange(member, 0, {
+                teamRating: ratingA, opponentRating: ratingB, opponentDeviation: deviationB, score: actualA, weight
+            })),
+            ...teamB.map(member => this.buildChange(member, 1, {
+                teamRating: ratingB, opponentRating: ratingA, opponentDeviation: deviationA, score: 1 - actualA, weight
+            }))
+        ];
+
+        const playerUpdates = changes.map(change => ({
+            id: change.player.id,
+            updates: this.buildUpdates(change)
+        }));
+
+        // Ratings and their log entry are written together
+        const history = this.comparisonHistoryService;
+        const entry = history.recordMatch({
+            teams: [
+                this.describeTeam(indexA, teamA, ratingA),
+                this.describeTeam(indexB, teamB, ratingB)
+            ],
+            winnerTeam: winnerTeam === null ? null : winnerTeam === indexA ? 0 : 1,
+            score,
+            engine: this.ratingEngineService.getActiveEngineKey(),
+            players: changes.map((change, index) => ({
+                team: change.team,
+                position: change.position,
+                before: history.snapshotPlayer(change.player, change.position),
+                after: history.snapshotPlayer({ ...change.player, ...playerUpdates[index].updates }, change.position)
+            }))
+        }, playerUpdates);
+
+        this.eventBus.emit('match:recorded', { entry });
+
+        return entry;
+    }
+
+    /**
+     * Validate an optional score against the result
+     * @private
+     * @param {number|null} winnerSide - 0 or 1 (order of the score), null for a draw
+     */
+    validateScore(score, winnerSide) {
+        if (score === null) {
+            return;
+        }
+
+        if (!Array.isArray(score) || score.length !== 2 ||
+            !score.every(value => Number.isInteger(value) && value >= 0)) {
+            throw new Error('Score must be two whole numbers');
+        }
+
+        const [scoreA, scoreB] = score;
+        const scoreSide = scoreA === scoreB ? null : scoreA > scoreB ? 0 : 1;
+        if (scoreSide !== winnerSide) {
+            throw new Error('Score does not match the result');
+        }
+    }
+
+    /**
+     * Look up the current data of a saved team's players
+     * Players removed since, or no longer playing their assigned position, are skipped.
+     * @private
+     * @throws {Error} If no player of the team is left
+     */
+    resolveTeam(savedTeam) {
+        const members = savedTeam
+            .map(saved => ({
+                player: this.playerRepository.getById(saved.id),
+                position: saved.assignedPosition
+            }))
+            .filter(member => member.player && member.player.ratings[member.position] !== undefined);
+
+        if (members.length === 0) {
+            throw new Error('A team has no current players left; generate teams again');
+        }
+
+        return members;
+    }
+
+    /**
+     * Average rating of a team at the assigned positions
+     * @private
+     */
+    calculateTeamRating(members) {
+        const total = members.reduce((sum, member) => sum + member.player.ratings[member.position], 0);
+        return total / members.length;
+    }
+
+    /**
+     * Typical rating deviation of a team (root mean square)
+     * @private
+     * @returns {number|null} Deviation, or null if the engine does not track it
+     */
+    calculateTeamDeviation(members) {
+        const deviations = members.map(member => this.ratingEngineService.getRatingDeviation(member.player, member.position));
+        if (deviations.some(deviation => deviation === null)) {
+            return null;
+        }
+
+        return Math.sqrt(deviations.reduce((sum, deviation) => sum + deviation * deviation, 0) / deviations.length);
+    }
+
+    /**
+     * Multiplier for the winning margin (1 without a score)
+     * @private
+     */
+    calculateMarginMultiplier(score) {
+        if (!score) {
+            return 1;
+        }
+
+        const [scoreA, scoreB] = score;
+        const total = scoreA + scoreB;
+        return total > 0 ? 1 + MATCH.MARGIN_BONUS * Math.abs(scoreA - scoreB) / total : 1;
+    }
+
+    /**
+     * Build one player's rating change with the session's engine
+     * @private
+     */
+    buildChange(member, team, match) {
+        const { player, position } = member;
+        const change = this.ratingEngineService.calculateTeamMatchChange(player, position, match);
+        const newRating = Math.min(
+            RATING_CONSTANTS.MAX,
+            Math.max(RATING_CONSTANTS.MIN, change.newRating)
+        );
+
+        return {
+            player,
+            position,
+            team,
+            newRating,
+            newDeviation: change.newDeviation,
+            newVolatility: change.newVolatility
+        };
+    }
+
+    /**
+     * Build player updates for one rating change
+     * Deviation and volatility only change with engines that track them.
+     * @private
+     */
+    buildUpdates({ player, position, newRating, newDeviation, newVolatility }) {
+        const updates = {
+            ratings: {
+                ...player.ratings,
+                [position]: newRating
+            }
+        };
+
+        if (newDeviation !== undefined) {
+            updates.ratingDeviations = { ...player.ratingDeviations, [position]: newDeviation };
+            updates.volatilities = { ...player.volatilities, [position]: newVolatility };
+        }
+
+        return updates;
+    }
+
+    /**
+     * Summary of a team for the log
+     * @private
+     */
+    describeTeam(index, members, rating) {
+        return {
+            index,
+            name: this.teamIdentityService.getTeamName(index),
+            playerIds: members.map(member => member.player.id),
+            rating
+        };
+    }
+}
+
+export default MatchResultService;
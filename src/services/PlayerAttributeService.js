@@ -0,0 +1,236 @@
+// src/services/PlayerAttributeService.js
+
+import validationConfig from '../config/validation.js';
+
+const { ATTRIBUTE_VALIDATION, NAME_VALIDATION } = validationConfig;
+const { TYPES } = ATTRIBUTE_VALIDATION;
+
+/**
+ * PlayerAttributeService - Custom player attributes (gender, age group, experience...)
+ *
+ * Responsibilities:
+ * - Manage the attribute definitions of the active session
+ * - Validate and store attribute values on players
+ * - Parse imported values against a definition
+ *
+ * Definitions are {key, name, type, options}: categorical attributes take
+ * one of their options, numeric attributes any number. Values live in
+ * player.attributes keyed by the definition key; a missing value means
+ * the attribute is not set for the player.
+ */
+class PlayerAttributeService {
+    /**
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {SessionRepository} sessionRepository - Session data access (definitions)
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(playerRepository, sessionRepository, storageAdapter, eventBus) {
+        this.playerRepository = playerRepository;
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Get the attribute definitions of the active session
+     * @returns {Array<Object>} Definitions as {key, name, type, options}
+     */
+    getDefinitions() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+
+        return session?.settings?.playerAttributes || [];
+    }
+
+    /**
+     * Get an attribute definition by key
+     * @param {string} key - Attribute key
+     * @returns {Object|null} Definition or null if not found
+     */
+    getDefinition(key) {
+        return this.getDefinitions().find(d => d.key === key) || null;
+    }
+
+    /**
+     * Define a new attribute
+     *
+     * @param {Object} definition - {name, type, options}
+     * @param {string} definition.name - Display name
+     * @param {string} definition.type - 'categorical' or 'numeric'
+     * @param {Array<string>} definition.options - Options of a categorical attribute
+     * @returns {Object} Created definition
+     * @throws {Error} If the definition is invalid
+     */
+    addDefinition({ name, type, options = [] }) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const definitions = this.getDefinitions();
+
+        if (definitions.length >= ATTRIBUTE_VALIDATION.MAX_ATTRIBUTES) {
+            throw new Error(`At most ${ATTRIBUTE_VALIDATION.MAX_ATTRIBUTES} attributes can be defined`);
+        }
+        if (!Object.values(TYPES).includes(type)) {
+            throw new Error(`Unknown attribute type: ${type}`);
+        }
+
+        const trimmed = String(name || '').trim();
+        if (trimmed.length < NAME_VALIDATION.MIN_LENGTH || trimmed.length > NAME_VALIDATION.MAX_LENGTH) {
+            throw new Error(`Attribute name must be 1-${NAME_VALIDATION.MAX_LENGTH} characters`);
+        }
+
+        const key = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `attribute-${definitions.length + 1}`;
+        if (definitions.some(d => d.key === key || d.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`Attribute "${trimmed}" already exists`);
+        }
+
+        const definition = {
+            key,
+            name: trimmed,
+            type,
+            options: type === TYPES.CATEGORICAL ? this.validateOptions(options) : []
+        };
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, {
+            playerAttributes: [...definitions, definition]
+        });
+
+        this.eventBus.emit('attributes:changed', { definitions: this.getDefinitions() });
+
+        return definition;
+    }
+
+    /**
+     * Remove an attribute and its values from all players
+     *
+     * @param {string} key - Attribute key
+     * @throws {Error} If the attribute does not exist
+     */
+    removeDefinition(key) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const definitions = this.getDefinitions();
+
+        if (!definitions.some(d => d.key === key)) {
+            throw new Error('Attribute not found');
+        }
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, {
+            playerAttributes: definitions.filter(d => d.key !== key)
+        });
+
+        const updates = this.playerRepository.getAll()
+            .filter(player => player.attributes && key in player.attributes)
+            .map(player => {
+                const { [key]: removed, ...attributes } = player.attributes;
+                return { id: player.id, updates: { attributes } };
+            });
+        if (updates.length > 0) {
+            this.playerRepository.updateMany(updates);
+        }
+
+        this.eventBus.emit('attributes:changed', { definitions: this.getDefinitions() });
+    }
+
+    /**
+     * Set (or clear) a player's attribute value
+     *
+     * @param {string} playerId - Player ID
+     * @param {string} key - Attribute key
+     * @param {string|number|null} value - Raw value; empty or null clears it
+     * @returns {Object} Updated player
+     * @throws {Error} If the player or attribute does not exist or the value is invalid
+     */
+    setValue(playerId, key, value) {
+        return this.setValues(playerId, { [key]: value });
+    }
+
+    /**
+     * Set (or clear) several attribute values of a player at once
+     *
+     * @param {string} playerId - Player ID
+     * @param {Object} values - Raw values by attribute key; empty or null clears a value
+     * @returns {Object} Updated player
+     * @throws {Error} If the player or an attribute does not exist or a value is invalid
+     */
+    setValues(playerId, values) {
+        const player = this.playerRepository.getById(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        const attributes = { ...(player.attributes || {}) };
+        Object.entries(values).forEach(([key, value]) => {
+            const definition = this.getDefinition(key);
+            if (!definition) {
+                throw new Error('Attribute not found');
+            }
+
+            const parsed = this.parseValue(definition, value);
+            if (parsed === null) {
+                delete attributes[key];
+            } else {
+                attributes[key] = parsed;
+            }
+        });
+
+        return this.playerRepository.update(playerId, { attributes });
+    }
+
+    /**
+     * Parse a raw value against a definition
+     * Categorical values match options case-insensitively.
+     *
+     * @param {Object} definition - Attribute definition
+     * @param {string|number|null} value - Raw value
+     * @returns {string|number|null} Parsed value, null if empty
+     * @throws {Error} If the value is invalid
+     */
+    parseValue(definition, value) {
+        if (value === null || value === undefined || String(value).trim() === '') {
+            return null;
+        }
+
+        if (definition.type === TYPES.NUMERIC) {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`${definition.name} must be a number`);
+            }
+            return number;
+        }
+
+        const option = definition.options.find(o => o.toLowerCase() === String(value).trim().toLowerCase());
+        if (!option) {
+            throw new Error(`${definition.name} must be one of: ${definition.options.join(', ')}`);
+        }
+        return option;
+    }
+
+    /**
+     * Validate and normalize the options of a categorical attribute
+     * @private
+     */
+    validateOptions(options) {
+        const cleaned = [...new Set(options.map(o => String(o).trim()).filter(Boolean))];
+
+        if (cleaned.length < ATTRIBUTE_VALIDATION.MIN_OPTIONS || cleaned.length > ATTRIBUTE_VALIDATION.MAX_OPTIONS) {
+            throw new Error(`A category needs ${ATTRIBUTE_VALIDATION.MIN_OPTIONS}-${ATTRIBUTE_VALIDATION.MAX_OPTIONS} different options`);
+        }
+
+        return cleaned;
+    }
+}
+
+export default PlayerAttributeService;
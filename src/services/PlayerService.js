@@ -2,6 +2,7 @@
 
 import ratingConfig from '../config/rating.js';
 import validationConfig from '../config/validation.js';
+import { normalizePositionPreferences } from '../utils/positionPreferences.js';
 
 /**
  * PlayerService - Player management business logic
@@ -31,13 +32,15 @@ class PlayerService {
      * @param {ValidationService} validationService - Validation service
      * @param {EventBus} eventBus - Event bus
      * @param {EloService} eloService - ELO service
+     * @param {ComparisonHistoryService} comparisonHistoryService - Clears reset results from the log
      */
-    constructor(activityConfig, playerRepository, validationService, eventBus, eloService) {
+    constructor(activityConfig, playerRepository, validationService, eventBus, eloService, comparisonHistoryService) {
         this.config = activityConfig;
         this.playerRepository = playerRepository;
         this.validationService = validationService;
         this.eventBus = eventBus;
         this.eloService = eloService;
+        this.comparisonHistoryService = comparisonHistoryService;
 
         this.positions = activityConfig?.positions || {};
         this.DEFAULT_RATING = ratingConfig.RATING_CONSTANTS.DEFAULT;
@@ -118,10 +121,12 @@ class PlayerService {
      * Update player positions
      * @param {string} playerId - Player ID
      * @param {Array<string>} positions - New positions
+     * @param {Object} preferences - Optional level per position ({position: 'primary'|'secondary'|'emergency'});
+     *                               when omitted, the levels of kept positions stay and new ones are primary
      * @returns {Object} Updated player
-     * @throws {Error} If validation fails or player not found
+     * @throws {Error} If validation fails, a level is invalid or player not found
      */
-    updatePositions(playerId, positions) {
+    updatePositions(playerId, positions, preferences = null) {
         // Validate positions
         const validation = this.validationService.validatePositions(positions);
 
@@ -136,6 +141,15 @@ class PlayerService {
 
         const newPositions = validation.sanitized;
 
+        let positionPreferences;
+        try {
+            positionPreferences = normalizePositionPreferences(preferences || player.positionPreferences, newPositions);
+        } catch (error) {
+            if (preferences) throw error;
+            // Only non-primary positions were kept: start over with all primary
+            positionPreferences = {};
+        }
+
         // Build new ratings structure
         const newRatings = {};
         const newComparisons = {};
@@ -150,6 +164,7 @@ class PlayerService {
         // Update through repository
         return this.playerRepository.update(playerId, {
             positions: newPositions,
+            positionPreferences,
             ratings: newRatings,
             comparisons: newComparisons,
             comparedWith: newComparedWith
@@ -221,10 +236,10 @@ class PlayerService {
 
         const positionsToReset = positions || player.positions;
 
-        const updatedPlayer = this.playerRepository.resetPlayerPositions(
-            playerId,
+        const [updatedPlayer] = this.comparisonHistoryService.recordReset(
             positionsToReset,
-            this.DEFAULT_RATING
+            this.playerRepository.buildResetUpdates(positionsToReset, [playerId], this.DEFAULT_RATING),
+            [playerId]
         );
 
         this.eventBus.emit('player:reset', {
@@ -261,9 +276,9 @@ class PlayerService {
             throw new Error('At least one position is required');
         }
 
-        const updatedPlayers = this.playerRepository.resetAllPositions(
+        const updatedPlayers = this.comparisonHistoryService.recordReset(
             positions,
-            this.DEFAULT_RATING
+            this.playerRepository.buildResetUpdates(positions, null, this.DEFAULT_RATING)
         );
 
         this.eventBus.emit('players:reset-all-positions', {
@@ -0,0 +1,377 @@
+// src/services/RaterService.js
+
+import ratingConfig from '../config/rating.js';
+import validationConfig from '../config/validation.js';
+
+const { RATERS } = ratingConfig;
+
+/**
+ * RaterService - Raters (judges) of a session and per-rater ratings
+ *
+ * Responsibilities:
+ * - Manage the session's raters and their weights
+ * - Track who is currently judging on the Compare page
+ * - Fit ratings from one rater's comparisons, or from all raters weighted
+ * - Measure how often raters agree on the pairs they both judged
+ *
+ * Comparisons are tagged with the rater in the comparison log. Comparisons
+ * made without a rater (or by a rater that was later removed) count with
+ * the default weight in the aggregated rating.
+ */
+class RaterService {
+    /**
+     * @param {SessionRepository} sessionRepository - Session data access
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {ComparisonHistoryService} comparisonHistoryService - Comparison log
+     * @param {BradleyTerryService} bradleyTerryService - Batch rating fit
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(sessionRepository, playerRepository, comparisonHistoryService, bradleyTerryService, storageAdapter, eventBus) {
+        this.sessionRepository = sessionRepository;
+        this.playerRepository = playerRepository;
+        this.comparisonHistoryService = comparisonHistoryService;
+        this.bradleyTerryService = bradleyTerryService;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Get all raters of the active session
+     * @returns {Array<Object>} Raters as {id, name, weight}
+     */
+    getAll() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            return [];
+        }
+
+        return this.sessionRepository.getRaters(activityKey, sessionId);
+    }
+
+    /**
+     * Get rater by ID
+     * @param {string} raterId - Rater ID
+     * @returns {Object|null} Rater or null if not found
+     */
+    getById(raterId) {
+        return this.getAll().find(r => r.id === raterId) || null;
+    }
+
+    /**
+     * Get the rater currently judging
+     * @returns {Object|null} Rater or null for anonymous comparisons
+     */
+    getActiveRater() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+        const raterId = session?.settings?.activeRaterId;
+
+        return raterId ? this.getById(raterId) : null;
+    }
+
+    /**
+     * Select who is judging
+     *
+     * @param {string|null} raterId - Rater ID, or null for anonymous comparisons
+     * @throws {Error} If the rater does not exist
+     */
+    setActiveRater(raterId) {
+        if (raterId && !this.getById(raterId)) {
+            throw new Error('Rater not found');
+        }
+
+        const { activityKey, sessionId } = this._getSessionContext();
+        this.sessionRepository.updateSettings(activityKey, sessionId, { activeRaterId: raterId || null });
+
+        this.eventBus.emit('rater:changed', { raterId: raterId || null });
+    }
+
+    /**
+     * Add a rater
+     *
+     * @param {string} name - Rater name
+     * @param {number} weight - Weight in the aggregated rating
+     * @returns {Object} Created rater
+     * @throws {Error} If name or weight is invalid
+     */
+    add(name, weight = RATERS.DEFAULT_WEIGHT) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const raters = this.sessionRepository.getRaters(activityKey, sessionId);
+
+        const rater = {
+            id: `rater-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            name: this.validateName(name, raters),
+            weight: this.validateWeight(weight)
+        };
+
+        this.sessionRepository.updateRaters(activityKey, sessionId, [...raters, rater]);
+
+        this.eventBus.emit('rater:added', { rater });
+
+        return rater;
+    }
+
+    /**
+     * Update a rater's name or weight
+     *
+     * @param {string} raterId - Rater ID
+     * @param {Object} updates - Any of {name, weight}
+     * @returns {Object} Updated rater
+     * @throws {Error} If the rater does not exist or a value is invalid
+     */
+    update(raterId, updates) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const raters = this.sessionRepository.getRaters(activityKey, sessionId);
+        const rater = raters.find(r => r.id === raterId);
+
+        if (!rater) {
+            throw new Error('Rater not found');
+        }
+
+        const updated = {
+            ...rater,
+            name: updates.name !== undefined
+                ? this.validateName(updates.name, raters.filter(r => r.id !== raterId))
+                : rater.name,
+            weight: updates.weight !== undefined ? this.validateWeight(updates.weight) : rater.weight
+        };
+
+        this.sessionRepository.updateRaters(
+            activityKey,
+            sessionId,
+            raters.map(r => r.id === raterId ? updated : r)
+        );
+
+        this.eventBus.emit('rater:updated', { rater: updated });
+
+        return updated;
+    }
+
+    /**
+     * Remove a rater
+     * Their logged comparisons are kept and still count (with the default weight).
+     *
+     * @param {string} raterId - Rater ID
+     * @throws {Error} If the rater does not exist
+     */
+    remove(raterId) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const raters = this.sessionRepository.getRaters(activityKey, sessionId);
+
+        if (!raters.some(r => r.id === raterId)) {
+            throw new Error('Rater not found');
+        }
+
+        this.sessionRepository.updateRaters(activityKey, sessionId, raters.filter(r => r.id !== raterId));
+
+        const settings = this.sessionRepository.getSettings(activityKey, sessionId);
+        if (settings.activeRaterId === raterId) {
+            this.sessionRepository.updateSettings(activityKey, sessionId, { activeRaterId: null });
+        }
+
+        this.eventBus.emit('rater:removed', { raterId });
+    }
+
+    /**
+     * Validate and normalize a rater name
+     * @private
+     */
+    validateName(name, otherRaters) {
+        const trimmed = String(name || '').trim();
+        const { MIN_LENGTH, MAX_LENGTH } = validationConfig.NAME_VALIDATION;
+
+        if (trimmed.length < MIN_LENGTH) {
+            throw new Error('Rater name is required');
+        }
+        if (trimmed.length > MAX_LENGTH) {
+            throw new Error(`Rater name must be at most ${MAX_LENGTH} characters`);
+        }
+        if (otherRaters.some(r => r.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`Rater "${trimmed}" already exists`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Validate a rater weight
+     * @private
+     */
+    validateWeight(weight) {
+        const value = Number(weight);
+
+        if (!Number.isFinite(value) || value < RATERS.MIN_WEIGHT || value > RATERS.MAX_WEIGHT) {
+            throw new Error(`Rater weight must be between ${RATERS.MIN_WEIGHT} and ${RATERS.MAX_WEIGHT}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Get the pairs a rater has judged at a position
+     *
+     * @param {string} position - Position
+     * @param {string} raterId - Rater ID
+     * @returns {Set<string>} Pair keys (see getPairKey)
+     */
+    getJudgedPairKeys(position, raterId) {
+        return new Set(
+            this.comparisonHistoryService.getLog({ kind: 'comparison', position, raterId, includeUndone: false, includeReset: false })
+                .map(entry => this.getPairKey(entry.winnerId, entry.loserId))
+        );
+    }
+
+    /**
+     * Build an order-independent key for a pair of players
+     *
+     * @param {string} playerId1 - First player ID
+     * @param {string} playerId2 - Second player ID
+     * @returns {string} Pair key
+     */
+    getPairKey(playerId1, playerId2) {
+        return [playerId1, playerId2].sort().join('|');
+    }
+
+    /**
+     * Get the standing results at a position, weighted by rater
+     *
+     * @param {string} position - Position
+     * @returns {Array<Object>} Log entries with a weight, newest first
+     */
+    getWeightedResults(position) {
+        const weights = new Map(this.getAll().map(r => [r.id, r.weight]));
+
+        return this.comparisonHistoryService.getStandingResults(position).map(entry => ({
+            ...entry,
+            weight: weights.has(entry.raterId) ? weights.get(entry.raterId) : RATERS.DEFAULT_WEIGHT
+        }));
+    }
+
+    /**
+     * Fit ratings from one rater's comparisons
+     *
+     * @param {string} position - Position
+     * @param {string} raterId - Rater ID
+     * @returns {Object} Ratings: {comparisons, rows} - rows sorted by rating (highest first)
+     */
+    getRaterRatings(position, raterId) {
+        const results = this.comparisonHistoryService.getStandingResults(position)
+            .filter(entry => entry.raterId === raterId);
+
+        return this.fitRows(position, results);
+    }
+
+    /**
+     * Fit ratings from all raters' comparisons, weighted by rater
+     *
+     * @param {string} position - Position
+     * @returns {Object} Ratings: {comparisons, rows} - rows sorted by rating (highest first)
+     */
+    getAggregatedRatings(position) {
+        return this.fitRows(position, this.getWeightedResults(position));
+    }
+
+    /**
+     * Fit results and build rows for players who took part
+     * @private
+     */
+    fitRows(position, results) {
+        const players = this.playerRepository.getByPosition(position);
+        const fit = this.bradleyTerryService.fit(players.map(p => p.id), results);
+
+        const rows = players
+            .filter(player => fit.games[player.id] > 0)
+            .map(player => ({
+                playerId: player.id,
+                name: player.name,
+                rating: fit.ratings[player.id],
+                games: fit.games[player.id]
+            }))
+            .sort((a, b) => b.rating - a.rating);
+
+        return {
+            comparisons: results.length,
+            rows
+        };
+    }
+
+    /**
+     * Measure inter-rater agreement at a position
+     * For every two raters, counts the pairs both judged and how many of
+     * those they judged the same way (same winner, or both Win-Win).
+     * Each rater's latest standing result per pair is used.
+     *
+     * @param {string} position - Position
+     * @returns {Object} Agreement: {shared, agreed, agreement, pairs}
+     *                   agreement is a 0-1 fraction, or null when no pair was judged by two raters
+     */
+    getAgreement(position) {
+        const raters = this.getAll();
+        const verdicts = new Map(raters.map(r => [r.id, new Map()]));
+
+        // Results are newest first, so the first verdict seen per pair is the latest
+        this.comparisonHistoryService.getStandingResults(position).forEach(entry => {
+            const raterVerdicts = verdicts.get(entry.raterId);
+            if (!raterVerdicts) return;
+
+            const key = this.getPairKey(entry.winnerId, entry.loserId);
+            if (!raterVerdicts.has(key)) {
+                raterVerdicts.set(key, entry.isDraw ? 'draw' : entry.winnerId);
+            }
+        });
+
+        const pairs = [];
+        for (let i = 0; i < raters.length; i++) {
+            for (let j = i + 1; j < raters.length; j++) {
+                const first = verdicts.get(raters[i].id);
+                const second = verdicts.get(raters[j].id);
+
+                let shared = 0;
+                let agreed = 0;
+                first.forEach((verdict, key) => {
+                    if (second.has(key)) {
+                        shared++;
+                        if (second.get(key) === verdict) agreed++;
+                    }
+                });
+
+                if (shared > 0) {
+                    pairs.push({
+                        raters: [raters[i], raters[j]],
+                        shared,
+                        agreed,
+                        agreement: agreed / shared
+                    });
+                }
+            }
+        }
+
+        const shared = pairs.reduce((sum, p) => sum + p.shared, 0);
+        const agreed = pairs.reduce((sum, p) => sum + p.agreed, 0);
+
+        return {
+            shared,
+            agreed,
+            agreement: shared > 0 ? agreed / shared : null,
+            pairs
+        };
+    }
+}
+
+export default RaterService;
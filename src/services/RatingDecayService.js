@@ -0,0 +1,332 @@
+// src/services/RatingDecayService.js
+
+import ratingConfig from '../config/rating.js';
+import { normalizeComparedList } from '../utils/comparedWith.js';
+
+const { DECAY, SEASON, GLICKO2, RATING_CONSTANTS } = ratingConfig;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RatingDecayService - Inactivity decay and season resets
+ *
+ * Responsibilities:
+ * - Keep the session's decay policy (mode, grace period, rate)
+ * - Find when a player was last compared or played at a position
+ * - Preview and apply decay for players inactive beyond the grace period
+ * - Soft-reset all ratings toward the position mean for a new season
+ *
+ * Decay is applied on request. Each application only covers the inactive
+ * time since the previous one, so applying twice in a row changes nothing.
+ * Like a recompute, decay and season resets change ratings directly; the
+ * comparison log is kept as it is.
+ */
+class RatingDecayService {
+    /**
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {ComparisonHistoryService} comparisonHistoryService - Comparison log (last activity)
+     * @param {SessionRepository} sessionRepository - Session data access (policy, seasons)
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(playerRepository, comparisonHistoryService, sessionRepository, storageAdapter, eventBus) {
+        this.playerRepository = playerRepository;
+        this.comparisonHistoryService = comparisonHistoryService;
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Get the decay policy of the active session
+     * @returns {Object} Policy: {mode, graceDays, rate, lastAppliedAt}
+     */
+    getPolicy() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+        const policy = session?.settings?.decayPolicy || {};
+
+        return {
+            mode: Object.values(DECAY.MODES).includes(policy.mode) ? policy.mode : DECAY.DEFAULT_MODE,
+            graceDays: policy.graceDays || DECAY.DEFAULT_GRACE_DAYS,
+            rate: policy.rate ?? DECAY.DEFAULT_RATE,
+            lastAppliedAt: policy.lastAppliedAt || null
+        };
+    }
+
+    /**
+     * Update the decay policy of the active session
+     *
+     * @param {Object} updates - Any of {mode, graceDays, rate}
+     * @throws {Error} If a value is invalid or no session is active
+     */
+    setPolicy(updates) {
+        const policy = { ...this.getPolicy(), ...updates };
+
+        if (!Object.values(DECAY.MODES).includes(policy.mode)) {
+            throw new Error(`Unknown decay mode: ${policy.mode}`);
+        }
+        if (!Number.isInteger(policy.graceDays) || policy.graceDays < 1) {
+            throw new Error('Grace period must be a whole number of days (at least 1)');
+        }
+        if (!Number.isFinite(policy.rate) || policy.rate <= 0 || policy.rate > 1) {
+            throw new Error('Decay rate must be between 0 and 100%');
+        }
+
+        const { activityKey, sessionId } = this._getSessionContext();
+        this.sessionRepository.updateSettings(activityKey, sessionId, { decayPolicy: policy });
+
+        this.eventBus.emit('decay-policy:changed', policy);
+    }
+
+    /**
+     * Get when a player was last compared or played at a position
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {Date} Last activity (the player's creation date if never active)
+     */
+    getLastActivity(player, position) {
+        const times = normalizeComparedList(player.comparedWith?.[position])
+            .map(record => record.lastComparedAt)
+            .filter(Boolean)
+            .map(date => new Date(date).getTime());
+
+        const latestEntry = this.comparisonHistoryService.getLog({
+            position,
+            playerId: player.id,
+            includeUndone: false
+        })[0];
+        if (latestEntry) {
+            times.push(new Date(latestEntry.timestamp).getTime());
+        }
+
+        return new Date(times.length > 0 ? Math.max(...times) : player.createdAt);
+    }
+
+    /**
+     * Preview decay for all players of the active session
+     *
+     * @param {Date} now - Reference time (default: now)
+     * @returns {Object} Preview: {mode, rows} - one row per decayed player and position
+     */
+    preview(now = new Date()) {
+        const policy = this.getPolicy();
+        const rows = [];
+
+        if (policy.mode === DECAY.MODES.OFF) {
+            return { mode: policy.mode, rows };
+        }
+
+        const lastApplied = policy.lastAppliedAt ? new Date(policy.lastAppliedAt).getTime() : 0;
+
+        this.playerRepository.getAll().forEach(player => {
+            player.positions.forEach(position => {
+                const lastActivity = this.getLastActivity(player, position).getTime();
+                const inactiveFrom = Math.max(lastActivity + policy.graceDays * DAY_MS, lastApplied);
+                if (inactiveFrom >= now.getTime()) return;
+
+                const periods = (now.getTime() - inactiveFrom) / (DECAY.PERIOD_DAYS * DAY_MS);
+                const row = this.buildDecayRow(player, position, policy, periods);
+                if (row) {
+                    row.inactiveDays = Math.floor((now.getTime() - lastActivity) / DAY_MS);
+                    rows.push(row);
+                }
+            });
+        });
+
+        return { mode: policy.mode, rows };
+    }
+
+    /**
+     * Build the change for one player and position, or null if nothing changes
+     * @private
+     */
+    buildDecayRow(player, position, policy, periods) {
+        const currentRating = player.ratings[position];
+        const currentDeviation = player.ratingDeviations?.[position] ?? null;
+
+        if (policy.mode === DECAY.MODES.RATING) {
+            const newRating = RATING_CONSTANTS.DEFAULT +
+                (currentRating - RATING_CONSTANTS.DEFAULT) * Math.pow(1 - policy.rate, periods);
+            if (Math.abs(newRating - currentRating) < 0.5) return null;
+
+            return { playerId: player.id, name: player.name, position, currentRating, newRating, currentDeviation, newDeviation: currentDeviation };
+        }
+
+        // Uncertainty only exists for players rated with Glicko-2
+        if (currentDeviation === null || currentDeviation >= GLICKO2.DEFAULT_DEVIATION) return null;
+
+        const newDeviation = Math.min(
+            GLICKO2.DEFAULT_DEVIATION,
+            Math.sqrt(currentDeviation * currentDeviation + DECAY.DEVIATION_GROWTH * DECAY.DEVIATION_GROWTH * periods)
+        );
+        if (newDeviation - currentDeviation < 0.5) return null;
+
+        return { playerId: player.id, name: player.name, position, currentRating, newRating: currentRating, currentDeviation, newDeviation };
+    }
+
+    /**
+     * Apply decay to all inactive players of the active session
+     *
+     * @returns {Object} The applied preview
+     * @throws {Error} If decay is off or no session is active
+     */
+    apply() {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const now = new Date();
+        const preview = this.preview(now);
+
+        if (preview.mode === DECAY.MODES.OFF) {
+            throw new Error('Rating decay is turned off for this session');
+        }
+
+        this.writeRows(preview.rows);
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, {
+            decayPolicy: { ...this.getPolicy(), lastAppliedAt: now.toISOString() }
+        });
+
+        this.eventBus.emit('ratings:decayed', {
+            mode: preview.mode,
+            playersAffected: new Set(preview.rows.map(row => row.playerId)).size
+        });
+
+        return preview;
+    }
+
+    /**
+     * Get the seasons started in the active session, oldest first
+     * @returns {Array<Object>} Seasons as {startedAt, fraction}
+     */
+    getSeasons() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const session = this.sessionRepository.getActiveSession(activityKey);
+
+        return session?.settings?.seasons || [];
+    }
+
+    /**
+     * Preview a season reset
+     * Every rating moves toward the mean of its position by the fraction;
+     * tracked deviations grow toward the default deviation by the same fraction.
+     *
+     * @param {number} fraction - Share of the distance to remove, 0-1
+     * @returns {Object} Preview: {fraction, rows}
+     * @throws {Error} If the fraction is invalid
+     */
+    previewSeasonReset(fraction = SEASON.DEFAULT_FRACTION) {
+        if (!Number.isFinite(fraction) || fraction <= 0 || fraction > 1) {
+            throw new Error('Reset strength must be between 0 and 100%');
+        }
+
+        const rows = [];
+
+        this.getRatedPositions().forEach(position => {
+            const players = this.playerRepository.getByPosition(position);
+            if (players.length === 0) return;
+
+            const mean = players.reduce((sum, p) => sum + p.ratings[position], 0) / players.length;
+
+            players.forEach(player => {
+                const currentRating = player.ratings[position];
+                const currentDeviation = player.ratingDeviations?.[position] ?? null;
+
+                rows.push({
+                    playerId: player.id,
+                    name: player.name,
+                    position,
+                    currentRating,
+                    newRating: currentRating + (mean - currentRating) * fraction,
+                    currentDeviation,
+                    newDeviation: currentDeviation === null
+                        ? null
+                        : currentDeviation + (GLICKO2.DEFAULT_DEVIATION - currentDeviation) * fraction
+                });
+            });
+        });
+
+        return { fraction, rows };
+    }
+
+    /**
+     * Start a new season with a soft reset of all ratings
+     * Comparison history, counts and compared-with lists are kept.
+     *
+     * @param {number} fraction - Share of the distance to the position mean to remove, 0-1
+     * @returns {Object} The applied preview
+     * @throws {Error} If the fraction is invalid or no session is active
+     */
+    startNewSeason(fraction = SEASON.DEFAULT_FRACTION) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const preview = this.previewSeasonReset(fraction);
+
+        this.writeRows(preview.rows);
+
+        const season = { startedAt: new Date().toISOString(), fraction };
+        this.sessionRepository.updateSettings(activityKey, sessionId, {
+            seasons: [...this.getSeasons(), season]
+        });
+
+        this.eventBus.emit('season:started', {
+            ...season,
+            playersAffected: new Set(preview.rows.map(row => row.playerId)).size
+        });
+
+        return preview;
+    }
+
+    /**
+     * Positions that have players
+     * @private
+     */
+    getRatedPositions() {
+        const positions = new Set();
+        this.playerRepository.getAll().forEach(player => player.positions.forEach(pos => positions.add(pos)));
+        return [...positions];
+    }
+
+    /**
+     * Write new ratings and deviations, grouped per player
+     * @private
+     */
+    writeRows(rows) {
+        const updates = new Map();
+
+        rows.forEach(row => {
+            const player = this.playerRepository.getById(row.playerId);
+            const current = updates.get(row.playerId) || {
+                ratings: { ...player.ratings },
+                ratingDeviations: { ...(player.ratingDeviations || {}) }
+            };
+
+            current.ratings[row.position] = Math.min(
+                RATING_CONSTANTS.MAX,
+                Math.max(RATING_CONSTANTS.MIN, row.newRating)
+            );
+            if (row.newDeviation !== null) {
+                current.ratingDeviations[row.position] = row.newDeviation;
+            }
+
+            updates.set(row.playerId, current);
+        });
+
+        this.playerRepository.updateMany([...updates].map(([id, playerUpdates]) => ({ id, updates: playerUpdates })));
+    }
+}
+
+export default RatingDecayService;
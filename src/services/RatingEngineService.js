@@ -0,0 +1,236 @@
+// src/services/RatingEngineService.js
+
+import ratingConfig from '../config/rating.js';
+import { getPositionPenalty } from '../utils/positionPreferences.js';
+
+const { RATING_ENGINES, GLICKO2 } = ratingConfig;
+
+/**
+ * RatingEngineService - Common entry point for rating engines
+ *
+ * Responsibilities:
+ * - Resolve the rating engine selected for the active session
+ * - Delegate rating calculations to that engine
+ * - Expose rating uncertainty (deviation) to pages and the team optimizer
+ * - Rate players for team assignment, weaker outside their primary positions
+ *
+ * Every engine implements the same interface:
+ * - calculateExpectedScore(playerRating, opponentRating)
+ * - calculateRatingChange(winner, loser, position, poolSize, score)
+ * - calculateDrawRatingChange(player1, player2, position, poolSize)
+ * - calculateTeamMatchChange(player, position, match) - one player of a team match
+ * - getRatingDeviation(player, position) - number, or null if not tracked
+ *
+ * Rating change details share the same shape across engines. Engines that
+ * track uncertainty additionally return newDeviation and newVolatility per player.
+ */
+class RatingEngineService {
+    /**
+     * @param {EloService} eloService - ELO rating engine
+     * @param {Glicko2Service} glicko2Service - Glicko-2 rating engine
+     * @param {SessionRepository} sessionRepository - Session data access
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(eloService, glicko2Service, sessionRepository, storageAdapter, eventBus) {
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+
+        this.engines = {
+            [RATING_ENGINES.ELO]: eloService,
+            [RATING_ENGINES.GLICKO2]: glicko2Service
+        };
+
+        this.engineNames = {
+            [RATING_ENGINES.ELO]: 'ELO',
+            [RATING_ENGINES.GLICKO2]: 'Glicko-2'
+        };
+    }
+
+    /**
+     * Get current activity key dynamically from storage
+     * @private
+     */
+    _getActivityKey() {
+        return this.storageAdapter.get('selectedActivity', null);
+    }
+
+    /**
+     * Get list of available engines
+     * @returns {Array<{key: string, name: string}>} Engines
+     */
+    getAvailableEngines() {
+        return Object.keys(this.engines).map(key => ({
+            key,
+            name: this.engineNames[key]
+        }));
+    }
+
+    /**
+     * Get key of the engine selected for the active session
+     * @returns {string} Engine key
+     */
+    getActiveEngineKey() {
+        const activityKey = this._getActivityKey();
+        const session = this.sessionRepository.getActiveSession(activityKey);
+        const key = session?.settings?.ratingEngine;
+
+        return this.engines[key] ? key : RATING_ENGINES.DEFAULT;
+    }
+
+    /**
+     * Get display name of the engine selected for the active session
+     * @returns {string} Engine name
+     */
+    getActiveEngineName() {
+        return this.engineNames[this.getActiveEngineKey()];
+    }
+
+    /**
+     * Get rating engine
+     * @param {string} key - Engine key (defaults to active session's engine)
+     * @returns {Object} Engine instance
+     */
+    getEngine(key = this.getActiveEngineKey()) {
+        const engine = this.engines[key];
+        if (!engine) {
+            throw new Error(`Unknown rating engine: ${key}`);
+        }
+        return engine;
+    }
+
+    /**
+     * Select the rating engine for the active session
+     * Existing ratings are kept; the new engine continues from them.
+     *
+     * @param {string} key - Engine key
+     * @throws {Error} If engine is unknown or no session is active
+     */
+    setActiveEngine(key) {
+        if (!this.engines[key]) {
+            throw new Error(`Unknown rating engine: ${key}`);
+        }
+
+        const activityKey = this._getActivityKey();
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+
+        this.sessionRepository.updateSettings(activityKey, sessionId, { ratingEngine: key });
+
+        this.eventBus.emit('rating-engine:changed', {
+            engine: key,
+            name: this.engineNames[key]
+        });
+    }
+
+    /**
+     * Calculate rating changes for a win using the active engine
+     */
+    calculateRatingChange(winner, loser, position, poolSize = null, score = 1) {
+        return this.getEngine().calculateRatingChange(winner, loser, position, poolSize, score);
+    }
+
+    /**
+     * Calculate rating changes for a Win-Win using the active engine
+     */
+    calculateDrawRatingChange(player1, player2, position, poolSize = null) {
+        return this.getEngine().calculateDrawRatingChange(player1, player2, position, poolSize);
+    }
+
+    /**
+     * Calculate one player's rating change from a team match using the active engine
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position the player played
+     * @param {Object} match - {teamRating, opponentRating, opponentDeviation, score, weight}
+     * @returns {Object} Rating change details
+     */
+    calculateTeamMatchChange(player, position, match) {
+        return this.getEngine().calculateTeamMatchChange(player, position, match);
+    }
+
+    /**
+     * Get player's rating deviation at a position from the active engine
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {number|null} Deviation, or null if the engine does not track it
+     */
+    getRatingDeviation(player, position) {
+        return this.getEngine().getRatingDeviation(player, position);
+    }
+
+    /**
+     * Get the rating a player counts at when assigned to a position
+     * Secondary and emergency positions count as weaker by the penalty of
+     * their level, so team building only places players there when it pays
+     * off. Comparisons keep rating the position itself.
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @param {Object|null} penalties - Rating points per level: {secondary, emergency}
+     * @returns {number} Rating for assignment
+     */
+    getAssignmentRating(player, position, penalties = null) {
+        return player.ratings[position] - getPositionPenalty(player, position, penalties);
+    }
+
+    /**
+     * Estimate how uncertain a player's rating is, for any engine
+     * Engines that track deviation report it directly. For ELO the deviation
+     * is approximated from the number of comparisons: starting at the Glicko-2
+     * default, each comparison adds the information of an even matchup.
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {number} Estimated deviation (on the rating scale)
+     */
+    estimateDeviation(player, position) {
+        const deviation = this.getRatingDeviation(player, position);
+        if (deviation !== null) {
+            return deviation;
+        }
+
+        const comparisons = player.comparisons?.[position] || 0;
+        const q = Math.log(10) / 400;
+        const information = 1 / (GLICKO2.DEFAULT_DEVIATION ** 2) + comparisons * q * q * 0.25;
+
+        return 1 / Math.sqrt(information);
+    }
+
+    /**
+     * Predict the probability that player1 beats player2 with the active engine
+     *
+     * @param {Object} player1 - First player
+     * @param {Object} player2 - Second player
+     * @param {string} position - Position
+     * @returns {number} Win probability for player1 (0-1)
+     */
+    predictWinProbability(player1, player2, position) {
+        const engine = this.getEngine();
+        const opponentDeviation = engine.getRatingDeviation(player2, position);
+
+        return engine.calculateExpectedScore(
+            player1.ratings[position],
+            player2.ratings[position],
+            opponentDeviation ?? undefined
+        );
+    }
+
+    /**
+     * Check whether a player's rating at a position is still uncertain
+     *
+     * @param {Object} player - Player object
+     * @param {string} position - Position
+     * @returns {boolean} True if deviation is at or above the uncertainty threshold
+     */
+    isUncertain(player, position) {
+        const deviation = this.getRatingDeviation(player, position);
+        return deviation !== null && deviation >= GLICKO2.UNCERTAIN_DEVIATION;
+    }
+}
+
+export default RatingEngineService;
@@ -0,0 +1,112 @@
+// src/services/RatingRecomputeService.js
+
+/**
+ * RatingRecomputeService - Recompute position ratings from the comparison log
+ *
+ * Responsibilities:
+ * - Collect the standing results for a position (undone, re-judged and reset comparisons
+ *   excluded), each weighted by its rater's weight
+ * - Fit order-independent ratings with BradleyTerryService
+ * - Preview the fitted ratings against the current ones
+ * - Write the fitted ratings back through PlayerRepository
+ *
+ * Players without logged results at the position (e.g. compared before the
+ * log existed) keep their current rating.
+ */
+class RatingRecomputeService {
+    /**
+     * @param {PlayerRepository} playerRepository - Player data repository
+     * @param {RaterService} raterService - Rater-weighted comparison results
+     * @param {BradleyTerryService} bradleyTerryService - Batch rating fit
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(playerRepository, raterService, bradleyTerryService, eventBus) {
+        this.playerRepository = playerRepository;
+        this.raterService = raterService;
+        this.bradleyTerryService = bradleyTerryService;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Preview recomputed ratings for a position
+     *
+     * @param {string} position - Position to recompute
+     * @returns {Object} Preview: {position, comparisons, converged, rows, skipped}
+     *                   rows are sorted by fitted rating (highest first)
+     */
+    preview(position) {
+        const players = this.playerRepository.getByPosition(position);
+        const results = this.raterService.getWeightedResults(position);
+
+        const fit = this.bradleyTerryService.fit(players.map(p => p.id), results);
+
+        const rows = [];
+        const skipped = [];
+
+        players.forEach(player => {
+            const currentRating = player.ratings[position];
+
+            if (fit.games[player.id] === 0) {
+                skipped.push({ playerId: player.id, name: player.name, currentRating });
+                return;
+            }
+
+            const fittedRating = fit.ratings[player.id];
+            rows.push({
+                playerId: player.id,
+                name: player.name,
+                currentRating,
+                fittedRating,
+                change: fittedRating - currentRating,
+                games: fit.games[player.id]
+            });
+        });
+
+        rows.sort((a, b) => b.fittedRating - a.fittedRating);
+
+        return {
+            position,
+            comparisons: results.length,
+            converged: fit.converged,
+            rows,
+            skipped
+        };
+    }
+
+    /**
+     * Recompute and save ratings for a position
+     *
+     * @param {string} position - Position to recompute
+     * @returns {Object} The applied preview
+     * @throws {Error} If the position has no logged comparisons
+     */
+    apply(position) {
+        const preview = this.preview(position);
+
+        if (preview.rows.length === 0) {
+            throw new Error('No logged comparisons to recompute ratings from');
+        }
+
+        this.playerRepository.updateMany(preview.rows.map(row => {
+            const player = this.playerRepository.getById(row.playerId);
+            return {
+                id: row.playerId,
+                updates: {
+                    ratings: {
+                        ...player.ratings,
+                        [position]: row.fittedRating
+                    }
+                }
+            };
+        }));
+
+        this.eventBus.emit('ratings:recomputed', {
+            position,
+            playersAffected: preview.rows.length
+        });
+
+        return preview;
+    }
+}
+
+export default RatingRecomputeService;
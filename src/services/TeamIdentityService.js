@@ -0,0 +1,266 @@
+// src/services/TeamIdentityService.js
+
+import teamIdentityConfig from '../config/teamIdentity.js';
+
+const { TEAM_IDENTITY_LIMITS: LIMITS, TEAM_PALETTES, DEFAULT_PALETTE } = teamIdentityConfig;
+
+/** Colors are stored as #rrggbb */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * TeamIdentityService - Names, colors and bib numbers of generated teams
+ *
+ * Responsibilities:
+ * - Keep a name and color per team slot of the active session
+ * - Fill the slots from the activity's palette
+ * - Number players within each team without duplicates
+ *
+ * Identities belong to team slots (Team 1, Team 2...), not to lineups, so
+ * regenerating teams keeps their names and colors. A slot without a name
+ * is "Team N" without a color. Players keep their last bib number when it
+ * is still free on their new team; everyone else gets the lowest free one.
+ */
+class TeamIdentityService {
+    /**
+     * @param {Object|null} activityConfig - Activity configuration (palette)
+     * @param {SessionRepository} sessionRepository - Session data access (identities)
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(activityConfig, sessionRepository, storageAdapter, eventBus) {
+        this.activityConfig = activityConfig;
+        this.sessionRepository = sessionRepository;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Stored identities of the active session, with defaults filled in
+     * @private
+     * @returns {Object} {teams, bibsEnabled, bibs}
+     */
+    getStored() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        const stored = sessionId ? this.sessionRepository.getTeamIdentities(activityKey, sessionId) : null;
+
+        return {
+            teams: stored?.teams || [],
+            bibsEnabled: !!stored?.bibsEnabled,
+            bibs: stored?.bibs || {}
+        };
+    }
+
+    /**
+     * Save identities of the active session and notify listeners
+     * @private
+     */
+    save(identities) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        this.sessionRepository.updateTeamIdentities(activityKey, sessionId, identities);
+        this.eventBus.emit('team-identities:changed', { identities });
+    }
+
+    /**
+     * Suggested names and colors for the current activity
+     * @returns {Array<Object>} Palette entries as {name, color}
+     */
+    getPalette() {
+        return this.activityConfig?.teamPalette
+            || TEAM_PALETTES[this.activityConfig?.activityType]
+            || TEAM_PALETTES[DEFAULT_PALETTE];
+    }
+
+    /**
+     * Get the name and color of a team slot
+     * @param {number} index - Team index
+     * @returns {Object} {name, color}; color is null when none is set
+     */
+    getIdentity(index) {
+        const identity = this.getStored().teams[index];
+        return {
+            name: identity?.name || `Team ${index + 1}`,
+            color: identity?.color || null
+        };
+    }
+
+    /**
+     * Get the names and colors of the first teams
+     * @param {number} teamCount - Number of teams
+     * @returns {Array<Object>} Identities as {name, color}
+     */
+    getIdentities(teamCount) {
+        return Array.from({ length: teamCount }, (_, index) => this.getIdentity(index));
+    }
+
+    /**
+     * Get the name of a team slot
+     * @param {number} index - Team index
+     * @returns {string} Team name
+     */
+    getTeamName(index) {
+        return this.getIdentity(index).name;
+    }
+
+    /**
+     * Rename or recolor a team slot
+     *
+     * @param {number} index - Team index
+     * @param {Object} identity - {name, color}; a null color removes it
+     * @param {number} teamCount - Number of teams, whose names must differ
+     * @returns {Object} Updated identity
+     * @throws {Error} If the name or color is invalid or the name is taken
+     */
+    updateIdentity(index, { name, color = null }, teamCount) {
+        if (!Number.isInteger(index) || index < 0 || index >= teamCount) {
+            throw new Error('Team not found');
+        }
+
+        const trimmed = String(name || '').trim();
+        if (trimmed.length === 0 || trimmed.length > LIMITS.MAX_NAME_LENGTH) {
+            throw new Error(`Team name must be 1-${LIMITS.MAX_NAME_LENGTH} characters`);
+        }
+        if (color !== null && !COLOR_PATTERN.test(color)) {
+            throw new Error(`Invalid team color: ${color}`);
+        }
+
+        const taken = this.getIdentities(teamCount)
+            .some((other, otherIndex) => otherIndex !== index && other.name.toLowerCase() === trimmed.toLowerCase());
+        if (taken) {
+            throw new Error(`Another team is already called "${trimmed}"`);
+        }
+
+        const stored = this.getStored();
+        const teams = this.getIdentities(Math.max(teamCount, stored.teams.length));
+        teams[index] = { name: trimmed, color: color && color.toLowerCase() };
+
+        this.save({ ...stored, teams });
+
+        return teams[index];
+    }
+
+    /**
+     * Name and color the teams from the activity's palette
+     * Past the end of the palette it starts over with numbered names.
+     *
+     * @param {number} teamCount - Number of teams
+     * @returns {Array<Object>} New identities
+     */
+    applyPalette(teamCount) {
+        const palette = this.getPalette();
+        const teams = Array.from({ length: teamCount }, (_, index) => {
+            const entry = palette[index % palette.length];
+            const round = Math.floor(index / palette.length);
+            return {
+                name: round > 0 ? `${entry.name} ${round + 1}` : entry.name,
+                color: entry.color
+            };
+        });
+
+        this.save({ ...this.getStored(), teams });
+
+        return teams;
+    }
+
+    /**
+     * Go back to "Team N" names without colors
+     */
+    resetIdentities() {
+        this.save({ ...this.getStored(), teams: [] });
+    }
+
+    /**
+     * Whether players get bib or jersey numbers
+     * @returns {boolean}
+     */
+    isBibsEnabled() {
+        return this.getStored().bibsEnabled;
+    }
+
+    /**
+     * Turn bib numbers on or off
+     *
+     * @param {boolean} enabled - Whether to number players
+     * @param {Array<Array<string>>} lineups - Player IDs per team, to number right away
+     */
+    setBibsEnabled(enabled, lineups = []) {
+        const stored = this.getStored();
+        const bibs = enabled ? { ...stored.bibs, ...Object.fromEntries(this.getBibNumbers(lineups, stored.bibs)) } : stored.bibs;
+
+        this.save({ ...stored, bibsEnabled: !!enabled, bibs });
+    }
+
+    /**
+     * Number the players of each team without duplicates within a team
+     * Nothing is saved; use assignBibs to keep the numbers.
+     *
+     * @param {Array<Array<string>>} lineups - Player IDs per team (starters, then substitutes)
+     * @param {Object} preferred - Last numbers by player ID (defaults to the stored ones)
+     * @returns {Map<string, number>} Bib number by player ID
+     * @throws {Error} If a team has more players than numbers
+     */
+    getBibNumbers(lineups, preferred = this.getStored().bibs) {
+        const numbers = new Map();
+
+        lineups.forEach(playerIds => {
+            if (playerIds.length > LIMITS.MAX_BIB - LIMITS.MIN_BIB + 1) {
+                throw new Error(`A team can have at most ${LIMITS.MAX_BIB - LIMITS.MIN_BIB + 1} numbered players`);
+            }
+
+            const used = new Set();
+            const unnumbered = [];
+
+            // Players keep their last number while no teammate claimed it first
+            playerIds.forEach(playerId => {
+                const number = preferred[playerId];
+                if (Number.isInteger(number) && number >= LIMITS.MIN_BIB && number <= LIMITS.MAX_BIB && !used.has(number)) {
+                    used.add(number);
+                    numbers.set(playerId, number);
+                } else {
+                    unnumbered.push(playerId);
+                }
+            });
+
+            let next = LIMITS.MIN_BIB;
+            unnumbered.forEach(playerId => {
+                while (used.has(next)) next++;
+                used.add(next);
+                numbers.set(playerId, next);
+            });
+        });
+
+        return numbers;
+    }
+
+    /**
+     * Number the players of each team and keep the numbers for next time
+     *
+     * @param {Array<Array<string>>} lineups - Player IDs per team (starters, then substitutes)
+     * @param {Object} options - {renumber}: ignore the last numbers
+     * @returns {Map<string, number>} Bib number by player ID
+     */
+    assignBibs(lineups, { renumber = false } = {}) {
+        const stored = this.getStored();
+        const numbers = this.getBibNumbers(lineups, renumber ? {} : stored.bibs);
+
+        this.save({ ...stored, bibs: { ...stored.bibs, ...Object.fromEntries(numbers) } });
+
+        return numbers;
+    }
+}
+
+export default TeamIdentityService;
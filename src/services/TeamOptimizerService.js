@@ -7,13 +7,22 @@
  */
 
 import { TeamOptimizerService as LibraryTeamOptimizer } from '../lib/team-optimizer/src/index.js';
+import ratingConfig from '../config/rating.js';
+import teamBuilderConfig from '../config/teamBuilder.js';
+import validationConfig from '../config/validation.js';
+import { withSeededRandom } from '../utils/seededRandom.js';
+
+const { RATING_CONSTANTS } = ratingConfig;
+const { TEAM_VARIETY, ATTRIBUTE_BALANCE, TEAM_OPTIMIZATION, TEAM_ALTERNATIVES, TEAM_DRAFT } = teamBuilderConfig;
+const { TYPES: ATTRIBUTE_TYPES } = validationConfig.ATTRIBUTE_VALIDATION;
 
 
 class TeamOptimizerServiceWrapper {
-    constructor(activityConfig, eloService) {
+    constructor(activityConfig, eloService, ratingEngineService = null) {
         // Store dependencies
         this.activityConfig = activityConfig;
         this.eloService = eloService;
+        this.ratingEngineService = ratingEngineService;
 
         // Initialize optimizer with activity config (only if config provided)
         // No custom evaluation needed - EvaluationService uses the same player.ratings[position] data
@@ -26,6 +35,9 @@ class TeamOptimizerServiceWrapper {
         // Expose config for external access
         this.config = this.optimizer?.config || null;
         this.algorithmConfigs = this.optimizer?.algorithmConfigs || null;
+
+        // Cancel handle of the running search
+        this.activeRun = null;
     }
 
     /**
@@ -33,10 +45,1376 @@ class TeamOptimizerServiceWrapper {
      * @param {Object} composition - Position composition requirements
      * @param {number} teamCount - Number of teams to create
      * @param {Array} players - Available players
-     * @returns {Promise<Object>} Optimization result
+     * @param {Object} constraints - Optional hard constraints: {together, apart, locks, quotas}
+     *                               together/apart: lists of [playerId, playerId] pairs
+     *                               locks: list of {playerId, team, position} - position null to let it change
+     *                               quotas: list of {key, name, value, min} - at least min players
+     *                               per team whose attribute key has the value
+     * @param {Object} preferences - Optional soft goals traded against balance: {variety, attributes, positionPenalties}
+     *                               variety: {recentTeams, strength} - recentTeams are past generations
+     *                               as teams of player IDs; strength 0-100
+     *                               attributes: list of {key, type} - player attributes to spread evenly
+     *                               positionPenalties: {secondary, emergency} - rating points a player
+     *                               counts as weaker outside their primary positions (see
+     *                               RatingEngineService.getAssignmentRating)
+     * @param {Object} options - Optional run settings: {timeBudget, onProgress, seed}
+     *                           timeBudget: milliseconds to keep searching (default: one run)
+     *                           onProgress: called with {iteration, bestBalance, elapsed} after each run
+     *                           seed: text making the run deterministic - the same seed, players
+     *                           and settings give the same teams; the time budget is then ignored
+     * @returns {Promise<Object>} Optimization result; players without a place are
+     *                            returned per team in result.substitutes, the seed in result.seed
+     * @throws {Error} If the constraints cannot be satisfied, the seed is invalid or the run is cancelled,
+     *                 or a seed is given and no Web Worker can run the search
+     */
+    async optimize(composition, teamCount, players, constraints = null, preferences = null, options = {}) {
+        const rated = this.applyPositionPenalties(players, preferences?.positionPenalties);
+        const result = await this.run('search', [composition, teamCount, rated, constraints, preferences], options);
+
+        return this.annotateUncertainty(this.restoreRatings(result, players), players);
+    }
+
+    /**
+     * Generate several diverse, comparably balanced solutions
+     * @param {Object} composition - Position composition requirements
+     * @param {number} teamCount - Number of teams to create
+     * @param {Array} players - Available players
+     * @param {Object} constraints - Optional hard constraints (see optimize)
+     * @param {Object} preferences - Optional soft goals (see optimize)
+     * @param {number} count - Number of alternatives wanted
+     * @param {Object} options - Optional run settings: {onProgress, seed} (see optimize)
+     * @returns {Promise<Array<Object>>} Up to count results, most balanced first
+     * @throws {Error} If the count is invalid, the constraints cannot be satisfied or the run is cancelled
+     */
+    async optimizeAlternatives(composition, teamCount, players, constraints = null, preferences = null, count = TEAM_ALTERNATIVES.DEFAULT_COUNT, options = {}) {
+        const rated = this.applyPositionPenalties(players, preferences?.positionPenalties);
+        const alternatives = await this.run('searchAlternatives', [composition, teamCount, rated, constraints, preferences, count], options);
+
+        return alternatives.map(alternative => this.annotateUncertainty(this.restoreRatings(alternative, players), players));
+    }
+
+    /**
+     * Cancel the running optimization
+     * Its promise rejects with 'Optimization cancelled'.
+     */
+    cancel() {
+        this.activeRun?.cancel();
+    }
+
+    /**
+     * Run a search in a Web Worker so the page stays responsive
+     * Falls back to this thread where module workers are unavailable; there
+     * a cancel takes effect after the current optimizer run. Seeded searches
+     * never fall back: they replace Math.random, which only a worker has to
+     * itself.
+     * @private
+     * @throws {Error} If the search is seeded and no worker can run it
+     */
+    run(method, args, { timeBudget = 0, onProgress = null, seed = null } = {}) {
+        const seeded = this.normalizeSeed(seed) !== null;
+        const seededUnavailable = () => new Error('Seeded teams need a background worker, which this browser could not start. Clear the seed to generate teams without one.');
+
+        const runHere = () => {
+            let cancelled = false;
+            const activeRun = { cancel: () => { cancelled = true; } };
+            this.activeRun = activeRun;
+
+            return this.execute(method, args, { timeBudget, seed, onProgress, isCancelled: () => cancelled })
+                .finally(() => {
+                    if (this.activeRun === activeRun) this.activeRun = null;
+                });
+        };
+
+        if (typeof Worker === 'undefined' || !this.activityConfig) {
+            if (seeded) {
+                throw seededUnavailable();
+            }
+            return runHere();
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('../workers/teamOptimizerWorker.js', import.meta.url), { type: 'module' });
+            const finish = () => {
+                worker.terminate();
+                if (this.activeRun === activeRun) this.activeRun = null;
+            };
+            const activeRun = {
+                cancel: () => {
+                    finish();
+                    reject(new Error('Optimization cancelled'));
+                }
+            };
+            this.activeRun = activeRun;
+
+            worker.addEventListener('message', ({ data }) => {
+                if (data.type === 'progress') {
+                    if (onProgress) onProgress(data.progress);
+                    return;
+                }
+
+                finish();
+                if (data.type === 'error') {
+                    reject(new Error(data.message));
+                } else {
+                    resolve(data.result);
+                }
+            });
+
+            worker.addEventListener('error', (event) => {
+                // The worker could not start: search on this thread instead
+                event.preventDefault();
+                finish();
+                if (seeded) {
+                    reject(seededUnavailable());
+                    return;
+                }
+                runHere().then(resolve, reject);
+            });
+
+            worker.postMessage({ method, args, options: { timeBudget, seed }, activityConfig: this.activityConfig });
+        });
+    }
+
+    /**
+     * Run a search method, seeded when options.seed is set
+     * A seeded search replaces Math.random for its duration and makes a
+     * fixed number of optimizer runs, so the time it takes cannot change
+     * the result. Unseeded searches run here or in the worker; seeded ones
+     * only in the worker (see run).
+     * @private
+     * @throws {Error} If the seed is invalid
+     */
+    async execute(method, args, options) {
+        const seed = this.normalizeSeed(options.seed);
+        if (seed === null) {
+            return this[method](...args, options);
+        }
+
+        const result = await withSeededRandom(seed, () => this[method](...args, {
+            ...options,
+            timeBudget: null,
+            runs: TEAM_OPTIMIZATION.SEEDED_RUNS
+        }));
+
+        return Array.isArray(result)
+            ? result.map(alternative => ({ ...alternative, seed }))
+            : { ...result, seed };
+    }
+
+    /**
+     * Trim a seed; empty means unseeded
+     * @private
+     * @returns {string|null} Seed or null
+     * @throws {Error} If the seed is too long
+     */
+    normalizeSeed(seed) {
+        const text = String(seed ?? '').trim();
+        if (text.length > TEAM_OPTIMIZATION.MAX_SEED_LENGTH) {
+            throw new Error(`Seed must be at most ${TEAM_OPTIMIZATION.MAX_SEED_LENGTH} characters`);
+        }
+
+        return text || null;
+    }
+
+    /**
+     * Search for the best teams within a time budget
+     * Repeats optimizer runs (each followed by constraint repair and soft
+     * goals) while the budget leaves time for another run, and keeps the
+     * result with the lowest cost. At least one run always completes; runs
+     * that cannot be repaired to meet the constraints are skipped.
+     * Called by optimize, usually inside the worker.
+     * @param {Object} composition - Position composition requirements
+     * @param {number} teamCount - Number of teams to create
+     * @param {Array} players - Available players, rated for assignment (see applyPositionPenalties)
+     * @param {Object} constraints - Optional hard constraints (see optimize)
+     * @param {Object} preferences - Optional soft goals (see optimize)
+     * @param {Object} options - {timeBudget, runs, onProgress, isCancelled} - runs (a fixed
+     *                           number of optimizer runs) replaces the time budget
+     * @returns {Promise<Object>} Best result with substitutes, without uncertainty details
+     * @throws {Error} If no run could satisfy the constraints or the search is cancelled
+     */
+    async search(composition, teamCount, players, constraints = null, preferences = null, options = {}) {
+        const activeConstraints = this.normalizeConstraints(constraints, players);
+        this.validateConstraints(activeConstraints, composition, teamCount, players);
+
+        const goals = this.buildSoftGoals(preferences, players);
+        const started = Date.now();
+        let best = null;
+        let bestCost = Infinity;
+        let repairError = null;
+
+        for (let iteration = 1; ; iteration++) {
+            this.checkCancelled(options);
+
+            const result = await this.optimizer.optimize(composition, teamCount, players);
+            const { repaired, error } = this.repairRun(result, activeConstraints, preferences, players);
+
+            if (error) {
+                repairError = error;
+            } else {
+                const cost = repaired?.teams ? goals.cost(repaired.teams) : Infinity;
+                if (!best || cost < bestCost) {
+                    best = repaired;
+                    bestCost = cost;
+                }
+            }
+
+            const elapsed = Date.now() - started;
+            if (options.onProgress && best?.teams) {
+                options.onProgress({ iteration, bestBalance: Math.round(this.calculateSpread(best.teams)), elapsed });
+            }
+            const done = options.runs
+                ? iteration >= options.runs
+                : elapsed + elapsed / iteration > (options.timeBudget || 0);
+            if (done) break;
+        }
+
+        if (!best) {
+            throw repairError;
+        }
+
+        return this.allocateSubstitutes(best, activeConstraints, players);
+    }
+
+    /**
+     * Search for several diverse, comparably balanced solutions
+     * Each optimizer run is pushed away from the teammate pairs of the
+     * alternatives found before it. Identical lineups are dropped, as are
+     * alternatives whose spread is more than MAX_SPREAD_GAP above the best,
+     * and runs that cannot be repaired to meet the constraints.
+     * Called by optimizeAlternatives, usually inside the worker.
+     * @param {Object} options - {onProgress, isCancelled}
+     * @returns {Promise<Array<Object>>} Results with substitutes, most balanced first
+     * @throws {Error} If the count is invalid, no run could satisfy the constraints or the search is cancelled
+     */
+    async searchAlternatives(composition, teamCount, players, constraints = null, preferences = null, count = TEAM_ALTERNATIVES.DEFAULT_COUNT, options = {}) {
+        if (!Number.isInteger(count) || count < 1 || count > TEAM_ALTERNATIVES.MAX_COUNT) {
+            throw new Error(`Choose between 1 and ${TEAM_ALTERNATIVES.MAX_COUNT} alternatives`);
+        }
+
+        const activeConstraints = this.normalizeConstraints(constraints, players);
+        this.validateConstraints(activeConstraints, composition, teamCount, players);
+
+        const alternatives = [];
+        const lineups = new Set();
+        const maxAttempts = count * TEAM_ALTERNATIVES.ATTEMPTS_PER_ALTERNATIVE;
+        const started = Date.now();
+        let repairError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts && alternatives.length < count; attempt++) {
+            this.checkCancelled(options);
+
+            const result = await this.optimizer.optimize(composition, teamCount, players);
+            const { repaired, error } = this.repairRun(result, activeConstraints, preferences, players);
+
+            if (error) {
+                repairError = error;
+            } else {
+                const diversified = this.diversify(repaired, activeConstraints, preferences, players, alternatives);
+
+                const lineup = this.getLineupKey(diversified.teams);
+                if (!lineups.has(lineup)) {
+                    lineups.add(lineup);
+                    alternatives.push(diversified);
+                }
+            }
+
+            if (options.onProgress && alternatives.length > 0) {
+                options.onProgress({
+                    iteration: attempt,
+                    bestBalance: Math.round(Math.min(...alternatives.map(alt => this.calculateSpread(alt.teams)))),
+                    elapsed: Date.now() - started
+                });
+            }
+        }
+
+        if (alternatives.length === 0) {
+            throw repairError;
+        }
+
+        const spreads = new Map(alternatives.map(alt => [alt, this.calculateSpread(alt.teams)]));
+        const bestSpread = Math.min(...spreads.values());
+
+        return alternatives
+            .filter(alt => spreads.get(alt) <= bestSpread + TEAM_ALTERNATIVES.MAX_SPREAD_GAP)
+            .sort((a, b) => spreads.get(a) - spreads.get(b))
+            .map(alt => this.allocateSubstitutes(alt, activeConstraints, players));
+    }
+
+    /**
+     * Repair one optimizer run to meet the hard constraints, then improve soft goals
+     * A random run can be beyond repair while the next one is fine, so a
+     * failed repair is returned rather than thrown.
+     * @private
+     * @returns {Object} {repaired} or {error} if the constraints could not be met
+     */
+    repairRun(result, constraints, preferences, players) {
+        let constrained;
+        try {
+            constrained = this.enforceConstraints(result, constraints, players);
+        } catch (error) {
+            return { error };
+        }
+
+        return { repaired: this.improveSoftGoals(constrained, constraints, preferences, players) };
+    }
+
+    /**
+     * Count players as weaker at their secondary and emergency positions
+     * Ratings come from the rating engine's assignment rating; the search
+     * then only places players there when it pays off for balance. Applied
+     * before the search is handed to the worker.
+     * @private
+     * @returns {Array} Players with penalized ratings (the same players without penalties)
+     */
+    applyPositionPenalties(players, penalties) {
+        if (!penalties?.secondary && !penalties?.emergency) {
+            return players;
+        }
+
+        return players.map(player => ({
+            ...player,
+            ratings: Object.fromEntries(Object.keys(player.ratings).map(position => [
+                position,
+                this.ratingEngineService.getAssignmentRating(player, position, penalties)
+            ]))
+        }));
+    }
+
+    /**
+     * Put the real ratings back into a result found with penalized ratings
+     * @private
      */
-    async optimize(composition, teamCount, players) {
-        return await this.optimizer.optimize(composition, teamCount, players);
+    restoreRatings(result, players) {
+        if (!result?.teams) {
+            return result;
+        }
+
+        const playersById = new Map(players.map(p => [p.id, p]));
+        const restore = (player) => ({
+            ...player,
+            ...this.assignPlayer(playersById.get(player.id) || player, player.assignedPosition)
+        });
+
+        return {
+            ...result,
+            teams: result.teams.map(team => team.map(restore)),
+            ...(result.substitutes && { substitutes: result.substitutes.map(subs => subs.map(restore)) })
+        };
+    }
+
+    /**
+     * Stop a search between optimizer runs once it has been cancelled
+     * @private
+     * @throws {Error} If the search is cancelled
+     */
+    checkCancelled(options) {
+        if (options.isCancelled?.()) {
+            throw new Error('Optimization cancelled');
+        }
+    }
+
+    /**
+     * Move a result away from the alternatives already found
+     * Their lineups count as recent generations for the variety penalty;
+     * the reported variety still only covers the session's own history.
+     * @private
+     */
+    diversify(result, constraints, preferences, players, alternatives) {
+        if (alternatives.length === 0 || !result?.teams) {
+            return result;
+        }
+
+        const recentTeams = preferences?.variety?.recentTeams || [];
+        const { variety, ...diversified } = this.improveSoftGoals(result, constraints, {
+            ...preferences,
+            variety: {
+                recentTeams: [
+                    ...recentTeams,
+                    ...alternatives.map(alt => alt.teams.map(team => team.map(p => p.id)))
+                ],
+                strength: Math.max(preferences?.variety?.strength || 0, TEAM_ALTERNATIVES.DIVERSITY_STRENGTH)
+            }
+        }, players);
+
+        if (!result.variety) {
+            return diversified;
+        }
+
+        return {
+            ...diversified,
+            variety: {
+                ...result.variety,
+                repeatedPairs: this.countRepeatedPairs(diversified.teams, this.countTeammatePairs(recentTeams))
+            }
+        };
+    }
+
+    /**
+     * Key of a lineup regardless of team order and positions
+     * @private
+     */
+    getLineupKey(teams) {
+        return teams
+            .map(team => team.map(p => p.id).sort().join(','))
+            .sort()
+            .join('|');
+    }
+
+    /**
+     * Keep constraint pairs between two different available players, without duplicates
+     * @private
+     */
+    normalizeConstraints(constraints, players) {
+        const ids = new Set(players.map(p => p.id));
+        const clean = (pairs) => {
+            const seen = new Set();
+            return (pairs || []).filter(([a, b]) => {
+                const key = [a, b].sort().join('|');
+                if (a === b || !ids.has(a) || !ids.has(b) || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        };
+
+        return {
+            together: clean(constraints?.together),
+            apart: clean(constraints?.apart),
+            locks: (constraints?.locks || []).filter(lock => ids.has(lock.playerId)),
+            quotas: (constraints?.quotas || [])
+                .filter(quota => quota.min > 0)
+                .map(quota => ({
+                    ...quota,
+                    holders: new Set(players.filter(p => p.attributes?.[quota.key] === quota.value).map(p => p.id))
+                }))
+        };
+    }
+
+    /**
+     * Check whether there is any constraint to enforce
+     * @private
+     */
+    hasConstraints(constraints) {
+        return constraints.together.length > 0 || constraints.apart.length > 0 ||
+            constraints.locks.length > 0 || constraints.quotas.length > 0;
+    }
+
+    /**
+     * Reject constraints that contradict each other or cannot fit in a team
+     * @private
+     * @throws {Error} If the constraints are unsatisfiable
+     */
+    validateConstraints(constraints, composition, teamCount, players) {
+        if (!this.hasConstraints(constraints)) {
+            return;
+        }
+
+        const names = new Map(players.map(p => [p.id, p.name]));
+        const groups = this.buildTogetherGroups(constraints.together);
+        const lockedTeam = new Map(constraints.locks.map(lock => [lock.playerId, lock.team]));
+
+        constraints.locks.forEach(lock => {
+            if (!Number.isInteger(lock.team) || lock.team < 0 || lock.team >= teamCount) {
+                throw new Error(`${names.get(lock.playerId)} is locked to Team ${lock.team + 1}, but only ${teamCount} teams are generated`);
+            }
+        });
+
+        constraints.together.forEach(([a, b]) => {
+            if (lockedTeam.has(a) && lockedTeam.has(b) && lockedTeam.get(a) !== lockedTeam.get(b)) {
+                throw new Error(`Team constraints conflict: ${names.get(a)} and ${names.get(b)} must play together but are locked to different teams`);
+            }
+        });
+
+        constraints.apart.forEach(([a, b]) => {
+            if (groups.get(a) && groups.get(a) === groups.get(b)) {
+                throw new Error(`Team constraints conflict: ${names.get(a)} and ${names.get(b)} must play together and apart`);
+            }
+            if (lockedTeam.has(a) && lockedTeam.get(a) === lockedTeam.get(b)) {
+                throw new Error(`Team constraints conflict: ${names.get(a)} and ${names.get(b)} must play apart but are locked to the same team`);
+            }
+        });
+
+        const teamSize = Object.values(composition).reduce((sum, count) => sum + count, 0);
+        const quotaTotals = new Map();
+        constraints.quotas.forEach(quota => {
+            if (quota.holders.size < quota.min * teamCount) {
+                throw new Error(
+                    `Quota cannot be met: at least ${quota.min} ${quota.name}: ${quota.value} per team needs ` +
+                    `${quota.min * teamCount} players, but only ${quota.holders.size} are available`
+                );
+            }
+            quotaTotals.set(quota.key, (quotaTotals.get(quota.key) || 0) + quota.min);
+        });
+        quotaTotals.forEach((total, key) => {
+            if (total > teamSize) {
+                const name = constraints.quotas.find(quota => quota.key === key).name;
+                throw new Error(`Quotas cannot be met: ${name} quotas add up to ${total} players, but a team has only ${teamSize} places`);
+            }
+        });
+
+        new Set(groups.values()).forEach(group => {
+            if (group.length > teamSize) {
+                throw new Error(
+                    `Team constraints cannot be met: ${group.map(id => names.get(id)).join(', ')} must play together, ` +
+                    `but a team has only ${teamSize} places`
+                );
+            }
+        });
+    }
+
+    /**
+     * Group players linked by must-together pairs (directly or through others)
+     * @private
+     * @returns {Map<string, Array<string>>} Player ID to the IDs of their group
+     */
+    buildTogetherGroups(pairs) {
+        const groups = new Map();
+
+        pairs.forEach(([a, b]) => {
+            const groupA = groups.get(a) || [a];
+            const groupB = groups.get(b) || [b];
+            if (groupA === groupB) return;
+
+            const merged = [...new Set([...groupA, ...groupB])];
+            merged.forEach(id => groups.set(id, merged));
+        });
+
+        return groups;
+    }
+
+    /**
+     * Repair the optimizer's teams until all constraints hold
+     * Teams are first reordered to match locked players. Then the swap (which
+     * may exchange positions) or bench substitution that removes the most
+     * violations is applied greedily, preferring the most balanced result.
+     * @private
+     * @throws {Error} If some constraints are still violated
+     */
+    enforceConstraints(result, constraints, players) {
+        if (!result?.teams || !this.hasConstraints(constraints)) {
+            return result;
+        }
+
+        const teams = this.alignTeamsWithLocks(result.teams.map(team => [...team]), constraints.locks);
+        const placed = new Set(teams.flat().map(p => p.id));
+        const bench = players.filter(p => !placed.has(p.id));
+        const quotaPlaces = constraints.quotas.reduce((sum, quota) => sum + quota.min, 0) * teams.length;
+        const maxSteps = (constraints.together.length + constraints.apart.length + constraints.locks.length + quotaPlaces) * 2 + 10;
+
+        let violations = this.findViolations(teams, constraints);
+        for (let step = 0; step < maxSteps && violations.length > 0; step++) {
+            const move = this.findBestRepair(teams, bench, constraints, violations);
+            if (!move) break;
+
+            move.apply();
+            violations = this.findViolations(teams, constraints);
+        }
+
+        if (violations.length > 0) {
+            const names = new Map(players.map(p => [p.id, p.name]));
+            const described = violations.map(v => {
+                if (v.type === 'quota') {
+                    return `at least ${v.quota.min} ${v.quota.name}: ${v.quota.value} on Team ${v.team + 1}`;
+                }
+                if (v.type === 'lock') {
+                    const position = v.lock.position ? ` as ${this.positions[v.lock.position] || v.lock.position}` : '';
+                    return `${names.get(v.lock.playerId)} on Team ${v.lock.team + 1}${position}`;
+                }
+                return `${names.get(v.pair[0])} and ${names.get(v.pair[1])} ${v.type === 'together' ? 'on the same team' : 'on different teams'}`;
+            });
+            throw new Error(`Could not satisfy team constraints with this composition: ${described.join('; ')}`);
+        }
+
+        return {
+            ...result,
+            teams
+        };
+    }
+
+    /**
+     * Reorder teams so that as many locked players as possible are already on their team
+     * Team numbers from the optimizer carry no meaning, so this costs no balance.
+     * @private
+     */
+    alignTeamsWithLocks(teams, locks) {
+        if (locks.length === 0) {
+            return teams;
+        }
+
+        // matches[team][target] = locked players of target found in team
+        const matches = teams.map(team => teams.map((_, target) =>
+            locks.filter(lock => lock.team === target && team.some(p => p.id === lock.playerId)).length
+        ));
+
+        const aligned = new Array(teams.length);
+        const used = new Set();
+        const targets = teams.map((_, target) => target)
+            .sort((a, b) => locks.filter(l => l.team === b).length - locks.filter(l => l.team === a).length);
+
+        targets.forEach(target => {
+            let bestTeam = -1;
+            teams.forEach((_, index) => {
+                if (used.has(index)) return;
+                if (bestTeam === -1 || matches[index][target] > matches[bestTeam][target]) {
+                    bestTeam = index;
+                }
+            });
+            used.add(bestTeam);
+            aligned[target] = teams[bestTeam];
+        });
+
+        return aligned;
+    }
+
+    /**
+     * List violated constraints
+     * A must-together pair is violated when the players are on different
+     * teams or only one of them got a place. A lock is violated when the
+     * player is not on its team (or not at its position, if fixed). A quota
+     * counts once for every player a team is short of it.
+     * @private
+     */
+    findViolations(teams, constraints) {
+        const teamOf = new Map();
+        const positionOf = new Map();
+        teams.forEach((team, index) => team.forEach(player => {
+            teamOf.set(player.id, index);
+            positionOf.set(player.id, player.assignedPosition);
+        }));
+
+        const violations = [];
+        constraints.together.forEach(pair => {
+            if (teamOf.get(pair[0]) !== teamOf.get(pair[1])) {
+                violations.push({ type: 'together', pair });
+            }
+        });
+        constraints.apart.forEach(pair => {
+            const team = teamOf.get(pair[0]);
+            if (team !== undefined && team === teamOf.get(pair[1])) {
+                violations.push({ type: 'apart', pair });
+            }
+        });
+        constraints.locks.forEach(lock => {
+            if (teamOf.get(lock.playerId) !== lock.team ||
+                (lock.position && positionOf.get(lock.playerId) !== lock.position)) {
+                violations.push({ type: 'lock', pair: [lock.playerId], lock });
+            }
+        });
+        constraints.quotas.forEach(quota => {
+            teams.forEach((team, index) => {
+                const missing = quota.min - team.filter(player => quota.holders.has(player.id)).length;
+                if (missing <= 0) return;
+
+                // One violation per missing player, so every step towards the quota counts
+                const involved = [...team.map(player => player.id), ...quota.holders];
+                for (let i = 0; i < missing; i++) {
+                    violations.push({ type: 'quota', pair: involved, quota, team: index });
+                }
+            });
+        });
+
+        return violations;
+    }
+
+    /**
+     * Find the move that leaves the fewest violations
+     * @private
+     * @returns {Object|null} Move with apply(), or null if no move helps
+     */
+    findBestRepair(teams, bench, constraints, violations) {
+        const involved = new Set(violations.flatMap(v => v.pair));
+        let best = null;
+
+        const consider = (apply, undo) => {
+            apply();
+            const score = this.findViolations(teams, constraints).length * 1e9 + this.calculateSpread(teams);
+            undo();
+
+            if (score < violations.length * 1e9 && (!best || score < best.score)) {
+                best = { score, apply };
+            }
+        };
+
+        teams.forEach((team, t) => team.forEach((player, i) => {
+            // Swap slots with another player; players take over each other's
+            // position, so both must be able to play it
+            teams.forEach((otherTeam, u) => {
+                if (u < t) return;
+                otherTeam.forEach((other, j) => {
+                    if (u === t && j <= i) return;
+                    if (!involved.has(player.id) && !involved.has(other.id)) return;
+
+                    const swap = this.buildSwap(teams, t, i, u, j);
+                    if (swap) consider(swap.apply, swap.undo);
+                });
+            });
+
+            // Substitute a player without a place who can play this position
+            bench.forEach((benched, k) => {
+                if (!involved.has(player.id) && !involved.has(benched.id)) return;
+                if (!benched.positions?.includes(player.assignedPosition)) return;
+
+                const substitute = this.assignPlayer(benched, player.assignedPosition);
+                const apply = () => {
+                    teams[t][i] = substitute;
+                    bench[k] = player;
+                };
+                const undo = () => {
+                    teams[t][i] = player;
+                    bench[k] = benched;
+                };
+                consider(apply, undo);
+            });
+        }));
+
+        return best;
+    }
+
+    /**
+     * Build a swap of two team slots
+     * Players take over each other's position, so unless both play the same
+     * position each must be able to play the other's.
+     * @private
+     * @returns {Object|null} Swap with apply() and undo(), or null if not possible
+     */
+    buildSwap(teams, t, i, u, j) {
+        const player = teams[t][i];
+        const other = teams[u][j];
+
+        const samePosition = other.assignedPosition === player.assignedPosition;
+        if (samePosition && u === t) return null;
+        if (!samePosition && (!player.positions?.includes(other.assignedPosition) ||
+            !other.positions?.includes(player.assignedPosition))) return null;
+
+        const incoming = samePosition ? other : this.assignPlayer(other, player.assignedPosition);
+        const outgoing = samePosition ? player : this.assignPlayer(player, other.assignedPosition);
+
+        return {
+            apply: () => {
+                teams[t][i] = incoming;
+                teams[u][j] = outgoing;
+            },
+            undo: () => {
+                teams[t][i] = player;
+                teams[u][j] = other;
+            }
+        };
+    }
+
+    /**
+     * Trade balance for soft goals: teammate variety and even attributes
+     * Swaps players between teams while that lowers the cost: the spread,
+     * plus a penalty for every pair who were teammates in the recent
+     * generations (once per generation), plus the attribute imbalance.
+     * Swaps never break a constraint.
+     * @private
+     * @returns {Object} Result with details of the active goals:
+     *                   variety {strength, generations, repeatedPairs}
+     */
+    improveSoftGoals(result, constraints, preferences, players) {
+        const goals = this.buildSoftGoals(preferences, players);
+
+        if (!result?.teams || !goals.isActive) {
+            return result;
+        }
+
+        const teams = result.teams.map(team => [...team]);
+        const checkConstraints = this.hasConstraints(constraints);
+        const cost = () => goals.cost(teams);
+
+        let current = cost();
+        for (let step = 0; step < TEAM_VARIETY.MAX_STEPS; step++) {
+            let best = null;
+
+            teams.forEach((team, t) => team.forEach((player, i) => {
+                teams.forEach((otherTeam, u) => {
+                    if (u <= t) return;
+                    otherTeam.forEach((other, j) => {
+                        const swap = this.buildSwap(teams, t, i, u, j);
+                        if (!swap) return;
+
+                        swap.apply();
+                        const valid = !checkConstraints || this.findViolations(teams, constraints).length === 0;
+                        const score = valid ? cost() : Infinity;
+                        swap.undo();
+
+                        if (score < current - 1e-9 && (!best || score < best.score)) {
+                            best = { score, apply: swap.apply };
+                        }
+                    });
+                });
+            }));
+
+            if (!best) break;
+            best.apply();
+            current = best.score;
+        }
+
+        return {
+            ...result,
+            teams,
+            ...(goals.useVariety && {
+                variety: {
+                    strength: preferences.variety.strength,
+                    generations: preferences.variety.recentTeams.length,
+                    repeatedPairs: this.countRepeatedPairs(teams, goals.pairCounts)
+                }
+            })
+        };
+    }
+
+    /**
+     * Build the cost that soft goals minimize: the spread, plus the variety
+     * penalty, plus the attribute imbalance
+     * @private
+     * @returns {Object} {cost, isActive, useVariety, pairCounts} - cost takes teams
+     */
+    buildSoftGoals(preferences, players) {
+        const variety = preferences?.variety;
+        const recentTeams = variety?.recentTeams || [];
+        const useVariety = variety?.strength > 0 && recentTeams.length > 0;
+        const attributes = this.buildAttributeGoals(preferences?.attributes || [], players);
+        const pairCounts = useVariety ? this.countTeammatePairs(recentTeams) : new Map();
+        const penalty = useVariety ? TEAM_VARIETY.REPEAT_PENALTY * variety.strength / 100 : 0;
+
+        return {
+            isActive: useVariety || attributes.length > 0,
+            useVariety,
+            pairCounts,
+            cost: (teams) => this.calculateSpread(teams) +
+                penalty * this.countRepeatedPairs(teams, pairCounts) +
+                this.calculateAttributeImbalance(teams, attributes)
+        };
+    }
+
+    /**
+     * Prepare attributes to balance: values by player, plus the spread of
+     * numeric values (to compare team averages in standard deviations)
+     * @private
+     */
+    buildAttributeGoals(attributes, players) {
+        return attributes.map(({ key, type }) => {
+            const values = new Map();
+            players.forEach(player => {
+                const value = player.attributes?.[key];
+                if (value !== undefined && value !== null) values.set(player.id, value);
+            });
+
+            if (type !== ATTRIBUTE_TYPES.NUMERIC) {
+                return { key, type, values, categories: [...new Set(values.values())] };
+            }
+
+            const numbers = [...values.values()];
+            const mean = numbers.reduce((sum, v) => sum + v, 0) / (numbers.length || 1);
+            const deviation = Math.sqrt(numbers.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (numbers.length || 1));
+
+            return { key, type, values, deviation };
+        }).filter(goal => goal.values.size > 0 && (goal.type !== ATTRIBUTE_TYPES.NUMERIC || goal.deviation > 0));
+    }
+
+    /**
+     * Attribute imbalance between teams, in weighted rating points
+     * Categories: the difference between the most and fewest players of each
+     * category on a team. Numbers: the difference between the highest and
+     * lowest team average, in standard deviations.
+     * @private
+     */
+    calculateAttributeImbalance(teams, goals) {
+        return goals.reduce((total, goal) => {
+            if (goal.type === ATTRIBUTE_TYPES.NUMERIC) {
+                const averages = teams
+                    .map(team => team.filter(p => goal.values.has(p.id)).map(p => goal.values.get(p.id)))
+                    .filter(values => values.length > 0)
+                    .map(values => values.reduce((sum, v) => sum + v, 0) / values.length);
+                if (averages.length < 2) return total;
+
+                return total + ATTRIBUTE_BALANCE.NUMERIC_PENALTY * (Math.max(...averages) - Math.min(...averages)) / goal.deviation;
+            }
+
+            return total + goal.categories.reduce((sum, category) => {
+                const counts = teams.map(team => team.filter(p => goal.values.get(p.id) === category).length);
+                return sum + ATTRIBUTE_BALANCE.CATEGORY_PENALTY * (Math.max(...counts) - Math.min(...counts));
+            }, 0);
+        }, 0);
+    }
+
+    /**
+     * Count how often each pair of players were teammates
+     * @param {Array<Array<Array<string>>>} generations - Past generations as teams of player IDs
+     * @returns {Map<string, number>} Pair key ('idA|idB', sorted) to count
+     */
+    countTeammatePairs(generations) {
+        const counts = new Map();
+
+        generations.forEach(teams => teams.forEach(team => {
+            for (let a = 0; a < team.length; a++) {
+                for (let b = a + 1; b < team.length; b++) {
+                    const key = [team[a], team[b]].sort().join('|');
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                }
+            }
+        }));
+
+        return counts;
+    }
+
+    /**
+     * Count repeated teammate pairs in teams
+     * @param {Array<Array<Object>>} teams - Teams of players (objects with id)
+     * @param {Map<string, number>} pairCounts - From countTeammatePairs
+     * @returns {number} Sum of past counts over all teammate pairs
+     */
+    countRepeatedPairs(teams, pairCounts) {
+        let repeated = 0;
+
+        teams.forEach(team => {
+            for (let a = 0; a < team.length; a++) {
+                for (let b = a + 1; b < team.length; b++) {
+                    repeated += pairCounts.get([team[a].id, team[b].id].sort().join('|')) || 0;
+                }
+            }
+        });
+
+        return repeated;
+    }
+
+    /**
+     * Share players without a place between the teams as substitutes
+     * Teams get the same number of substitutes (give or take one). The
+     * strongest substitutes go first, each to the weakest team among those
+     * with the fewest substitutes. Must-together partners join the team of
+     * their partner and must-apart partners are kept off it where possible.
+     * @private
+     * @returns {Object} Result with substitutes: one list of players per team
+     */
+    allocateSubstitutes(result, constraints, players) {
+        if (!result?.teams) {
+            return result;
+        }
+
+        const placed = new Set(result.teams.flat().map(p => p.id));
+        const substitutes = result.teams.map(() => []);
+        const teamOf = new Map();
+        result.teams.forEach((team, index) => team.forEach(player => teamOf.set(player.id, index)));
+
+        const weights = this.activityConfig?.positionWeights || {};
+        const strength = result.teams.map(team => team.reduce(
+            (sum, player) => sum + player.positionRating * (weights[player.assignedPosition] || 1),
+            0
+        ));
+
+        const leftovers = players
+            .filter(player => !placed.has(player.id))
+            .map(player => this.assignPlayer(player, this.getBestPosition(player)))
+            .sort((a, b) => b.positionRating - a.positionRating);
+
+        const partners = (id, pairs) => pairs
+            .filter(pair => pair.includes(id))
+            .map(([a, b]) => (a === id ? b : a));
+
+        leftovers.forEach(sub => {
+            const together = partners(sub.id, constraints.together)
+                .map(id => teamOf.get(id))
+                .find(team => team !== undefined);
+            const apart = new Set(partners(sub.id, constraints.apart).map(id => teamOf.get(id)));
+
+            let team = together;
+            if (team === undefined) {
+                const fewest = Math.min(...substitutes.map(subs => subs.length));
+                const candidates = substitutes
+                    .map((subs, index) => index)
+                    .filter(index => substitutes[index].length === fewest);
+                const allowed = candidates.filter(index => !apart.has(index));
+
+                team = (allowed.length > 0 ? allowed : candidates)
+                    .reduce((weakest, index) => (strength[index] < strength[weakest] ? index : weakest));
+            }
+
+            substitutes[team].push(sub);
+            teamOf.set(sub.id, team);
+            strength[team] += sub.positionRating * (weights[sub.assignedPosition] || 1);
+        });
+
+        return {
+            ...result,
+            substitutes
+        };
+    }
+
+    /**
+     * Position a player is rated highest at
+     * @private
+     */
+    getBestPosition(player) {
+        return player.positions.reduce((best, position) =>
+            (player.ratings[position] > player.ratings[best] ? position : best)
+        );
+    }
+
+    /**
+     * Rebuild a result from manually edited teams
+     * Every player is copied in at the given position with the current rating
+     * and uncertainty; the rest of the result is kept.
+     * @param {Object} result - Result the edit started from
+     * @param {Array<Array<Object>>} placements - Teams as lists of {playerId, position}
+     * @param {Array} players - Current players
+     * @returns {Object} Result with the edited teams (marked manuallyEdited)
+     * @throws {Error} If a player is unknown or does not play the position
+     */
+    applyManualEdit(result, placements, players) {
+        const snapshots = new Map(result.teams.flat().map(p => [p.id, p]));
+        const playersById = new Map(players.map(p => [p.id, p]));
+
+        const teams = placements.map(team => team.map(({ playerId, position }) => {
+            const player = playersById.get(playerId) || snapshots.get(playerId);
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            if (!player.positions.includes(position)) {
+                throw new Error(`${player.name} does not play ${this.positions[position] || position}`);
+            }
+            return this.assignPlayer(player, position);
+        }));
+
+        return this.annotateUncertainty({ ...result, teams, manuallyEdited: true }, players);
+    }
+
+    /**
+     * Start a captain draft
+     * Each captain heads a team, then the teams take turns picking until
+     * every composition slot is filled or no players are left. Top-rated
+     * captains are ordered weakest first, so the weakest captain picks first.
+     *
+     * @param {Object} composition - Position composition requirements
+     * @param {number} teamCount - Number of teams
+     * @param {Array} players - Players in the draft
+     * @param {Object} options - Optional: {captainIds, order, positionWeights, positionPenalties}
+     *                           captainIds: one player ID per team in pick order (default: top-rated players)
+     *                           order: TEAM_DRAFT.ORDERS value
+     *                           positionWeights: weights for suggested picks (default: activity weights)
+     *                           positionPenalties: {secondary, emergency} for suggested picks and positions
+     * @returns {Object} Draft: {order, composition, positionWeights, positionPenalties, captainIds, teams, picks, pickOrder}
+     *                   teams are lists of {playerId, position}; picks are {team, playerId, position};
+     *                   pickOrder is the team index of every pick
+     * @throws {Error} If there are too few players or the captains are invalid
+     */
+    createDraft(composition, teamCount, players, { captainIds = null, order = TEAM_DRAFT.DEFAULT_ORDER, positionWeights = null, positionPenalties = null } = {}) {
+        if (!Object.values(TEAM_DRAFT.ORDERS).includes(order)) {
+            throw new Error(`Unknown draft order: ${order}`);
+        }
+        if (players.length < teamCount) {
+            throw new Error(`A draft for ${teamCount} teams needs at least ${teamCount} players`);
+        }
+
+        const playersById = new Map(players.map(p => [p.id, p]));
+        let captains;
+        if (captainIds) {
+            if (captainIds.length !== teamCount || new Set(captainIds).size !== teamCount) {
+                throw new Error(`Choose ${teamCount} different captains`);
+            }
+            captains = captainIds.map(id => {
+                if (!playersById.has(id)) {
+                    throw new Error('Captain not found');
+                }
+                return playersById.get(id);
+            });
+        } else {
+            captains = [...players]
+                .sort((a, b) => this.getTopRating(b) - this.getTopRating(a))
+                .slice(0, teamCount)
+                .reverse();
+        }
+
+        const draft = {
+            order,
+            composition,
+            positionWeights: positionWeights || { ...(this.activityConfig?.positionWeights || {}) },
+            positionPenalties,
+            captainIds: captains.map(p => p.id),
+            teams: captains.map(() => []),
+            picks: [],
+            pickOrder: []
+        };
+        captains.forEach((captain, team) => {
+            draft.teams[team].push({ playerId: captain.id, position: this.getDraftPosition(draft, team, captain) });
+        });
+
+        const teamSize = Object.values(composition).reduce((sum, count) => sum + count, 0);
+        const pickCount = Math.min(teamCount * Math.max(teamSize - 1, 0), players.length - teamCount);
+        for (let round = 0; draft.pickOrder.length < pickCount; round++) {
+            const turn = captains.map((captain, team) => team);
+            if (order === TEAM_DRAFT.ORDERS.SNAKE && round % 2 === 1) {
+                turn.reverse();
+            }
+            draft.pickOrder.push(...turn);
+        }
+        draft.pickOrder = draft.pickOrder.slice(0, pickCount);
+
+        return draft;
+    }
+
+    /**
+     * Team whose turn it is to pick
+     * @param {Object} draft - Draft
+     * @returns {number|null} Team index, or null when the draft is complete
+     */
+    getDraftTurn(draft) {
+        return draft.picks.length < draft.pickOrder.length ? draft.pickOrder[draft.picks.length] : null;
+    }
+
+    /**
+     * Players not picked yet
+     * @param {Object} draft - Draft
+     * @param {Array} players - Players in the draft
+     * @returns {Array} Available players, strongest first
+     */
+    getDraftAvailable(draft, players) {
+        const picked = new Set(draft.teams.flat().map(slot => slot.playerId));
+
+        return players
+            .filter(p => !picked.has(p.id))
+            .sort((a, b) => this.getTopRating(b) - this.getTopRating(a));
+    }
+
+    /**
+     * Pick a player for the team whose turn it is
+     * @param {Object} draft - Draft
+     * @param {string} playerId - Picked player
+     * @param {Array} players - Players in the draft
+     * @param {string|null} position - Position to play (default: best-rated open slot the player plays)
+     * @returns {Object} Updated draft
+     * @throws {Error} If the draft is complete or the player cannot be picked
+     */
+    makeDraftPick(draft, playerId, players, position = null) {
+        const team = this.getDraftTurn(draft);
+        if (team === null) {
+            throw new Error('The draft is complete');
+        }
+
+        const player = players.find(p => p.id === playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+        if (!this.getDraftAvailable(draft, players).includes(player)) {
+            throw new Error(`${player.name} has already been picked`);
+        }
+
+        const slot = position || this.getDraftPosition(draft, team, player);
+        if (!player.positions.includes(slot)) {
+            throw new Error(`${player.name} does not play ${this.positions[slot] || slot}`);
+        }
+
+        return {
+            ...draft,
+            teams: draft.teams.map((members, index) => (index === team ? [...members, { playerId, position: slot }] : members)),
+            picks: [...draft.picks, { team, playerId, position: slot }]
+        };
+    }
+
+    /**
+     * Take back the last pick
+     * @param {Object} draft - Draft
+     * @returns {Object} Updated draft
+     * @throws {Error} If nothing has been picked yet
+     */
+    undoDraftPick(draft) {
+        const last = draft.picks[draft.picks.length - 1];
+        if (!last) {
+            throw new Error('No picks to undo');
+        }
+
+        return {
+            ...draft,
+            teams: draft.teams.map((members, index) => (index === last.team ? members.slice(0, -1) : members)),
+            picks: draft.picks.slice(0, -1)
+        };
+    }
+
+    /**
+     * Suggest a pick for the team whose turn it is
+     * Scores each available player at each open slot of the team by how
+     * much better they are than the player likely left once every team has
+     * filled that position (scarce positions score higher), times the
+     * position weight.
+     *
+     * @param {Object} draft - Draft
+     * @param {Array} players - Players in the draft
+     * @returns {Object|null} {playerId, position}, or null when the draft is complete
+     */
+    suggestDraftPick(draft, players) {
+        const team = this.getDraftTurn(draft);
+        const available = this.getDraftAvailable(draft, players);
+        if (team === null || available.length === 0) {
+            return null;
+        }
+
+        const demand = {};
+        draft.teams.forEach((members, index) => {
+            Object.entries(this.getDraftOpenSlots(draft, index)).forEach(([position, open]) => {
+                demand[position] = (demand[position] || 0) + open;
+            });
+        });
+
+        let best = null;
+        Object.entries(this.getDraftOpenSlots(draft, team))
+            .filter(([, open]) => open > 0)
+            .forEach(([position]) => {
+                const candidates = available.filter(p => p.positions.includes(position));
+                const ratings = candidates.map(p => this.getDraftRating(draft, p, position)).sort((a, b) => b - a);
+                const replacement = ratings[Math.min(demand[position], ratings.length - 1)];
+
+                candidates.forEach(player => {
+                    const rating = this.getDraftRating(draft, player, position);
+                    const value = (rating - replacement) * (draft.positionWeights[position] || 1);
+                    if (!best || value > best.value || (value === best.value && rating > best.rating)) {
+                        best = { playerId: player.id, position, value, rating };
+                    }
+                });
+            });
+
+        if (!best) {
+            // No one left for an open slot: take the strongest player
+            const player = available.reduce((top, p) => (this.getTopRating(p) > this.getTopRating(top) ? p : top));
+            return { playerId: player.id, position: this.getBestPosition(player) };
+        }
+
+        return { playerId: best.playerId, position: best.position };
+    }
+
+    /**
+     * Drafted teams as assigned players
+     * @param {Object} draft - Draft
+     * @param {Array} players - Players in the draft
+     * @returns {Array<Array<Object>>} Teams
+     */
+    getDraftTeams(draft, players) {
+        const playersById = new Map(players.map(p => [p.id, p]));
+
+        return draft.teams.map(members => members.map(({ playerId, position }) =>
+            this.assignPlayer(playersById.get(playerId), position)
+        ));
+    }
+
+    /**
+     * Turn a completed draft into a result
+     * Players left over go to the bench like optimizer substitutes.
+     * @param {Object} draft - Draft
+     * @param {Array} players - Players in the draft
+     * @returns {Object} Result with the drafted teams, substitutes and draft: {order, captainIds}
+     * @throws {Error} If picks are still to be made
+     */
+    finishDraft(draft, players) {
+        if (this.getDraftTurn(draft) !== null) {
+            throw new Error('Make the remaining picks first');
+        }
+
+        const result = this.allocateSubstitutes({
+            teams: this.getDraftTeams(draft, players),
+            algorithm: 'Captain draft',
+            draft: { order: draft.order, captainIds: draft.captainIds }
+        }, { together: [], apart: [] }, players);
+
+        return this.annotateUncertainty(result, players);
+    }
+
+    /**
+     * Open slots per position of a drafting team
+     * @private
+     */
+    getDraftOpenSlots(draft, team) {
+        const open = { ...draft.composition };
+        draft.teams[team].forEach(({ position }) => {
+            if (open[position] > 0) open[position]--;
+        });
+        return open;
+    }
+
+    /**
+     * Position a drafted player takes: the best-rated open slot they play
+     * (after position penalties), or their best position when none is open
+     * @private
+     */
+    getDraftPosition(draft, team, player) {
+        const open = this.getDraftOpenSlots(draft, team);
+        const fitting = player.positions.filter(position => open[position] > 0);
+        const rate = (position) => this.getDraftRating(draft, player, position);
+
+        return fitting.length > 0
+            ? fitting.reduce((best, position) => (rate(position) > rate(best) ? position : best))
+            : this.getBestPosition(player);
+    }
+
+    /**
+     * Rating of a player at a position for draft decisions, after position penalties
+     * @private
+     */
+    getDraftRating(draft, player, position) {
+        return this.ratingEngineService.getAssignmentRating(player, position, draft.positionPenalties);
+    }
+
+    /**
+     * Highest rating of a player over their positions
+     * @private
+     */
+    getTopRating(player) {
+        return Math.max(...player.positions.map(position => player.ratings[position] ?? RATING_CONSTANTS.DEFAULT));
+    }
+
+    /**
+     * Copy a player into a team slot at a position
+     * @private
+     */
+    assignPlayer(player, position) {
+        return {
+            ...player,
+            assignedPosition: position,
+            positionRating: player.ratings[position],
+            positionComparisons: player.comparisons?.[position] || 0
+        };
+    }
+
+    /**
+     * Difference between the strongest and weakest team (position-weighted ratings)
+     * @private
+     */
+    calculateSpread(teams) {
+        const weights = this.activityConfig?.positionWeights || {};
+        const totals = teams.map(team => team.reduce(
+            (sum, player) => sum + player.positionRating * (weights[player.assignedPosition] || 1),
+            0
+        ));
+
+        return Math.max(...totals) - Math.min(...totals);
+    }
+
+    /**
+     * Attach rating deviation of each assigned player to the result
+     * Adds positionDeviation (null if the engine does not track it) and isUncertain
+     * @private
+     */
+    annotateUncertainty(result, players) {
+        if (!this.ratingEngineService || !result?.teams) {
+            return result;
+        }
+
+        const playersById = new Map(players.map(p => [p.id, p]));
+
+        const annotate = (player) => {
+            const source = playersById.get(player.id) || player;
+            const position = player.assignedPosition;
+
+            return {
+                ...player,
+                positionDeviation: this.ratingEngineService.getRatingDeviation(source, position),
+                isUncertain: this.ratingEngineService.isUncertain(source, position)
+            };
+        };
+
+        return {
+            ...result,
+            teams: result.teams.map(team => team.map(annotate)),
+            ...(result.substitutes && { substitutes: result.substitutes.map(subs => subs.map(annotate)) })
+        };
     }
 
     /**
@@ -0,0 +1,815 @@
+// src/services/TournamentService.js
+
+import tournamentConfig from '../config/tournament.js';
+
+const { TOURNAMENT_FORMATS: FORMATS, TOURNAMENT_LIMITS: LIMITS, STANDINGS_POINTS: POINTS } = tournamentConfig;
+
+/** Stages a game can belong to */
+const STAGES = {
+    ROUND_ROBIN: 'round-robin',
+    POOL: 'pool',
+    BRACKET: 'bracket',
+    WINNERS: 'winners',
+    LOSERS: 'losers',
+    GRAND_FINAL: 'grand-final'
+};
+
+/**
+ * TournamentService - Schedule games between the generated teams
+ *
+ * Responsibilities:
+ * - Build round-robin, single/double elimination and pools + playoffs formats
+ * - Spread the games over courts and time slots
+ * - Record results, move teams through brackets and compute standings
+ *
+ * A tournament keeps a snapshot of the generated teams it was created
+ * from, so generating new teams does not change it. Each game names its
+ * two sides by source: a seeded team (null for a bye), the winner or loser
+ * of an earlier game, or a final place in a pool. Games against a bye are
+ * walkovers and are not scheduled.
+ */
+class TournamentService {
+    /**
+     * @param {SessionRepository} sessionRepository - Session data access (teams, tournament)
+     * @param {TeamIdentityService} teamIdentityService - Team names and colors
+     * @param {StorageAdapter} storageAdapter - Storage adapter for reading activity
+     * @param {EventBus} eventBus - Event bus
+     */
+    constructor(sessionRepository, teamIdentityService, storageAdapter, eventBus) {
+        this.sessionRepository = sessionRepository;
+        this.teamIdentityService = teamIdentityService;
+        this.storageAdapter = storageAdapter;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Get current activity key and active session ID
+     * @private
+     * @throws {Error} If no session is active
+     */
+    _getSessionContext() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            throw new Error('No active session found');
+        }
+        return { activityKey, sessionId };
+    }
+
+    /**
+     * Get the tournament of the active session
+     * @returns {Object|null} Tournament or null if none was created
+     */
+    getTournament() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            return null;
+        }
+
+        return this.sessionRepository.getTournament(activityKey, sessionId);
+    }
+
+    /**
+     * Count the teams saved by the team builder
+     * @returns {number} Number of generated teams
+     */
+    getGeneratedTeamCount() {
+        const activityKey = this.storageAdapter.get('selectedActivity', null);
+        const sessionId = this.sessionRepository.getActiveSessionId(activityKey);
+        if (!sessionId) {
+            return 0;
+        }
+
+        return this.sessionRepository.getGeneratedTeams(activityKey, sessionId)?.teams?.length || 0;
+    }
+
+    /**
+     * Create a tournament for the generated teams, replacing any existing one
+     * Teams are seeded by their average position rating, strongest first.
+     *
+     * @param {Object} settings - Tournament settings
+     * @param {string} settings.format - One of TOURNAMENT_FORMATS
+     * @param {number} settings.courts - Courts or fields played on at the same time
+     * @param {string} settings.startTime - Start of the first slot, HH:MM
+     * @param {number} settings.slotMinutes - Length of a time slot in minutes
+     * @param {number} settings.poolCount - Number of pools (pools + playoffs only)
+     * @param {number} settings.advancePerPool - Teams per pool in the playoffs (pools + playoffs only)
+     * @returns {Object} Created tournament
+     * @throws {Error} If the settings are invalid or there are too few or too many teams
+     */
+    createTournament(settings) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const generatedTeams = this.sessionRepository.getGeneratedTeams(activityKey, sessionId)?.teams || [];
+
+        if (generatedTeams.length < LIMITS.MIN_TEAMS || generatedTeams.length > LIMITS.MAX_TEAMS) {
+            throw new Error(`A tournament needs ${LIMITS.MIN_TEAMS}-${LIMITS.MAX_TEAMS} generated teams (there are ${generatedTeams.length})`);
+        }
+
+        const normalized = this.validateSettings(settings, generatedTeams.length);
+
+        const teams = generatedTeams.map((team, index) => ({
+            ...this.teamIdentityService.getIdentity(index),
+            players: team.map(player => player.name),
+            rating: team.length > 0
+                ? Math.round(team.reduce((sum, player) => sum + (player.positionRating || 0), 0) / team.length)
+                : 0
+        }));
+        const seeds = teams
+            .map((team, index) => index)
+            .sort((a, b) => teams[b].rating - teams[a].rating || a - b);
+
+        const tournament = {
+            ...normalized,
+            teams,
+            ...this.buildGames(normalized, seeds),
+            createdAt: new Date().toISOString()
+        };
+        this.scheduleGames(tournament);
+
+        this.sessionRepository.updateTournament(activityKey, sessionId, tournament);
+        this.eventBus.emit('tournament:changed', { tournament });
+
+        return tournament;
+    }
+
+    /**
+     * Delete the tournament of the active session
+     * @throws {Error} If no session is active
+     */
+    deleteTournament() {
+        const { activityKey, sessionId } = this._getSessionContext();
+
+        this.sessionRepository.updateTournament(activityKey, sessionId, null);
+        this.eventBus.emit('tournament:changed', { tournament: null });
+    }
+
+    /**
+     * Record (or clear) the result of a game
+     * A result that would change who plays in a later game with a result
+     * is rejected; clear the later results first.
+     *
+     * @param {string} gameId - Game ID
+     * @param {Array<number>|null} scores - [scoreA, scoreB], or null to clear the result
+     * @returns {Object} Updated tournament
+     * @throws {Error} If the game cannot be played yet or the scores are invalid
+     */
+    recordResult(gameId, scores) {
+        const { activityKey, sessionId } = this._getSessionContext();
+        const tournament = this.getTournament();
+        if (!tournament) {
+            throw new Error('No tournament has been created');
+        }
+
+        const gamesById = this.indexGames(tournament);
+        const game = gamesById.get(gameId);
+        if (!game) {
+            throw new Error('Game not found');
+        }
+        if (this.isWalkover(game, gamesById)) {
+            throw new Error('This game is a bye');
+        }
+
+        if (scores !== null) {
+            if (this.getParticipants(game, tournament, gamesById).some(team => team === null)) {
+                throw new Error('The teams of this game are not known yet');
+            }
+            if (scores.length !== 2 || !scores.every(score => Number.isInteger(score) && score >= 0)) {
+                throw new Error('Scores must be whole numbers of 0 or more');
+            }
+            if (scores[0] === scores[1] && !this.allowsDraw(game)) {
+                throw new Error('Knockout games need a winner');
+            }
+        }
+
+        const updated = {
+            ...tournament,
+            games: tournament.games.map(other => other.id === gameId ? { ...other, scores } : other)
+        };
+
+        const before = this.getScoredLineups(tournament, gameId);
+        const after = this.getScoredLineups(updated, gameId);
+        if ([...before].some(([id, lineup]) => after.get(id) !== lineup)) {
+            throw new Error('Later games already have results with these teams; clear those results first');
+        }
+
+        this.sessionRepository.updateTournament(activityKey, sessionId, updated);
+        this.eventBus.emit('tournament:changed', { tournament: updated, gameId });
+
+        return updated;
+    }
+
+    /**
+     * Get the schedule grouped by time slot
+     *
+     * @param {Object} tournament - Tournament
+     * @returns {Array<Object>} Slots as {slot, time, games}; each game is
+     *          {id, number, court, label, sides, scores, isReady, allowsDraw} where
+     *          sides are {team, name} with team null while undecided
+     */
+    getSchedule(tournament) {
+        const gamesById = this.indexGames(tournament);
+        const slots = new Map();
+
+        tournament.games
+            .filter(game => game.slot !== null)
+            .sort((a, b) => a.number - b.number)
+            .forEach(game => {
+                if (!slots.has(game.slot)) {
+                    slots.set(game.slot, { slot: game.slot, time: this.getSlotTime(tournament, game.slot), games: [] });
+                }
+
+                const teams = this.getParticipants(game, tournament, gamesById);
+                slots.get(game.slot).games.push({
+                    id: game.id,
+                    number: game.number,
+                    court: game.court,
+                    label: game.label,
+                    sides: game.sources.map((source, side) => ({
+                        team: teams[side],
+                        name: teams[side] !== null
+                            ? tournament.teams[teams[side]].name
+                            : this.describeSource(source, tournament, gamesById)
+                    })),
+                    scores: game.scores,
+                    isReady: teams.every(team => team !== null),
+                    allowsDraw: this.allowsDraw(game)
+                });
+            });
+
+        return [...slots.values()].sort((a, b) => a.slot - b.slot);
+    }
+
+    /**
+     * Get the standings
+     * Tables rank teams by points, then score difference, then points scored.
+     * Placements rank knockout teams by how far they got.
+     *
+     * @param {Object} tournament - Tournament
+     * @returns {Object} {tables, placements} - tables as {title, rows, advance};
+     *          placements as {team, name, place, label}, empty before any knockout result
+     */
+    getStandings(tournament) {
+        const gamesById = this.indexGames(tournament);
+        const tables = [];
+
+        if (tournament.format === FORMATS.ROUND_ROBIN) {
+            tables.push({
+                title: 'Standings',
+                rows: this.calculateTable(tournament, tournament.games, tournament.teams.map((team, index) => index)),
+                advance: 0
+            });
+        }
+
+        if (tournament.format === FORMATS.POOLS_PLAYOFFS) {
+            tournament.pools.forEach((teams, pool) => {
+                tables.push({
+                    title: `Pool ${this.getPoolName(pool)}`,
+                    rows: this.calculateTable(tournament, tournament.games.filter(game => game.pool === pool), teams),
+                    advance: tournament.advancePerPool
+                });
+            });
+        }
+
+        const placements = tournament.format === FORMATS.ROUND_ROBIN
+            ? []
+            : this.getPlacements(tournament, gamesById);
+
+        return { tables, placements };
+    }
+
+    /**
+     * Start time of a slot
+     * @param {Object} tournament - Tournament
+     * @param {number} slot - Slot index
+     * @returns {string} HH:MM (24-hour, wraps past midnight)
+     */
+    getSlotTime(tournament, slot) {
+        const [hours, minutes] = tournament.startTime.split(':').map(Number);
+        const total = (hours * 60 + minutes + slot * tournament.slotMinutes) % (24 * 60);
+
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Validate tournament settings against the number of teams
+     * @private
+     * @throws {Error} If a setting is invalid
+     */
+    validateSettings(settings, teamCount) {
+        const { format, courts, startTime, slotMinutes, poolCount, advancePerPool } = settings;
+
+        if (!Object.values(FORMATS).includes(format)) {
+            throw new Error(`Unknown tournament format: ${format}`);
+        }
+        if (!Number.isInteger(courts) || courts < 1 || courts > LIMITS.MAX_COURTS) {
+            throw new Error(`Courts must be a whole number from 1 to ${LIMITS.MAX_COURTS}`);
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(startTime || '')) {
+            throw new Error('Start time must be given as HH:MM');
+        }
+        if (!Number.isInteger(slotMinutes) || slotMinutes < LIMITS.MIN_SLOT_MINUTES || slotMinutes > LIMITS.MAX_SLOT_MINUTES) {
+            throw new Error(`Time slots must be ${LIMITS.MIN_SLOT_MINUTES}-${LIMITS.MAX_SLOT_MINUTES} minutes`);
+        }
+
+        const normalized = { format, courts, startTime, slotMinutes };
+        if (format !== FORMATS.POOLS_PLAYOFFS) {
+            return normalized;
+        }
+
+        if (!Number.isInteger(poolCount) || poolCount < 2 || poolCount > LIMITS.MAX_POOLS) {
+            throw new Error(`Pools must be a whole number from 2 to ${LIMITS.MAX_POOLS}`);
+        }
+        if (teamCount < poolCount * LIMITS.MIN_POOL_SIZE) {
+            throw new Error(`${teamCount} teams are too few for ${poolCount} pools of at least ${LIMITS.MIN_POOL_SIZE}`);
+        }
+
+        const smallestPool = Math.floor(teamCount / poolCount);
+        if (!Number.isInteger(advancePerPool) || advancePerPool < 1 || advancePerPool > smallestPool) {
+            throw new Error(`Between 1 and ${smallestPool} teams per pool can go on to the playoffs`);
+        }
+
+        return { ...normalized, poolCount, advancePerPool };
+    }
+
+    /**
+     * Build the games of a format
+     * @private
+     * @returns {Object} {games, pools} - pools only for pools + playoffs
+     */
+    buildGames(settings, seeds) {
+        const games = [];
+        const addGame = (fields) => {
+            const game = {
+                id: `g${games.length + 1}`,
+                pool: null,
+                label: '',
+                scores: null,
+                slot: null,
+                court: null,
+                number: null,
+                ...fields
+            };
+            games.push(game);
+            return game;
+        };
+        const seedSources = seeds.map(team => ({ type: 'seed', team }));
+
+        switch (settings.format) {
+            case FORMATS.ROUND_ROBIN:
+                this.addRoundRobin(addGame, seeds, STAGES.ROUND_ROBIN);
+                return { games, pools: [] };
+
+            case FORMATS.SINGLE_ELIMINATION:
+                this.addElimination(addGame, seedSources, STAGES.BRACKET);
+                return { games, pools: [] };
+
+            case FORMATS.DOUBLE_ELIMINATION:
+                this.addDoubleElimination(addGame, seedSources);
+                return { games, pools: [] };
+
+            default: {
+                // Snake seeding: strongest teams spread over the pools
+                const pools = Array.from({ length: settings.poolCount }, () => []);
+                seeds.forEach((team, index) => {
+                    const row = Math.floor(index / settings.poolCount);
+                    const column = index % settings.poolCount;
+                    pools[row % 2 === 0 ? column : settings.poolCount - 1 - column].push(team);
+                });
+                pools.forEach((teams, pool) => this.addRoundRobin(addGame, teams, STAGES.POOL, pool));
+
+                const qualifiers = [];
+                for (let rank = 1; rank <= settings.advancePerPool; rank++) {
+                    pools.forEach((teams, pool) => qualifiers.push({ type: 'pool', pool, rank }));
+                }
+                if (qualifiers.length >= 2) {
+                    this.addElimination(addGame, qualifiers, STAGES.BRACKET);
+                }
+
+                return { games, pools };
+            }
+        }
+    }
+
+    /**
+     * Add a round-robin between teams (circle method)
+     * @private
+     */
+    addRoundRobin(addGame, teams, stage, pool = null) {
+        const circle = teams.length % 2 === 0 ? [...teams] : [...teams, null];
+        const rounds = circle.length - 1;
+        const prefix = pool === null ? '' : `Pool ${this.getPoolName(pool)} · `;
+
+        for (let round = 1; round <= rounds; round++) {
+            for (let i = 0; i < circle.length / 2; i++) {
+                const teamA = circle[i];
+                const teamB = circle[circle.length - 1 - i];
+                if (teamA === null || teamB === null) continue;
+
+                addGame({
+                    stage,
+                    round,
+                    pool,
+                    label: `${prefix}Round ${round}`,
+                    sources: [{ type: 'seed', team: teamA }, { type: 'seed', team: teamB }]
+                });
+            }
+
+            // Keep the first team in place and rotate the rest
+            circle.splice(1, 0, circle.pop());
+        }
+    }
+
+    /**
+     * Add a knockout bracket; entries are sources in seed order
+     * The bracket is filled up to a power of two with byes for the top seeds.
+     * @private
+     * @returns {Object} {champion, rounds} - source of the bracket winner and the games per round
+     */
+    addElimination(addGame, entries, stage, labelPrefix = '') {
+        let size = 1;
+        while (size < entries.length) size *= 2;
+
+        // Standard bracket order: 1 v size, then the next best against the next worst
+        let order = [1];
+        while (order.length < size) {
+            const count = order.length * 2;
+            order = order.flatMap(seed => [seed, count + 1 - seed]);
+        }
+
+        let current = order.map(seed => entries[seed - 1] || { type: 'seed', team: null });
+        const rounds = [];
+
+        while (current.length > 1) {
+            const roundGames = [];
+            const next = [];
+            for (let i = 0; i < current.length; i += 2) {
+                const game = addGame({ stage, round: rounds.length + 1, sources: [current[i], current[i + 1]] });
+                roundGames.push(game);
+                next.push({ type: 'winner', game: game.id });
+            }
+            rounds.push(roundGames);
+            current = next;
+        }
+
+        rounds.forEach((roundGames, index) => {
+            const name = this.getRoundName(index + 1, rounds.length);
+            roundGames.forEach(game => {
+                game.label = labelPrefix ? `${labelPrefix} ${name.toLowerCase()}` : name;
+            });
+        });
+
+        return { champion: current[0], rounds };
+    }
+
+    /**
+     * Add a double-elimination bracket
+     * Losers of each winners round drop into the losers bracket, whose
+     * winner meets the winners bracket winner in a single grand final.
+     * @private
+     */
+    addDoubleElimination(addGame, entries) {
+        const winners = this.addElimination(addGame, entries, STAGES.WINNERS, 'Winners');
+        const losersOf = (roundGames) => roundGames.map(game => ({ type: 'loser', game: game.id }));
+        const losersGames = [];
+        let round = 0;
+
+        const addRound = (pairs) => {
+            round++;
+            return pairs.map(([sourceA, sourceB]) => {
+                const game = addGame({ stage: STAGES.LOSERS, round, sources: [sourceA, sourceB] });
+                losersGames.push(game);
+                return { type: 'winner', game: game.id };
+            });
+        };
+        const pairUp = (sources) => {
+            const pairs = [];
+            for (let i = 0; i < sources.length; i += 2) pairs.push([sources[i], sources[i + 1]]);
+            return pairs;
+        };
+
+        let current = addRound(pairUp(losersOf(winners.rounds[0])));
+        winners.rounds.slice(1).forEach(roundGames => {
+            // Reversed so teams do not meet the team they just lost to
+            const dropping = losersOf(roundGames).reverse();
+            current = addRound(current.map((source, i) => [source, dropping[i]]));
+            if (current.length > 1) {
+                current = addRound(pairUp(current));
+            }
+        });
+
+        losersGames.forEach(game => {
+            game.label = game.round === round ? 'Losers final' : `Losers round ${game.round}`;
+        });
+
+        addGame({
+            stage: STAGES.GRAND_FINAL,
+            round: 1,
+            label: 'Grand final',
+            sources: [winners.champion, current[0]]
+        });
+    }
+
+    /**
+     * Name of a knockout round counted from the final
+     * @private
+     */
+    getRoundName(round, rounds) {
+        if (round === rounds) return 'Final';
+        if (round === rounds - 1) return 'Semi-final';
+        if (round === rounds - 2) return 'Quarter-final';
+        return `Round ${round}`;
+    }
+
+    /**
+     * Pool letter (0 = A)
+     * @private
+     */
+    getPoolName(pool) {
+        return String.fromCharCode(65 + pool);
+    }
+
+    /**
+     * Assign time slots, courts and game numbers
+     * Games go in order of bracket depth to the earliest slot after the
+     * games they wait for, with a free court and no team playing twice.
+     * @private
+     */
+    scheduleGames(tournament) {
+        const gamesById = this.indexGames(tournament);
+        const depths = this.getDepths(tournament, gamesById);
+        const slots = [];
+
+        tournament.games
+            .map((game, order) => ({ game, order }))
+            .filter(({ game }) => !this.isWalkover(game, gamesById))
+            .sort((a, b) => depths.get(a.game.id) - depths.get(b.game.id) || a.order - b.order)
+            .forEach(({ game }) => {
+                const dependencies = this.getDependencies(game, tournament, gamesById);
+                const seededTeams = game.sources.filter(source => source.type === 'seed').map(source => source.team);
+
+                let slot = Math.max(0, ...dependencies.map(dependency => dependency.slot + 1));
+                while (slots[slot] && (slots[slot].courts >= tournament.courts ||
+                    seededTeams.some(team => slots[slot].teams.has(team)))) {
+                    slot++;
+                }
+
+                slots[slot] = slots[slot] || { courts: 0, teams: new Set() };
+                slots[slot].courts++;
+                seededTeams.forEach(team => slots[slot].teams.add(team));
+
+                game.slot = slot;
+                game.court = slots[slot].courts;
+            });
+
+        tournament.games
+            .filter(game => game.slot !== null)
+            .sort((a, b) => a.slot - b.slot || a.court - b.court)
+            .forEach((game, index) => {
+                game.number = index + 1;
+            });
+    }
+
+    /**
+     * Depth of every game: how many scheduled games lead up to it
+     * @private
+     */
+    getDepths(tournament, gamesById) {
+        const depths = new Map();
+        const depthOf = (game) => {
+            if (!depths.has(game.id)) {
+                const dependencies = this.getDependencies(game, tournament, gamesById);
+                depths.set(game.id, Math.max(0, ...dependencies.map(dependency => depthOf(dependency) + 1)));
+            }
+            return depths.get(game.id);
+        };
+
+        tournament.games.forEach(depthOf);
+        return depths;
+    }
+
+    /**
+     * Scheduled games that must be played before a game
+     * @private
+     */
+    getDependencies(game, tournament, gamesById) {
+        return game.sources.flatMap(source => {
+            if (source.type === 'winner' || source.type === 'loser') {
+                const previous = gamesById.get(source.game);
+                return this.isWalkover(previous, gamesById)
+                    ? this.getDependencies(previous, tournament, gamesById)
+                    : [previous];
+            }
+            if (source.type === 'pool') {
+                return tournament.games.filter(other => other.stage === STAGES.POOL && other.pool === source.pool);
+            }
+            return [];
+        });
+    }
+
+    /**
+     * Check whether a source can only ever be a bye
+     * @private
+     */
+    isBye(source, gamesById) {
+        if (source.type === 'seed') {
+            return source.team === null;
+        }
+        if (source.type === 'winner') {
+            return gamesById.get(source.game).sources.every(s => this.isBye(s, gamesById));
+        }
+        if (source.type === 'loser') {
+            return gamesById.get(source.game).sources.some(s => this.isBye(s, gamesById));
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a game is against a bye (the other side goes through)
+     * @private
+     */
+    isWalkover(game, gamesById) {
+        return game.sources.some(source => this.isBye(source, gamesById));
+    }
+
+    /**
+     * Draws are only allowed in round-robin and pool games
+     * @private
+     */
+    allowsDraw(game) {
+        return game.stage === STAGES.ROUND_ROBIN || game.stage === STAGES.POOL;
+    }
+
+    /**
+     * Team indexes of both sides of a game (null while undecided)
+     * @private
+     */
+    getParticipants(game, tournament, gamesById) {
+        return game.sources.map(source => this.resolveSource(source, tournament, gamesById));
+    }
+
+    /**
+     * Team a source stands for, or null while undecided (or a bye)
+     * @private
+     */
+    resolveSource(source, tournament, gamesById) {
+        if (source.type === 'seed') {
+            return source.team;
+        }
+
+        if (source.type === 'pool') {
+            const poolGames = tournament.games.filter(game => game.stage === STAGES.POOL && game.pool === source.pool);
+            if (poolGames.some(game => !game.scores)) {
+                return null;
+            }
+            const rows = this.calculateTable(tournament, poolGames, tournament.pools[source.pool]);
+            return rows[source.rank - 1]?.team ?? null;
+        }
+
+        const game = gamesById.get(source.game);
+        if (this.isWalkover(game, gamesById)) {
+            const advancing = game.sources.find(s => !this.isBye(s, gamesById));
+            return source.type === 'winner' && advancing ? this.resolveSource(advancing, tournament, gamesById) : null;
+        }
+        if (!game.scores) {
+            return null;
+        }
+
+        const winnerSide = game.scores[0] > game.scores[1] ? 0 : 1;
+        const side = source.type === 'winner' ? winnerSide : 1 - winnerSide;
+        return this.resolveSource(game.sources[side], tournament, gamesById);
+    }
+
+    /**
+     * Describe an undecided source, e.g. "Winner of game 3"
+     * @private
+     */
+    describeSource(source, tournament, gamesById) {
+        if (source.type === 'seed') {
+            return source.team === null ? 'Bye' : tournament.teams[source.team].name;
+        }
+        if (source.type === 'pool') {
+            return `Pool ${this.getPoolName(source.pool)} #${source.rank}`;
+        }
+
+        const game = gamesById.get(source.game);
+        if (this.isWalkover(game, gamesById)) {
+            const advancing = game.sources.find(s => !this.isBye(s, gamesById));
+            return advancing ? this.describeSource(advancing, tournament, gamesById) : 'Bye';
+        }
+
+        return `${source.type === 'winner' ? 'Winner' : 'Loser'} of game ${game.number}`;
+    }
+
+    /**
+     * Participants of every game with a result, except one game
+     * @private
+     * @returns {Map<string, string>} Game ID to 'teamA|teamB'
+     */
+    getScoredLineups(tournament, exceptGameId) {
+        const gamesById = this.indexGames(tournament);
+
+        return new Map(tournament.games
+            .filter(game => game.scores && game.id !== exceptGameId)
+            .map(game => [game.id, this.getParticipants(game, tournament, gamesById).join('|')]));
+    }
+
+    /**
+     * Standings table of teams over games with results
+     * @private
+     * @returns {Array<Object>} Rows as {team, name, played, won, drawn, lost, scored, conceded, difference, points}
+     */
+    calculateTable(tournament, games, teams) {
+        const rows = new Map(teams.map(team => [team, {
+            team,
+            name: tournament.teams[team].name,
+            played: 0,
+            won: 0,
+            drawn: 0,
+            lost: 0,
+            scored: 0,
+            conceded: 0,
+            difference: 0,
+            points: 0
+        }]));
+
+        games.filter(game => game.scores).forEach(game => {
+            game.sources.forEach((source, side) => {
+                const row = rows.get(source.team);
+                if (!row) return;
+
+                const own = game.scores[side];
+                const other = game.scores[1 - side];
+                row.played++;
+                row.scored += own;
+                row.conceded += other;
+                row.difference = row.scored - row.conceded;
+
+                if (own > other) {
+                    row.won++;
+                    row.points += POINTS.WIN;
+                } else if (own === other) {
+                    row.drawn++;
+                    row.points += POINTS.DRAW;
+                } else {
+                    row.lost++;
+                    row.points += POINTS.LOSS;
+                }
+            });
+        });
+
+        return [...rows.values()].sort((a, b) =>
+            b.points - a.points ||
+            b.difference - a.difference ||
+            b.scored - a.scored ||
+            teams.indexOf(a.team) - teams.indexOf(b.team)
+        );
+    }
+
+    /**
+     * Knockout placements: the champion, then teams by the depth of the
+     * game that knocked them out (teams knocked out together share a place)
+     * @private
+     */
+    getPlacements(tournament, gamesById) {
+        const depths = this.getDepths(tournament, gamesById);
+        const finalGame = tournament.games[tournament.games.length - 1];
+        const results = [];
+
+        tournament.games
+            .filter(game => game.scores && game.stage !== STAGES.POOL && game.stage !== STAGES.WINNERS)
+            .forEach(game => {
+                const [teamA, teamB] = this.getParticipants(game, tournament, gamesById);
+                const winnerSide = game.scores[0] > game.scores[1] ? 0 : 1;
+                const loser = winnerSide === 0 ? teamB : teamA;
+                results.push({
+                    team: loser,
+                    depth: depths.get(game.id),
+                    label: game === finalGame ? 'Runner-up' : `Out in ${game.label.toLowerCase()}`
+                });
+
+                if (game === finalGame) {
+                    results.push({ team: winnerSide === 0 ? teamA : teamB, depth: Infinity, label: 'Champion' });
+                }
+            });
+
+        return results
+            .sort((a, b) => b.depth - a.depth)
+            .map(result => ({
+                team: result.team,
+                name: tournament.teams[result.team].name,
+                place: 1 + results.filter(other => other.depth > result.depth).length,
+                label: result.label
+            }));
+    }
+
+    /**
+     * Games by ID
+     * @private
+     */
+    indexGames(tournament) {
+        return new Map(tournament.games.map(game => [game.id, game]));
+    }
+}
+
+export default TournamentService;
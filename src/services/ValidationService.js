@@ -223,6 +223,68 @@ class ValidationService {
         };
     }
 
+    /**
+     * Check that players can fill a composition for every team
+     * Players who play several positions are counted once: the check looks
+     * for an assignment of distinct players to all places.
+     * @param {Object} composition - Position composition requirements
+     * @param {number} teamCount - Number of teams
+     * @param {Array} players - Available players
+     * @returns {Object} Validation result
+     */
+    validateCompositionCapacity(composition, teamCount, players) {
+        const errors = [];
+        const needed = Object.entries(composition).filter(([, count]) => count > 0);
+        const totalNeeded = needed.reduce((sum, [, count]) => sum + count * teamCount, 0);
+
+        if (players.length < totalNeeded) {
+            errors.push(`${totalNeeded} players are needed for ${teamCount} teams, but only ${players.length} are available`);
+        }
+
+        needed.forEach(([position, count]) => {
+            const available = players.filter(p => p.positions?.includes(position)).length;
+            if (available < count * teamCount) {
+                errors.push(`${count * teamCount} ${this.positions[position] || position} places, but only ${available} available player${available === 1 ? ' plays' : 's play'} it`);
+            }
+        });
+
+        if (errors.length === 0 && this.countAssignable(needed, teamCount, players) < totalNeeded) {
+            errors.push('Available players cannot cover all positions at once; some play only positions that are already full');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Most places that can be filled with distinct players (bipartite matching)
+     * @private
+     */
+    countAssignable(needed, teamCount, players) {
+        const places = needed.flatMap(([position, count]) => new Array(count * teamCount).fill(position));
+        const placeOf = new Map();
+
+        const tryAssign = (player, visited) => {
+            for (let i = 0; i < places.length; i++) {
+                if (visited.has(i) || !player.positions?.includes(places[i])) continue;
+                visited.add(i);
+
+                const holder = placeOf.get(i);
+                if (!holder || tryAssign(holder, visited)) {
+                    placeOf.set(i, player);
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        players.forEach(player => tryAssign(player, new Set()));
+
+        return placeOf.size;
+    }
+
     /**
      * Validate team count
      * @param {number} teamCount - Number of teams
@@ -0,0 +1,132 @@
+/**
+ * Compared-With Utilities
+ * Helpers for the per-position list of opponents a player has been compared with
+ *
+ * Each entry of player.comparedWith[position] is a record:
+ * {
+ *   name: string,                  // Opponent name
+ *   count: number,                 // Times the pair has been compared
+ *   lastComparedAt: string|null,   // ISO date of the latest comparison (null if unknown)
+ *   atComparison: number|null,     // Player's comparison count right after the latest one
+ *   rematchRequested: boolean      // Pair explicitly queued for another comparison
+ * }
+ *
+ * Older data stored plain opponent names; every helper accepts both forms.
+ */
+
+/**
+ * Convert a stored entry to a record
+ *
+ * @param {Object|string} entry - Record or legacy opponent name
+ * @returns {Object} Record
+ */
+export function toComparedRecord(entry) {
+    if (typeof entry === 'string') {
+        return {
+            name: entry,
+            count: 1,
+            lastComparedAt: null,
+            atComparison: null,
+            rematchRequested: false
+        };
+    }
+
+    return {
+        name: entry.name,
+        count: entry.count || 1,
+        lastComparedAt: entry.lastComparedAt || null,
+        atComparison: entry.atComparison ?? null,
+        rematchRequested: !!entry.rematchRequested
+    };
+}
+
+/**
+ * Normalize a compared-with list to records
+ *
+ * @param {Array<Object|string>} list - Stored list (may be undefined)
+ * @returns {Array<Object>} Records
+ */
+export function normalizeComparedList(list) {
+    return (list || []).map(toComparedRecord);
+}
+
+/**
+ * Get opponent names from a compared-with list
+ *
+ * @param {Array<Object|string>} list - Stored list
+ * @returns {Array<string>} Opponent names
+ */
+export function getComparedNames(list) {
+    return normalizeComparedList(list).map(record => record.name);
+}
+
+/**
+ * Find the record for an opponent
+ *
+ * @param {Array<Object|string>} list - Stored list
+ * @param {string} opponentName - Opponent name
+ * @returns {Object|null} Record or null if never compared
+ */
+export function findComparedRecord(list, opponentName) {
+    return normalizeComparedList(list).find(record => record.name === opponentName) || null;
+}
+
+/**
+ * Record a comparison against an opponent
+ *
+ * @param {Array<Object|string>} list - Stored list
+ * @param {string} opponentName - Opponent name
+ * @param {Object} details - {comparedAt: ISO date, atComparison: player's new comparison count}
+ * @returns {Array<Object>} Updated records
+ */
+export function addComparedRecord(list, opponentName, { comparedAt, atComparison }) {
+    const records = normalizeComparedList(list);
+    const existing = records.find(record => record.name === opponentName);
+
+    const updated = {
+        name: opponentName,
+        count: existing ? existing.count + 1 : 1,
+        lastComparedAt: comparedAt,
+        atComparison,
+        rematchRequested: false
+    };
+
+    return existing
+        ? records.map(record => record.name === opponentName ? updated : record)
+        : [...records, updated];
+}
+
+/**
+ * Set fields on an opponent's record
+ *
+ * @param {Array<Object|string>} list - Stored list
+ * @param {string} opponentName - Opponent name
+ * @param {Object} updates - Fields to set
+ * @returns {Array<Object>} Updated records (unchanged if opponent not found)
+ */
+export function updateComparedRecord(list, opponentName, updates) {
+    return normalizeComparedList(list).map(record =>
+        record.name === opponentName ? { ...record, ...updates } : record
+    );
+}
+
+/**
+ * Remove an opponent from a compared-with list
+ *
+ * @param {Array<Object|string>} list - Stored list
+ * @param {string} opponentName - Opponent name
+ * @returns {Array<Object>} Remaining records
+ */
+export function removeComparedRecord(list, opponentName) {
+    return normalizeComparedList(list).filter(record => record.name !== opponentName);
+}
+
+export default {
+    toComparedRecord,
+    normalizeComparedList,
+    getComparedNames,
+    findComparedRecord,
+    addComparedRecord,
+    updateComparedRecord,
+    removeComparedRecord
+};
@@ -26,7 +26,9 @@ export const ROUTES = {
     SETTINGS: '/',
     COMPARE: '/compare/',
     RANKINGS: '/rankings/',
-    TEAMS: '/teams/'
+    HISTORY: '/history/',
+    TEAMS: '/teams/',
+    TOURNAMENT: '/tournament/'
 };
 
 export const STORAGE_KEYS = {
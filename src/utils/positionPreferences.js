@@ -0,0 +1,69 @@
+/**
+ * Position Preference Utilities
+ * Primary, secondary and emergency positions of a player
+ */
+
+import teamBuilderConfig from '../config/teamBuilder.js';
+
+const { LEVELS } = teamBuilderConfig.POSITION_PREFERENCES;
+
+/**
+ * Level of a position for a player
+ * Positions without a ranking count as primary, so players who never
+ * ranked their positions are placed as before.
+ *
+ * @param {Object} player - Player with optional positionPreferences ({position: level})
+ * @param {string} position - Position
+ * @returns {string} One of POSITION_PREFERENCES.LEVELS
+ */
+export function getPositionLevel(player, position) {
+    return player.positionPreferences?.[position] || LEVELS.PRIMARY;
+}
+
+/**
+ * Rating penalty for placing a player at a position
+ *
+ * @param {Object} player - Player
+ * @param {string} position - Position
+ * @param {Object} penalties - Penalty per level: {secondary, emergency}
+ * @returns {number} Rating points to subtract (0 at primary positions)
+ */
+export function getPositionPenalty(player, position, penalties) {
+    const level = getPositionLevel(player, position);
+    return level === LEVELS.PRIMARY ? 0 : (penalties?.[level] || 0);
+}
+
+/**
+ * Clean up position preferences for a set of positions
+ * Keeps only known levels of listed positions and leaves primary implicit.
+ *
+ * @param {Object} preferences - Raw preferences ({position: level})
+ * @param {Array<string>} positions - Positions the player plays
+ * @returns {Object} Preferences
+ * @throws {Error} If a level is unknown or no position is primary
+ */
+export function normalizePositionPreferences(preferences, positions) {
+    const normalized = {};
+
+    positions.forEach(position => {
+        const level = preferences?.[position] || LEVELS.PRIMARY;
+        if (!Object.values(LEVELS).includes(level)) {
+            throw new Error(`Unknown position level: ${level}`);
+        }
+        if (level !== LEVELS.PRIMARY) {
+            normalized[position] = level;
+        }
+    });
+
+    if (Object.keys(normalized).length === positions.length) {
+        throw new Error('At least one position must be primary');
+    }
+
+    return normalized;
+}
+
+export default {
+    getPositionLevel,
+    getPositionPenalty,
+    normalizePositionPreferences
+};
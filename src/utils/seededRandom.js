@@ -0,0 +1,68 @@
+/**
+ * Seeded Random Utilities
+ * Reproducible pseudo-random numbers for deterministic team generation
+ */
+
+/**
+ * Hash a seed to a 32-bit unsigned integer (FNV-1a)
+ *
+ * @param {string|number} seed - Seed text
+ * @returns {number} Hash
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a pseudo-random generator (mulberry32)
+ * The same seed always gives the same sequence.
+ *
+ * @param {string|number} seed - Seed text
+ * @returns {Function} Generator returning numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Run a task with Math.random replaced by a seeded generator
+ * Math.random is restored once the task settles. Anything else running on
+ * the same thread meanwhile also draws from the seeded sequence, so only
+ * call this where nothing else runs, such as a dedicated worker.
+ *
+ * @param {string|number} seed - Seed text
+ * @param {Function} task - Function returning a value or a promise
+ * @returns {Promise<*>} Result of the task
+ */
+export async function withSeededRandom(seed, task) {
+    const originalRandom = Math.random;
+    Math.random = createSeededRandom(seed);
+
+    try {
+        return await task();
+    } finally {
+        Math.random = originalRandom;
+    }
+}
+
+export default {
+    hashSeed,
+    createSeededRandom,
+    withSeededRandom
+};
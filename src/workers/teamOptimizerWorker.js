@@ -0,0 +1,33 @@
+// src/workers/teamOptimizerWorker.js
+
+/**
+ * Team Optimizer Worker
+ * Runs team searches off the main thread and streams their progress
+ *
+ * Message in: {method, args, options, activityConfig}
+ * Messages out: {type: 'progress', progress} after each optimizer run,
+ * then {type: 'result', result} or {type: 'error', message}
+ */
+import TeamOptimizerServiceWrapper from '../services/TeamOptimizerService.js';
+
+const METHODS = ['search', 'searchAlternatives'];
+
+self.addEventListener('message', async ({ data }) => {
+    const { method, args, options, activityConfig } = data;
+
+    try {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown optimizer method: ${method}`);
+        }
+
+        const optimizer = new TeamOptimizerServiceWrapper(activityConfig, null);
+        const result = await optimizer.execute(method, args, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+        });
+
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});